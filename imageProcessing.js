@@ -0,0 +1,849 @@
+// PDFomator - Image processing shared by the image worker and the main thread
+// Every operation draws a source (ImageBitmap, canvas or image) onto a fresh canvas,
+// using OffscreenCanvas where available so the same code runs without a DOM.
+
+let webglFilterProcessor = null;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+export function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode canvas'));
+            }
+        }, type, quality);
+    });
+}
+
+// Animated GIF and WebP files import their first frame. ImageDecoder picks it
+// explicitly where the browser has it; otherwise this returns null and the
+// caller's decoder draws the default image, which is the first frame too.
+export async function decodeFirstFrame(blob) {
+    if (!['image/gif', 'image/webp'].includes(blob?.type) || typeof ImageDecoder === 'undefined') {
+        return null;
+    }
+
+    let decoder = null;
+    try {
+        if (!(await ImageDecoder.isTypeSupported(blob.type))) {
+            return null;
+        }
+
+        decoder = new ImageDecoder({ data: blob.stream(), type: blob.type });
+        const { image } = await decoder.decode({ frameIndex: 0 });
+        try {
+            return await createImageBitmap(image);
+        } finally {
+            image.close();
+        }
+    } catch (error) {
+        return null;
+    } finally {
+        decoder?.close();
+    }
+}
+
+// Runs one image task and returns { canvas, ...details }. 'probe' only reports
+// which filter engine is available and returns no canvas.
+export function processImageTask(type, source, params = {}) {
+    switch (type) {
+        case 'probe':
+            return probeFilterEngine();
+        case 'scale':
+            return { canvas: scaleImage(source, params.maxDimension) };
+        case 'rotate':
+            return { canvas: rotateImageQuarterTurn(source) };
+        case 'rotateAngle':
+            return { canvas: drawRotatedImage(source, params.angle) };
+        case 'filter':
+            return filterImage(source, params);
+        default:
+            throw new Error(`Unknown image task: ${type}`);
+    }
+}
+
+function probeFilterEngine() {
+    try {
+        getWebGLFilterProcessor();
+        return { engine: 'gpu' };
+    } catch (error) {
+        return { engine: 'cpu', engineError: String(error) };
+    }
+}
+
+function getSourceSize(source) {
+    return {
+        width: source.naturalWidth || source.width,
+        height: source.naturalHeight || source.height
+    };
+}
+
+function get2DContext(canvas, options) {
+    const ctx = canvas.getContext('2d', options);
+    if (!ctx) {
+        throw new Error('2D canvas unavailable');
+    }
+
+    return ctx;
+}
+
+// Copies the source into a new canvas, downscaled to maxDimension when one is given.
+function scaleImage(source, maxDimension = 0) {
+    const { width, height } = getSourceSize(source);
+    const scale = maxDimension > 0 ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+    const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = get2DContext(canvas);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function rotateImageQuarterTurn(source) {
+    const { width, height } = getSourceSize(source);
+    const canvas = createCanvas(height, width);
+    const ctx = get2DContext(canvas);
+
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(Math.PI / 2);
+    ctx.translate(-width / 2, -height / 2);
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+// Rotates by an arbitrary angle (degrees, clockwise) onto a white canvas that
+// grows to fit the turned image.
+function drawRotatedImage(source, angle) {
+    const { width, height } = getSourceSize(source);
+    const radians = angle * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const canvas = createCanvas(
+        Math.max(1, Math.round(width * cos + height * sin)),
+        Math.max(1, Math.round(width * sin + height * cos))
+    );
+    const ctx = get2DContext(canvas);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(radians);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, -width / 2, -height / 2);
+    return canvas;
+}
+
+// options: { filterKey, bitonalThreshold (0..1), adaptiveScale, removeShadows,
+// adjustments, lightingWindow, lightingConfig, lightingMap?, backgroundColor? }.
+// The lighting map and background color are returned when they had to be
+// computed, so the caller can cache them for the next render of the same source.
+function filterImage(source, options) {
+    const result = { engine: 'gpu' };
+    let lightingMap = options.lightingMap || null;
+    let backgroundColor = options.backgroundColor || null;
+
+    // Both renderers read the same CPU-built lighting map so GPU and fallback output match.
+    if (!lightingMap && options.lightingWindow) {
+        lightingMap = computeLightingMap(source, options.lightingWindow, options.lightingConfig);
+        result.lightingMap = lightingMap;
+    }
+    if (!backgroundColor && options.filterKey === 'whiten') {
+        backgroundColor = estimateBackgroundColor(source);
+        result.backgroundColor = backgroundColor;
+    }
+
+    const lighting = { map: lightingMap, backgroundColor };
+
+    try {
+        result.canvas = renderFilteredImageWebGL(source, options, lighting);
+    } catch (error) {
+        console.warn('WebGL filter fallback triggered:', error);
+        result.engine = 'cpu';
+        result.engineError = String(error);
+        result.canvas = renderFilteredImage2D(source, options, lighting);
+    }
+
+    return result;
+}
+
+function getFilterModeValue(filterKey) {
+    switch (filterKey) {
+        case 'document':
+            return 1;
+        case 'bw':
+            return 2;
+        case 'bitonal':
+            return 3;
+        case 'invert':
+            return 4;
+        case 'whiten':
+            return 5;
+        case 'accent':
+            return 6;
+        default:
+            return 0;
+    }
+}
+
+// Mirrors adjustColor() in the WebGL fragment shader.
+function applyImageAdjustmentFactors(r, g, b, factors) {
+    const balanced = [
+        r * (1 + factors.temperature),
+        g * (1 - factors.tint),
+        b * (1 - factors.temperature)
+    ].map(value => (value + factors.brightness - 0.5) * factors.contrast + 0.5);
+    const luma = (balanced[0] * 0.299) + (balanced[1] * 0.587) + (balanced[2] * 0.114);
+
+    return balanced.map(value => Math.pow(clamp(luma + (value - luma) * factors.saturation, 0, 1), factors.gamma));
+}
+
+// Low-resolution RGBA map of the local lighting: R holds the mean luminance, G the
+// standard deviation relative to its 0.5 maximum (Sauvola's R) and B the paper
+// brightness, estimated by a max filter that erases ink before blurring.
+function computeLightingMap(source, windowPercent, config) {
+    const { mapCellsPerWindow, minMapSize, maxMapSize } = config;
+    const sourceSize = getSourceSize(source);
+    const longSide = Math.max(sourceSize.width, sourceSize.height);
+    const mapLongSide = clamp(Math.round(mapCellsPerWindow * 100 / windowPercent), minMapSize, maxMapSize);
+    const scale = Math.min(1, mapLongSide / longSide);
+    const canvas = createCanvas(
+        Math.max(1, Math.round(sourceSize.width * scale)),
+        Math.max(1, Math.round(sourceSize.height * scale))
+    );
+    const ctx = get2DContext(canvas, { willReadFrequently: true });
+
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const mapData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const { width, height, data } = mapData;
+    const pixelCount = width * height;
+    const luma = new Float32Array(pixelCount);
+    const lumaSquared = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        luma[i] = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) / 255;
+        lumaSquared[i] = luma[i] * luma[i];
+    }
+
+    const radius = Math.max(1, Math.round(Math.max(width, height) * windowPercent / 200));
+    const mean = boxBlurGray(luma, width, height, radius);
+    const meanSquared = boxBlurGray(lumaSquared, width, height, radius);
+    const background = boxBlurGray(maxFilterGray(luma, width, height, radius), width, height, radius);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const deviation = Math.sqrt(Math.max(0, meanSquared[i] - mean[i] * mean[i]));
+        data[i * 4] = Math.round(mean[i] * 255);
+        data[i * 4 + 1] = Math.round(Math.min(1, deviation * 2) * 255);
+        data[i * 4 + 2] = Math.round(background[i] * 255);
+        data[i * 4 + 3] = 255;
+    }
+
+    return { width, height, data };
+}
+
+function maxFilterGray(source, width, height, radius) {
+    const horizontal = new Float32Array(source.length);
+    const output = new Float32Array(source.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let max = 0;
+            for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                max = Math.max(max, source[y * width + k]);
+            }
+            horizontal[y * width + x] = max;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let max = 0;
+            for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                max = Math.max(max, horizontal[k * width + x]);
+            }
+            output[y * width + x] = max;
+        }
+    }
+
+    return output;
+}
+
+// The most frequent color (in 4-bit-per-channel buckets) is taken as the background;
+// the result is the average of the pixels in that bucket, in 0..1 RGB.
+function estimateBackgroundColor(source) {
+    const { width, height } = getSourceSize(source);
+    const scale = Math.min(1, 128 / Math.max(width, height));
+    const canvas = createCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = get2DContext(canvas, { willReadFrequently: true });
+
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const counts = new Uint32Array(4096);
+    const bucketOf = i => ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+
+    for (let i = 0; i < data.length; i += 4) {
+        counts[bucketOf(i)]++;
+    }
+
+    const backgroundBucket = counts.indexOf(Math.max(...counts));
+    const sum = [0, 0, 0];
+    for (let i = 0; i < data.length; i += 4) {
+        if (bucketOf(i) !== backgroundBucket) continue;
+        sum[0] += data[i];
+        sum[1] += data[i + 1];
+        sum[2] += data[i + 2];
+    }
+
+    return sum.map(value => value / counts[backgroundBucket] / 255);
+}
+
+// Mirrors applyInkSaving() in the fragment shader for the invert, whiten and accent filters.
+function applyInkSavingFilter(filterKey, r, g, b, luma, backgroundColor) {
+    if (filterKey === 'invert') {
+        // Flip lightness while keeping hue and chroma, so dark slides print light.
+        return [r, g, b].map(value => clamp(value + 1 - 2 * luma, 0, 1));
+    }
+
+    const smoothstep = (edge0, edge1, value) => {
+        const t = clamp((value - edge0) / (edge1 - edge0), 0, 1);
+        return t * t * (3 - 2 * t);
+    };
+
+    if (filterKey === 'whiten') {
+        const distance = Math.hypot(r - backgroundColor[0], g - backgroundColor[1], b - backgroundColor[2]);
+        const keep = smoothstep(0.08, 0.2, distance);
+        return [r, g, b].map(value => 1 + (value - 1) * keep);
+    }
+
+    const [hue, saturation, value] = rgbToHsv(r, g, b);
+    const redness = 1 - smoothstep(0.04, 0.09, Math.min(hue, 1 - hue));
+    const blueness = 1 - smoothstep(0.06, 0.12, Math.abs(hue - 0.62));
+    const keep = Math.max(redness, blueness) * smoothstep(0.25, 0.4, saturation) * smoothstep(0.15, 0.3, value);
+    return [r, g, b].map(channel => luma + (channel - luma) * keep);
+}
+
+function rgbToHsv(r, g, b) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    let hue = 0;
+
+    if (delta > 0) {
+        if (max === r) {
+            hue = ((g - b) / delta) % 6;
+        } else if (max === g) {
+            hue = (b - r) / delta + 2;
+        } else {
+            hue = (r - g) / delta + 4;
+        }
+        hue = (hue / 6 + 1) % 1;
+    }
+
+    return [hue, max > 0 ? delta / max : 0, max];
+}
+
+// Bilinear lookup matching WebGL's LINEAR sampling of the map at a pixel center.
+function sampleLightingMap(map, channel, x, y, width, height) {
+    const mapX = clamp((x + 0.5) / width * map.width - 0.5, 0, map.width - 1);
+    const mapY = clamp((y + 0.5) / height * map.height - 0.5, 0, map.height - 1);
+    const x0 = Math.floor(mapX);
+    const y0 = Math.floor(mapY);
+    const x1 = Math.min(x0 + 1, map.width - 1);
+    const y1 = Math.min(y0 + 1, map.height - 1);
+    const fx = mapX - x0;
+    const fy = mapY - y0;
+    const value = (mx, my) => map.data[(my * map.width + mx) * 4 + channel];
+
+    return ((value(x0, y0) * (1 - fx) + value(x1, y0) * fx) * (1 - fy)
+        + (value(x0, y1) * (1 - fx) + value(x1, y1) * fx) * fy) / 255;
+}
+
+// The background is measured on the source, so it goes through the same adjustments as the pixels.
+function getAdjustedBackgroundColor(lighting, factors) {
+    const backgroundColor = lighting.backgroundColor || [1, 1, 1];
+    return applyImageAdjustmentFactors(...backgroundColor, factors);
+}
+
+function renderFilteredImageWebGL(sourceImage, options, lighting) {
+    const processor = getWebGLFilterProcessor();
+
+    return processor.render(
+        sourceImage,
+        getFilterModeValue(options.filterKey),
+        options.bitonalThreshold,
+        options.adjustments,
+        {
+            map: lighting.map,
+            removeShadows: !!options.removeShadows,
+            adaptiveScale: options.adaptiveScale || 0,
+            sauvolaK: options.lightingConfig.sauvolaK,
+            backgroundColor: getAdjustedBackgroundColor(lighting, options.adjustments)
+        }
+    );
+}
+
+function renderFilteredImage2D(sourceImage, options, lighting) {
+    const { width, height } = getSourceSize(sourceImage);
+    const canvas = createCanvas(width, height);
+    const ctx = get2DContext(canvas);
+
+    ctx.drawImage(sourceImage, 0, 0);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const pixels = imageData.data;
+    const sourcePixels = new Uint8ClampedArray(pixels);
+
+    const { filterKey, bitonalThreshold } = options;
+    const factors = options.adjustments;
+    const lightingMap = lighting.map;
+    const adaptiveScale = options.adaptiveScale || 0;
+    const backgroundColor = getAdjustedBackgroundColor(lighting, factors);
+    const smoothstep = value => {
+        const t = Math.min(1, Math.max(0, (value - 0.04) / 0.92));
+        return t * t * (3 - 2 * t);
+    };
+
+    let background = null;
+    if (options.removeShadows) {
+        background = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                background[y * width + x] = Math.max(sampleLightingMap(lightingMap, 2, x, y, width, height), 0.05);
+            }
+        }
+    }
+
+    // Mirrors sampleSource() in the fragment shader.
+    const readSource = (index, channel) => {
+        const value = sourcePixels[index + channel] / 255;
+        return background ? Math.min(1, value / background[index / 4]) : value;
+    };
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        let r = readSource(i, 0);
+        let g = readSource(i, 1);
+        let b = readSource(i, 2);
+        const x = (i / 4) % width;
+        const y = Math.floor(i / 4 / width);
+
+        // Unsharp mask against the average of the four direct neighbours
+        if (factors.sharpen > 0) {
+            const left = i - (x > 0 ? 4 : 0);
+            const right = i + (x < width - 1 ? 4 : 0);
+            const up = i - (y > 0 ? width * 4 : 0);
+            const down = i + (y < height - 1 ? width * 4 : 0);
+            const blur = channel => (
+                readSource(left, channel) + readSource(right, channel) + readSource(up, channel) + readSource(down, channel)
+            ) / 4;
+
+            r += (r - blur(0)) * factors.sharpen;
+            g += (g - blur(1)) * factors.sharpen;
+            b += (b - blur(2)) * factors.sharpen;
+        }
+
+        [r, g, b] = applyImageAdjustmentFactors(r, g, b, factors);
+        const luma = (r * 0.299) + (g * 0.587) + (b * 0.114);
+
+        let outR = r;
+        let outG = g;
+        let outB = b;
+
+        if (filterKey === 'document') {
+            outR = smoothstep(Math.min(1, Math.max(0, ((r * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54)));
+            outG = smoothstep(Math.min(1, Math.max(0, ((g * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54)));
+            outB = smoothstep(Math.min(1, Math.max(0, ((b * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54)));
+        } else if (filterKey === 'bitonal' && adaptiveScale > 0) {
+            // Sauvola: T = m * (1 + k * (s / R - 1)), scaled by the threshold slider
+            const mean = sampleLightingMap(lightingMap, 0, x, y, width, height);
+            const deviation = sampleLightingMap(lightingMap, 1, x, y, width, height);
+            const localThreshold = mean * (1 + options.lightingConfig.sauvolaK * (deviation - 1));
+            const binary = luma >= localThreshold * adaptiveScale ? 1 : 0;
+            outR = binary;
+            outG = binary;
+            outB = binary;
+        } else if (filterKey === 'bw') {
+            const gray = Math.min(1, Math.max(0, (luma - 0.5) * 1.5 + 0.5));
+            outR = gray;
+            outG = gray;
+            outB = gray;
+        } else if (filterKey === 'bitonal') {
+            const binary = ((luma - 0.48) * 2.4 + 0.5) >= bitonalThreshold ? 1 : 0;
+            outR = binary;
+            outG = binary;
+            outB = binary;
+        } else if (getFilterModeValue(filterKey) > 3) {
+            [outR, outG, outB] = applyInkSavingFilter(filterKey, r, g, b, luma, backgroundColor);
+        }
+
+        pixels[i] = Math.round(outR * 255);
+        pixels[i + 1] = Math.round(outG * 255);
+        pixels[i + 2] = Math.round(outB * 255);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const error = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(error || 'Shader compilation failed');
+    }
+
+    return shader;
+}
+
+function createProgram(gl, vertexShader, fragmentShader) {
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const error = gl.getProgramInfoLog(program);
+        gl.deleteProgram(program);
+        throw new Error(error || 'Program linking failed');
+    }
+
+    return program;
+}
+
+function getWebGLFilterProcessor() {
+    if (webglFilterProcessor) {
+        return webglFilterProcessor;
+    }
+
+    const canvas = createCanvas(1, 1);
+    const gl = canvas.getContext('webgl', { premultipliedAlpha: false, preserveDrawingBuffer: true });
+    if (!gl) {
+        throw new Error('WebGL unavailable');
+    }
+
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, `
+        attribute vec2 a_position;
+        attribute vec2 a_texCoord;
+        varying vec2 v_texCoord;
+
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+            v_texCoord = a_texCoord;
+        }
+    `);
+
+    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, `
+        precision mediump float;
+        varying vec2 v_texCoord;
+        uniform sampler2D u_image;
+        uniform float u_filterMode;
+        uniform float u_bitonalThreshold;
+        uniform vec2 u_texelSize;
+        uniform float u_brightness;
+        uniform float u_contrast;
+        uniform float u_gamma;
+        uniform float u_saturation;
+        uniform vec2 u_whiteBalance;
+        uniform float u_sharpen;
+        uniform sampler2D u_lightingMap;
+        uniform float u_removeShadows;
+        uniform float u_adaptiveScale;
+        uniform float u_sauvolaK;
+        uniform vec3 u_backgroundColor;
+
+        float luminance(vec3 color) {
+            return dot(color, vec3(0.299, 0.587, 0.114));
+        }
+
+        // Dividing by the paper brightness flattens shadows and lighting gradients to white.
+        vec3 sampleSource(vec2 coord) {
+            vec3 color = texture2D(u_image, coord).rgb;
+            if (u_removeShadows > 0.5) {
+                color = min(color / max(texture2D(u_lightingMap, coord).b, 0.05), 1.0);
+            }
+            return color;
+        }
+
+        vec3 rgbToHsv(vec3 c) {
+            vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+            vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+            vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+            float d = q.x - min(q.w, q.y);
+            float e = 1.0e-10;
+            return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+        }
+
+        vec3 applyInkSaving(vec3 color, float luma) {
+            if (u_filterMode < 4.5) {
+                return clamp(color + 1.0 - 2.0 * luma, 0.0, 1.0);
+            }
+
+            if (u_filterMode < 5.5) {
+                float keep = smoothstep(0.08, 0.2, distance(color, u_backgroundColor));
+                return mix(vec3(1.0), color, keep);
+            }
+
+            vec3 hsv = rgbToHsv(color);
+            float redness = 1.0 - smoothstep(0.04, 0.09, min(hsv.x, 1.0 - hsv.x));
+            float blueness = 1.0 - smoothstep(0.06, 0.12, abs(hsv.x - 0.62));
+            float keep = max(redness, blueness) * smoothstep(0.25, 0.4, hsv.y) * smoothstep(0.15, 0.3, hsv.z);
+            return mix(vec3(luma), color, keep);
+        }
+
+        vec3 adjustColor(vec3 color) {
+            if (u_sharpen > 0.0) {
+                vec3 blur = (
+                    sampleSource(v_texCoord - vec2(u_texelSize.x, 0.0))
+                    + sampleSource(v_texCoord + vec2(u_texelSize.x, 0.0))
+                    + sampleSource(v_texCoord - vec2(0.0, u_texelSize.y))
+                    + sampleSource(v_texCoord + vec2(0.0, u_texelSize.y))
+                ) * 0.25;
+                color += (color - blur) * u_sharpen;
+            }
+
+            color *= vec3(1.0 + u_whiteBalance.x, 1.0 - u_whiteBalance.y, 1.0 - u_whiteBalance.x);
+            color = (color + u_brightness - 0.5) * u_contrast + 0.5;
+            color = mix(vec3(luminance(color)), color, u_saturation);
+            return pow(clamp(color, 0.0, 1.0), vec3(u_gamma));
+        }
+
+        void main() {
+            vec4 sampleColor = texture2D(u_image, v_texCoord);
+            vec3 color = adjustColor(sampleSource(v_texCoord));
+            float luma = luminance(color);
+
+            if (u_filterMode < 0.5) {
+                gl_FragColor = vec4(color, sampleColor.a);
+                return;
+            }
+
+            if (u_filterMode < 1.5) {
+                vec3 balanced = mix(color, vec3(luma), 0.35);
+                balanced = clamp((balanced - 0.5) * 1.55 + 0.54, 0.0, 1.0);
+                balanced = smoothstep(vec3(0.04), vec3(0.96), balanced);
+                gl_FragColor = vec4(balanced, sampleColor.a);
+                return;
+            }
+
+            if (u_filterMode < 2.5) {
+                float gray = clamp((luma - 0.5) * 1.5 + 0.5, 0.0, 1.0);
+                gl_FragColor = vec4(vec3(gray), sampleColor.a);
+                return;
+            }
+
+            if (u_filterMode > 3.5) {
+                gl_FragColor = vec4(applyInkSaving(color, luma), sampleColor.a);
+                return;
+            }
+
+            if (u_adaptiveScale > 0.0) {
+                // Sauvola: T = m * (1 + k * (s / R - 1)), scaled by the threshold slider
+                vec4 stats = texture2D(u_lightingMap, v_texCoord);
+                float localThreshold = stats.r * (1.0 + u_sauvolaK * (stats.g - 1.0));
+                gl_FragColor = vec4(vec3(step(localThreshold * u_adaptiveScale, luma)), sampleColor.a);
+                return;
+            }
+
+            float contrasted = clamp((luma - 0.48) * 2.4 + 0.5, 0.0, 1.0);
+            float binary = step(u_bitonalThreshold, contrasted);
+            gl_FragColor = vec4(vec3(binary), sampleColor.a);
+        }
+    `);
+
+    const program = createProgram(gl, vertexShader, fragmentShader);
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        -1, -1,
+         1, -1,
+        -1,  1,
+        -1,  1,
+         1, -1,
+         1,  1
+    ]), gl.STATIC_DRAW);
+
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        0, 1,
+        1, 1,
+        0, 0,
+        0, 0,
+        1, 1,
+        1, 0
+    ]), gl.STATIC_DRAW);
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+    const lightingTexture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, lightingTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.useProgram(program);
+
+    const positionLocation = gl.getAttribLocation(program, 'a_position');
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.enableVertexAttribArray(positionLocation);
+    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+    const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.enableVertexAttribArray(texCoordLocation);
+    gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 0, 0);
+
+    const imageLocation = gl.getUniformLocation(program, 'u_image');
+    gl.uniform1i(imageLocation, 0);
+    const filterLocation = gl.getUniformLocation(program, 'u_filterMode');
+    const bitonalThresholdLocation = gl.getUniformLocation(program, 'u_bitonalThreshold');
+    const adjustmentLocations = {
+        texelSize: gl.getUniformLocation(program, 'u_texelSize'),
+        brightness: gl.getUniformLocation(program, 'u_brightness'),
+        contrast: gl.getUniformLocation(program, 'u_contrast'),
+        gamma: gl.getUniformLocation(program, 'u_gamma'),
+        saturation: gl.getUniformLocation(program, 'u_saturation'),
+        whiteBalance: gl.getUniformLocation(program, 'u_whiteBalance'),
+        sharpen: gl.getUniformLocation(program, 'u_sharpen')
+    };
+    gl.uniform1i(gl.getUniformLocation(program, 'u_lightingMap'), 1);
+    const sauvolaKLocation = gl.getUniformLocation(program, 'u_sauvolaK');
+    const removeShadowsLocation = gl.getUniformLocation(program, 'u_removeShadows');
+    const adaptiveScaleLocation = gl.getUniformLocation(program, 'u_adaptiveScale');
+    const backgroundColorLocation = gl.getUniformLocation(program, 'u_backgroundColor');
+
+    const processor = {
+        gl,
+        canvas,
+        program,
+        vertexShader,
+        fragmentShader,
+        positionBuffer,
+        texCoordBuffer,
+        texture,
+        lightingTexture,
+        filterLocation,
+        bitonalThresholdLocation,
+        adjustmentLocations,
+        render(sourceImage, filterModeValue, bitonalThreshold, adjustmentFactors, lighting) {
+            const { width, height } = getSourceSize(sourceImage);
+            canvas.width = width;
+            canvas.height = height;
+            gl.viewport(0, 0, width, height);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, sourceImage);
+            gl.uniform1f(filterLocation, filterModeValue);
+            gl.uniform1f(bitonalThresholdLocation, bitonalThreshold);
+            gl.uniform2f(adjustmentLocations.texelSize, 1 / width, 1 / height);
+            gl.uniform1f(adjustmentLocations.brightness, adjustmentFactors.brightness);
+            gl.uniform1f(adjustmentLocations.contrast, adjustmentFactors.contrast);
+            gl.uniform1f(adjustmentLocations.gamma, adjustmentFactors.gamma);
+            gl.uniform1f(adjustmentLocations.saturation, adjustmentFactors.saturation);
+            gl.uniform2f(adjustmentLocations.whiteBalance, adjustmentFactors.temperature, adjustmentFactors.tint);
+            gl.uniform1f(adjustmentLocations.sharpen, adjustmentFactors.sharpen);
+
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, lightingTexture);
+            if (lighting.map) {
+                const { width: mapWidth, height: mapHeight, data } = lighting.map;
+                const mapPixels = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, mapWidth, mapHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, mapPixels);
+            } else {
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+            }
+            gl.activeTexture(gl.TEXTURE0);
+            gl.uniform1f(removeShadowsLocation, lighting.removeShadows ? 1 : 0);
+            gl.uniform1f(adaptiveScaleLocation, lighting.adaptiveScale);
+            gl.uniform1f(sauvolaKLocation, lighting.sauvolaK);
+            gl.uniform3f(backgroundColorLocation, ...lighting.backgroundColor);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+            // The WebGL canvas is reused by the next render, so hand out a copy.
+            const output = createCanvas(width, height);
+            get2DContext(output).drawImage(canvas, 0, 0);
+            return output;
+        },
+        destroy() {
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            gl.bindBuffer(gl.ARRAY_BUFFER, null);
+            gl.useProgram(null);
+            gl.deleteTexture(texture);
+            gl.deleteTexture(lightingTexture);
+            gl.deleteBuffer(positionBuffer);
+            gl.deleteBuffer(texCoordBuffer);
+            gl.deleteProgram(program);
+            gl.deleteShader(vertexShader);
+            gl.deleteShader(fragmentShader);
+        }
+    };
+
+    canvas.addEventListener('webglcontextlost', () => {
+        webglFilterProcessor = null;
+    }, { once: true });
+
+    webglFilterProcessor = processor;
+    return processor;
+}
+
+export function boxBlurGray(source, width, height, radius) {
+    const horizontal = new Float32Array(source.length);
+    const output = new Float32Array(source.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                sum += source[y * width + k];
+                count++;
+            }
+            horizontal[y * width + x] = sum / count;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                sum += horizontal[k * width + x];
+                count++;
+            }
+            output[y * width + x] = sum / count;
+        }
+    }
+
+    return output;
+}
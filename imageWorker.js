@@ -0,0 +1,62 @@
+// PDFomator - Image processing worker
+// Decodes, filters, rotates and scales images off the main thread. Tasks run one
+// at a time; a cancelled task stops at its next step and posts nothing back.
+
+import { canvasToBlob, decodeFirstFrame, processImageTask } from './imageProcessing.js';
+
+const pendingTaskIds = new Set();
+const cancelledTaskIds = new Set();
+let taskQueue = Promise.resolve();
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'cancel') {
+        if (pendingTaskIds.has(data.id)) {
+            cancelledTaskIds.add(data.id);
+        }
+        return;
+    }
+
+    pendingTaskIds.add(data.id);
+    taskQueue = taskQueue.then(() => runTask(data));
+});
+
+// Sources arrive as a transferred ImageBitmap, or as encoded bytes in an ArrayBuffer.
+async function decodeSource(source) {
+    if (!source || source instanceof ImageBitmap) {
+        return source;
+    }
+
+    const blob = new Blob([source.buffer], { type: source.type });
+    return (await decodeFirstFrame(blob)) || createImageBitmap(blob, { imageOrientation: 'from-image' });
+}
+
+async function runTask({ id, type, source, params }) {
+    const isCancelled = () => cancelledTaskIds.has(id);
+    let sourceBitmap = source instanceof ImageBitmap ? source : null;
+
+    try {
+        if (isCancelled()) return;
+
+        sourceBitmap = await decodeSource(source);
+        if (isCancelled()) return;
+
+        const { canvas, ...details } = processImageTask(type, sourceBitmap, params);
+        if (!canvas) {
+            self.postMessage({ id, ...details });
+            return;
+        }
+        if (isCancelled()) return;
+
+        const blob = await canvasToBlob(canvas);
+        if (isCancelled()) return;
+
+        const bitmap = canvas.transferToImageBitmap();
+        self.postMessage({ id, ...details, blob, bitmap, width: bitmap.width, height: bitmap.height }, [bitmap]);
+    } catch (error) {
+        self.postMessage({ id, error: String(error?.message || error) });
+    } finally {
+        sourceBitmap?.close();
+        pendingTaskIds.delete(id);
+        cancelledTaskIds.delete(id);
+    }
+}
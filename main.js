@@ -1,6 +1,10 @@
 // PDFomator - Main Application Logic
 // ES Module with vanilla JavaScript for PDF page layout
 
+import { boxBlurGray, canvasToBlob, decodeFirstFrame, processImageTask } from './imageProcessing.js';
+import { assembleTIFF, deflateBytes, encodeGroup4, encodeTIFFPage, toBitonalPixels } from './tiffEncoder.js';
+import { decodeTIFFPage, isTIFFData, readTIFFPages } from './tiffDecoder.js';
+
 const SUPPORTED_LANGUAGES = ['en', 'it', 'de', 'es', 'fr'];
 const FALLBACK_LANGUAGE = 'en';
 const APP_VERSION = typeof __PDFOMATOR_VERSION__ === 'string' ? __PDFOMATOR_VERSION__ : 'dev';
@@ -17,7 +21,10 @@ const I18N_RESOURCES = {
                 changePaperSize: 'Change Paper Size',
                 selectGrid: 'Select Grid Layout',
                 runOcr: 'Run OCR',
-                exportPdf: 'Export PDF'
+                exportPdf: 'Export PDF',
+                project: 'Save or Open Project',
+                pageSpacing: 'Margins and Spacing',
+                layoutTemplates: 'Layout Templates'
             },
             page: {
                 controls: 'Page controls',
@@ -30,14 +37,85 @@ const I18N_RESOURCES = {
             grid: {
                 title: 'Select Grid Size',
                 shrinkWarning_one: 'Warning: changing to a {{cols}} × {{rows}} grid will remove {{removedCells}} cells.\n\nThis will permanently delete {{count}} content item from your layout.\n\nContinue?',
-                shrinkWarning_other: 'Warning: changing to a {{cols}} × {{rows}} grid will remove {{removedCells}} cells.\n\nThis will permanently delete {{count}} content items from your layout.\n\nContinue?'
+                shrinkWarning_other: 'Warning: changing to a {{cols}} × {{rows}} grid will remove {{removedCells}} cells.\n\nThis will permanently delete {{count}} content items from your layout.\n\nContinue?',
+                layoutTitle: 'Merge cells & row and column sizes',
+                layoutHint: 'Drag across the preview to select cells, then merge or split them.',
+                merge: 'Merge',
+                split: 'Split',
+                columnWidths: 'Column widths',
+                rowHeights: 'Row heights',
+                trackSizesHint: 'Relative sizes separated by commas, e.g. 2, 1, 1.',
+                resetLayout: 'Reset to uniform',
+                applyTrackSizes: 'Apply sizes',
+                mergeWarning_one: 'The selected cells contain more than one item. Merging keeps the first one and removes {{count}} other item.\n\nContinue?',
+                mergeWarning_other: 'The selected cells contain more than one item. Merging keeps the first one and removes {{count}} other items.\n\nContinue?',
+                invalidTrackSizes: 'Enter {{cols}} column widths and {{rows}} row heights as positive numbers separated by commas.',
+                tracksTooSmall: 'These sizes leave some cells too small to hold content. Use larger values for the narrow rows or columns.',
+                spacingTooLarge: 'A {{cols}} × {{rows}} grid leaves no room in the cells with this page’s margins, gutters and padding. Reduce the spacing first.'
             },
             paper: {
                 title: 'Select Paper Size & Orientation',
-                a4Portrait: 'A4 Portrait',
-                a4Landscape: 'A4 Landscape',
-                a3Portrait: 'A3 Portrait',
-                a3Landscape: 'A3 Landscape'
+                portrait: 'Portrait',
+                landscape: 'Landscape',
+                orientationLabel: 'Orientation',
+                custom: 'Custom size',
+                width: 'Width',
+                height: 'Height',
+                unit: 'Unit',
+                presetName: 'Preset name',
+                presetNamePlaceholder: 'e.g. Booklet',
+                apply: 'Apply',
+                savePreset: 'Save as preset',
+                deletePreset: 'Delete preset {{name}}',
+                invalidCustom: 'Enter a width and height between {{min}} and {{max}} mm.',
+                presetSaved: 'Preset “{{name}}” saved.',
+                spacingTooLarge: 'This paper size leaves no room in the cells with this page’s margins, gutters and padding. Reduce the spacing first.'
+            },
+            spacing: {
+                title: 'Margins & Spacing',
+                presets: 'Presets',
+                presetStandard: 'Standard',
+                presetBorderless: 'Borderless',
+                presetBinderLeft: 'Binder left 25 mm',
+                presetPrinterSafe: 'Printer safe 5 mm',
+                margins: 'Margins (mm)',
+                top: 'Top',
+                right: 'Right',
+                bottom: 'Bottom',
+                left: 'Left',
+                gutters: 'Gutters (mm)',
+                columnGap: 'Between columns',
+                rowGap: 'Between rows',
+                cellPadding: 'Cell padding (mm)',
+                applyAllPages: 'Apply to all pages',
+                apply: 'Apply',
+                invalid: 'These settings leave no room for the cells. Reduce the margins, gutters or padding.'
+            },
+            templates: {
+                title: 'Layout Templates',
+                hint: 'Templates set the paper, grid and spacing. Fill mode and filter defaults apply to content added afterwards.',
+                applyAllPages: 'Apply to all pages',
+                saveTitle: 'Save current page as template',
+                name: 'Template name',
+                namePlaceholder: 'e.g. Receipts 2 × 3',
+                save: 'Save template',
+                import: 'Import JSON',
+                export: 'Export JSON',
+                delete: 'Delete template {{name}}',
+                defaultName: 'Template {{number}}',
+                applied: 'Template “{{name}}” applied.',
+                saved: 'Template “{{name}}” saved.',
+                saveFailed: 'This page cannot be saved as a template.',
+                overflowWarning_one: 'The template has fewer cells than the content on the page. {{count}} item will be removed.\n\nContinue?',
+                overflowWarning_other: 'The template has fewer cells than the content on the page. {{count}} items will be removed.\n\nContinue?',
+                imported_one: 'Imported {{count}} template',
+                imported_other: 'Imported {{count}} templates',
+                importFailed: 'This file does not contain any PDFomator layout templates.'
+            },
+            templateNames: {
+                idCard: 'ID card front/back on A4',
+                slides4Up: '4-up slides',
+                passportPhotos: 'Passport photos'
             },
             pdfPage: {
                 title: 'Select PDF Page',
@@ -47,29 +125,66 @@ const I18N_RESOURCES = {
                 pageErrorLabel: 'Page {{page}} (Error)',
                 previewUnavailable: 'Preview unavailable',
                 processingSelected: 'Processing selected page...',
-                processSelectedFailed: 'Failed to process selected page.'
+                processSelectedFailed: 'Failed to process selected page.',
+                rangeLabel: 'Pages to import',
+                selectAll: 'Select all',
+                multiSelectHint: 'Tap a page to import it, or Shift-click, type a range or select all to fill the following cells.',
+                importSelected_one: 'Import {{count}} page',
+                importSelected_other: 'Import {{count}} pages',
+                importingPages: 'Importing page {{current}} of {{total}}...',
+                someFailed_one: '{{count}} page could not be imported.',
+                someFailed_other: '{{count}} pages could not be imported.',
+                pageUnreadable: 'Page could not be read',
+                damagedNotice: 'This PDF is damaged: {{readable}} of {{total}} pages could be read.',
+                tiffTitle: 'Select TIFF Page'
+            },
+            pdfPassword: {
+                title: 'Password Required',
+                prompt: '“{{name}}” is password-protected. Enter its password to open it.',
+                incorrect: 'Incorrect password. Please try again.',
+                label: 'Password',
+                open: 'Open'
             },
             export: {
-                title: 'Export Quality',
-                sdTitle: 'SD (web, mail)',
-                sdDescription: 'Smaller files',
-                hdTitle: 'HD (print)',
-                hdDescription: 'Bigger files',
-                standardLabel: 'Standard (Fast)',
-                highLabel: 'High Quality',
+                title: 'Export',
                 noContent: 'Please add some content to export!',
-                exporting: 'Exporting in {{quality}} quality...',
+                exporting: 'Exporting at {{dpi}} dpi...',
                 rasterizingPage: 'Rasterizing page {{current}} of {{total}}...',
                 assembling: 'Assembling PDF...',
                 preparingDownload: 'Preparing download...',
                 complete: 'Export complete!',
-                failed: 'Export failed. Please try again.'
+                failed: 'Export failed. Please try again.',
+                format: 'Format',
+                formatPdf: 'PDF document',
+                formatPng: 'PNG image per sheet',
+                formatJpeg: 'JPEG image per sheet',
+                formatTiff: 'Multi-page TIFF',
+                group4: 'CCITT G4 compression for 1-bit pages',
+                packing: 'Packing files...',
+                dpi: 'Resolution (dpi)',
+                jpegQuality: 'JPEG quality',
+                losslessBitonal: 'Lossless 1-bit images for black-and-white cells',
+                estimate: 'Estimated size: about {{size}} MB',
+                start: 'Export'
             },
             fileType: {
                 title: 'Choose Content Type',
                 pdf: 'PDF Document',
                 image: 'Image File',
-                camera: 'Camera'
+                camera: 'Camera',
+                order: 'Order for multiple files',
+                orderName: 'File name',
+                orderCaptureDate: 'Capture date',
+                paste: 'Paste'
+            },
+            import: {
+                progress: 'Importing file {{current}} of {{total}}...',
+                failed: 'Failed to import the selected files. Please try again.',
+                someFailed_one: '{{count}} file could not be imported.',
+                someFailed_other: '{{count}} files could not be imported.',
+                unsupported: 'Only images and PDF files can be added.',
+                clipboardEmpty: 'The clipboard holds no image or PDF to paste.',
+                clipboardUnavailable: 'The clipboard could not be read. Allow clipboard access, or paste with Ctrl+V (Cmd+V on a Mac).'
             },
             camera: {
                 title: 'Take Photo',
@@ -87,6 +202,41 @@ const I18N_RESOURCES = {
                 deviceFallback: 'Camera {{index}}',
                 photoTitle: 'Camera photo'
             },
+            adjustments: {
+                title: 'Image adjustments',
+                brightness: 'Brightness',
+                contrast: 'Contrast',
+                gamma: 'Gamma',
+                saturation: 'Saturation',
+                temperature: 'Temperature',
+                tint: 'Tint',
+                sharpen: 'Sharpen',
+                reset: 'Reset adjustments'
+            },
+            rotation: {
+                title: 'Fine rotation',
+                angle: 'Rotation angle',
+                angleDegrees: 'Rotation angle in degrees',
+                autoDeskew: 'Auto deskew',
+                reset: 'Reset',
+                noTextLines: 'No text lines found to straighten.'
+            },
+            perspective: {
+                title: 'Straighten Document',
+                hint: 'Drag the corners onto the edges of the page, then straighten it.',
+                imageAlt: 'Photo to straighten',
+                topLeft: 'Top-left corner',
+                topRight: 'Top-right corner',
+                bottomRight: 'Bottom-right corner',
+                bottomLeft: 'Bottom-left corner',
+                detect: 'Detect edges',
+                fullImage: 'Whole photo',
+                keepOriginal: 'Keep original',
+                apply: 'Straighten',
+                processing: 'Straightening document...',
+                notDetected: 'No document edges found. Drag the corners into place.',
+                failed: 'Failed to straighten the document. Please try again.'
+            },
             loading: {
                 title: 'Loading',
                 processing: 'Processing...',
@@ -96,17 +246,35 @@ const I18N_RESOURCES = {
             },
             filters: {
                 bitonalThreshold: '1-bit threshold',
-                applyFailed: 'Failed to apply filter. Please try again.'
+                applyFailed: 'Failed to apply filter. Please try again.',
+                options: 'Filter options',
+                adaptiveThreshold: 'Adapt to uneven lighting',
+                adaptiveWindow: 'Window size',
+                removeShadows: 'Remove shadows'
+            },
+            filterNames: {
+                original: 'Original',
+                document: 'Auto document',
+                bw: 'Black & white',
+                bitonal: '1-bit',
+                invert: 'Inverted for print',
+                whiten: 'Background whitened',
+                accent: 'Gray with red/blue accents'
             },
             image: {
                 processFailed: 'Failed to process image. Please try again.',
-                rotateFailed: 'Failed to rotate image. Please try again.'
+                rotateFailed: 'Failed to rotate image. Please try again.',
+                unsupported: 'This image format or variant is not supported.'
             },
             pdf: {
                 jsIncomplete: 'PDF.js failed to load completely. Please refresh the page.',
                 jsLoadFailed: 'PDF processing library failed to load. Please refresh the page.',
                 processFailed: 'Failed to process PDF. Please try again.',
-                libraryNotLoaded: 'PDF.js library not loaded. Please refresh the page and try again.'
+                libraryNotLoaded: 'PDF.js library not loaded. Please refresh the page and try again.',
+                encrypted: 'This PDF is password-protected. Enter its password to import it.',
+                corrupted: 'This PDF is damaged and none of its pages could be read.',
+                unsupported: 'This file is not a PDF, or uses a format PDFomator cannot read.',
+                oversized: 'This PDF is too large to import. The limit is {{size}} MB.'
             },
             ocr: {
                 noImages: 'No images to OCR.',
@@ -119,6 +287,36 @@ const I18N_RESOURCES = {
                 failed: 'OCR failed. Please try again.',
                 noExportableCells: 'No exportable cells found for OCR.'
             },
+            history: {
+                undo: 'Undo',
+                redo: 'Redo'
+            },
+            project: {
+                title: 'Project',
+                save: 'Save Project',
+                open: 'Open Project',
+                saving: 'Saving project...',
+                opening: 'Opening project...',
+                saved: 'Project saved.',
+                saveFailed: 'Failed to save project. Please try again.',
+                openFailed: 'This file is not a valid PDFomator project.',
+                unsupportedVersion: 'This project was created by a newer version of PDFomator. Please update the app.',
+                replaceConfirm: 'Replace the current layout with the opened project?',
+                newLayout: 'New Layout',
+                newLayoutConfirm: 'Clear all pages and start a new layout? You can undo this.'
+            },
+            storage: {
+                restored: 'Previous layout restored.',
+                startFresh: 'Start fresh',
+                keep: 'Keep layout',
+                saveFailed: 'Autosave failed. Your layout may be lost on reload.',
+                quotaExceeded: 'Autosave failed: browser storage is full.'
+            },
+            memory: {
+                usage: '{{used}} / {{budget}} MB',
+                title: 'Memory used by images in this layout',
+                warning: 'Images are using most of the memory available to this tab. Export or remove some pages before adding more.'
+            },
             errors: {
                 prefix: 'PDFomator Error: {{message}}',
                 unexpected: 'An unexpected error occurred. Please refresh the page and try again.'
@@ -142,7 +340,10 @@ const I18N_RESOURCES = {
                 changePaperSize: 'Cambia formato carta',
                 selectGrid: 'Seleziona griglia',
                 runOcr: 'Esegui OCR',
-                exportPdf: 'Esporta PDF'
+                exportPdf: 'Esporta PDF',
+                project: 'Salva o apri progetto',
+                pageSpacing: 'Margini e spaziatura',
+                layoutTemplates: 'Modelli di layout'
             },
             page: {
                 controls: 'Controlli pagina',
@@ -155,14 +356,85 @@ const I18N_RESOURCES = {
             grid: {
                 title: 'Seleziona dimensione griglia',
                 shrinkWarning_one: 'Attenzione: passando a una griglia {{cols}} × {{rows}} verranno rimosse {{removedCells}} celle.\n\nQuesto eliminerà definitivamente {{count}} elemento dal layout.\n\nContinuare?',
-                shrinkWarning_other: 'Attenzione: passando a una griglia {{cols}} × {{rows}} verranno rimosse {{removedCells}} celle.\n\nQuesto eliminerà definitivamente {{count}} elementi dal layout.\n\nContinuare?'
+                shrinkWarning_other: 'Attenzione: passando a una griglia {{cols}} × {{rows}} verranno rimosse {{removedCells}} celle.\n\nQuesto eliminerà definitivamente {{count}} elementi dal layout.\n\nContinuare?',
+                layoutTitle: 'Unisci celle e dimensioni di righe e colonne',
+                layoutHint: 'Trascina sull’anteprima per selezionare le celle, poi uniscile o dividile.',
+                merge: 'Unisci',
+                split: 'Dividi',
+                columnWidths: 'Larghezze colonne',
+                rowHeights: 'Altezze righe',
+                trackSizesHint: 'Dimensioni relative separate da virgole, ad es. 2, 1, 1.',
+                resetLayout: 'Ripristina uniforme',
+                applyTrackSizes: 'Applica dimensioni',
+                mergeWarning_one: 'Le celle selezionate contengono più di un elemento. L’unione mantiene il primo e rimuove {{count}} altro elemento.\n\nContinuare?',
+                mergeWarning_other: 'Le celle selezionate contengono più di un elemento. L’unione mantiene il primo e rimuove altri {{count}} elementi.\n\nContinuare?',
+                invalidTrackSizes: 'Inserisci {{cols}} larghezze di colonna e {{rows}} altezze di riga come numeri positivi separati da virgole.',
+                tracksTooSmall: 'Con queste dimensioni alcune celle diventano troppo piccole per contenere elementi. Usa valori più grandi per le righe o colonne strette.',
+                spacingTooLarge: 'Una griglia {{cols}} × {{rows}} non lascia spazio nelle celle con i margini, le spaziature e il margine interno di questa pagina. Riduci prima la spaziatura.'
             },
             paper: {
                 title: 'Seleziona formato carta e orientamento',
-                a4Portrait: 'A4 verticale',
-                a4Landscape: 'A4 orizzontale',
-                a3Portrait: 'A3 verticale',
-                a3Landscape: 'A3 orizzontale'
+                portrait: 'Verticale',
+                landscape: 'Orizzontale',
+                orientationLabel: 'Orientamento',
+                custom: 'Formato personalizzato',
+                width: 'Larghezza',
+                height: 'Altezza',
+                unit: 'Unità',
+                presetName: 'Nome preset',
+                presetNamePlaceholder: 'es. Libretto',
+                apply: 'Applica',
+                savePreset: 'Salva come preset',
+                deletePreset: 'Elimina preset {{name}}',
+                invalidCustom: 'Inserisci una larghezza e un’altezza tra {{min}} e {{max}} mm.',
+                presetSaved: 'Preset “{{name}}” salvato.',
+                spacingTooLarge: 'Questo formato non lascia spazio nelle celle con i margini, le spaziature e il margine interno di questa pagina. Riduci prima la spaziatura.'
+            },
+            spacing: {
+                title: 'Margini e spaziatura',
+                presets: 'Preset',
+                presetStandard: 'Standard',
+                presetBorderless: 'Senza bordi',
+                presetBinderLeft: 'Raccoglitore a sinistra 25 mm',
+                presetPrinterSafe: 'Sicuro per stampante 5 mm',
+                margins: 'Margini (mm)',
+                top: 'Sopra',
+                right: 'Destra',
+                bottom: 'Sotto',
+                left: 'Sinistra',
+                gutters: 'Spaziature (mm)',
+                columnGap: 'Tra le colonne',
+                rowGap: 'Tra le righe',
+                cellPadding: 'Margine interno celle (mm)',
+                applyAllPages: 'Applica a tutte le pagine',
+                apply: 'Applica',
+                invalid: 'Con queste impostazioni non resta spazio per le celle. Riduci margini, spaziature o margine interno.'
+            },
+            templates: {
+                title: 'Modelli di layout',
+                hint: 'I modelli impostano carta, griglia e spaziatura. Riempimento e filtro predefiniti si applicano ai contenuti aggiunti in seguito.',
+                applyAllPages: 'Applica a tutte le pagine',
+                saveTitle: 'Salva la pagina corrente come modello',
+                name: 'Nome del modello',
+                namePlaceholder: 'es. Scontrini 2 × 3',
+                save: 'Salva modello',
+                import: 'Importa JSON',
+                export: 'Esporta JSON',
+                delete: 'Elimina il modello {{name}}',
+                defaultName: 'Modello {{number}}',
+                applied: 'Modello “{{name}}” applicato.',
+                saved: 'Modello “{{name}}” salvato.',
+                saveFailed: 'Questa pagina non può essere salvata come modello.',
+                overflowWarning_one: 'Il modello ha meno celle dei contenuti presenti nella pagina. Verrà rimosso {{count}} elemento.\n\nContinuare?',
+                overflowWarning_other: 'Il modello ha meno celle dei contenuti presenti nella pagina. Verranno rimossi {{count}} elementi.\n\nContinuare?',
+                imported_one: '{{count}} modello importato',
+                imported_other: '{{count}} modelli importati',
+                importFailed: 'Questo file non contiene modelli di layout di PDFomator.'
+            },
+            templateNames: {
+                idCard: 'Carta d’identità fronte/retro su A4',
+                slides4Up: '4 diapositive per pagina',
+                passportPhotos: 'Fototessere'
             },
             pdfPage: {
                 title: 'Seleziona pagina PDF',
@@ -172,29 +444,66 @@ const I18N_RESOURCES = {
                 pageErrorLabel: 'Pagina {{page}} (errore)',
                 previewUnavailable: 'Anteprima non disponibile',
                 processingSelected: 'Elaborazione pagina selezionata...',
-                processSelectedFailed: 'Impossibile elaborare la pagina selezionata.'
+                processSelectedFailed: 'Impossibile elaborare la pagina selezionata.',
+                rangeLabel: 'Pagine da importare',
+                selectAll: 'Seleziona tutto',
+                multiSelectHint: 'Tocca una pagina per importarla, oppure usa Maiusc+clic, digita un intervallo o seleziona tutto per riempire le celle successive.',
+                importSelected_one: 'Importa {{count}} pagina',
+                importSelected_other: 'Importa {{count}} pagine',
+                importingPages: 'Importazione pagina {{current}} di {{total}}...',
+                someFailed_one: 'Impossibile importare {{count}} pagina.',
+                someFailed_other: 'Impossibile importare {{count}} pagine.',
+                pageUnreadable: 'Pagina illeggibile',
+                damagedNotice: 'Questo PDF è danneggiato: {{readable}} pagine su {{total}} sono leggibili.',
+                tiffTitle: 'Seleziona pagina TIFF'
+            },
+            pdfPassword: {
+                title: 'Password richiesta',
+                prompt: '“{{name}}” è protetto da password. Inserisci la password per aprirlo.',
+                incorrect: 'Password errata. Riprova.',
+                label: 'Password',
+                open: 'Apri'
             },
             export: {
-                title: 'Qualità esportazione',
-                sdTitle: 'SD (web, email)',
-                sdDescription: 'File più piccoli',
-                hdTitle: 'HD (stampa)',
-                hdDescription: 'File più grandi',
-                standardLabel: 'Standard (veloce)',
-                highLabel: 'Alta qualità',
+                title: 'Esporta',
                 noContent: 'Aggiungi contenuto da esportare.',
-                exporting: 'Esportazione in qualità {{quality}}...',
+                exporting: 'Esportazione a {{dpi}} dpi...',
                 rasterizingPage: 'Rasterizzazione pagina {{current}} di {{total}}...',
                 assembling: 'Assemblaggio PDF...',
                 preparingDownload: 'Preparazione download...',
                 complete: 'Esportazione completata.',
-                failed: 'Esportazione non riuscita. Riprova.'
+                failed: 'Esportazione non riuscita. Riprova.',
+                format: 'Formato',
+                formatPdf: 'Documento PDF',
+                formatPng: 'Un’immagine PNG per foglio',
+                formatJpeg: 'Un’immagine JPEG per foglio',
+                formatTiff: 'TIFF multipagina',
+                group4: 'Compressione CCITT G4 per le pagine a 1 bit',
+                packing: 'Preparazione dei file...',
+                dpi: 'Risoluzione (dpi)',
+                jpegQuality: 'Qualità JPEG',
+                losslessBitonal: 'Immagini a 1 bit senza perdita per le celle in bianco e nero',
+                estimate: 'Dimensione stimata: circa {{size}} MB',
+                start: 'Esporta'
             },
             fileType: {
                 title: 'Scegli tipo di contenuto',
                 pdf: 'Documento PDF',
                 image: 'File immagine',
-                camera: 'Fotocamera'
+                camera: 'Fotocamera',
+                order: 'Ordine per più file',
+                orderName: 'Nome file',
+                orderCaptureDate: 'Data di scatto',
+                paste: 'Incolla'
+            },
+            import: {
+                progress: 'Importazione file {{current}} di {{total}}...',
+                failed: 'Importazione dei file selezionati non riuscita. Riprova.',
+                someFailed_one: 'Impossibile importare {{count}} file.',
+                someFailed_other: 'Impossibile importare {{count}} file.',
+                unsupported: 'Puoi aggiungere solo immagini e file PDF.',
+                clipboardEmpty: 'Negli appunti non c’è nessuna immagine o PDF da incollare.',
+                clipboardUnavailable: 'Impossibile leggere gli appunti. Consenti l’accesso agli appunti, oppure incolla con Ctrl+V (Cmd+V su Mac).'
             },
             camera: {
                 title: 'Scatta foto',
@@ -212,6 +521,41 @@ const I18N_RESOURCES = {
                 deviceFallback: 'Fotocamera {{index}}',
                 photoTitle: 'Foto da fotocamera'
             },
+            adjustments: {
+                title: 'Regolazioni immagine',
+                brightness: 'Luminosità',
+                contrast: 'Contrasto',
+                gamma: 'Gamma',
+                saturation: 'Saturazione',
+                temperature: 'Temperatura',
+                tint: 'Tinta',
+                sharpen: 'Nitidezza',
+                reset: 'Azzera regolazioni'
+            },
+            rotation: {
+                title: 'Rotazione fine',
+                angle: 'Angolo di rotazione',
+                angleDegrees: 'Angolo di rotazione in gradi',
+                autoDeskew: 'Raddrizza automaticamente',
+                reset: 'Azzera',
+                noTextLines: 'Nessuna riga di testo trovata da raddrizzare.'
+            },
+            perspective: {
+                title: 'Raddrizza documento',
+                hint: 'Trascina gli angoli sui bordi della pagina, poi raddrizzala.',
+                imageAlt: 'Foto da raddrizzare',
+                topLeft: 'Angolo in alto a sinistra',
+                topRight: 'Angolo in alto a destra',
+                bottomRight: 'Angolo in basso a destra',
+                bottomLeft: 'Angolo in basso a sinistra',
+                detect: 'Rileva bordi',
+                fullImage: 'Foto intera',
+                keepOriginal: 'Mantieni originale',
+                apply: 'Raddrizza',
+                processing: 'Raddrizzamento del documento...',
+                notDetected: 'Nessun bordo del documento trovato. Trascina gli angoli in posizione.',
+                failed: 'Raddrizzamento del documento non riuscito. Riprova.'
+            },
             loading: {
                 title: 'Caricamento',
                 processing: 'Elaborazione...',
@@ -221,17 +565,35 @@ const I18N_RESOURCES = {
             },
             filters: {
                 bitonalThreshold: 'Soglia 1-bit',
-                applyFailed: 'Applicazione filtro non riuscita. Riprova.'
+                applyFailed: 'Applicazione filtro non riuscita. Riprova.',
+                options: 'Opzioni filtro',
+                adaptiveThreshold: 'Adatta all’illuminazione irregolare',
+                adaptiveWindow: 'Dimensione finestra',
+                removeShadows: 'Rimuovi ombre'
+            },
+            filterNames: {
+                original: 'Originale',
+                document: 'Documento automatico',
+                bw: 'Bianco e nero',
+                bitonal: '1 bit',
+                invert: 'Invertito per la stampa',
+                whiten: 'Sfondo sbiancato',
+                accent: 'Grigio con accenti rossi/blu'
             },
             image: {
                 processFailed: 'Elaborazione immagine non riuscita. Riprova.',
-                rotateFailed: 'Rotazione immagine non riuscita. Riprova.'
+                rotateFailed: 'Rotazione immagine non riuscita. Riprova.',
+                unsupported: 'Questo formato o variante di immagine non è supportato.'
             },
             pdf: {
                 jsIncomplete: 'PDF.js non è stato caricato completamente. Aggiorna la pagina.',
                 jsLoadFailed: 'Libreria di elaborazione PDF non caricata. Aggiorna la pagina.',
                 processFailed: 'Elaborazione PDF non riuscita. Riprova.',
-                libraryNotLoaded: 'Libreria PDF.js non caricata. Aggiorna la pagina e riprova.'
+                libraryNotLoaded: 'Libreria PDF.js non caricata. Aggiorna la pagina e riprova.',
+                encrypted: 'Questo PDF è protetto da password. Inserisci la password per importarlo.',
+                corrupted: 'Questo PDF è danneggiato e nessuna pagina è leggibile.',
+                unsupported: 'Questo file non è un PDF o usa un formato che PDFomator non può leggere.',
+                oversized: 'Questo PDF è troppo grande da importare. Il limite è {{size}} MB.'
             },
             ocr: {
                 noImages: 'Nessuna immagine per OCR.',
@@ -244,6 +606,36 @@ const I18N_RESOURCES = {
                 failed: 'OCR non riuscito. Riprova.',
                 noExportableCells: 'Nessuna cella esportabile trovata per OCR.'
             },
+            history: {
+                undo: 'Annulla',
+                redo: 'Ripeti'
+            },
+            project: {
+                title: 'Progetto',
+                save: 'Salva progetto',
+                open: 'Apri progetto',
+                saving: 'Salvataggio progetto...',
+                opening: 'Apertura progetto...',
+                saved: 'Progetto salvato.',
+                saveFailed: 'Salvataggio progetto non riuscito. Riprova.',
+                openFailed: 'Questo file non è un progetto PDFomator valido.',
+                unsupportedVersion: 'Questo progetto è stato creato con una versione più recente di PDFomator. Aggiorna l’app.',
+                replaceConfirm: 'Sostituire il layout corrente con il progetto aperto?',
+                newLayout: 'Nuovo layout',
+                newLayoutConfirm: 'Svuotare tutte le pagine e iniziare un nuovo layout? Puoi annullare l’operazione.'
+            },
+            storage: {
+                restored: 'Layout precedente ripristinato.',
+                startFresh: 'Ricomincia',
+                keep: 'Mantieni layout',
+                saveFailed: 'Salvataggio automatico non riuscito. Il layout potrebbe andare perso ricaricando.',
+                quotaExceeded: 'Salvataggio automatico non riuscito: spazio del browser esaurito.'
+            },
+            memory: {
+                usage: '{{used}} / {{budget}} MB',
+                title: 'Memoria usata dalle immagini di questo layout',
+                warning: 'Le immagini occupano quasi tutta la memoria disponibile per questa scheda. Esporta o rimuovi alcune pagine prima di aggiungerne altre.'
+            },
             errors: {
                 prefix: 'Errore PDFomator: {{message}}',
                 unexpected: 'Si è verificato un errore inatteso. Aggiorna la pagina e riprova.'
@@ -267,7 +659,10 @@ const I18N_RESOURCES = {
                 changePaperSize: 'Papierformat ändern',
                 selectGrid: 'Raster auswählen',
                 runOcr: 'OCR ausführen',
-                exportPdf: 'PDF exportieren'
+                exportPdf: 'PDF exportieren',
+                project: 'Projekt speichern oder öffnen',
+                pageSpacing: 'Ränder und Abstände',
+                layoutTemplates: 'Layoutvorlagen'
             },
             page: {
                 controls: 'Seitensteuerung',
@@ -280,14 +675,85 @@ const I18N_RESOURCES = {
             grid: {
                 title: 'Rastergröße auswählen',
                 shrinkWarning_one: 'Warnung: Beim Wechsel zu einem {{cols}} × {{rows}} Raster werden {{removedCells}} Zellen entfernt.\n\nDadurch wird {{count}} Inhaltselement dauerhaft aus deinem Layout gelöscht.\n\nFortfahren?',
-                shrinkWarning_other: 'Warnung: Beim Wechsel zu einem {{cols}} × {{rows}} Raster werden {{removedCells}} Zellen entfernt.\n\nDadurch werden {{count}} Inhaltselemente dauerhaft aus deinem Layout gelöscht.\n\nFortfahren?'
+                shrinkWarning_other: 'Warnung: Beim Wechsel zu einem {{cols}} × {{rows}} Raster werden {{removedCells}} Zellen entfernt.\n\nDadurch werden {{count}} Inhaltselemente dauerhaft aus deinem Layout gelöscht.\n\nFortfahren?',
+                layoutTitle: 'Zellen verbinden & Zeilen- und Spaltengrößen',
+                layoutHint: 'Ziehe über die Vorschau, um Zellen auszuwählen, und verbinde oder teile sie dann.',
+                merge: 'Verbinden',
+                split: 'Teilen',
+                columnWidths: 'Spaltenbreiten',
+                rowHeights: 'Zeilenhöhen',
+                trackSizesHint: 'Relative Größen, durch Kommas getrennt, z. B. 2, 1, 1.',
+                resetLayout: 'Gleichmäßig zurücksetzen',
+                applyTrackSizes: 'Größen anwenden',
+                mergeWarning_one: 'Die ausgewählten Zellen enthalten mehr als ein Element. Beim Verbinden bleibt das erste erhalten und {{count}} weiteres Element wird entfernt.\n\nFortfahren?',
+                mergeWarning_other: 'Die ausgewählten Zellen enthalten mehr als ein Element. Beim Verbinden bleibt das erste erhalten und {{count}} weitere Elemente werden entfernt.\n\nFortfahren?',
+                invalidTrackSizes: 'Gib {{cols}} Spaltenbreiten und {{rows}} Zeilenhöhen als positive Zahlen ein, getrennt durch Kommas.',
+                tracksTooSmall: 'Mit diesen Größen werden einige Zellen zu klein für Inhalte. Verwende größere Werte für die schmalen Zeilen oder Spalten.',
+                spacingTooLarge: 'Ein {{cols}} × {{rows}}-Raster lässt mit den Rändern, Abständen und Innenabständen dieser Seite keinen Platz in den Zellen. Verringere zuerst die Abstände.'
             },
             paper: {
                 title: 'Papierformat und Ausrichtung auswählen',
-                a4Portrait: 'A4 Hochformat',
-                a4Landscape: 'A4 Querformat',
-                a3Portrait: 'A3 Hochformat',
-                a3Landscape: 'A3 Querformat'
+                portrait: 'Hochformat',
+                landscape: 'Querformat',
+                orientationLabel: 'Ausrichtung',
+                custom: 'Eigenes Format',
+                width: 'Breite',
+                height: 'Höhe',
+                unit: 'Einheit',
+                presetName: 'Vorlagenname',
+                presetNamePlaceholder: 'z. B. Broschüre',
+                apply: 'Anwenden',
+                savePreset: 'Als Vorlage speichern',
+                deletePreset: 'Vorlage {{name}} löschen',
+                invalidCustom: 'Gib eine Breite und Höhe zwischen {{min}} und {{max}} mm ein.',
+                presetSaved: 'Vorlage „{{name}}“ gespeichert.',
+                spacingTooLarge: 'Dieses Papierformat lässt mit den Rändern, Abständen und Innenabständen dieser Seite keinen Platz in den Zellen. Verringere zuerst die Abstände.'
+            },
+            spacing: {
+                title: 'Ränder & Abstände',
+                presets: 'Vorlagen',
+                presetStandard: 'Standard',
+                presetBorderless: 'Randlos',
+                presetBinderLeft: 'Ordner links 25 mm',
+                presetPrinterSafe: 'Druckersicher 5 mm',
+                margins: 'Ränder (mm)',
+                top: 'Oben',
+                right: 'Rechts',
+                bottom: 'Unten',
+                left: 'Links',
+                gutters: 'Abstände (mm)',
+                columnGap: 'Zwischen Spalten',
+                rowGap: 'Zwischen Zeilen',
+                cellPadding: 'Zellinnenabstand (mm)',
+                applyAllPages: 'Auf alle Seiten anwenden',
+                apply: 'Anwenden',
+                invalid: 'Mit diesen Einstellungen bleibt kein Platz für die Zellen. Verringere Ränder, Abstände oder Innenabstand.'
+            },
+            templates: {
+                title: 'Layoutvorlagen',
+                hint: 'Vorlagen legen Papier, Raster und Abstände fest. Standardwerte für Füllmodus und Filter gelten für später hinzugefügte Inhalte.',
+                applyAllPages: 'Auf alle Seiten anwenden',
+                saveTitle: 'Aktuelle Seite als Vorlage speichern',
+                name: 'Name der Vorlage',
+                namePlaceholder: 'z. B. Belege 2 × 3',
+                save: 'Vorlage speichern',
+                import: 'JSON importieren',
+                export: 'JSON exportieren',
+                delete: 'Vorlage {{name}} löschen',
+                defaultName: 'Vorlage {{number}}',
+                applied: 'Vorlage „{{name}}“ angewendet.',
+                saved: 'Vorlage „{{name}}“ gespeichert.',
+                saveFailed: 'Diese Seite kann nicht als Vorlage gespeichert werden.',
+                overflowWarning_one: 'Die Vorlage hat weniger Zellen als Inhalte auf der Seite. {{count}} Element wird entfernt.\n\nFortfahren?',
+                overflowWarning_other: 'Die Vorlage hat weniger Zellen als Inhalte auf der Seite. {{count}} Elemente werden entfernt.\n\nFortfahren?',
+                imported_one: '{{count}} Vorlage importiert',
+                imported_other: '{{count}} Vorlagen importiert',
+                importFailed: 'Diese Datei enthält keine PDFomator-Layoutvorlagen.'
+            },
+            templateNames: {
+                idCard: 'Ausweis Vorder-/Rückseite auf A4',
+                slides4Up: '4 Folien pro Seite',
+                passportPhotos: 'Passfotos'
             },
             pdfPage: {
                 title: 'PDF-Seite auswählen',
@@ -297,29 +763,66 @@ const I18N_RESOURCES = {
                 pageErrorLabel: 'Seite {{page}} (Fehler)',
                 previewUnavailable: 'Vorschau nicht verfügbar',
                 processingSelected: 'Ausgewählte Seite wird verarbeitet...',
-                processSelectedFailed: 'Ausgewählte Seite konnte nicht verarbeitet werden.'
+                processSelectedFailed: 'Ausgewählte Seite konnte nicht verarbeitet werden.',
+                rangeLabel: 'Zu importierende Seiten',
+                selectAll: 'Alle auswählen',
+                multiSelectHint: 'Tippe auf eine Seite, um sie zu importieren, oder nutze Umschalt+Klick, einen Bereich oder Alle auswählen, um die folgenden Zellen zu füllen.',
+                importSelected_one: '{{count}} Seite importieren',
+                importSelected_other: '{{count}} Seiten importieren',
+                importingPages: 'Importiere Seite {{current}} von {{total}}...',
+                someFailed_one: '{{count}} Seite konnte nicht importiert werden.',
+                someFailed_other: '{{count}} Seiten konnten nicht importiert werden.',
+                pageUnreadable: 'Seite nicht lesbar',
+                damagedNotice: 'Dieses PDF ist beschädigt: {{readable}} von {{total}} Seiten konnten gelesen werden.',
+                tiffTitle: 'TIFF-Seite auswählen'
+            },
+            pdfPassword: {
+                title: 'Passwort erforderlich',
+                prompt: '„{{name}}“ ist passwortgeschützt. Gib das Passwort ein, um es zu öffnen.',
+                incorrect: 'Falsches Passwort. Bitte versuche es erneut.',
+                label: 'Passwort',
+                open: 'Öffnen'
             },
             export: {
-                title: 'Exportqualität',
-                sdTitle: 'SD (Web, Mail)',
-                sdDescription: 'Kleinere Dateien',
-                hdTitle: 'HD (Druck)',
-                hdDescription: 'Größere Dateien',
-                standardLabel: 'Standard (schnell)',
-                highLabel: 'Hohe Qualität',
+                title: 'Exportieren',
                 noContent: 'Bitte füge Inhalt zum Exportieren hinzu.',
-                exporting: 'Export in Qualität {{quality}}...',
+                exporting: 'Export mit {{dpi}} dpi...',
                 rasterizingPage: 'Seite {{current}} von {{total}} wird gerastert...',
                 assembling: 'PDF wird zusammengesetzt...',
                 preparingDownload: 'Download wird vorbereitet...',
                 complete: 'Export abgeschlossen.',
-                failed: 'Export fehlgeschlagen. Bitte erneut versuchen.'
+                failed: 'Export fehlgeschlagen. Bitte erneut versuchen.',
+                format: 'Format',
+                formatPdf: 'PDF-Dokument',
+                formatPng: 'PNG-Bild pro Blatt',
+                formatJpeg: 'JPEG-Bild pro Blatt',
+                formatTiff: 'Mehrseitiges TIFF',
+                group4: 'CCITT-G4-Komprimierung für 1-Bit-Seiten',
+                packing: 'Dateien werden gepackt...',
+                dpi: 'Auflösung (dpi)',
+                jpegQuality: 'JPEG-Qualität',
+                losslessBitonal: 'Verlustfreie 1-Bit-Bilder für Schwarzweiß-Zellen',
+                estimate: 'Geschätzte Größe: etwa {{size}} MB',
+                start: 'Exportieren'
             },
             fileType: {
                 title: 'Inhaltstyp auswählen',
                 pdf: 'PDF-Dokument',
                 image: 'Bilddatei',
-                camera: 'Kamera'
+                camera: 'Kamera',
+                order: 'Reihenfolge bei mehreren Dateien',
+                orderName: 'Dateiname',
+                orderCaptureDate: 'Aufnahmedatum',
+                paste: 'Einfügen'
+            },
+            import: {
+                progress: 'Importiere Datei {{current}} von {{total}}...',
+                failed: 'Die ausgewählten Dateien konnten nicht importiert werden. Bitte versuche es erneut.',
+                someFailed_one: '{{count}} Datei konnte nicht importiert werden.',
+                someFailed_other: '{{count}} Dateien konnten nicht importiert werden.',
+                unsupported: 'Es können nur Bilder und PDF-Dateien hinzugefügt werden.',
+                clipboardEmpty: 'Die Zwischenablage enthält kein Bild und kein PDF zum Einfügen.',
+                clipboardUnavailable: 'Die Zwischenablage konnte nicht gelesen werden. Erlaube den Zugriff auf die Zwischenablage oder füge mit Strg+V (Cmd+V auf dem Mac) ein.'
             },
             camera: {
                 title: 'Foto aufnehmen',
@@ -337,6 +840,41 @@ const I18N_RESOURCES = {
                 deviceFallback: 'Kamera {{index}}',
                 photoTitle: 'Kamerafoto'
             },
+            adjustments: {
+                title: 'Bildkorrekturen',
+                brightness: 'Helligkeit',
+                contrast: 'Kontrast',
+                gamma: 'Gamma',
+                saturation: 'Sättigung',
+                temperature: 'Farbtemperatur',
+                tint: 'Farbton',
+                sharpen: 'Schärfen',
+                reset: 'Korrekturen zurücksetzen'
+            },
+            rotation: {
+                title: 'Feindrehung',
+                angle: 'Drehwinkel',
+                angleDegrees: 'Drehwinkel in Grad',
+                autoDeskew: 'Automatisch ausrichten',
+                reset: 'Zurücksetzen',
+                noTextLines: 'Keine Textzeilen zum Ausrichten gefunden.'
+            },
+            perspective: {
+                title: 'Dokument begradigen',
+                hint: 'Ziehe die Ecken auf die Ränder der Seite und begradige sie dann.',
+                imageAlt: 'Zu begradigendes Foto',
+                topLeft: 'Ecke oben links',
+                topRight: 'Ecke oben rechts',
+                bottomRight: 'Ecke unten rechts',
+                bottomLeft: 'Ecke unten links',
+                detect: 'Kanten erkennen',
+                fullImage: 'Ganzes Foto',
+                keepOriginal: 'Original behalten',
+                apply: 'Begradigen',
+                processing: 'Dokument wird begradigt...',
+                notDetected: 'Keine Dokumentkanten gefunden. Ziehe die Ecken an die richtige Stelle.',
+                failed: 'Dokument konnte nicht begradigt werden. Bitte erneut versuchen.'
+            },
             loading: {
                 title: 'Laden',
                 processing: 'Verarbeitung...',
@@ -346,17 +884,35 @@ const I18N_RESOURCES = {
             },
             filters: {
                 bitonalThreshold: '1-Bit-Schwelle',
-                applyFailed: 'Filter konnte nicht angewendet werden. Bitte erneut versuchen.'
+                applyFailed: 'Filter konnte nicht angewendet werden. Bitte erneut versuchen.',
+                options: 'Filteroptionen',
+                adaptiveThreshold: 'An ungleichmäßige Beleuchtung anpassen',
+                adaptiveWindow: 'Fenstergröße',
+                removeShadows: 'Schatten entfernen'
+            },
+            filterNames: {
+                original: 'Original',
+                document: 'Automatisches Dokument',
+                bw: 'Schwarzweiß',
+                bitonal: '1-Bit',
+                invert: 'Für den Druck invertiert',
+                whiten: 'Hintergrund aufgehellt',
+                accent: 'Grau mit roten/blauen Akzenten'
             },
             image: {
                 processFailed: 'Bild konnte nicht verarbeitet werden. Bitte erneut versuchen.',
-                rotateFailed: 'Bild konnte nicht gedreht werden. Bitte erneut versuchen.'
+                rotateFailed: 'Bild konnte nicht gedreht werden. Bitte erneut versuchen.',
+                unsupported: 'Dieses Bildformat oder diese Variante wird nicht unterstützt.'
             },
             pdf: {
                 jsIncomplete: 'PDF.js wurde nicht vollständig geladen. Bitte Seite aktualisieren.',
                 jsLoadFailed: 'PDF-Verarbeitungsbibliothek konnte nicht geladen werden. Bitte Seite aktualisieren.',
                 processFailed: 'PDF konnte nicht verarbeitet werden. Bitte erneut versuchen.',
-                libraryNotLoaded: 'PDF.js-Bibliothek nicht geladen. Bitte Seite aktualisieren und erneut versuchen.'
+                libraryNotLoaded: 'PDF.js-Bibliothek nicht geladen. Bitte Seite aktualisieren und erneut versuchen.',
+                encrypted: 'Dieses PDF ist passwortgeschützt. Gib das Passwort ein, um es zu importieren.',
+                corrupted: 'Dieses PDF ist beschädigt, keine Seite konnte gelesen werden.',
+                unsupported: 'Diese Datei ist kein PDF oder nutzt ein Format, das PDFomator nicht lesen kann.',
+                oversized: 'Dieses PDF ist zu groß für den Import. Die Grenze liegt bei {{size}} MB.'
             },
             ocr: {
                 noImages: 'Keine Bilder für OCR.',
@@ -369,6 +925,36 @@ const I18N_RESOURCES = {
                 failed: 'OCR fehlgeschlagen. Bitte erneut versuchen.',
                 noExportableCells: 'Keine exportierbaren Zellen für OCR gefunden.'
             },
+            history: {
+                undo: 'Rückgängig',
+                redo: 'Wiederholen'
+            },
+            project: {
+                title: 'Projekt',
+                save: 'Projekt speichern',
+                open: 'Projekt öffnen',
+                saving: 'Projekt wird gespeichert...',
+                opening: 'Projekt wird geöffnet...',
+                saved: 'Projekt gespeichert.',
+                saveFailed: 'Projekt konnte nicht gespeichert werden. Bitte erneut versuchen.',
+                openFailed: 'Diese Datei ist kein gültiges PDFomator-Projekt.',
+                unsupportedVersion: 'Dieses Projekt wurde mit einer neueren PDFomator-Version erstellt. Bitte App aktualisieren.',
+                replaceConfirm: 'Aktuelles Layout durch das geöffnete Projekt ersetzen?',
+                newLayout: 'Neues Layout',
+                newLayoutConfirm: 'Alle Seiten leeren und ein neues Layout beginnen? Du kannst das rückgängig machen.'
+            },
+            storage: {
+                restored: 'Vorheriges Layout wiederhergestellt.',
+                startFresh: 'Neu beginnen',
+                keep: 'Layout behalten',
+                saveFailed: 'Automatisches Speichern fehlgeschlagen. Das Layout kann beim Neuladen verloren gehen.',
+                quotaExceeded: 'Automatisches Speichern fehlgeschlagen: Browserspeicher ist voll.'
+            },
+            memory: {
+                usage: '{{used}} / {{budget}} MB',
+                title: 'Von Bildern in diesem Layout belegter Speicher',
+                warning: 'Die Bilder belegen fast den gesamten Speicher dieses Tabs. Exportiere oder entferne einige Seiten, bevor du weitere hinzufügst.'
+            },
             errors: {
                 prefix: 'PDFomator-Fehler: {{message}}',
                 unexpected: 'Ein unerwarteter Fehler ist aufgetreten. Bitte Seite aktualisieren und erneut versuchen.'
@@ -392,7 +978,10 @@ const I18N_RESOURCES = {
                 changePaperSize: 'Cambiar tamaño de papel',
                 selectGrid: 'Seleccionar cuadrícula',
                 runOcr: 'Ejecutar OCR',
-                exportPdf: 'Exportar PDF'
+                exportPdf: 'Exportar PDF',
+                project: 'Guardar o abrir proyecto',
+                pageSpacing: 'Márgenes y espaciado',
+                layoutTemplates: 'Plantillas de diseño'
             },
             page: {
                 controls: 'Controles de página',
@@ -405,14 +994,85 @@ const I18N_RESOURCES = {
             grid: {
                 title: 'Seleccionar tamaño de cuadrícula',
                 shrinkWarning_one: 'Aviso: cambiar a una cuadrícula {{cols}} × {{rows}} eliminará {{removedCells}} celdas.\n\nEsto eliminará permanentemente {{count}} elemento de contenido del diseño.\n\n¿Continuar?',
-                shrinkWarning_other: 'Aviso: cambiar a una cuadrícula {{cols}} × {{rows}} eliminará {{removedCells}} celdas.\n\nEsto eliminará permanentemente {{count}} elementos de contenido del diseño.\n\n¿Continuar?'
+                shrinkWarning_other: 'Aviso: cambiar a una cuadrícula {{cols}} × {{rows}} eliminará {{removedCells}} celdas.\n\nEsto eliminará permanentemente {{count}} elementos de contenido del diseño.\n\n¿Continuar?',
+                layoutTitle: 'Combinar celdas y tamaños de filas y columnas',
+                layoutHint: 'Arrastra sobre la vista previa para seleccionar celdas y luego combínalas o divídelas.',
+                merge: 'Combinar',
+                split: 'Dividir',
+                columnWidths: 'Anchos de columna',
+                rowHeights: 'Altos de fila',
+                trackSizesHint: 'Tamaños relativos separados por comas, p. ej. 2, 1, 1.',
+                resetLayout: 'Restablecer uniforme',
+                applyTrackSizes: 'Aplicar tamaños',
+                mergeWarning_one: 'Las celdas seleccionadas contienen más de un elemento. Al combinarlas se conserva el primero y se elimina {{count}} elemento más.\n\n¿Continuar?',
+                mergeWarning_other: 'Las celdas seleccionadas contienen más de un elemento. Al combinarlas se conserva el primero y se eliminan {{count}} elementos más.\n\n¿Continuar?',
+                invalidTrackSizes: 'Introduce {{cols}} anchos de columna y {{rows}} altos de fila como números positivos separados por comas.',
+                tracksTooSmall: 'Con estos tamaños algunas celdas quedan demasiado pequeñas para contener elementos. Usa valores mayores para las filas o columnas estrechas.',
+                spacingTooLarge: 'Una cuadrícula de {{cols}} × {{rows}} no deja espacio en las celdas con los márgenes, separaciones y relleno de esta página. Reduce primero el espaciado.'
             },
             paper: {
                 title: 'Seleccionar tamaño y orientación del papel',
-                a4Portrait: 'A4 vertical',
-                a4Landscape: 'A4 horizontal',
-                a3Portrait: 'A3 vertical',
-                a3Landscape: 'A3 horizontal'
+                portrait: 'Vertical',
+                landscape: 'Horizontal',
+                orientationLabel: 'Orientación',
+                custom: 'Tamaño personalizado',
+                width: 'Ancho',
+                height: 'Alto',
+                unit: 'Unidad',
+                presetName: 'Nombre del ajuste',
+                presetNamePlaceholder: 'p. ej. Folleto',
+                apply: 'Aplicar',
+                savePreset: 'Guardar como ajuste',
+                deletePreset: 'Eliminar ajuste {{name}}',
+                invalidCustom: 'Introduce un ancho y un alto entre {{min}} y {{max}} mm.',
+                presetSaved: 'Ajuste «{{name}}» guardado.',
+                spacingTooLarge: 'Este tamaño de papel no deja espacio en las celdas con los márgenes, separaciones y relleno de esta página. Reduce primero el espaciado.'
+            },
+            spacing: {
+                title: 'Márgenes y espaciado',
+                presets: 'Ajustes',
+                presetStandard: 'Estándar',
+                presetBorderless: 'Sin bordes',
+                presetBinderLeft: 'Archivador a la izquierda 25 mm',
+                presetPrinterSafe: 'Seguro para impresora 5 mm',
+                margins: 'Márgenes (mm)',
+                top: 'Arriba',
+                right: 'Derecha',
+                bottom: 'Abajo',
+                left: 'Izquierda',
+                gutters: 'Separaciones (mm)',
+                columnGap: 'Entre columnas',
+                rowGap: 'Entre filas',
+                cellPadding: 'Relleno de celda (mm)',
+                applyAllPages: 'Aplicar a todas las páginas',
+                apply: 'Aplicar',
+                invalid: 'Con estos ajustes no queda espacio para las celdas. Reduce los márgenes, las separaciones o el relleno.'
+            },
+            templates: {
+                title: 'Plantillas de diseño',
+                hint: 'Las plantillas definen el papel, la cuadrícula y el espaciado. El modo de relleno y el filtro predeterminados se aplican al contenido que añadas después.',
+                applyAllPages: 'Aplicar a todas las páginas',
+                saveTitle: 'Guardar la página actual como plantilla',
+                name: 'Nombre de la plantilla',
+                namePlaceholder: 'p. ej. Recibos 2 × 3',
+                save: 'Guardar plantilla',
+                import: 'Importar JSON',
+                export: 'Exportar JSON',
+                delete: 'Eliminar la plantilla {{name}}',
+                defaultName: 'Plantilla {{number}}',
+                applied: 'Plantilla «{{name}}» aplicada.',
+                saved: 'Plantilla «{{name}}» guardada.',
+                saveFailed: 'Esta página no se puede guardar como plantilla.',
+                overflowWarning_one: 'La plantilla tiene menos celdas que contenidos hay en la página. Se eliminará {{count}} elemento.\n\n¿Continuar?',
+                overflowWarning_other: 'La plantilla tiene menos celdas que contenidos hay en la página. Se eliminarán {{count}} elementos.\n\n¿Continuar?',
+                imported_one: '{{count}} plantilla importada',
+                imported_other: '{{count}} plantillas importadas',
+                importFailed: 'Este archivo no contiene plantillas de diseño de PDFomator.'
+            },
+            templateNames: {
+                idCard: 'DNI anverso/reverso en A4',
+                slides4Up: '4 diapositivas por página',
+                passportPhotos: 'Fotos de pasaporte'
             },
             pdfPage: {
                 title: 'Seleccionar página PDF',
@@ -422,29 +1082,66 @@ const I18N_RESOURCES = {
                 pageErrorLabel: 'Página {{page}} (error)',
                 previewUnavailable: 'Vista previa no disponible',
                 processingSelected: 'Procesando página seleccionada...',
-                processSelectedFailed: 'No se pudo procesar la página seleccionada.'
+                processSelectedFailed: 'No se pudo procesar la página seleccionada.',
+                rangeLabel: 'Páginas a importar',
+                selectAll: 'Seleccionar todo',
+                multiSelectHint: 'Toca una página para importarla, o usa Mayús+clic, escribe un rango o selecciona todo para rellenar las celdas siguientes.',
+                importSelected_one: 'Importar {{count}} página',
+                importSelected_other: 'Importar {{count}} páginas',
+                importingPages: 'Importando página {{current}} de {{total}}...',
+                someFailed_one: 'No se pudo importar {{count}} página.',
+                someFailed_other: 'No se pudieron importar {{count}} páginas.',
+                pageUnreadable: 'No se pudo leer la página',
+                damagedNotice: 'Este PDF está dañado: se pudieron leer {{readable}} de {{total}} páginas.',
+                tiffTitle: 'Seleccionar página TIFF'
+            },
+            pdfPassword: {
+                title: 'Contraseña requerida',
+                prompt: '«{{name}}» está protegido con contraseña. Introdúcela para abrirlo.',
+                incorrect: 'Contraseña incorrecta. Inténtalo de nuevo.',
+                label: 'Contraseña',
+                open: 'Abrir'
             },
             export: {
-                title: 'Calidad de exportación',
-                sdTitle: 'SD (web, correo)',
-                sdDescription: 'Archivos más pequeños',
-                hdTitle: 'HD (impresión)',
-                hdDescription: 'Archivos más grandes',
-                standardLabel: 'Estándar (rápido)',
-                highLabel: 'Alta calidad',
+                title: 'Exportar',
                 noContent: 'Añade contenido para exportar.',
-                exporting: 'Exportando en calidad {{quality}}...',
+                exporting: 'Exportando a {{dpi}} ppp...',
                 rasterizingPage: 'Rasterizando página {{current}} de {{total}}...',
                 assembling: 'Ensamblando PDF...',
                 preparingDownload: 'Preparando descarga...',
                 complete: 'Exportación completada.',
-                failed: 'La exportación falló. Inténtalo de nuevo.'
+                failed: 'La exportación falló. Inténtalo de nuevo.',
+                format: 'Formato',
+                formatPdf: 'Documento PDF',
+                formatPng: 'Una imagen PNG por hoja',
+                formatJpeg: 'Una imagen JPEG por hoja',
+                formatTiff: 'TIFF multipágina',
+                group4: 'Compresión CCITT G4 para páginas de 1 bit',
+                packing: 'Empaquetando archivos...',
+                dpi: 'Resolución (ppp)',
+                jpegQuality: 'Calidad JPEG',
+                losslessBitonal: 'Imágenes de 1 bit sin pérdida para celdas en blanco y negro',
+                estimate: 'Tamaño estimado: unos {{size}} MB',
+                start: 'Exportar'
             },
             fileType: {
                 title: 'Elegir tipo de contenido',
                 pdf: 'Documento PDF',
                 image: 'Archivo de imagen',
-                camera: 'Cámara'
+                camera: 'Cámara',
+                order: 'Orden para varios archivos',
+                orderName: 'Nombre de archivo',
+                orderCaptureDate: 'Fecha de captura',
+                paste: 'Pegar'
+            },
+            import: {
+                progress: 'Importando archivo {{current}} de {{total}}...',
+                failed: 'No se pudieron importar los archivos seleccionados. Inténtalo de nuevo.',
+                someFailed_one: 'No se pudo importar {{count}} archivo.',
+                someFailed_other: 'No se pudieron importar {{count}} archivos.',
+                unsupported: 'Solo se pueden añadir imágenes y archivos PDF.',
+                clipboardEmpty: 'El portapapeles no contiene ninguna imagen ni PDF para pegar.',
+                clipboardUnavailable: 'No se pudo leer el portapapeles. Permite el acceso al portapapeles o pega con Ctrl+V (Cmd+V en Mac).'
             },
             camera: {
                 title: 'Tomar foto',
@@ -462,6 +1159,41 @@ const I18N_RESOURCES = {
                 deviceFallback: 'Cámara {{index}}',
                 photoTitle: 'Foto de cámara'
             },
+            adjustments: {
+                title: 'Ajustes de imagen',
+                brightness: 'Brillo',
+                contrast: 'Contraste',
+                gamma: 'Gamma',
+                saturation: 'Saturación',
+                temperature: 'Temperatura',
+                tint: 'Matiz',
+                sharpen: 'Nitidez',
+                reset: 'Restablecer ajustes'
+            },
+            rotation: {
+                title: 'Rotación fina',
+                angle: 'Ángulo de rotación',
+                angleDegrees: 'Ángulo de rotación en grados',
+                autoDeskew: 'Enderezar automáticamente',
+                reset: 'Restablecer',
+                noTextLines: 'No se encontraron líneas de texto para enderezar.'
+            },
+            perspective: {
+                title: 'Enderezar documento',
+                hint: 'Arrastra las esquinas a los bordes de la página y luego enderézala.',
+                imageAlt: 'Foto para enderezar',
+                topLeft: 'Esquina superior izquierda',
+                topRight: 'Esquina superior derecha',
+                bottomRight: 'Esquina inferior derecha',
+                bottomLeft: 'Esquina inferior izquierda',
+                detect: 'Detectar bordes',
+                fullImage: 'Foto completa',
+                keepOriginal: 'Mantener original',
+                apply: 'Enderezar',
+                processing: 'Enderezando documento...',
+                notDetected: 'No se encontraron los bordes del documento. Arrastra las esquinas a su sitio.',
+                failed: 'No se pudo enderezar el documento. Inténtalo de nuevo.'
+            },
             loading: {
                 title: 'Cargando',
                 processing: 'Procesando...',
@@ -471,17 +1203,35 @@ const I18N_RESOURCES = {
             },
             filters: {
                 bitonalThreshold: 'Umbral de 1 bit',
-                applyFailed: 'No se pudo aplicar el filtro. Inténtalo de nuevo.'
+                applyFailed: 'No se pudo aplicar el filtro. Inténtalo de nuevo.',
+                options: 'Opciones del filtro',
+                adaptiveThreshold: 'Adaptar a iluminación desigual',
+                adaptiveWindow: 'Tamaño de ventana',
+                removeShadows: 'Eliminar sombras'
+            },
+            filterNames: {
+                original: 'Original',
+                document: 'Documento automático',
+                bw: 'Blanco y negro',
+                bitonal: '1 bit',
+                invert: 'Invertido para imprimir',
+                whiten: 'Fondo blanqueado',
+                accent: 'Gris con acentos rojos/azules'
             },
             image: {
                 processFailed: 'No se pudo procesar la imagen. Inténtalo de nuevo.',
-                rotateFailed: 'No se pudo girar la imagen. Inténtalo de nuevo.'
+                rotateFailed: 'No se pudo girar la imagen. Inténtalo de nuevo.',
+                unsupported: 'Este formato o variante de imagen no es compatible.'
             },
             pdf: {
                 jsIncomplete: 'PDF.js no se cargó completamente. Actualiza la página.',
                 jsLoadFailed: 'No se pudo cargar la biblioteca de procesamiento PDF. Actualiza la página.',
                 processFailed: 'No se pudo procesar el PDF. Inténtalo de nuevo.',
-                libraryNotLoaded: 'La biblioteca PDF.js no está cargada. Actualiza la página e inténtalo de nuevo.'
+                libraryNotLoaded: 'La biblioteca PDF.js no está cargada. Actualiza la página e inténtalo de nuevo.',
+                encrypted: 'Este PDF está protegido con contraseña. Introduce la contraseña para importarlo.',
+                corrupted: 'Este PDF está dañado y no se pudo leer ninguna página.',
+                unsupported: 'Este archivo no es un PDF o usa un formato que PDFomator no puede leer.',
+                oversized: 'Este PDF es demasiado grande para importarlo. El límite es de {{size}} MB.'
             },
             ocr: {
                 noImages: 'No hay imágenes para OCR.',
@@ -494,6 +1244,36 @@ const I18N_RESOURCES = {
                 failed: 'OCR falló. Inténtalo de nuevo.',
                 noExportableCells: 'No se encontraron celdas exportables para OCR.'
             },
+            history: {
+                undo: 'Deshacer',
+                redo: 'Rehacer'
+            },
+            project: {
+                title: 'Proyecto',
+                save: 'Guardar proyecto',
+                open: 'Abrir proyecto',
+                saving: 'Guardando proyecto...',
+                opening: 'Abriendo proyecto...',
+                saved: 'Proyecto guardado.',
+                saveFailed: 'No se pudo guardar el proyecto. Inténtalo de nuevo.',
+                openFailed: 'Este archivo no es un proyecto de PDFomator válido.',
+                unsupportedVersion: 'Este proyecto se creó con una versión más reciente de PDFomator. Actualiza la app.',
+                replaceConfirm: '¿Reemplazar el diseño actual por el proyecto abierto?',
+                newLayout: 'Nuevo diseño',
+                newLayoutConfirm: '¿Vaciar todas las páginas y empezar un diseño nuevo? Puedes deshacerlo.'
+            },
+            storage: {
+                restored: 'Diseño anterior restaurado.',
+                startFresh: 'Empezar de nuevo',
+                keep: 'Conservar diseño',
+                saveFailed: 'Error al guardar automáticamente. El diseño podría perderse al recargar.',
+                quotaExceeded: 'Error al guardar automáticamente: el almacenamiento del navegador está lleno.'
+            },
+            memory: {
+                usage: '{{used}} / {{budget}} MB',
+                title: 'Memoria usada por las imágenes de este diseño',
+                warning: 'Las imágenes ocupan casi toda la memoria disponible para esta pestaña. Exporta o elimina algunas páginas antes de añadir más.'
+            },
             errors: {
                 prefix: 'Error de PDFomator: {{message}}',
                 unexpected: 'Se produjo un error inesperado. Actualiza la página e inténtalo de nuevo.'
@@ -517,7 +1297,10 @@ const I18N_RESOURCES = {
                 changePaperSize: 'Changer le format papier',
                 selectGrid: 'Sélectionner la grille',
                 runOcr: 'Lancer l’OCR',
-                exportPdf: 'Exporter le PDF'
+                exportPdf: 'Exporter le PDF',
+                project: 'Enregistrer ou ouvrir un projet',
+                pageSpacing: 'Marges et espacement',
+                layoutTemplates: 'Modèles de mise en page'
             },
             page: {
                 controls: 'Commandes de page',
@@ -530,14 +1313,85 @@ const I18N_RESOURCES = {
             grid: {
                 title: 'Sélectionner la taille de grille',
                 shrinkWarning_one: 'Attention : passer à une grille {{cols}} × {{rows}} supprimera {{removedCells}} cellules.\n\nCela supprimera définitivement {{count}} élément de contenu de votre mise en page.\n\nContinuer ?',
-                shrinkWarning_other: 'Attention : passer à une grille {{cols}} × {{rows}} supprimera {{removedCells}} cellules.\n\nCela supprimera définitivement {{count}} éléments de contenu de votre mise en page.\n\nContinuer ?'
+                shrinkWarning_other: 'Attention : passer à une grille {{cols}} × {{rows}} supprimera {{removedCells}} cellules.\n\nCela supprimera définitivement {{count}} éléments de contenu de votre mise en page.\n\nContinuer ?',
+                layoutTitle: 'Fusion de cellules et tailles des lignes et colonnes',
+                layoutHint: 'Faites glisser sur l’aperçu pour sélectionner des cellules, puis fusionnez-les ou scindez-les.',
+                merge: 'Fusionner',
+                split: 'Scinder',
+                columnWidths: 'Largeurs des colonnes',
+                rowHeights: 'Hauteurs des lignes',
+                trackSizesHint: 'Tailles relatives séparées par des virgules, par ex. 2, 1, 1.',
+                resetLayout: 'Rétablir l’uniformité',
+                applyTrackSizes: 'Appliquer les tailles',
+                mergeWarning_one: 'Les cellules sélectionnées contiennent plusieurs éléments. La fusion conserve le premier et supprime {{count}} autre élément.\n\nContinuer ?',
+                mergeWarning_other: 'Les cellules sélectionnées contiennent plusieurs éléments. La fusion conserve le premier et supprime {{count}} autres éléments.\n\nContinuer ?',
+                invalidTrackSizes: 'Saisissez {{cols}} largeurs de colonne et {{rows}} hauteurs de ligne sous forme de nombres positifs séparés par des virgules.',
+                tracksTooSmall: 'Avec ces tailles, certaines cellules deviennent trop petites pour contenir des éléments. Utilisez des valeurs plus grandes pour les lignes ou colonnes étroites.',
+                spacingTooLarge: 'Une grille {{cols}} × {{rows}} ne laisse aucune place dans les cellules avec les marges, gouttières et marges intérieures de cette page. Réduisez d’abord l’espacement.'
             },
             paper: {
                 title: 'Sélectionner le format papier et l’orientation',
-                a4Portrait: 'A4 portrait',
-                a4Landscape: 'A4 paysage',
-                a3Portrait: 'A3 portrait',
-                a3Landscape: 'A3 paysage'
+                portrait: 'Portrait',
+                landscape: 'Paysage',
+                orientationLabel: 'Orientation',
+                custom: 'Format personnalisé',
+                width: 'Largeur',
+                height: 'Hauteur',
+                unit: 'Unité',
+                presetName: 'Nom du préréglage',
+                presetNamePlaceholder: 'ex. Livret',
+                apply: 'Appliquer',
+                savePreset: 'Enregistrer comme préréglage',
+                deletePreset: 'Supprimer le préréglage {{name}}',
+                invalidCustom: 'Saisissez une largeur et une hauteur entre {{min}} et {{max}} mm.',
+                presetSaved: 'Préréglage « {{name}} » enregistré.',
+                spacingTooLarge: 'Ce format de papier ne laisse aucune place dans les cellules avec les marges, gouttières et marges intérieures de cette page. Réduisez d’abord l’espacement.'
+            },
+            spacing: {
+                title: 'Marges et espacement',
+                presets: 'Préréglages',
+                presetStandard: 'Standard',
+                presetBorderless: 'Sans bordure',
+                presetBinderLeft: 'Classeur à gauche 25 mm',
+                presetPrinterSafe: 'Sûr pour l’imprimante 5 mm',
+                margins: 'Marges (mm)',
+                top: 'Haut',
+                right: 'Droite',
+                bottom: 'Bas',
+                left: 'Gauche',
+                gutters: 'Gouttières (mm)',
+                columnGap: 'Entre les colonnes',
+                rowGap: 'Entre les lignes',
+                cellPadding: 'Marge intérieure des cellules (mm)',
+                applyAllPages: 'Appliquer à toutes les pages',
+                apply: 'Appliquer',
+                invalid: 'Ces réglages ne laissent aucune place aux cellules. Réduisez les marges, les gouttières ou la marge intérieure.'
+            },
+            templates: {
+                title: 'Modèles de mise en page',
+                hint: 'Les modèles définissent le papier, la grille et les espacements. Le mode de remplissage et le filtre par défaut s’appliquent au contenu ajouté ensuite.',
+                applyAllPages: 'Appliquer à toutes les pages',
+                saveTitle: 'Enregistrer la page actuelle comme modèle',
+                name: 'Nom du modèle',
+                namePlaceholder: 'ex. Reçus 2 × 3',
+                save: 'Enregistrer le modèle',
+                import: 'Importer JSON',
+                export: 'Exporter JSON',
+                delete: 'Supprimer le modèle {{name}}',
+                defaultName: 'Modèle {{number}}',
+                applied: 'Modèle « {{name}} » appliqué.',
+                saved: 'Modèle « {{name}} » enregistré.',
+                saveFailed: 'Cette page ne peut pas être enregistrée comme modèle.',
+                overflowWarning_one: 'Le modèle comporte moins de cellules que de contenus sur la page. {{count}} élément sera supprimé.\n\nContinuer ?',
+                overflowWarning_other: 'Le modèle comporte moins de cellules que de contenus sur la page. {{count}} éléments seront supprimés.\n\nContinuer ?',
+                imported_one: '{{count}} modèle importé',
+                imported_other: '{{count}} modèles importés',
+                importFailed: 'Ce fichier ne contient aucun modèle de mise en page PDFomator.'
+            },
+            templateNames: {
+                idCard: 'Carte d’identité recto/verso sur A4',
+                slides4Up: '4 diapositives par page',
+                passportPhotos: 'Photos d’identité'
             },
             pdfPage: {
                 title: 'Sélectionner une page PDF',
@@ -547,29 +1401,66 @@ const I18N_RESOURCES = {
                 pageErrorLabel: 'Page {{page}} (erreur)',
                 previewUnavailable: 'Aperçu indisponible',
                 processingSelected: 'Traitement de la page sélectionnée...',
-                processSelectedFailed: 'Impossible de traiter la page sélectionnée.'
+                processSelectedFailed: 'Impossible de traiter la page sélectionnée.',
+                rangeLabel: 'Pages à importer',
+                selectAll: 'Tout sélectionner',
+                multiSelectHint: 'Touchez une page pour l’importer, ou utilisez Maj+clic, saisissez une plage ou sélectionnez tout pour remplir les cellules suivantes.',
+                importSelected_one: 'Importer {{count}} page',
+                importSelected_other: 'Importer {{count}} pages',
+                importingPages: 'Importation de la page {{current}} sur {{total}}...',
+                someFailed_one: '{{count}} page n’a pas pu être importée.',
+                someFailed_other: '{{count}} pages n’ont pas pu être importées.',
+                pageUnreadable: 'Page illisible',
+                damagedNotice: 'Ce PDF est endommagé : {{readable}} pages sur {{total}} ont pu être lues.',
+                tiffTitle: 'Sélectionner une page TIFF'
+            },
+            pdfPassword: {
+                title: 'Mot de passe requis',
+                prompt: '« {{name}} » est protégé par un mot de passe. Saisis-le pour l’ouvrir.',
+                incorrect: 'Mot de passe incorrect. Réessaie.',
+                label: 'Mot de passe',
+                open: 'Ouvrir'
             },
             export: {
-                title: 'Qualité d’export',
-                sdTitle: 'SD (web, mail)',
-                sdDescription: 'Fichiers plus petits',
-                hdTitle: 'HD (impression)',
-                hdDescription: 'Fichiers plus grands',
-                standardLabel: 'Standard (rapide)',
-                highLabel: 'Haute qualité',
+                title: 'Exporter',
                 noContent: 'Ajoutez du contenu à exporter.',
-                exporting: 'Export en qualité {{quality}}...',
+                exporting: 'Export à {{dpi}} ppp...',
                 rasterizingPage: 'Rasterisation de la page {{current}} sur {{total}}...',
                 assembling: 'Assemblage du PDF...',
                 preparingDownload: 'Préparation du téléchargement...',
                 complete: 'Export terminé.',
-                failed: 'Échec de l’export. Veuillez réessayer.'
+                failed: 'Échec de l’export. Veuillez réessayer.',
+                format: 'Format',
+                formatPdf: 'Document PDF',
+                formatPng: 'Une image PNG par feuille',
+                formatJpeg: 'Une image JPEG par feuille',
+                formatTiff: 'TIFF multipage',
+                group4: 'Compression CCITT G4 pour les pages 1 bit',
+                packing: 'Préparation des fichiers...',
+                dpi: 'Résolution (ppp)',
+                jpegQuality: 'Qualité JPEG',
+                losslessBitonal: 'Images 1 bit sans perte pour les cellules en noir et blanc',
+                estimate: 'Taille estimée : environ {{size}} Mo',
+                start: 'Exporter'
             },
             fileType: {
                 title: 'Choisir le type de contenu',
                 pdf: 'Document PDF',
                 image: 'Fichier image',
-                camera: 'Appareil photo'
+                camera: 'Appareil photo',
+                order: 'Ordre pour plusieurs fichiers',
+                orderName: 'Nom du fichier',
+                orderCaptureDate: 'Date de prise de vue',
+                paste: 'Coller'
+            },
+            import: {
+                progress: 'Importation du fichier {{current}} sur {{total}}...',
+                failed: 'Impossible d’importer les fichiers sélectionnés. Veuillez réessayer.',
+                someFailed_one: '{{count}} fichier n’a pas pu être importé.',
+                someFailed_other: '{{count}} fichiers n’ont pas pu être importés.',
+                unsupported: 'Seuls les images et les fichiers PDF peuvent être ajoutés.',
+                clipboardEmpty: 'Le presse-papiers ne contient aucune image ni aucun PDF à coller.',
+                clipboardUnavailable: 'Impossible de lire le presse-papiers. Autorise l’accès au presse-papiers, ou colle avec Ctrl+V (Cmd+V sur Mac).'
             },
             camera: {
                 title: 'Prendre une photo',
@@ -587,6 +1478,41 @@ const I18N_RESOURCES = {
                 deviceFallback: 'Appareil photo {{index}}',
                 photoTitle: 'Photo appareil'
             },
+            adjustments: {
+                title: 'Réglages de l’image',
+                brightness: 'Luminosité',
+                contrast: 'Contraste',
+                gamma: 'Gamma',
+                saturation: 'Saturation',
+                temperature: 'Température',
+                tint: 'Teinte',
+                sharpen: 'Netteté',
+                reset: 'Réinitialiser les réglages'
+            },
+            rotation: {
+                title: 'Rotation fine',
+                angle: 'Angle de rotation',
+                angleDegrees: 'Angle de rotation en degrés',
+                autoDeskew: 'Redresser automatiquement',
+                reset: 'Réinitialiser',
+                noTextLines: 'Aucune ligne de texte à redresser.'
+            },
+            perspective: {
+                title: 'Redresser le document',
+                hint: 'Faites glisser les coins sur les bords de la page, puis redressez-la.',
+                imageAlt: 'Photo à redresser',
+                topLeft: 'Coin supérieur gauche',
+                topRight: 'Coin supérieur droit',
+                bottomRight: 'Coin inférieur droit',
+                bottomLeft: 'Coin inférieur gauche',
+                detect: 'Détecter les bords',
+                fullImage: 'Photo entière',
+                keepOriginal: 'Garder l’original',
+                apply: 'Redresser',
+                processing: 'Redressement du document...',
+                notDetected: 'Aucun bord de document trouvé. Placez les coins à la main.',
+                failed: 'Impossible de redresser le document. Réessayez.'
+            },
             loading: {
                 title: 'Chargement',
                 processing: 'Traitement...',
@@ -596,17 +1522,35 @@ const I18N_RESOURCES = {
             },
             filters: {
                 bitonalThreshold: 'Seuil 1 bit',
-                applyFailed: 'Impossible d’appliquer le filtre. Réessayez.'
+                applyFailed: 'Impossible d’appliquer le filtre. Réessayez.',
+                options: 'Options du filtre',
+                adaptiveThreshold: 'S’adapter à un éclairage inégal',
+                adaptiveWindow: 'Taille de la fenêtre',
+                removeShadows: 'Supprimer les ombres'
+            },
+            filterNames: {
+                original: 'Original',
+                document: 'Document automatique',
+                bw: 'Noir et blanc',
+                bitonal: '1 bit',
+                invert: 'Inversé pour l’impression',
+                whiten: 'Fond blanchi',
+                accent: 'Gris avec accents rouges/bleus'
             },
             image: {
                 processFailed: 'Impossible de traiter l’image. Réessayez.',
-                rotateFailed: 'Impossible de faire pivoter l’image. Réessayez.'
+                rotateFailed: 'Impossible de faire pivoter l’image. Réessayez.',
+                unsupported: 'Ce format ou cette variante d’image n’est pas pris en charge.'
             },
             pdf: {
                 jsIncomplete: 'PDF.js n’a pas été chargé complètement. Actualisez la page.',
                 jsLoadFailed: 'La bibliothèque de traitement PDF n’a pas pu être chargée. Actualisez la page.',
                 processFailed: 'Impossible de traiter le PDF. Réessayez.',
-                libraryNotLoaded: 'La bibliothèque PDF.js n’est pas chargée. Actualisez la page et réessayez.'
+                libraryNotLoaded: 'La bibliothèque PDF.js n’est pas chargée. Actualisez la page et réessayez.',
+                encrypted: 'Ce PDF est protégé par un mot de passe. Saisis son mot de passe pour l’importer.',
+                corrupted: 'Ce PDF est endommagé et aucune page n’a pu être lue.',
+                unsupported: 'Ce fichier n’est pas un PDF ou utilise un format que PDFomator ne peut pas lire.',
+                oversized: 'Ce PDF est trop volumineux pour être importé. La limite est de {{size}} Mo.'
             },
             ocr: {
                 noImages: 'Aucune image pour l’OCR.',
@@ -619,6 +1563,36 @@ const I18N_RESOURCES = {
                 failed: 'Échec de l’OCR. Réessayez.',
                 noExportableCells: 'Aucune cellule exportable trouvée pour l’OCR.'
             },
+            history: {
+                undo: 'Annuler',
+                redo: 'Rétablir'
+            },
+            project: {
+                title: 'Projet',
+                save: 'Enregistrer le projet',
+                open: 'Ouvrir un projet',
+                saving: 'Enregistrement du projet...',
+                opening: 'Ouverture du projet...',
+                saved: 'Projet enregistré.',
+                saveFailed: 'Impossible d’enregistrer le projet. Veuillez réessayer.',
+                openFailed: 'Ce fichier n’est pas un projet PDFomator valide.',
+                unsupportedVersion: 'Ce projet a été créé avec une version plus récente de PDFomator. Veuillez mettre à jour l’app.',
+                replaceConfirm: 'Remplacer la mise en page actuelle par le projet ouvert ?',
+                newLayout: 'Nouvelle mise en page',
+                newLayoutConfirm: 'Vider toutes les pages et commencer une nouvelle mise en page ? Vous pouvez l’annuler.'
+            },
+            storage: {
+                restored: 'Mise en page précédente restaurée.',
+                startFresh: 'Recommencer',
+                keep: 'Garder la mise en page',
+                saveFailed: 'Échec de l’enregistrement automatique. La mise en page pourrait être perdue au rechargement.',
+                quotaExceeded: 'Échec de l’enregistrement automatique : le stockage du navigateur est plein.'
+            },
+            memory: {
+                usage: '{{used}} / {{budget}} Mo',
+                title: 'Mémoire utilisée par les images de cette mise en page',
+                warning: 'Les images occupent presque toute la mémoire disponible pour cet onglet. Exportez ou supprimez quelques pages avant d’en ajouter d’autres.'
+            },
             errors: {
                 prefix: 'Erreur PDFomator : {{message}}',
                 unexpected: 'Une erreur inattendue est survenue. Actualisez la page et réessayez.'
@@ -744,10 +1718,6 @@ function applyDomTranslations(root = document) {
     });
 }
 
-function getExportQualityLabel(quality) {
-    return quality === 'HD' ? t('export.highLabel') : t('export.standardLabel');
-}
-
 // Application state
 function createEmptyPageState(template = null) {
     const sourceSheet = template?.sheet || {
@@ -758,19 +1728,33 @@ function createEmptyPageState(template = null) {
     };
     const sourceGrid = template?.grid || { cols: 1, rows: 2 };
 
-    return {
-        sheet: {
-            paperSize: sourceSheet.paperSize,
-            orientation: sourceSheet.orientation,
-            width: sourceSheet.width,
-            height: sourceSheet.height
-        },
-        grid: {
-            cols: sourceGrid.cols,
-            rows: sourceGrid.rows
-        },
+    const sheet = {
+        paperSize: sourceSheet.paperSize,
+        orientation: sourceSheet.orientation,
+        width: sourceSheet.width,
+        height: sourceSheet.height
+    };
+
+    if (sourceSheet.customSize) {
+        sheet.customSize = { ...sourceSheet.customSize };
+    }
+
+    const pageState = {
+        sheet,
+        grid: cloneSerializableValue(sourceGrid),
         cells: []
     };
+
+    // Pages without their own spacing fall back to CONFIG.gridSpacing.
+    if (template?.gridSpacing) {
+        pageState.gridSpacing = cloneSerializableValue(template.gridSpacing);
+    }
+
+    if (template?.cellDefaults) {
+        pageState.cellDefaults = cloneSerializableValue(template.cellDefaults);
+    }
+
+    return pageState;
 }
 
 const appState = {
@@ -790,21 +1774,46 @@ function pageHasExportableContent(pageState) {
     return pageState.cells.some(isCellImageContent);
 }
 
-function syncPageDimensions(pageState) {
-    const size = CONFIG.paperSizes[pageState.sheet.paperSize];
-    if (pageState.sheet.orientation === 'portrait') {
-        pageState.sheet.width = size.width;
-        pageState.sheet.height = size.height;
-    } else {
-        pageState.sheet.width = size.height;
-        pageState.sheet.height = size.width;
+// Custom sizes are kept portrait-first like the standard ones, so orientation
+// applies to both the same way.
+function normalizeCustomPaperSize(size) {
+    const width = Math.round(Number(size?.width) * 100) / 100;
+    const height = Math.round(Number(size?.height) * 100) / 100;
+    const { minSize, maxSize } = CONFIG.customPaperSize;
+
+    if (![width, height].every(value => Number.isFinite(value) && value >= minSize && value <= maxSize)) {
+        return null;
+    }
+
+    return {
+        width: Math.min(width, height),
+        height: Math.max(width, height)
+    };
+}
+
+function getSheetPaperSize(sheet) {
+    if (sheet?.paperSize === CUSTOM_PAPER_SIZE) {
+        return normalizeCustomPaperSize(sheet.customSize);
     }
+
+    return CONFIG.paperSizes[sheet?.paperSize] || null;
+}
+
+function getOrientedPaperDimensions(size, orientation) {
+    return orientation === 'landscape' ? [size.height, size.width] : [size.width, size.height];
+}
+
+function syncPageDimensions(pageState) {
+    const size = getSheetPaperSize(pageState.sheet) || CONFIG.paperSizes.A4;
+    [pageState.sheet.width, pageState.sheet.height] = getOrientedPaperDimensions(size, pageState.sheet.orientation);
 }
 
 function renderCurrentPage() {
     const pageState = getCurrentPageState();
     syncPageDimensions(pageState);
     elements.sheet.className = `sheet ${pageState.sheet.paperSize.toLowerCase()}-${pageState.sheet.orientation}`;
+    elements.sheet.style.setProperty('--sheet-width', String(pageState.sheet.width));
+    elements.sheet.style.setProperty('--sheet-height', String(pageState.sheet.height));
     updatePageControls();
     updateSheetViewportMetrics();
     renderSVGSheet();
@@ -844,7 +1853,7 @@ function updatePageControls() {
 }
 
 function closePageScopedUI() {
-    hideBitonalPopover();
+    hideCellPopovers();
     currentTargetCell = null;
 }
 
@@ -874,13 +1883,15 @@ function syncPagePreviewMetrics() {
 }
 
 function handleViewportResize() {
-    hideBitonalPopover();
+    hideCellPopovers();
     updateSheetViewportMetrics();
     requestAnimationFrame(syncPagePreviewMetrics);
 }
 
 function hasBlockingOverlayOpen() {
-    return !!overlayManager.currentOverlay || !elements.bitonalPopover.classList.contains('hidden');
+    return !!overlayManager.currentOverlay
+        || [elements.bitonalPopover, elements.rotationPopover, elements.adjustmentsPopover]
+            .some(popover => !popover.classList.contains('hidden'));
 }
 
 function handlePageSwipeStart(event) {
@@ -944,9 +1955,11 @@ function goToNextPage() {
 }
 
 function addPage() {
+    const historyBefore = snapshotPageList();
     const pageTemplate = getCurrentPageState();
     appState.pages.push(createEmptyPageState(pageTemplate));
     switchToPage(appState.pages.length - 1);
+    recordPageListHistory(historyBefore);
 }
 
 function removeCurrentPage() {
@@ -960,9 +1973,11 @@ function removeCurrentPage() {
     }
 
     closePageScopedUI();
+    const historyBefore = snapshotPageList();
     const removedIndex = appState.currentPageIndex;
     appState.pages.splice(appState.currentPageIndex, 1);
     appState.currentPageIndex = Math.min(appState.currentPageIndex, appState.pages.length - 1);
+    recordPageListHistory(historyBefore);
     renderCurrentPage();
     animatePageTransition(appState.currentPageIndex < removedIndex ? 'prev' : 'next');
 }
@@ -988,13 +2003,29 @@ const layoutState = new Proxy({}, {
 
 // Configuration
 const CONFIG = {
+    // Standard paper sizes in mm (portrait); `unit` picks how the picker shows them
     paperSizes: {
         A4: { width: 210, height: 297 },
-        A3: { width: 297, height: 420 }
+        A3: { width: 297, height: 420 },
+        A5: { width: 148, height: 210 },
+        A6: { width: 105, height: 148 },
+        B5: { width: 176, height: 250 },
+        Letter: { width: 215.9, height: 279.4, unit: 'in' },
+        Legal: { width: 215.9, height: 355.6, unit: 'in' },
+        Tabloid: { width: 279.4, height: 431.8, unit: 'in' }
+    },
+
+    // User-defined paper sizes
+    customPaperSize: {
+        minSize: 50,                // Shortest accepted side in mm
+        maxSize: 1200,              // Longest accepted side in mm
+        presetsStorageKey: 'pdfomator.paperPresets'
     },
     maxGridSize: 5,
     pdfModuleUrl: resolveAppAssetUrl('./vendor/pdf.mjs'),
     pdfWorkerUrl: resolveAppAssetUrl('./vendor/pdf.worker.mjs'),
+    pdfLibModuleUrl: resolveAppAssetUrl('./vendor/pdf-lib/pdf-lib.esm.min.js'),
+    heifModuleUrl: resolveAppAssetUrl('./vendor/libheif/libheif-bundle.mjs'),
     
     // Grid spacing constants (in mm)
     gridSpacing: {
@@ -1003,6 +2034,81 @@ const CONFIG = {
         rowGap: 5,
         cellPadding: 2
     },
+
+    // Per-page spacing presets (in mm), same shape as gridSpacing
+    gridSpacingPresets: {
+        standard: {
+            sheetPadding: { top: 10, right: 10, bottom: 10, left: 10 },
+            columnGap: 5,
+            rowGap: 5,
+            cellPadding: 2
+        },
+        borderless: {
+            sheetPadding: { top: 0, right: 0, bottom: 0, left: 0 },
+            columnGap: 0,
+            rowGap: 0,
+            cellPadding: 0
+        },
+        binderLeft: {
+            sheetPadding: { top: 10, right: 10, bottom: 10, left: 25 },
+            columnGap: 5,
+            rowGap: 5,
+            cellPadding: 2
+        },
+        printerSafe: {
+            sheetPadding: { top: 5, right: 5, bottom: 5, left: 5 },
+            columnGap: 5,
+            rowGap: 5,
+            cellPadding: 2
+        }
+    },
+    minCellContentSize: 10,         // Smallest cell content side (mm) spacing may leave
+
+    // Layout templates; built-in names come from templateNames.<id>
+    layoutTemplates: {
+        storageKey: 'pdfomator.layoutTemplates',
+        maxNameLength: 60,
+        builtIns: [
+            {
+                // Front and back of an 85.6 × 54 mm ID-1 card, centred at print size
+                id: 'idCard',
+                sheet: { paperSize: 'A4', orientation: 'portrait' },
+                grid: { cols: 1, rows: 2 },
+                gridSpacing: {
+                    sheetPadding: { top: 89.5, right: 62.2, bottom: 89.5, left: 62.2 },
+                    columnGap: 0,
+                    rowGap: 10,
+                    cellPadding: 0
+                },
+                cells: [{ fillMode: 'cover' }, { fillMode: 'cover' }]
+            },
+            {
+                id: 'slides4Up',
+                sheet: { paperSize: 'A4', orientation: 'landscape' },
+                grid: { cols: 2, rows: 2 },
+                gridSpacing: {
+                    sheetPadding: { top: 10, right: 10, bottom: 10, left: 10 },
+                    columnGap: 8,
+                    rowGap: 8,
+                    cellPadding: 1
+                },
+                cells: []
+            },
+            {
+                // Six 35 × 45 mm photos on 4 × 6 in photo paper
+                id: 'passportPhotos',
+                sheet: { paperSize: 'custom', orientation: 'portrait', customSize: { width: 101.6, height: 152.4 } },
+                grid: { cols: 2, rows: 3 },
+                gridSpacing: {
+                    sheetPadding: { top: 3.7, right: 13.3, bottom: 3.7, left: 13.3 },
+                    columnGap: 5,
+                    rowGap: 5,
+                    cellPadding: 0
+                },
+                cells: new Array(6).fill({ fillMode: 'cover' })
+            }
+        ]
+    },
     
     // UI constants
     ui: {
@@ -1039,12 +2145,64 @@ const CONFIG = {
         updateCheckInterval: 60000  // Check for updates every 60 seconds
     },
 
+    // Undo/redo history
+    history: {
+        maxEntries: 100,
+        maxRetainedImageBytes: 192 * 1024 * 1024, // Encoded image bytes kept alive only by history
+        coalesceWindowMs: 1000      // Merge wheel zoom and slider steps on the same cell
+    },
+
+    // Layout autosave (IndexedDB)
+    storage: {
+        databaseName: 'pdfomator',
+        databaseVersion: 2,
+        layoutStore: 'layout',
+        imageStore: 'images',
+        documentStore: 'documents', // Source PDF bytes for vector export
+        layoutKey: 'current',
+        autosaveDelayMs: 800        // Debounce between the last edit and the write
+    },
+
     // PDF page selector virtualization
     pdfSelector: {
         thumbnailScale: 0.5,        // Small preview scale for page thumbnails
         itemHeight: 188,            // Fixed virtual row item height in px
         bufferRows: 2,              // Extra rows kept mounted above/below viewport
-        maxCachedThumbnails: 48     // Rendered thumbnail canvases retained across scrolls
+        maxCachedThumbnails: 48,    // Rendered thumbnail canvases retained across scrolls
+        rasterThumbnailSize: 420    // Longest side in px of TIFF page thumbnails
+    },
+
+    // Imported PDF pages are rasterized for the cell showing them, at the export resolution
+    pdfRender: {
+        minScale: 0.5,              // Floor for tiny cells (36 dpi)
+        maxPixels: 16 * 1024 * 1024,// Largest page raster, within mobile canvas limits
+        upgradeRatio: 1.25,         // Re-render once a cell needs this much more detail
+        refreshDelayMs: 500         // Lets zooming and layout edits settle first
+    },
+
+    // Opening PDF files
+    pdfImport: {
+        maxFileBytes: 200 * 1024 * 1024, // Larger files are refused before reading them into memory
+        headerSearchBytes: 1024     // Readers accept junk before the %PDF- header up to here
+    },
+
+    // Export settings, remembered between sessions
+    export: {
+        minDpi: 72,
+        maxDpi: 600,
+        defaultDpi: 150,
+        minJpegQuality: 0.4,
+        defaultJpegQuality: 0.85,
+        settingsStorageKey: 'pdfomator.exportSettings',
+        grayChromaTolerance: 6,     // Max channel spread for a cell to count as gray
+        // Rough bytes per encoded pixel, used only for the size estimate
+        estimatedBytesPerPixel: {
+            png: 1.2,               // Lossless color content
+            bitonalPng: 0.06,
+            deflateRGB: 1.5,
+            group4: 0.01,           // 1-bit TIFF pages and PDF cells
+            packedBitonal: 0.125
+        }
     },
 
     // Image normalization
@@ -1052,6 +2210,41 @@ const CONFIG = {
         maxRasterDimension: 2800    // Downscale oversized photos for faster filtering/export
     },
 
+    // Image memory accounting
+    memory: {
+        budgetPerDeviceGigabyte: 128 * 1024 * 1024, // Image budget per GB of navigator.deviceMemory
+        defaultBudget: 512 * 1024 * 1024,           // When the browser does not report device memory
+        maxBudget: 1536 * 1024 * 1024,
+        warningRatio: 0.8           // Warn once images use this share of the budget
+    },
+
+    // Adaptive thresholding and shadow removal
+    lighting: {
+        defaultWindow: 6,           // Local window as a percentage of the image's longest side
+        minWindow: 2,
+        maxWindow: 20,
+        mapCellsPerWindow: 8,       // Resolution of the lighting map relative to the window
+        minMapSize: 32,
+        maxMapSize: 512,
+        sauvolaK: 0.2               // How strongly local contrast lowers the Sauvola threshold
+    },
+
+    // Fine rotation and deskew
+    rotation: {
+        maxFineAngle: 45,           // Fine rotation range in degrees, either way
+        maxDeskewAngle: 15,         // Steepest text-line tilt auto-deskew looks for
+        deskewAnalysisSize: 900,    // Longest side of the copy used to estimate the tilt
+        deskewMinInkPixels: 200     // Fewer dark pixels than this means there is nothing to align
+    },
+
+    // Perspective correction
+    perspective: {
+        detectionSize: 320,         // Longest side of the downscaled copy used to find the page
+        minDocumentArea: 0.15,      // Detected page must cover at least this share of the photo
+        maxDocumentArea: 0.97,      // ...and leave some background visible around it
+        maxOutputDimension: 2800    // Longest side of the straightened image
+    },
+
     // Local OCR
     ocr: {
         moduleUrl: resolveAppAssetUrl('./vendor/paddleocr/paddleocr-browser.mjs'),
@@ -1071,25 +2264,37 @@ const CONFIG = {
     }
 };
 
-// Export quality configuration
-const EXPORT_QUALITY = {
-    SD: { 
-        scale: 4.0,        // Raster scale in px/mm, tuned for the current export pipeline
-        jpegQuality: 0.8
-    },
-    HD: { 
-        scale: 6.0,
-        jpegQuality: 0.9
-    }
-};
+const EXPORT_FORMATS = ['pdf', 'png', 'jpeg', 'tiff'];
 
 const CELL_FILTERS = [
     { key: 'original', label: 'O', name: 'Original' },
     { key: 'document', label: 'A', name: 'Auto' },
     { key: 'bw', label: 'BW', name: 'B&W' },
-    { key: 'bitonal', label: '1', name: '1-bit' }
+    { key: 'bitonal', label: '1', name: '1-bit' },
+    { key: 'invert', label: 'INV', name: 'Invert for print' },
+    { key: 'whiten', label: 'W', name: 'Whiten background' },
+    { key: 'accent', label: 'RB', name: 'Gray with red/blue' }
 ];
 const DEFAULT_BITONAL_THRESHOLD = 58;
+const IMAGE_ADJUSTMENTS = [
+    { key: 'brightness', min: -100, max: 100, defaultValue: 0 },
+    { key: 'contrast', min: -100, max: 100, defaultValue: 0 },
+    { key: 'gamma', min: 0.2, max: 3, defaultValue: 1 },
+    { key: 'saturation', min: -100, max: 100, defaultValue: 0 },
+    { key: 'temperature', min: -100, max: 100, defaultValue: 0 },
+    { key: 'tint', min: -100, max: 100, defaultValue: 0 },
+    { key: 'sharpen', min: 0, max: 100, defaultValue: 0 }
+];
+const CELL_FILL_MODES = ['contain', 'cover', 'fill'];
+const CUSTOM_PAPER_SIZE = 'custom';
+const MM_PER_INCH = 25.4;
+const LAYOUT_STORAGE_VERSION = 1;
+const HISTORY_SHARED_CELL_KEYS = new Set(['image', 'originalImage', 'ocr']);
+const PROJECT_BUNDLE_FORMAT = 'pdfomator-project';
+const PROJECT_BUNDLE_VERSION = 1;
+const LAYOUT_TEMPLATE_FORMAT = 'pdfomator-templates';
+const LAYOUT_TEMPLATE_VERSION = 1;
+const PROJECT_BUNDLE_EXTENSION = 'pdfomator';
 
 function resolveAppAssetUrl(path) {
     return new URL(path, window.location.href).href;
@@ -1186,13 +2391,20 @@ let currentTargetCell = null; // Track which cell is being filled
 let pageSelectorSession = null;
 let lastKnownAppVersion = APP_VERSION;
 let pdfjsLib = null;
+let pdfLibPromise = null;
+let heifDecoderPromise = null;
 let statusToastTimeoutId = null;
 let activeStatusToast = null;
 const filterEngineState = {
     mode: 'pending',
-    processor: null,
     unavailableReason: ''
 };
+const imageWorkerState = {
+    worker: null,
+    failed: false,
+    nextTaskId: 1,
+    tasks: new Map()
+};
 const ocrState = {
     enginePromise: null,
     busy: false,
@@ -1211,7 +2423,23 @@ const bitonalPopoverState = {
     suppressNextClick: false,
     frameRequestId: null,
     applying: false,
-    pendingThreshold: null
+    pendingSettings: null
+};
+const adjustmentsPopoverState = {
+    cellIndex: null,
+    anchorRect: null,
+    frameRequestId: null,
+    applying: false,
+    pendingAdjustments: null
+};
+const rotationPopoverState = {
+    cellIndex: null,
+    anchorRect: null,
+    longPressTimer: null,
+    suppressNextClick: false,
+    frameRequestId: null,
+    applying: false,
+    pendingAngle: null
 };
 const pageSwipeState = {
     startX: 0,
@@ -1224,6 +2452,79 @@ const cameraState = {
     devices: [],
     selectedDeviceId: ''
 };
+const storageState = {
+    databasePromise: null,
+    autosaveTimeoutId: null,
+    savePromise: null,
+    suspended: true,
+    imageKeys: new WeakMap(),
+    persistedImageKeys: new Set(),
+    persistedDocumentIds: new Set(),
+    lastErrorName: ''
+};
+// Imported PDF files kept by id so export can embed their pages as vectors.
+// Pending ids belong to imports still in progress and are never pruned.
+const pdfSourceState = {
+    documents: new Map(),
+    pendingDocumentIds: new Set(),
+    textlessPages: new Set()    // `documentId:pageNumber` of pages that carry no text
+};
+// Passes re-rendering PDF pages that outgrew their raster or reading their
+// text for the cells showing them, run one at a time
+const pdfRenderState = {
+    refreshTimer: null,
+    queue: Promise.resolve(),
+    exporting: false,           // Refreshes wait while an export visits the pages
+    exportImages: new Map()     // cellData -> image rendered for the running export only
+};
+// Settles the open password prompt with the entered password, or null when canceled
+const pdfPasswordState = {
+    resolve: null
+};
+// Encoded images by content hash, so identical sources share one Blob, and by
+// object URL, so rasterized SVGs can inline them.
+const imageStoreState = {
+    images: new Map(),
+    urls: new Map(),
+    usedBytes: 0,
+    warningShown: false
+};
+const historyState = {
+    undoStack: [],
+    redoStack: [],
+    pendingCellSnapshots: new WeakMap(),
+    suspendedDepth: 0,
+    activeGroup: null
+};
+const gridLayoutEditorState = {
+    selection: null,
+    dragging: false
+};
+const layoutTemplateState = {
+    templates: []
+};
+const perspectiveEditorState = {
+    cellIndex: null,
+    cellData: null,
+    imageData: null,
+    corners: [],
+    activeCorner: null
+};
+const sizePickerState = {
+    orientation: 'portrait',
+    customUnit: 'mm',
+    presets: []
+};
+const importState = {
+    order: 'name'
+};
+const exportState = {
+    format: 'pdf',              // One of EXPORT_FORMATS
+    dpi: CONFIG.export.defaultDpi,
+    jpegQuality: CONFIG.export.defaultJpegQuality,
+    losslessBitonal: true,      // CCITT G4 instead of JPEG for 1-bit cells in PDFs
+    group4: true                // CCITT G4 for 1-bit TIFF pages
+};
 const cropDragState = {
     active: false,
     suppressNextClick: false,
@@ -1318,16 +2619,20 @@ function setCellCrop(cellIndex, nextCrop, contentRect) {
     }
 }
 
-function resetCellCrops() {
-    for (let i = 0; i < layoutState.cells.length; i++) {
-        const cellData = layoutState.cells[i];
+function clearCellCrop(cellIndex) {
+    const cellData = layoutState.cells[cellIndex];
 
-        if (!cellData?.crop) continue;
+    if (!cellData?.crop) return;
 
-        delete cellData.crop;
-        if (!isCellImageContent(cellData)) {
-            layoutState.cells[i] = null;
-        }
+    delete cellData.crop;
+    if (!isCellImageContent(cellData)) {
+        layoutState.cells[cellIndex] = null;
+    }
+}
+
+function resetCellCrops() {
+    for (let i = 0; i < layoutState.cells.length; i++) {
+        clearCellCrop(i);
     }
 }
 
@@ -1455,6 +2760,7 @@ function getCellImageGeometry(cellData, contentRect) {
 }
 
 function beginCellImageOperation(cellData) {
+    cancelImageTasks(cellData);
     cellData.imageOperationId = (cellData.imageOperationId || 0) + 1;
     return cellData.imageOperationId;
 }
@@ -1497,10 +2803,19 @@ async function init() {
     // Setup event listeners
     setupEventListeners();
     updateOcrButtonState();
+    updateHistoryControls();
+
+    // Restore the autosaved layout before the first render
+    const restoredContent = await restoreSavedLayout();
 
     // Initialize the current page view
     renderCurrentPage();
+    storageState.suspended = false;
     scheduleOcrEnginePreload();
+
+    if (restoredContent) {
+        showRestoreNotification();
+    }
 }
 
 function registerServiceWorker() {
@@ -1578,7 +2893,7 @@ function registerServiceWorker() {
                 console.log('[App] Service Worker controller changed on localhost');
                 if (shouldReloadForLocalServiceWorkerUpdate) {
                     console.log('[App] Reloading localhost after Service Worker update');
-                    window.location.reload();
+                    reloadAfterLayoutSave();
                     return;
                 }
 
@@ -1588,7 +2903,7 @@ function registerServiceWorker() {
 
             console.log('[App] Service Worker controller changed - reloading app');
             // Reload once after the user applies an update.
-            window.location.reload();
+            reloadAfterLayoutSave();
         });
     } else {
         console.log('[App] Service Worker not supported');
@@ -1652,6 +2967,55 @@ function showUpdateNotification(registration) {
     console.log('[App] Update notification shown');
 }
 
+function showRestoreNotification() {
+    if (document.querySelector('.restore-notification')) {
+        return;
+    }
+
+    const notification = document.createElement('div');
+    notification.className = 'update-notification restore-notification';
+
+    const content = document.createElement('div');
+    content.className = 'update-content';
+
+    const message = document.createElement('span');
+    message.textContent = t('storage.restored');
+
+    const startFreshButton = document.createElement('button');
+    startFreshButton.className = 'update-btn';
+    startFreshButton.textContent = t('storage.startFresh');
+
+    const dismissButton = document.createElement('button');
+    dismissButton.className = 'dismiss-btn';
+    dismissButton.textContent = '×';
+    dismissButton.setAttribute('aria-label', t('storage.keep'));
+
+    content.appendChild(message);
+    content.appendChild(startFreshButton);
+    content.appendChild(dismissButton);
+    notification.appendChild(content);
+
+    document.body.appendChild(notification);
+
+    // Auto-dismiss after 8 seconds, keeping the restored layout
+    const autoDismiss = setTimeout(() => {
+        if (notification.parentNode) {
+            notification.remove();
+        }
+    }, 8000);
+
+    startFreshButton.addEventListener('click', () => {
+        clearTimeout(autoDismiss);
+        notification.remove();
+        void startFreshLayout();
+    });
+
+    dismissButton.addEventListener('click', () => {
+        clearTimeout(autoDismiss);
+        notification.remove();
+    });
+}
+
 function updateVersionDisplay(appVersion) {
     const versionElement = document.getElementById('version');
     if (versionElement && appVersion) {
@@ -1673,21 +3037,34 @@ function refreshVersionDisplay() {
 
 function cacheElements() {
     elements = {
+        memoryIndicator: document.getElementById('memoryIndicator'),
         sheet: document.getElementById('sheet'),
         sheetFrame: document.getElementById('sheetFrame'),
         sheetStack: document.getElementById('sheetStack'),
         ocrVisualOverlay: document.getElementById('ocrVisualOverlay'),
+        dropHighlight: document.getElementById('dropHighlight'),
         pageControls: document.getElementById('pageControls'),
         prevPageBtn: document.getElementById('prevPageBtn'),
         nextPageBtn: document.getElementById('nextPageBtn'),
         addPageBtn: document.getElementById('addPageBtn'),
         removePageBtn: document.getElementById('removePageBtn'),
+        undoBtn: document.getElementById('undoBtn'),
+        redoBtn: document.getElementById('redoBtn'),
         pageIndicator: document.getElementById('pageIndicator'),
         mainContent: document.querySelector('.main-content'),
         sizeBtn: document.getElementById('sizeBtn'),
+        spacingBtn: document.getElementById('spacingBtn'),
         gridBtn: document.getElementById('gridBtn'),
+        templateBtn: document.getElementById('templateBtn'),
         ocrBtn: document.getElementById('ocrBtn'),
         exportBtn: document.getElementById('exportBtn'),
+        projectBtn: document.getElementById('projectBtn'),
+        projectOverlay: document.getElementById('projectOverlay'),
+        saveProjectBtn: document.getElementById('saveProjectBtn'),
+        openProjectBtn: document.getElementById('openProjectBtn'),
+        newLayoutBtn: document.getElementById('newLayoutBtn'),
+        cancelProject: document.getElementById('cancelProject'),
+        projectInput: document.getElementById('projectInput'),
         pdfInput: document.getElementById('pdfInput'),
         imageInput: document.getElementById('imageInput'),
         cameraInput: document.getElementById('cameraInput'),
@@ -1695,14 +3072,59 @@ function cacheElements() {
         gridMatrix: document.getElementById('gridMatrix'),
         gridDisplay: document.getElementById('gridDisplay'),
         cancelGrid: document.getElementById('cancelGrid'),
+        gridLayoutPreview: document.getElementById('gridLayoutPreview'),
+        mergeCellsBtn: document.getElementById('mergeCellsBtn'),
+        splitCellsBtn: document.getElementById('splitCellsBtn'),
+        columnWeightsInput: document.getElementById('columnWeightsInput'),
+        rowWeightsInput: document.getElementById('rowWeightsInput'),
+        applyTrackSizesBtn: document.getElementById('applyTrackSizesBtn'),
+        resetGridLayoutBtn: document.getElementById('resetGridLayoutBtn'),
         sizeOverlay: document.getElementById('sizeOverlay'),
         cancelSize: document.getElementById('cancelSize'),
+        sizeOptions: document.getElementById('sizeOptions'),
+        sizeOrientationButtons: document.querySelectorAll('.size-orientation-btn'),
+        spacingOverlay: document.getElementById('spacingOverlay'),
+        spacingPresetButtons: document.querySelectorAll('.spacing-preset-btn'),
+        marginInputs: document.querySelectorAll('#spacingOverlay [data-margin]'),
+        columnGapInput: document.getElementById('columnGapInput'),
+        rowGapInput: document.getElementById('rowGapInput'),
+        cellPaddingInput: document.getElementById('cellPaddingInput'),
+        spacingAllPagesInput: document.getElementById('spacingAllPagesInput'),
+        applySpacingBtn: document.getElementById('applySpacingBtn'),
+        cancelSpacing: document.getElementById('cancelSpacing'),
+        templateOverlay: document.getElementById('templateOverlay'),
+        templateOptions: document.getElementById('templateOptions'),
+        templateAllPagesInput: document.getElementById('templateAllPagesInput'),
+        templateNameInput: document.getElementById('templateNameInput'),
+        saveTemplateBtn: document.getElementById('saveTemplateBtn'),
+        importTemplatesBtn: document.getElementById('importTemplatesBtn'),
+        exportTemplatesBtn: document.getElementById('exportTemplatesBtn'),
+        templateInput: document.getElementById('templateInput'),
+        cancelTemplates: document.getElementById('cancelTemplates'),
+        customSizeSection: document.getElementById('customSizeSection'),
+        customWidthInput: document.getElementById('customWidthInput'),
+        customHeightInput: document.getElementById('customHeightInput'),
+        customUnitSelect: document.getElementById('customUnitSelect'),
+        customPresetNameInput: document.getElementById('customPresetNameInput'),
+        saveCustomPresetBtn: document.getElementById('saveCustomPresetBtn'),
+        applyCustomSizeBtn: document.getElementById('applyCustomSizeBtn'),
         fileTypeSelector: document.getElementById('fileTypeSelector'),
         selectPdfBtn: document.getElementById('selectPdfBtn'),
         selectImageBtn: document.getElementById('selectImageBtn'),
         selectCameraBtn: document.getElementById('selectCameraBtn'),
+        selectPasteBtn: document.getElementById('selectPasteBtn'),
         cancelFileType: document.getElementById('cancelFileType'),
+        importOrderSelect: document.getElementById('importOrderSelect'),
         cameraOverlay: document.getElementById('cameraOverlay'),
+        perspectiveOverlay: document.getElementById('perspectiveOverlay'),
+        perspectiveStage: document.getElementById('perspectiveStage'),
+        perspectiveImage: document.getElementById('perspectiveImage'),
+        perspectiveOutline: document.getElementById('perspectiveOutline'),
+        perspectiveHandles: document.querySelectorAll('.perspective-handle'),
+        perspectiveDetectBtn: document.getElementById('perspectiveDetectBtn'),
+        perspectiveResetBtn: document.getElementById('perspectiveResetBtn'),
+        applyPerspectiveBtn: document.getElementById('applyPerspectiveBtn'),
+        cancelPerspective: document.getElementById('cancelPerspective'),
         cameraDeviceField: document.getElementById('cameraDeviceField'),
         cameraDeviceSelect: document.getElementById('cameraDeviceSelect'),
         cameraVideo: document.getElementById('cameraVideo'),
@@ -1712,15 +3134,48 @@ function cacheElements() {
         cameraRetakeBtn: document.getElementById('cameraRetakeBtn'),
         cancelCamera: document.getElementById('cancelCamera'),
         pageSelector: document.getElementById('pageSelector'),
+        pageSelectorTitle: document.getElementById('pageSelectorTitle'),
+        pageSelectorNotice: document.getElementById('pageSelectorNotice'),
         pageGrid: document.getElementById('pageGrid'),
+        pageRangeInput: document.getElementById('pageRangeInput'),
+        selectAllPagesBtn: document.getElementById('selectAllPagesBtn'),
+        importSelectedPagesBtn: document.getElementById('importSelectedPagesBtn'),
         cancelPageSelection: document.getElementById('cancelPageSelection'),
+        pdfPasswordOverlay: document.getElementById('pdfPasswordOverlay'),
+        pdfPasswordForm: document.getElementById('pdfPasswordForm'),
+        pdfPasswordMessage: document.getElementById('pdfPasswordMessage'),
+        pdfPasswordInput: document.getElementById('pdfPasswordInput'),
+        cancelPdfPassword: document.getElementById('cancelPdfPassword'),
         exportOverlay: document.getElementById('exportOverlay'),
-        exportSD: document.getElementById('exportSD'),
-        exportHD: document.getElementById('exportHD'),
+        exportFormatSelect: document.getElementById('exportFormatSelect'),
+        exportDpiInput: document.getElementById('exportDpiInput'),
+        exportJpegQualityField: document.getElementById('exportJpegQualityField'),
+        exportJpegQualityInput: document.getElementById('exportJpegQualityInput'),
+        exportJpegQualityValue: document.getElementById('exportJpegQualityValue'),
+        exportLosslessOption: document.getElementById('exportLosslessOption'),
+        exportLosslessInput: document.getElementById('exportLosslessInput'),
+        exportGroup4Option: document.getElementById('exportGroup4Option'),
+        exportGroup4Input: document.getElementById('exportGroup4Input'),
+        exportSizeEstimate: document.getElementById('exportSizeEstimate'),
+        startExportBtn: document.getElementById('startExportBtn'),
         cancelExport: document.getElementById('cancelExport'),
         loading: document.getElementById('loading'),
         bitonalPopover: document.getElementById('bitonalPopover'),
-        bitonalThresholdSlider: document.getElementById('bitonalThresholdSlider')
+        bitonalThresholdSlider: document.getElementById('bitonalThresholdSlider'),
+        bitonalOptions: document.getElementById('bitonalOptions'),
+        adaptiveThresholdInput: document.getElementById('adaptiveThresholdInput'),
+        adaptiveWindowField: document.getElementById('adaptiveWindowField'),
+        adaptiveWindowSlider: document.getElementById('adaptiveWindowSlider'),
+        documentOptions: document.getElementById('documentOptions'),
+        removeShadowsInput: document.getElementById('removeShadowsInput'),
+        rotationPopover: document.getElementById('rotationPopover'),
+        rotationAngleSlider: document.getElementById('rotationAngleSlider'),
+        rotationAngleInput: document.getElementById('rotationAngleInput'),
+        deskewBtn: document.getElementById('deskewBtn'),
+        resetRotationAngleBtn: document.getElementById('resetRotationAngleBtn'),
+        adjustmentsPopover: document.getElementById('adjustmentsPopover'),
+        adjustmentSliders: document.querySelectorAll('#adjustmentsPopover [data-adjustment]'),
+        resetAdjustmentsBtn: document.getElementById('resetAdjustmentsBtn')
     };
 }
 
@@ -1751,13 +3206,17 @@ function warmFilterEngineCapability() {
         return;
     }
 
-    try {
-        getWebGLFilterProcessor();
-        setFilterEngineMode('gpu');
-    } catch (error) {
+    runImageTask('probe').then(updateFilterEngineMode).catch(error => {
         filterEngineState.unavailableReason = String(error);
         setFilterEngineMode('cpu');
+    });
+}
+
+function updateFilterEngineMode({ engine, engineError }) {
+    if (engineError) {
+        filterEngineState.unavailableReason = engineError;
     }
+    setFilterEngineMode(engine);
 }
 
 function setFilterEngineMode(mode) {
@@ -1768,18 +3227,24 @@ function setFilterEngineMode(mode) {
 function setupEventListeners() {
     // FAB button handlers
     elements.sizeBtn.addEventListener('click', handleSizePicker);
+    elements.spacingBtn.addEventListener('click', showSpacingPicker);
     elements.gridBtn.addEventListener('click', handleGridPicker);
+    elements.templateBtn.addEventListener('click', showTemplatePicker);
     elements.ocrBtn.addEventListener('click', handleRunOCR);
     elements.exportBtn.addEventListener('click', handleExport);
+    elements.projectBtn.addEventListener('click', showProjectOverlay);
     elements.prevPageBtn.addEventListener('click', goToPreviousPage);
     elements.nextPageBtn.addEventListener('click', goToNextPage);
     elements.addPageBtn.addEventListener('click', addPage);
     elements.removePageBtn.addEventListener('click', removeCurrentPage);
+    elements.undoBtn.addEventListener('click', undoLayoutChange);
+    elements.redoBtn.addEventListener('click', redoLayoutChange);
     
     // File input handlers
     elements.pdfInput.addEventListener('change', handlePDFSelection);
     elements.imageInput.addEventListener('change', handleImageSelection);
     elements.cameraInput.addEventListener('change', handleCameraSelection);
+    elements.projectInput.addEventListener('change', handleProjectSelection);
     
     // File type selector handlers
     elements.selectPdfBtn.addEventListener('click', () => {
@@ -1791,47 +3256,116 @@ function setupEventListeners() {
         elements.imageInput.click();
     });
     elements.selectCameraBtn.addEventListener('click', handleCameraOption);
+    elements.selectPasteBtn.addEventListener('click', handlePasteOption);
+    elements.selectPasteBtn.classList.toggle('hidden', typeof navigator.clipboard?.read !== 'function');
     elements.cancelFileType.addEventListener('click', cancelFileTypeSelector);
+    elements.importOrderSelect.addEventListener('change', () => {
+        importState.order = elements.importOrderSelect.value;
+    });
     elements.cameraCaptureBtn.addEventListener('click', captureCameraFrame);
     elements.cameraUseBtn.addEventListener('click', useCapturedPhoto);
     elements.cameraRetakeBtn.addEventListener('click', resetCameraCapture);
     elements.cameraDeviceSelect.addEventListener('change', handleCameraDeviceChange);
     elements.cancelCamera.addEventListener('click', cancelCameraOverlay);
-    elements.bitonalThresholdSlider.addEventListener('input', handleBitonalThresholdInput);
+    elements.bitonalThresholdSlider.addEventListener('input', handleFilterOptionsInput);
+    elements.adaptiveWindowSlider.addEventListener('input', handleFilterOptionsInput);
+    elements.adaptiveThresholdInput.addEventListener('change', handleFilterOptionsInput);
+    elements.removeShadowsInput.addEventListener('change', handleFilterOptionsInput);
+    elements.rotationAngleSlider.addEventListener('input', handleRotationAngleInput);
+    elements.rotationAngleInput.addEventListener('change', handleRotationAngleInput);
+    elements.deskewBtn.addEventListener('click', handleDeskewClick);
+    elements.adjustmentSliders.forEach(slider => slider.addEventListener('input', handleAdjustmentInput));
+    elements.resetAdjustmentsBtn.addEventListener('click', () => {
+        if (adjustmentsPopoverState.cellIndex === null) return;
+        syncAdjustmentControls(getImageAdjustments(null));
+        queueImageAdjustments({});
+    });
+    elements.resetRotationAngleBtn.addEventListener('click', () => {
+        if (rotationPopoverState.cellIndex === null) return;
+        syncRotationAngleControls(0);
+        queueRotationAngle(0);
+    });
     
-    // Export quality handlers
-    elements.exportSD.addEventListener('click', () => handleQualityExport('SD'));
-    elements.exportHD.addEventListener('click', () => handleQualityExport('HD'));
+    // Export handlers
+    elements.startExportBtn.addEventListener('click', startExport);
     elements.cancelExport.addEventListener('click', hideExportOverlay);
+
+    // Project handlers
+    elements.saveProjectBtn.addEventListener('click', handleSaveProject);
+    elements.openProjectBtn.addEventListener('click', handleOpenProjectOption);
+    elements.newLayoutBtn.addEventListener('click', handleNewLayoutOption);
+    elements.cancelProject.addEventListener('click', hideProjectOverlay);
     
     // Cancel button handlers
     elements.cancelGrid.addEventListener('click', hideGridPicker);
     elements.cancelSize.addEventListener('click', hideSizePicker);
+    elements.cancelSpacing.addEventListener('click', hideSpacingPicker);
+    elements.cancelTemplates.addEventListener('click', hideTemplatePicker);
+    elements.cancelPerspective.addEventListener('click', hidePerspectiveEditor);
     
     // Page selector handlers
     elements.cancelPageSelection.addEventListener('click', hidePageSelector);
+    elements.selectAllPagesBtn.addEventListener('click', selectAllPDFPages);
+    elements.importSelectedPagesBtn.addEventListener('click', importSelectedPDFPages);
+    elements.pageRangeInput.addEventListener('input', handlePDFPageRangeInput);
+    elements.pageRangeInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            importSelectedPDFPages();
+        }
+    });
+
+    // PDF password prompt handlers
+    elements.pdfPasswordForm.addEventListener('submit', submitPDFPassword);
+    elements.cancelPdfPassword.addEventListener('click', cancelPDFPasswordPrompt);
     
     // Setup overlay background click handlers
     overlayManager.setupClickOutside(elements.gridOverlay, hideGridPicker);
     overlayManager.setupClickOutside(elements.sizeOverlay, hideSizePicker);
+    overlayManager.setupClickOutside(elements.spacingOverlay, hideSpacingPicker);
+    overlayManager.setupClickOutside(elements.templateOverlay, hideTemplatePicker);
     overlayManager.setupClickOutside(elements.exportOverlay, hideExportOverlay);
+    overlayManager.setupClickOutside(elements.projectOverlay, hideProjectOverlay);
     overlayManager.setupClickOutside(elements.fileTypeSelector, cancelFileTypeSelector);
     overlayManager.setupClickOutside(elements.cameraOverlay, cancelCameraOverlay);
+    overlayManager.setupClickOutside(elements.perspectiveOverlay, hidePerspectiveEditor);
     overlayManager.setupClickOutside(elements.pageSelector, hidePageSelector);
+    overlayManager.setupClickOutside(elements.pdfPasswordOverlay, cancelPDFPasswordPrompt);
     
     // Setup grid matrix
     setupGridMatrix();
+    setupGridLayoutEditor();
     
     // Setup size options
     setupSizeOptions();
+    setupSpacingOptions();
+    setupLayoutTemplates();
+    setupExportSettings();
+    setupPerspectiveEditor();
     
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
     document.addEventListener('pointerdown', handleGlobalPointerDown, true);
+    document.addEventListener('paste', handlePaste);
     window.addEventListener('resize', handleViewportResize);
     elements.sheetStack.addEventListener('touchstart', handlePageSwipeStart, { passive: true });
     elements.sheetStack.addEventListener('touchend', handlePageSwipeEnd, { passive: true });
     elements.sheetStack.addEventListener('touchcancel', resetPageSwipeTracking, { passive: true });
+    elements.mainContent.addEventListener('dragover', handleSheetDragOver);
+    elements.mainContent.addEventListener('dragleave', handleSheetDragLeave);
+    elements.mainContent.addEventListener('drop', handleSheetDrop);
+    // Keep stray drops outside the sheet from navigating away from the app.
+    window.addEventListener('dragover', (event) => {
+        if (hasDraggedFiles(event)) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+        if (hasDraggedFiles(event)) event.preventDefault();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            void flushLayoutAutosave();
+        }
+    });
 }
 
 function handleKeyboard(e) {
@@ -1847,12 +3381,17 @@ function handleKeyboard(e) {
     if (e.key === 'Escape') {
         hideGridPicker();
         hideSizePicker();
+        hideSpacingPicker();
+        hideTemplatePicker();
         cancelFileTypeSelector();
         cancelCameraOverlay();
+        hidePerspectiveEditor();
         hidePageSelector();
+        cancelPDFPasswordPrompt();
         hideExportOverlay();
+        hideProjectOverlay();
         hideLoading();
-        hideBitonalPopover();
+        hideCellPopovers();
     }
     
     // Ctrl/Cmd + E to export
@@ -1861,6 +3400,27 @@ function handleKeyboard(e) {
         handleExport();
     }
 
+    // Ctrl/Cmd + S / O to save or open a project
+    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 's') {
+        e.preventDefault();
+        handleSaveProject();
+    } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'o') {
+        e.preventDefault();
+        handleOpenProjectOption();
+    }
+
+    // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo
+    if (!isFormControl && (e.ctrlKey || e.metaKey) && !e.altKey && !cropDragState.active && !overlayManager.currentOverlay) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoLayoutChange();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+            e.preventDefault();
+            redoLayoutChange();
+        }
+    }
+
     if (!isFormControl && !e.ctrlKey && !e.metaKey && !e.altKey && appState.pages.length > 1 && !hasBlockingOverlayOpen()) {
         if (e.key === 'ArrowLeft') {
             e.preventDefault();
@@ -1900,13 +3460,18 @@ async function handlePDFSelection(e) {
     
     if (files.length === 0 || targetCell === null) return;
     
-    const file = files[0]; // Single file selection
     showLoading(t('loading.processingPdf'));
     
     try {
-        await processPDFFileForCell(file, targetCell);
+        if (files.length > 1) {
+            await importFilesIntoFlow(files, createCellFlow(appState.currentPageIndex, targetCell));
+        } else {
+            await processPDFFileForFlow(files[0], createCellFlow(appState.currentPageIndex, targetCell));
+        }
     } catch (error) {
-        alert(t('pdf.processFailed'));
+        if (!isPDFImportCanceled(error)) {
+            alert(getPDFImportErrorMessage(error));
+        }
     } finally {
         hideLoading();
         elements.pdfInput.value = '';
@@ -1922,7 +3487,16 @@ async function handleImageSelection(e) {
 }
 
 async function handleCameraSelection(e) {
+    const targetCell = currentTargetCell;
+    const isSinglePhoto = e.target.files?.length === 1;
+    const previousCell = targetCell === null ? null : layoutState.cells[targetCell];
+
     await handleImageLikeSelection(e.target, t('loading.processingPhoto'), t('camera.processFailed'));
+
+    // Offer to straighten a single photo when a document is found in it.
+    if (isSinglePhoto && targetCell !== null && layoutState.cells[targetCell] !== previousCell) {
+        openPerspectiveEditor(targetCell, { requireDocument: true });
+    }
 }
 
 async function handleImageLikeSelection(inputElement, loadingMessage, errorMessage) {
@@ -1937,9 +3511,15 @@ async function handleImageLikeSelection(inputElement, loadingMessage, errorMessa
     showLoading(loadingMessage);
 
     try {
-        await processImageFileForCell(files[0], targetCell);
+        if (files.length > 1) {
+            await importFilesIntoFlow(files, createCellFlow(appState.currentPageIndex, targetCell));
+        } else {
+            await processImageFileForFlow(files[0], createCellFlow(appState.currentPageIndex, targetCell));
+        }
     } catch (error) {
-        alert(errorMessage);
+        if (!isPDFImportCanceled(error)) {
+            alert(getImageImportErrorMessage(error, errorMessage));
+        }
     } finally {
         hideLoading();
         inputElement.value = '';
@@ -1960,3226 +3540,8443 @@ function handleCameraOption() {
     showCameraOverlay();
 }
 
-async function processPDFFileForCell(file, cellIndex) {
+// The file is opened and its pages picked before the flow takes a cell, so a
+// refused or canceled file leaves no page behind.
+async function processPDFFileForFlow(file, flow) {
     if (!pdfjsLib?.getDocument) {
         throw new Error('PDF.js library not loaded');
     }
     
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-    
-    if (pdf.numPages === 1) {
-        // Imported PDF pages intentionally enter the shared raster image pipeline.
-        const page = await pdf.getPage(1);
-        const bitmap = await renderPDFPage(page, 2, 'bitmap');
-        addToSpecificCell(bitmap, `${file.name} p1`, cellIndex);
-    } else {
-        // Multiple pages - show page selector
-        await showPDFPageSelector(pdf, file.name, cellIndex);
-    }
-}
-
-async function processImageFileForCell(file, cellIndex) {
-    const persistentImg = await createPersistentImageFromFile(file);
-    addToSpecificCell(persistentImg, file.name, cellIndex);
-}
+    const { pdf, bytes, password, unreadablePages } = await openPDFFile(file);
+    const documentId = registerPDFSource(bytes, file.name, password);
+    let handedToSelector = false;
 
-function shouldUseNativeCameraCapture() {
-    const hasCoarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
-    const hasTouchSupport = navigator.maxTouchPoints > 0;
-    const userAgent = navigator.userAgent || '';
-    const isMobileUserAgent = /Android|iPhone|iPad|iPod|Mobile/i.test(userAgent);
-    const isMobileUAData = navigator.userAgentData?.mobile === true;
-
-    return hasCoarsePointer && hasTouchSupport && (isMobileUserAgent || isMobileUAData);
+    try {
+        if (pdf.numPages === 1) {
+            // Imported PDF pages enter the shared raster pipeline; the source reference
+            // lets export swap the raster back for the original vector page.
+            const page = await pdf.getPage(1);
+            await placeInFlow(() => addPDFPageToFlowCell(flow, page, `${file.name} p1`, createPDFSourceReference(documentId, 1)));
+        } else {
+            // Multiple pages - show page selector
+            await showPDFPageSelector(createPDFPageDocument(pdf, documentId), file.name, flow, documentId, unreadablePages);
+            handedToSelector = true;
+        }
+    } finally {
+        if (!handedToSelector) {
+            releasePDFSource(documentId);
+        }
+    }
 }
 
-function loadImageFromSrc(src) {
-    return new Promise((resolve, reject) => {
-        const image = new Image();
-        image.onload = () => resolve(image);
-        image.onerror = () => reject(new Error('Failed to load image data'));
-        image.src = src;
-    });
+// Opening PDF files
+function createPDFImportError(code, cause) {
+    const error = new Error(`Cannot open PDF: ${code}`);
+    error.code = code;
+    error.cause = cause;
+    return error;
 }
 
-async function getCachedSourceCanvas(imageData) {
-    if (!imageData._sourceCanvasPromise) {
-        imageData._sourceCanvasPromise = loadImageFromSrc(imageData.src).then(sourceImage => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            canvas.width = sourceImage.naturalWidth || sourceImage.width;
-            canvas.height = sourceImage.naturalHeight || sourceImage.height;
-
-            if (!ctx || !canvas.width || !canvas.height) {
-                throw new Error('Failed to cache source image');
-            }
+// The user declined to enter the password; like closing the page selector,
+// that needs no message.
+function isPDFImportCanceled(error) {
+    return error?.code === 'pdf-canceled';
+}
 
-            ctx.drawImage(sourceImage, 0, 0);
-            return canvas;
-        });
+function getPDFImportErrorMessage(error) {
+    switch (error?.code) {
+        case 'pdf-encrypted':
+            return t('pdf.encrypted');
+        case 'pdf-corrupted':
+            return t('pdf.corrupted');
+        case 'pdf-unsupported':
+            return t('pdf.unsupported');
+        case 'pdf-oversized':
+            return t('pdf.oversized', { size: Math.round(CONFIG.pdfImport.maxFileBytes / (1024 * 1024)) });
+        default:
+            return t('pdf.processFailed');
     }
-
-    return imageData._sourceCanvasPromise;
 }
 
-async function createPersistentImageFromSource(src) {
-    const sourceImage = await loadImageFromSrc(src);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+// Reads and opens a PDF file, asking for the password of an encrypted one.
+// A file pdf.js cannot open gets a substitute trailer (see repairTruncatedPDF);
+// the pages of a repaired or truncated file are probed so the selector can leave
+// out the ones that did not survive. Errors carry a pdf-* code.
+async function openPDFFile(file) {
+    if (file.size > CONFIG.pdfImport.maxFileBytes) {
+        throw createPDFImportError('pdf-oversized');
+    }
 
-    const sourceWidth = sourceImage.naturalWidth || sourceImage.width;
-    const sourceHeight = sourceImage.naturalHeight || sourceImage.height;
-    const maxDimension = CONFIG.image.maxRasterDimension;
-    const shouldDownscale = shouldUseNativeCameraCapture();
-    const scale = shouldDownscale ? Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight)) : 1;
+    let bytes = new Uint8Array(await file.arrayBuffer());
+    if (!findLatin1Text(bytes.subarray(0, CONFIG.pdfImport.headerSearchBytes), '%PDF-')) {
+        throw createPDFImportError('pdf-unsupported');
+    }
+
+    let isDamaged = !findLatin1Text(bytes.subarray(-CONFIG.pdfImport.headerSearchBytes), '%%EOF');
+    let opened;
 
-    canvas.width = Math.max(1, Math.round(sourceWidth * scale));
-    canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+    try {
+        opened = await openPDFDocument(bytes, file.name);
+    } catch (error) {
+        const repairedBytes = error.code === 'pdf-corrupted' ? repairTruncatedPDF(bytes) : null;
+        if (!repairedBytes) {
+            throw error;
+        }
 
-    if (!canvas.width || !canvas.height || !ctx) {
-        throw new Error('Failed to prepare image canvas');
+        console.warn(`[PDF] ${file.name} could not be opened, retrying with a rebuilt trailer:`, error.cause);
+        bytes = repairedBytes;
+        isDamaged = true;
+        opened = await openPDFDocument(bytes, file.name);
     }
 
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
-    ctx.drawImage(sourceImage, 0, 0, canvas.width, canvas.height);
-    const dataUrl = canvas.toDataURL('image/png');
+    const { pdf, password } = opened;
+    const unreadablePages = isDamaged ? await findUnreadablePDFPages(pdf) : new Set();
+    if (unreadablePages.size === pdf.numPages) {
+        pdf.destroy();
+        throw createPDFImportError('pdf-corrupted');
+    }
 
-    return loadImageFromSrc(dataUrl);
+    return { pdf, bytes, password, unreadablePages };
 }
 
-async function createPersistentImageFromFile(file) {
-    const objectUrl = URL.createObjectURL(file);
+async function openPDFDocument(bytes, fileName) {
+    // pdf.js transfers the buffer it is given, so it gets a copy of the bytes.
+    const loadingTask = pdfjsLib.getDocument({ data: bytes.slice() });
+    let password = null;
+    let canceled = false;
+
+    // Called again with INCORRECT_PASSWORD after a wrong one, until the user cancels.
+    loadingTask.onPassword = async (updatePassword, reason) => {
+        password = await promptPDFPassword(fileName, reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD);
+
+        if (password === null) {
+            canceled = true;
+            loadingTask.destroy();
+        } else {
+            updatePassword(password);
+        }
+    };
 
     try {
-        return await createPersistentImageFromSource(objectUrl);
-    } finally {
-        URL.revokeObjectURL(objectUrl);
+        return { pdf: await loadingTask.promise, password };
+    } catch (error) {
+        throw createPDFImportError(canceled ? 'pdf-canceled' : getPDFLoadErrorCode(error), error);
     }
 }
 
-async function createPersistentImageFromDataUrl(dataUrl) {
-    return createPersistentImageFromSource(dataUrl);
+function getPDFLoadErrorCode(error) {
+    if (error?.name === 'PasswordException') {
+        return 'pdf-encrypted';
+    }
+    if (error?.name === 'InvalidPDFException') {
+        return 'pdf-corrupted';
+    }
+    // Unknown security handlers and crypt filters surface as generic worker errors.
+    if (/crypt/i.test(error?.message || '')) {
+        return 'pdf-unsupported';
+    }
+    return 'pdf-failed';
 }
 
-async function renderPDFPage(page, scale = 2, outputFormat = 'canvas') {
-    const viewport = page.getViewport({ scale });
-    
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
-    
-    await page.render({
-        canvasContext: context,
-        viewport: viewport
-    }).promise;
-    
-    if (outputFormat === 'bitmap') {
-        // Convert to PNG bitmap (lossless, avoid double JPEG compression)
-        const dataUrl = canvas.toDataURL('image/png');
-        return createPersistentImageFromDataUrl(dataUrl);
-    }
-    
-    return canvas;
+function findLatin1Text(bytes, text) {
+    return new TextDecoder('latin1').decode(bytes).includes(text);
 }
 
-async function showPDFPageSelector(pdf, fileName, cellIndex) {
-    const pageGrid = elements.pageGrid;
-    cancelPDFPageSelectorGeneration();
-    
-    // Hide the initial loading overlay since we're showing the page selector
-    hideLoading();
-    
-    // Show the page selector immediately
-    showPageSelector();
-    
-    pageSelectorSession = {
-        canceled: false,
-        pageIndex: appState.currentPageIndex,
-        cellIndex,
-        pdf,
-        fileName,
-        pageGrid,
-        spacer: null,
-        metrics: null,
-        scrollHandler: null,
-        frameRequestId: null,
-        resizeObserver: null,
-        renderedSlots: new Map(),
-        thumbnailCache: new Map(),
-        thumbnailCacheOrder: [],
-        pendingRenders: new Map()
-    };
+// A truncated file has lost the cross-reference table and trailer at its end.
+// pdf.js rebuilds the table by scanning for objects but still needs a trailer
+// naming the catalog, so one is appended after closing whatever stream the
+// file was cut in. Returns null when the catalog did not survive, including
+// catalogs packed into compressed object streams.
+function repairTruncatedPDF(bytes) {
+    const text = new TextDecoder('latin1').decode(bytes);
+    const catalogIndex = Array.from(text.matchAll(/\/Type\s*\/Catalog\b/g)).pop()?.index;
+    if (catalogIndex === undefined) {
+        return null;
+    }
 
-    setupVirtualPDFPageSelector(pageSelectorSession);
+    // Incremental updates append newer catalogs, so the last one wins.
+    const objectHeader = Array.from(
+        text.slice(Math.max(0, catalogIndex - 4096), catalogIndex).matchAll(/(\d+)\s+(\d+)\s+obj\b/g)
+    ).pop();
+    if (!objectHeader) {
+        return null;
+    }
+
+    const trailer = new TextEncoder().encode(
+        `\nendstream\nendobj\ntrailer\n<< /Root ${objectHeader[1]} ${objectHeader[2]} R >>\n%%EOF\n`
+    );
+    const repairedBytes = new Uint8Array(bytes.length + trailer.length);
+    repairedBytes.set(bytes);
+    repairedBytes.set(trailer, bytes.length);
+    return repairedBytes;
 }
 
-function setupVirtualPDFPageSelector(session) {
-    const { pageGrid } = session;
+async function findUnreadablePDFPages(pdf) {
+    const unreadablePages = new Set();
 
-    pageGrid.innerHTML = '';
-    pageGrid.scrollTop = 0;
-    pageGrid.classList.add('virtualized');
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        try {
+            const page = await pdf.getPage(pageNum);
+            // pdf.js substitutes an empty page, without a reference, for a first page it cannot parse.
+            if (!page.ref) {
+                unreadablePages.add(pageNum);
+            }
+            page.cleanup();
+        } catch (error) {
+            unreadablePages.add(pageNum);
+        }
+    }
 
-    const spacer = document.createElement('div');
-    spacer.className = 'page-virtual-spacer';
-    pageGrid.appendChild(spacer);
-    session.spacer = spacer;
+    return unreadablePages;
+}
 
-    session.scrollHandler = () => {
-        scheduleVirtualPDFPageSelectorUpdate(session);
-    };
-    pageGrid.addEventListener('scroll', session.scrollHandler, { passive: true });
+async function processImageFileForFlow(file, flow) {
+    const format = await getImageFileFormat(file);
 
-    if ('ResizeObserver' in window) {
-        session.resizeObserver = new ResizeObserver(() => {
-            scheduleVirtualPDFPageSelectorUpdate(session);
-        });
-        session.resizeObserver.observe(pageGrid);
+    if (format === 'tiff') {
+        await processTIFFFileForFlow(file, flow);
+    } else if (format === 'svg') {
+        const svg = await readSVGFile(file);
+        await placeInFlow(() => addSVGToFlowCell(flow, svg, file.name));
+    } else {
+        const image = await createPersistentImageFromFile(file, format);
+        await placeInFlow(() => addToFlowCell(flow, image, file.name));
     }
-
-    updateVirtualPDFPageSelector(session);
-    scheduleVirtualPDFPageSelectorUpdate(session);
 }
 
-function scheduleVirtualPDFPageSelectorUpdate(session) {
-    if (session.canceled || pageSelectorSession !== session || session.frameRequestId !== null) {
-        return;
+// Places a single file's content as one undo step and shows the page it landed on.
+async function placeInFlow(place) {
+    beginHistoryGroup();
+
+    try {
+        const target = await place();
+        switchToPage(target.pageIndex);
+    } finally {
+        endHistoryGroup();
     }
+}
 
-    session.frameRequestId = requestAnimationFrame(() => {
-        session.frameRequestId = null;
-        updateVirtualPDFPageSelector(session);
-    });
+function getImageImportErrorMessage(error, fallbackMessage = t('image.processFailed')) {
+    return error?.code === 'image-unsupported' ? t('image.unsupported') : fallbackMessage;
 }
 
-function getPDFPageSelectorMetrics(pageGrid, totalPages) {
-    const styles = window.getComputedStyle(pageGrid);
-    const gap = parseFloat(styles.rowGap || styles.gap || '16') || 16;
-    const columns = window.matchMedia('(max-width: 768px)').matches ? 1 : 2;
-    const itemWidth = Math.max(0, (pageGrid.clientWidth - gap * (columns - 1)) / columns);
-    const itemHeight = CONFIG.pdfSelector.itemHeight;
-    const rowHeight = itemHeight + gap;
-    const rowCount = Math.ceil(totalPages / columns);
+// Image formats the browser does not import by itself: HEIC/HEIF and TIFF need
+// their own decoders, and SVG is rasterized for its cell. They are recognized
+// by content where possible, since their MIME type is often missing.
+const HEIF_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1']);
 
-    return {
-        columns,
-        gap,
-        itemWidth,
-        itemHeight,
-        rowHeight,
-        rowCount,
-        spacerHeight: rowCount * itemHeight + Math.max(0, rowCount - 1) * gap
-    };
+async function getImageFileFormat(file) {
+    const header = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+
+    if (isTIFFData(header)) {
+        return 'tiff';
+    }
+    if (isHEIFData(header)) {
+        return 'heif';
+    }
+    return isSVGFile(file) ? 'svg' : 'native';
 }
 
-function updateVirtualPDFPageSelector(session) {
-    if (session.canceled || pageSelectorSession !== session) {
-        return;
+// An ISO BMFF ftyp box listing a HEIF brand. AVIF shares the mif1 brand and
+// is left to the browser.
+function isHEIFData(header) {
+    const text = String.fromCharCode(...header);
+    if (header.length < 12 || text.slice(4, 8) !== 'ftyp') {
+        return false;
     }
 
-    const { pageGrid, pdf, spacer } = session;
-    const metrics = getPDFPageSelectorMetrics(pageGrid, pdf.numPages);
-    session.metrics = metrics;
+    const boxSize = Math.min(header.length, new DataView(header.buffer).getUint32(0));
+    const brands = [text.slice(8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(text.slice(offset, offset + 4));
+    }
 
-    spacer.style.height = `${metrics.spacerHeight}px`;
+    return brands.some(brand => HEIF_BRANDS.has(brand)) && !brands.some(brand => brand.startsWith('avi'));
+}
 
-    if (metrics.itemWidth <= 0 || metrics.rowCount === 0) {
-        return;
+function isSVGFile(file) {
+    return file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '');
+}
+
+// Decoded pixels (HEIF, TIFF) enter the shared raster pipeline as a PNG.
+function createPixelCanvas({ width, height, data }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas;
+}
+
+async function createPersistentImageFromPixels(pixels) {
+    return createPersistentImageFromBlob(await canvasToBlob(createPixelCanvas(pixels)));
+}
+
+// libheif is large, so it loads with the first HEIC/HEIF import. One decoder
+// is kept; each decode releases the previous file's data.
+function loadHEIFDecoder() {
+    if (!heifDecoderPromise) {
+        heifDecoderPromise = import(/* @vite-ignore */ CONFIG.heifModuleUrl).then(module => {
+            const libheif = module.default();
+            return new libheif.HeifDecoder();
+        }).catch(error => {
+            heifDecoderPromise = null;
+            throw error;
+        });
     }
 
-    const range = getVirtualPDFPageRange(session);
+    return heifDecoderPromise;
+}
 
-    for (const [pageNum, slot] of session.renderedSlots) {
-        if (pageNum < range.start || pageNum > range.end) {
-            slot.remove();
-            session.renderedSlots.delete(pageNum);
+// Decodes the primary image, the photo itself in camera files that also hold
+// thumbnails, depth maps or burst frames.
+async function decodeHEIFFile(file) {
+    const decoder = await loadHEIFDecoder();
+    const images = decoder.decode(new Uint8Array(await file.arrayBuffer()));
+    const image = images.find(candidate => candidate.is_primary()) || images[0];
+
+    try {
+        if (!image) {
+            throw new Error('No readable image in HEIF file');
         }
+
+        const imageData = new ImageData(image.get_width(), image.get_height());
+        await new Promise((resolve, reject) => {
+            image.display(imageData, result => (result ? resolve() : reject(new Error('Failed to decode HEIF image'))));
+        });
+        return imageData;
+    } finally {
+        images.forEach(candidate => candidate.free());
     }
+}
 
-    for (let pageNum = range.start; pageNum <= range.end; pageNum++) {
-        renderVirtualPDFPageSlot(session, pageNum);
+// TIFF files: one page imports directly, several go through the page selector.
+async function openTIFFFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const pages = readTIFFPages(bytes);
+    if (!pages.length) {
+        throw new Error('No readable page in TIFF file');
     }
 
-    prunePDFThumbnailCache(session);
+    return { bytes, pages };
 }
 
-function getVirtualPDFPageRange(session) {
-    const { pageGrid, pdf, metrics } = session;
-    const viewportHeight = pageGrid.clientHeight || metrics.itemHeight;
-    const bufferRows = CONFIG.pdfSelector.bufferRows;
-    const firstRow = Math.max(0, Math.floor(pageGrid.scrollTop / metrics.rowHeight) - bufferRows);
-    const lastRow = Math.min(
-        metrics.rowCount - 1,
-        Math.ceil((pageGrid.scrollTop + viewportHeight) / metrics.rowHeight) + bufferRows
-    );
+async function processTIFFFileForFlow(file, flow) {
+    const { bytes, pages } = await openTIFFFile(file);
+
+    if (pages.length === 1) {
+        const image = await createPersistentImageFromPixels(await decodeTIFFPage(bytes, pages[0]));
+        await placeInFlow(() => addToFlowCell(flow, image, file.name));
+        return;
+    }
+
+    await showPDFPageSelector(createTIFFPageDocument(bytes, pages), file.name, flow);
+}
 
+function createTIFFPageDocument(bytes, pages) {
     return {
-        start: firstRow * metrics.columns + 1,
-        end: Math.min(pdf.numPages, (lastRow + 1) * metrics.columns)
+        numPages: pages.length,
+        titleKey: 'pdfPage.tiffTitle',
+        async renderThumbnail(pageNum) {
+            const source = createPixelCanvas(await decodeTIFFPage(bytes, pages[pageNum - 1]));
+            const scale = Math.min(1, CONFIG.pdfSelector.rasterThumbnailSize / Math.max(source.width, source.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(source.width * scale));
+            canvas.height = Math.max(1, Math.round(source.height * scale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        },
+        async addPageToFlow(flow, pageNum, title) {
+            const pixels = await decodeTIFFPage(bytes, pages[pageNum - 1]);
+            return addToFlowCell(flow, await createPersistentImageFromPixels(pixels), title);
+        }
     };
 }
 
-function renderVirtualPDFPageSlot(session, pageNum) {
-    let slot = session.renderedSlots.get(pageNum);
+async function importTIFFPagesIntoFlow(file, flow) {
+    const { bytes, pages } = await openTIFFFile(file);
 
-    if (!slot) {
-        slot = createVirtualPDFPageSlot(session, pageNum);
-        session.renderedSlots.set(pageNum, slot);
-        session.spacer.appendChild(slot);
-        renderPDFPageSlotThumbnail(session, pageNum, slot);
+    for (let pageNum = 1; pageNum <= pages.length; pageNum++) {
+        const pixels = await decodeTIFFPage(bytes, pages[pageNum - 1]);
+        const title = pages.length > 1 ? `${file.name} p${pageNum}` : file.name;
+        addToFlowCell(flow, await createPersistentImageFromPixels(pixels), title);
     }
-
-    positionVirtualPDFPageSlot(session, pageNum, slot);
 }
 
-function createVirtualPDFPageSlot(session, pageNum) {
-    const slot = document.createElement('div');
-    slot.className = 'page-thumbnail page-thumbnail-virtual';
-    slot.dataset.pageNum = pageNum;
-    slot.tabIndex = 0;
-    slot.setAttribute('role', 'button');
-    slot.setAttribute('aria-label', t('pdfPage.selectAria', { page: pageNum }));
+// SVG files are sanitized before the browser draws them: scripts, embedded
+// HTML, animations and links outside the file are removed. Like PDF pages,
+// they are then rasterized at the resolution their cell needs.
+const SVG_BLOCKED_ELEMENTS = 'script, foreignObject, iframe, embed, object, audio, video, animate, animateMotion, animateTransform, set';
+const SVG_UNIT_PIXELS = { px: 1, pt: 96 / 72, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+async function readSVGFile(file) {
+    const svgDocument = new DOMParser().parseFromString(await file.text(), 'image/svg+xml');
+    const root = svgDocument.documentElement;
+    if (svgDocument.querySelector('parsererror') || root.namespaceURI !== 'http://www.w3.org/2000/svg' || root.localName !== 'svg') {
+        const error = new Error('Invalid SVG file');
+        error.code = 'image-unsupported';
+        throw error;
+    }
 
-    slot.addEventListener('click', () => {
-        selectPDFPageFromSession(session, pageNum);
+    sanitizeSVGDocument(svgDocument);
+    return { root, ...getSVGIntrinsicSize(root) };
+}
+
+function sanitizeSVGDocument(svgDocument) {
+    svgDocument.querySelectorAll(SVG_BLOCKED_ELEMENTS).forEach(element => element.remove());
+    svgDocument.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            const isLink = name === 'href' || name.endsWith(':href');
+            if (/^on/i.test(name) || (isLink && !/^\s*(#|data:image\/(png|jpeg|gif|webp)[;,])/i.test(value))) {
+                element.removeAttribute(name);
+            }
+        });
     });
+}
 
-    slot.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            selectPDFPageFromSession(session, pageNum);
+// Size in CSS pixels from the root's width and height, completed by its viewBox,
+// with the 300 × 150 default browsers give an SVG image that has neither.
+function getSVGIntrinsicSize(root) {
+    const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+    let width = parseSVGLength(root.getAttribute('width'));
+    let height = parseSVGLength(root.getAttribute('height'));
+
+    if (hasViewBox) {
+        const aspectRatio = viewBox[2] / viewBox[3];
+        if (!width && !height) {
+            width = viewBox[2];
+            height = viewBox[3];
+        } else if (!width) {
+            width = height * aspectRatio;
+        } else if (!height) {
+            height = width / aspectRatio;
         }
-    });
+    }
 
-    renderPDFPageSlotPlaceholder(slot, pageNum, t('pdfPage.loading'));
-    return slot;
+    return { width: width || 300, height: height || 150, hasViewBox };
 }
 
-function positionVirtualPDFPageSlot(session, pageNum, slot) {
-    const { columns, gap, itemWidth, itemHeight, rowHeight } = session.metrics;
-    const pageIndex = pageNum - 1;
-    const row = Math.floor(pageIndex / columns);
-    const col = pageIndex % columns;
-
-    slot.style.width = `${itemWidth}px`;
-    slot.style.height = `${itemHeight}px`;
-    slot.style.transform = `translate(${col * (itemWidth + gap)}px, ${row * rowHeight}px)`;
+// Absolute lengths only; percentages and font-relative units count as missing.
+function parseSVGLength(value) {
+    const match = /^\s*(\d*\.?\d+(?:e[+-]?\d+)?)\s*(px|pt|pc|mm|cm|in)?\s*$/i.exec(value || '');
+    return match ? parseFloat(match[1]) * SVG_UNIT_PIXELS[(match[2] || 'px').toLowerCase()] : 0;
 }
 
-function renderPDFPageSlotPlaceholder(slot, pageNum, message, isError = false) {
-    slot.innerHTML = '';
-    slot.classList.toggle('page-thumbnail-error', isError);
+async function rasterizeSVG(svg, scale) {
+    const width = Math.max(1, Math.round(svg.width * scale));
+    const height = Math.max(1, Math.round(svg.height * scale));
+    const root = svg.root.cloneNode(true);
 
-    const placeholder = document.createElement('div');
-    placeholder.className = 'page-thumbnail-placeholder';
-    placeholder.textContent = message;
+    // Without a viewBox the drawing would keep its size instead of scaling.
+    if (!svg.hasViewBox) {
+        root.setAttribute('viewBox', `0 0 ${svg.width} ${svg.height}`);
+    }
+    root.setAttribute('width', width);
+    root.setAttribute('height', height);
 
-    const label = document.createElement('div');
-    label.className = 'page-label';
-    label.textContent = isError
-        ? t('pdfPage.pageErrorLabel', { page: pageNum })
-        : t('pdfPage.pageLabel', { page: pageNum });
-
-    slot.appendChild(placeholder);
-    slot.appendChild(label);
+    const image = await loadImageFromSrc(serializeSVGToDataUrl(root));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return createPersistentImageFromBlob(await canvasToBlob(canvas));
 }
 
-function renderPDFPageSlotCanvas(slot, pageNum, canvas) {
-    slot.innerHTML = '';
-    slot.classList.remove('page-thumbnail-error');
-
-    const label = document.createElement('div');
-    label.className = 'page-label';
-    label.textContent = t('pdfPage.pageLabel', { page: pageNum });
-
-    slot.appendChild(canvas);
-    slot.appendChild(label);
+// Batch import (multiple files and drag-and-drop)
+function isPDFFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
 }
 
-async function renderPDFPageSlotThumbnail(session, pageNum, slot) {
-    const cachedThumbnail = session.thumbnailCache.get(pageNum);
+function isImportableFile(file) {
+    return isPDFFile(file) || file.type.startsWith('image/') || /\.(heic|heif|tiff?|svg)$/i.test(file.name || '');
+}
 
-    if (cachedThumbnail) {
-        touchPDFThumbnailCacheEntry(session, pageNum);
-        if (cachedThumbnail.error) {
-            renderPDFPageSlotPlaceholder(slot, pageNum, t('pdfPage.previewUnavailable'), true);
-        } else {
-            renderPDFPageSlotCanvas(slot, pageNum, cachedThumbnail.canvas);
-        }
-        return;
-    }
+function compareFileNames(a, b) {
+    return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+}
 
-    if (session.pendingRenders.has(pageNum)) {
-        return;
+async function sortImportFiles(files) {
+    if (importState.order !== 'captureDate') {
+        return [...files].sort(compareFileNames);
     }
 
-    const renderPromise = (async () => {
-        try {
-            const page = await session.pdf.getPage(pageNum);
-            const canvas = await renderPDFPage(page, CONFIG.pdfSelector.thumbnailScale, 'canvas');
+    const datedFiles = await Promise.all(files.map(async file => ({
+        file,
+        time: (await readExifCaptureTime(file)) ?? file.lastModified ?? 0
+    })));
 
-            if (session.canceled || pageSelectorSession !== session) {
-                return;
-            }
+    return datedFiles
+        .sort((a, b) => a.time - b.time || compareFileNames(a.file, b.file))
+        .map(entry => entry.file);
+}
 
-            cachePDFThumbnail(session, pageNum, { canvas });
+// Reads DateTimeOriginal (or DateTime) from a JPEG's EXIF block.
+async function readExifCaptureTime(file) {
+    try {
+        const view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer());
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return null;
+        }
 
-            const currentSlot = session.renderedSlots.get(pageNum);
-            if (currentSlot?.isConnected) {
-                renderPDFPageSlotCanvas(currentSlot, pageNum, canvas);
-            }
-        } catch (error) {
-            if (session.canceled || pageSelectorSession !== session) {
-                return;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+                break;
             }
 
-            cachePDFThumbnail(session, pageNum, { error: true });
-
-            const currentSlot = session.renderedSlots.get(pageNum);
-            if (currentSlot?.isConnected) {
-                renderPDFPageSlotPlaceholder(currentSlot, pageNum, t('pdfPage.previewUnavailable'), true);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                return parseExifCaptureTime(view, offset + 10);
             }
-        } finally {
-            session.pendingRenders.delete(pageNum);
-            prunePDFThumbnailCache(session);
-        }
-    })();
-
-    session.pendingRenders.set(pageNum, renderPromise);
-}
-
-function cachePDFThumbnail(session, pageNum, entry) {
-    session.thumbnailCache.set(pageNum, entry);
-    touchPDFThumbnailCacheEntry(session, pageNum);
-    prunePDFThumbnailCache(session);
-}
 
-function touchPDFThumbnailCacheEntry(session, pageNum) {
-    const existingIndex = session.thumbnailCacheOrder.indexOf(pageNum);
-    if (existingIndex !== -1) {
-        session.thumbnailCacheOrder.splice(existingIndex, 1);
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (error) {
+        // Truncated or malformed metadata falls back to the file date.
     }
-    session.thumbnailCacheOrder.push(pageNum);
-}
-
-function prunePDFThumbnailCache(session) {
-    const visiblePages = new Set(session.renderedSlots.keys());
-    let attempts = 0;
 
-    while (session.thumbnailCacheOrder.length > CONFIG.pdfSelector.maxCachedThumbnails && attempts < session.thumbnailCacheOrder.length) {
-        const pageNum = session.thumbnailCacheOrder[0];
+    return null;
+}
 
-        if (visiblePages.has(pageNum)) {
-            session.thumbnailCacheOrder.push(session.thumbnailCacheOrder.shift());
-            attempts++;
-            continue;
+function parseExifCaptureTime(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const findTag = (ifdOffset, tag) => {
+        const entryCount = view.getUint16(ifdOffset, littleEndian);
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = ifdOffset + 2 + i * 12;
+            if (view.getUint16(entryOffset, littleEndian) === tag) {
+                return view.getUint32(entryOffset + 8, littleEndian);
+            }
         }
+        return null;
+    };
 
-        session.thumbnailCache.delete(pageNum);
-        session.thumbnailCacheOrder.shift();
-        attempts = 0;
+    const ifd0 = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    const exifIfdPointer = findTag(ifd0, 0x8769);
+    const dateOffset = (exifIfdPointer !== null ? findTag(tiffStart + exifIfdPointer, 0x9003) : null)
+        ?? findTag(ifd0, 0x0132);
+    if (dateOffset === null) {
+        return null;
     }
-}
 
-function selectPDFPageFromSession(session, pageNum) {
-    if (session.canceled || pageSelectorSession !== session) {
-        return;
+    const text = Array.from({ length: 19 }, (_, index) => String.fromCharCode(view.getUint8(tiffStart + dateOffset + index))).join('');
+    const match = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    if (!match) {
+        return null;
     }
 
-    const { pdf, fileName, pageIndex, cellIndex } = session;
-    cancelPDFPageSelectorGeneration();
-    overlayManager.hide(elements.pageSelector);
-    showLoading(t('pdfPage.processingSelected'));
-    processSelectedPage(pdf, pageNum, fileName, pageIndex, cellIndex);
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
 }
 
-function cancelPDFPageSelectorGeneration() {
-    if (pageSelectorSession) {
-        cleanupPDFPageSelectorSession(pageSelectorSession);
-        pageSelectorSession = null;
+async function importPDFPagesIntoFlow(file, flow) {
+    if (!pdfjsLib?.getDocument) {
+        throw new Error('PDF.js library not loaded');
     }
-}
 
-function cleanupPDFPageSelectorSession(session) {
-    session.canceled = true;
+    const { pdf, bytes, password, unreadablePages } = await openPDFFile(file);
+    const documentId = registerPDFSource(bytes, file.name, password);
 
-    if (session.frameRequestId !== null) {
-        cancelAnimationFrame(session.frameRequestId);
-        session.frameRequestId = null;
-    }
+    try {
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            if (unreadablePages.has(pageNum)) {
+                continue;
+            }
 
-    if (session.pageGrid && session.scrollHandler) {
-        session.pageGrid.removeEventListener('scroll', session.scrollHandler);
-        session.scrollHandler = null;
+            const page = await pdf.getPage(pageNum);
+            await addPDFPageToFlowCell(flow, page, `${file.name} p${pageNum}`, createPDFSourceReference(documentId, pageNum));
+            page.cleanup();
+        }
+    } finally {
+        pdf.destroy();
+        releasePDFSource(documentId);
     }
+}
 
-    if (session.resizeObserver) {
-        session.resizeObserver.disconnect();
-        session.resizeObserver = null;
-    }
+async function importImageFileIntoFlow(file, flow) {
+    const format = await getImageFileFormat(file);
 
-    if (session.pageGrid) {
-        session.pageGrid.classList.remove('virtualized');
-        session.pageGrid.innerHTML = '';
+    if (format === 'tiff') {
+        await importTIFFPagesIntoFlow(file, flow);
+    } else if (format === 'svg') {
+        await addSVGToFlowCell(flow, await readSVGFile(file), file.name);
+    } else {
+        addToFlowCell(flow, await createPersistentImageFromFile(file, format), file.name);
     }
-
-    session.renderedSlots?.clear();
-    session.thumbnailCache?.clear();
-    session.thumbnailCacheOrder = [];
-    session.pendingRenders?.clear();
 }
 
-async function processSelectedPage(pdf, pageNum, fileName, pageIndex, cellIndex) {
-    const originalPageIndex = appState.currentPageIndex;
+async function importFilesIntoFlow(files, flow) {
+    const sortedFiles = await sortImportFiles(files);
+    let failedFiles = 0;
+
+    beginHistoryGroup();
 
     try {
-        const selectedPage = await pdf.getPage(pageNum);
-        const bitmap = await renderPDFPage(selectedPage, 2, 'bitmap');
-        appState.currentPageIndex = pageIndex;
-        addToSpecificCell(bitmap, `${fileName} p${pageNum}`, cellIndex);
-    } catch (error) {
-        alert(t('pdfPage.processSelectedFailed'));
+        for (let i = 0; i < sortedFiles.length; i++) {
+            const file = sortedFiles[i];
+            showLoading(t('import.progress', { current: i + 1, total: sortedFiles.length }));
+
+            try {
+                if (isPDFFile(file)) {
+                    await importPDFPagesIntoFlow(file, flow);
+                } else {
+                    await importImageFileIntoFlow(file, flow);
+                }
+            } catch (error) {
+                if (!isPDFImportCanceled(error)) {
+                    console.error(`Failed to import ${file.name}:`, error);
+                    failedFiles++;
+                }
+            }
+        }
     } finally {
-        appState.currentPageIndex = originalPageIndex;
+        endHistoryGroup();
         renderCurrentPage();
         hideLoading();
     }
-}
 
-function addToSpecificCell(content, title = '', cellIndex) {
-    const existingCell = layoutState.cells[cellIndex];
-    const existingCrop = normalizeCellCrop(existingCell?.crop);
-    const imageData = {
-        src: content.src,
-        width: content.naturalWidth,
-        height: content.naturalHeight
-    };
+    if (failedFiles === sortedFiles.length) {
+        alert(t('import.failed'));
+    } else if (failedFiles > 0) {
+        showStatusToast(t('import.someFailed', { count: failedFiles }), 4000);
+    }
+}
 
-    // Store image data in new format for SVG compatibility
-    const nextCellData = {
-        image: imageData,
-        originalImage: imageData,
-        title,
-        filter: 'original',
-        filterSettings: {
-            bitonalThreshold: DEFAULT_BITONAL_THRESHOLD
-        },
-        imageOperationId: 0,
-        fillMode: 'contain', // Default fill mode
-        transform: {
-            scale: 1,
-            translateX: 0,
-            translateY: 0
-        }
-    };
+// Files dropped on a cell start there (replacing its content); files dropped
+// elsewhere on the sheet start at the first empty cell of the current page.
+async function importFiles(files, cellIndex = null) {
+    const importableFiles = files.filter(isImportableFile);
 
-    if (hasCustomCrop({ crop: existingCrop })) {
-        nextCellData.crop = existingCrop;
+    if (!importableFiles.length) {
+        alert(t('import.unsupported'));
+        return;
     }
 
-    layoutState.cells[cellIndex] = nextCellData;
-    
-    // Re-render entire SVG sheet
-    renderSVGSheet();
-}
+    const flow = cellIndex === null
+        ? createCellFlow(appState.currentPageIndex, 0, { replaceStartCell: false })
+        : createCellFlow(appState.currentPageIndex, cellIndex);
 
-function removeCellContent(cellIndex) {
-    if (bitonalPopoverState.cellIndex === cellIndex) {
-        hideBitonalPopover();
+    const [firstFile] = importableFiles;
+    if (importableFiles.length === 1 && (isPDFFile(firstFile) || await getImageFileFormat(firstFile) === 'tiff')) {
+        // A lone PDF or TIFF keeps the page selector so the user can pick which pages to add.
+        const isPDF = isPDFFile(firstFile);
+        showLoading(t(isPDF ? 'loading.processingPdf' : 'loading.processingImage'));
+
+        try {
+            if (isPDF) {
+                await processPDFFileForFlow(firstFile, flow);
+            } else {
+                await processImageFileForFlow(firstFile, flow);
+            }
+        } catch (error) {
+            if (!isPDFImportCanceled(error)) {
+                alert(isPDF ? getPDFImportErrorMessage(error) : getImageImportErrorMessage(error));
+            }
+        } finally {
+            hideLoading();
+        }
+        return;
     }
-    const existingCell = layoutState.cells[cellIndex];
-    const existingCrop = normalizeCellCrop(existingCell?.crop);
-    layoutState.cells[cellIndex] = hasCustomCrop({ crop: existingCrop })
-        ? { crop: existingCrop }
-        : null;
-    // Re-render entire SVG sheet
-    renderSVGSheet();
+
+    await importFilesIntoFlow(importableFiles, flow);
 }
 
-function cycleFillMode(cellIndex) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData) return;
-    
-    // SVG native fill mode values to cycle through
-    const fillModes = ['contain', 'cover', 'fill'];
-    const currentMode = cellData.fillMode || 'contain';
-    const currentIndex = fillModes.indexOf(currentMode);
-    const nextIndex = (currentIndex + 1) % fillModes.length;
-    const nextMode = fillModes[nextIndex];
-    
-    // Update state
-    cellData.fillMode = nextMode;
-    
-    // Reset transform when switching fill modes
-    if (!cellData.transform) {
-        cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
-    } else {
-        cellData.transform.scale = 1;
-        cellData.transform.translateX = 0;
-        cellData.transform.translateY = 0;
-    }
-    
-    // Re-render entire SVG sheet
-    renderSVGSheet();
+function hasDraggedFiles(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
 }
 
-async function cycleCellFilter(cellIndex) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData?.image) return;
+function getCellIndexAtClientPoint(clientX, clientY) {
+    const svg = elements.sheet.querySelector('svg');
+    if (!svg) return null;
 
-    const currentFilter = cellData.filter || 'original';
-    const currentIndex = CELL_FILTERS.findIndex(filter => filter.key === currentFilter);
-    const nextFilter = CELL_FILTERS[(currentIndex + 1 + CELL_FILTERS.length) % CELL_FILTERS.length];
+    const point = getClientPointInSVG(svg, clientX, clientY);
 
-    try {
-        await applyCellFilter(cellIndex, nextFilter.key);
-    } catch (error) {
-        console.error('Failed to apply filter:', error);
-        alert(t('filters.applyFailed'));
+    for (const i of getVisibleCellIndexes()) {
+        const { x, y, width, height } = getCellCoordinates(i);
+        if (point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height) {
+            return i;
+        }
     }
+
+    return null;
 }
 
-async function applyCellFilter(cellIndex, filterKey) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData?.image) return;
+function showDropHighlight(cellIndex) {
+    const bounds = cellIndex === null
+        ? { x: 0, y: 0, width: layoutState.sheet.width, height: layoutState.sheet.height }
+        : getCellCoordinates(cellIndex);
+    const rect = getOcrOverlayRectFromSheetBounds(bounds);
 
-    if (bitonalPopoverState.cellIndex === cellIndex && filterKey !== 'bitonal') {
-        hideBitonalPopover();
+    if (!rect) {
+        hideDropHighlight();
+        return;
     }
 
-    const originalImage = cellData.originalImage || cellData.image;
-    const operationId = beginCellImageOperation(cellData);
-    cellData.originalImage = originalImage;
-    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
-    cellData.filter = filterKey;
+    setHtmlRect(elements.dropHighlight, rect);
+    elements.dropHighlight.classList.remove('hidden');
+}
 
-    if (filterKey === 'original') {
-        if (!isCellImageOperationCurrent(cellData, operationId)) return;
-        cellData.image = originalImage;
-        updateSingleCell(cellIndex);
-        return;
-    }
+function hideDropHighlight() {
+    elements.dropHighlight?.classList.add('hidden');
+}
 
-    const filteredImage = await applyWebGLFilterToImage(originalImage, filterKey, cellData.filterSettings);
-    if (!isCellImageOperationCurrent(cellData, operationId)) return;
+function handleSheetDragOver(event) {
+    if (!hasDraggedFiles(event) || hasBlockingOverlayOpen()) return;
 
-    cellData.image = filteredImage;
-    updateSingleCell(cellIndex);
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    showDropHighlight(getCellIndexAtClientPoint(event.clientX, event.clientY));
 }
 
-// Rotate image 90 degrees clockwise
-function rotateImage(cellIndex) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData?.image) return;
-    
-    // Ensure transform exists (backward compatibility)
-    if (!cellData.transform) {
-        cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
-    }
-    
-    const originalImage = cellData.originalImage || cellData.image;
-    const operationId = beginCellImageOperation(cellData);
+function handleSheetDragLeave(event) {
+    if (event.relatedTarget && elements.mainContent.contains(event.relatedTarget)) return;
 
-    // Rotate the actual source image data, then rebuild the filtered version.
-    rotateImageData(originalImage).then(async rotatedImageData => {
-        if (!isCellImageOperationCurrent(cellData, operationId)) return;
+    hideDropHighlight();
+}
 
-        cellData.originalImage = rotatedImageData;
-        cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
-        cellData.filter = cellData.filter || 'original';
+async function handleSheetDrop(event) {
+    if (!hasDraggedFiles(event)) return;
 
-        if (cellData.filter === 'original') {
-            cellData.image = rotatedImageData;
-        } else {
-            const filteredImage = await applyWebGLFilterToImage(rotatedImageData, cellData.filter, cellData.filterSettings);
-            if (!isCellImageOperationCurrent(cellData, operationId)) return;
-            cellData.image = filteredImage;
-        }
+    event.preventDefault();
+    hideDropHighlight();
 
-        // Reset transforms since we've physically rotated the image
-        cellData.transform.scale = 1;
-        cellData.transform.translateX = 0;
-        cellData.transform.translateY = 0;
-        
-        // Re-render the sheet to show the rotation
-        renderSVGSheet();
-    }).catch(error => {
-        console.error('Failed to rotate image:', error);
-        alert(t('image.rotateFailed'));
-    });
-}
+    if (hasBlockingOverlayOpen()) return;
 
-// Function to rotate image data 90 degrees clockwise
-async function rotateImageData(imageData) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Create a canvas with swapped dimensions (90° rotation)
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Swap width and height for 90° rotation
-            canvas.width = imageData.height;
-            canvas.height = imageData.width;
-            
-            // Apply rotation transform
-            ctx.translate(canvas.width / 2, canvas.height / 2);
-            ctx.rotate(Math.PI / 2); // 90 degrees in radians
-            ctx.translate(-imageData.width / 2, -imageData.height / 2);
-            
-            // Create image element from existing data
-            const img = new Image();
-            img.onload = () => {
-                try {
-                    // Draw the rotated image
-                    ctx.drawImage(img, 0, 0, imageData.width, imageData.height);
-                    
-                    // Convert back to data URL (PNG for lossless quality preservation)
-                    const rotatedDataURL = canvas.toDataURL('image/png');
-                    
-                    // Create new image object with rotated data
-                    const rotatedImg = new Image();
-                    rotatedImg.onload = () => {
-                        resolve({
-                            src: rotatedDataURL,
-                            width: rotatedImg.naturalWidth,
-                            height: rotatedImg.naturalHeight
-                        });
-                    };
-                    rotatedImg.onerror = () => reject(new Error('Failed to create rotated image'));
-                    rotatedImg.src = rotatedDataURL;
-                    
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            img.onerror = () => reject(new Error('Failed to load image for rotation'));
-            img.src = imageData.src;
-            
-        } catch (error) {
-            reject(error);
-        }
-    });
+    closePageScopedUI();
+    await importFiles(Array.from(event.dataTransfer.files), getCellIndexAtClientPoint(event.clientX, event.clientY));
 }
 
-function getFilterModeValue(filterKey) {
-    switch (filterKey) {
-        case 'document':
-            return 1;
-        case 'bw':
-            return 2;
-        case 'bitonal':
-            return 3;
-        default:
-            return 0;
+// Clipboard paste: Ctrl/Cmd+V, or the Paste entry of the file type selector.
+// Pasted files go to the cell whose selector is open, otherwise to the next
+// empty cell of the current page.
+async function handlePaste(event) {
+    const target = event.target;
+    if (target instanceof HTMLElement && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)) {
+        return;
     }
-}
 
-function getBitonalThreshold(cellData) {
-    return cellData?.filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD;
-}
+    const files = Array.from(event.clipboardData?.files || []);
+    const pastingIntoCell = overlayManager.currentOverlay === elements.fileTypeSelector;
+    if (!files.length || (!pastingIntoCell && hasBlockingOverlayOpen())) {
+        return;
+    }
 
-function getCellFilterConfig(filterKey) {
-    return CELL_FILTERS.find(filter => filter.key === filterKey) || CELL_FILTERS[0];
+    event.preventDefault();
+    await importPastedFiles(files, pastingIntoCell ? currentTargetCell : null);
 }
 
-async function applyWebGLFilterToImage(imageData, filterKey, filterSettings = null) {
-    const sourceCanvas = await getCachedSourceCanvas(imageData);
+// Touch devices have no paste shortcut, so the Paste entry reads the
+// clipboard through the async Clipboard API, after the browser's permission prompt.
+async function handlePasteOption() {
+    const cellIndex = currentTargetCell;
+    let files;
 
     try {
-        const filteredDataUrl = renderFilteredImageWebGL(sourceCanvas, filterKey, filterSettings);
-        setFilterEngineMode('gpu');
-        return createPersistentImageFromDataUrl(filteredDataUrl);
+        files = await readClipboardFiles();
     } catch (error) {
-        console.warn('WebGL filter fallback triggered:', error);
-        filterEngineState.unavailableReason = String(error);
-        setFilterEngineMode('cpu');
-        return renderFilteredImage2D(sourceCanvas, filterKey, filterSettings);
+        console.warn('Failed to read the clipboard:', error);
+        cancelFileTypeSelector();
+        alert(t('import.clipboardUnavailable'));
+        return;
+    }
+
+    if (!files.length) {
+        cancelFileTypeSelector();
+        alert(t('import.clipboardEmpty'));
+        return;
     }
+
+    await importPastedFiles(files, cellIndex);
+}
+
+async function importPastedFiles(files, cellIndex) {
+    if (overlayManager.currentOverlay === elements.fileTypeSelector) {
+        cancelFileTypeSelector();
+    }
+
+    closePageScopedUI();
+    await importFiles(files, cellIndex);
+}
+
+// Browsers expose images on the clipboard, and some also PDF files.
+async function readClipboardFiles() {
+    const items = await navigator.clipboard.read();
+    const files = [];
+
+    for (const item of items) {
+        const type = item.types.find(itemType => itemType.startsWith('image/') || itemType === 'application/pdf');
+        if (!type) continue;
+
+        const blob = await item.getType(type);
+        const extension = { 'application/pdf': 'pdf', 'image/svg+xml': 'svg', 'image/jpeg': 'jpg' }[type] || type.split('/')[1];
+        files.push(new File([blob], `${type === 'application/pdf' ? 'document' : 'image'}.${extension}`, { type }));
+    }
+
+    return files;
+}
+
+function shouldUseNativeCameraCapture() {
+    const hasCoarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    const hasTouchSupport = navigator.maxTouchPoints > 0;
+    const userAgent = navigator.userAgent || '';
+    const isMobileUserAgent = /Android|iPhone|iPad|iPod|Mobile/i.test(userAgent);
+    const isMobileUAData = navigator.userAgentData?.mobile === true;
+
+    return hasCoarsePointer && hasTouchSupport && (isMobileUserAgent || isMobileUAData);
+}
+
+function loadImageFromSrc(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Failed to load image data'));
+        image.src = src;
+    });
 }
 
-function renderFilteredImageWebGL(sourceImage, filterKey, filterSettings = null) {
-    const processor = getWebGLFilterProcessor();
-    return processor.render(sourceImage, getFilterModeValue(filterKey), (filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD) / 100);
+// Decoded pixels of an image, kept on the image object for repeated processing.
+// ImageBitmaps decode off the main thread; an <img> covers what they cannot decode, such as SVG.
+async function getCachedImageSource(imageData) {
+    if (!imageData._decodedSource) {
+        const decoded = decodeImageSource(imageData);
+        imageData._decodedSource = decoded;
+        decoded.then(() => {
+            if (imageData._decodedSource === decoded) {
+                imageData._decodedBytes = imageData.width * imageData.height * 4;
+                updateImageMemoryUsage();
+            }
+        }, () => {
+            if (imageData._decodedSource === decoded) {
+                delete imageData._decodedSource;
+            }
+        });
+    }
+
+    return imageData._decodedSource;
 }
 
-async function renderFilteredImage2D(sourceImage, filterKey, filterSettings = null) {
+async function decodeImageSource(imageData) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(imageData.blob);
+        } catch (error) {
+            console.warn('ImageBitmap decoding failed, using an image element:', error);
+        }
+    }
+
+    const sourceImage = await loadImageFromSrc(imageData.src);
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
     canvas.width = sourceImage.naturalWidth || sourceImage.width;
     canvas.height = sourceImage.naturalHeight || sourceImage.height;
 
     if (!ctx || !canvas.width || !canvas.height) {
-        throw new Error('2D canvas unavailable');
+        throw new Error('Failed to cache source image');
     }
 
     ctx.drawImage(sourceImage, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
+    return canvas;
+}
+
+function getImageWorker() {
+    if (imageWorkerState.worker || imageWorkerState.failed) {
+        return imageWorkerState.worker;
+    }
+
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+        imageWorkerState.failed = true;
+        return null;
+    }
 
-    const bitonalThreshold = (filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD) / 100;
+    try {
+        const worker = new Worker(new URL('./imageWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', handleImageWorkerMessage);
+        worker.addEventListener('error', handleImageWorkerError);
+        imageWorkerState.worker = worker;
+    } catch (error) {
+        console.warn('[Images] Image worker unavailable:', error);
+        imageWorkerState.failed = true;
+    }
 
-    for (let i = 0; i < pixels.length; i += 4) {
-        const r = pixels[i] / 255;
-        const g = pixels[i + 1] / 255;
-        const b = pixels[i + 2] / 255;
-        const luma = (r * 0.299) + (g * 0.587) + (b * 0.114);
+    return imageWorkerState.worker;
+}
 
-        let outR = r;
-        let outG = g;
-        let outB = b;
+// Runs an image task (see processImageTask) in the image worker, or on the main
+// thread where the worker cannot run it. source is { imageData } or { blob }.
+// Resolves to { blob, bitmap, width, height, ...details }, or to null when the
+// owning cell started a newer image operation first.
+function runImageTask(type, source = null, params = {}, owner = null) {
+    return new Promise((resolve, reject) => {
+        const id = imageWorkerState.nextTaskId++;
+        imageWorkerState.tasks.set(id, {
+            owner,
+            resolve,
+            reject,
+            runInThread: () => runImageTaskInThread(type, source, params)
+        });
 
-        if (filterKey === 'document') {
-            outR = Math.min(1, Math.max(0, ((r * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54));
-            outG = Math.min(1, Math.max(0, ((g * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54));
-            outB = Math.min(1, Math.max(0, ((b * 0.65 + luma * 0.35) - 0.5) * 1.55 + 0.54));
-        } else if (filterKey === 'bw') {
-            const gray = Math.min(1, Math.max(0, (luma - 0.5) * 1.5 + 0.5));
-            outR = gray;
-            outG = gray;
-            outB = gray;
-        } else if (filterKey === 'bitonal') {
-            const binary = ((luma - 0.48) * 2.4 + 0.5) >= bitonalThreshold ? 1 : 0;
-            outR = binary;
-            outG = binary;
-            outB = binary;
+        const worker = getImageWorker();
+        if (!worker) {
+            runPendingImageTaskInThread(id);
+            return;
         }
 
-        pixels[i] = Math.round(outR * 255);
-        pixels[i + 1] = Math.round(outG * 255);
-        pixels[i + 2] = Math.round(outB * 255);
+        prepareWorkerImageSource(source).then(({ workerSource, transfer }) => {
+            if (!imageWorkerState.tasks.has(id) || imageWorkerState.worker !== worker) {
+                workerSource?.close?.();
+                return;
+            }
+            worker.postMessage({ id, type, source: workerSource, params }, transfer);
+        }).catch(error => {
+            console.warn('[Images] Could not send image to the worker:', error);
+            runPendingImageTaskInThread(id);
+        });
+    });
+}
+
+async function prepareWorkerImageSource(source) {
+    if (source?.imageData) {
+        // The worker gets its own copy; the cached bitmap stays usable here.
+        const bitmap = await createImageBitmap(await getCachedImageSource(source.imageData));
+        return { workerSource: bitmap, transfer: [bitmap] };
+    }
+
+    if (source?.blob) {
+        const buffer = await source.blob.arrayBuffer();
+        return { workerSource: { buffer, type: source.blob.type }, transfer: [buffer] };
     }
 
-    ctx.putImageData(imageData, 0, 0);
-    return createPersistentImageFromDataUrl(canvas.toDataURL('image/png'));
+    return { workerSource: null, transfer: [] };
 }
 
-function compileShader(gl, type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
+async function runImageTaskInThread(type, source, params) {
+    let drawable = null;
+    let firstFrame = null;
+    if (source?.imageData) {
+        drawable = await getCachedImageSource(source.imageData);
+    } else if (source?.blob) {
+        firstFrame = await decodeFirstFrame(source.blob);
+        drawable = firstFrame;
+        if (!drawable) {
+            const objectUrl = URL.createObjectURL(source.blob);
+            try {
+                drawable = await loadImageFromSrc(objectUrl);
+            } finally {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+    }
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        const error = gl.getShaderInfoLog(shader);
-        gl.deleteShader(shader);
-        throw new Error(error || 'Shader compilation failed');
+    const { canvas, ...details } = processImageTask(type, drawable, params);
+    firstFrame?.close();
+    if (!canvas) {
+        return details;
     }
 
-    return shader;
+    return {
+        ...details,
+        blob: await canvasToBlob(canvas),
+        bitmap: canvas,
+        width: canvas.width,
+        height: canvas.height
+    };
 }
 
-function createProgram(gl, vertexShader, fragmentShader) {
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
+function runPendingImageTaskInThread(id) {
+    const task = imageWorkerState.tasks.get(id);
+    if (!task) return;
 
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        const error = gl.getProgramInfoLog(program);
-        gl.deleteProgram(program);
-        throw new Error(error || 'Program linking failed');
-    }
+    task.runInThread().then(result => settleImageTask(id, result), error => {
+        const failedTask = imageWorkerState.tasks.get(id);
+        if (!failedTask) return;
 
-    return program;
+        imageWorkerState.tasks.delete(id);
+        failedTask.reject(error);
+    });
 }
 
-function getWebGLFilterProcessor() {
-    if (filterEngineState.processor) {
-        return filterEngineState.processor;
+function settleImageTask(id, result) {
+    const task = imageWorkerState.tasks.get(id);
+    if (!task) {
+        result?.bitmap?.close?.();
+        return;
     }
 
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl', { premultipliedAlpha: false, preserveDrawingBuffer: true });
-    if (!gl) {
-        throw new Error('WebGL unavailable');
-    }
+    imageWorkerState.tasks.delete(id);
+    task.resolve(result);
+}
 
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, `
-        attribute vec2 a_position;
-        attribute vec2 a_texCoord;
-        varying vec2 v_texCoord;
+function handleImageWorkerMessage({ data }) {
+    const { id, error, ...result } = data;
+    if (error) {
+        // The main thread can still decode formats the worker cannot, such as SVG.
+        console.warn('[Images] Worker task failed, retrying on the main thread:', error);
+        runPendingImageTaskInThread(id);
+        return;
+    }
 
-        void main() {
-            gl_Position = vec4(a_position, 0.0, 1.0);
-            v_texCoord = a_texCoord;
-        }
-    `);
+    settleImageTask(id, result);
+}
 
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, `
-        precision mediump float;
-        varying vec2 v_texCoord;
-        uniform sampler2D u_image;
-        uniform float u_filterMode;
-        uniform float u_bitonalThreshold;
+function handleImageWorkerError(event) {
+    console.warn('[Images] Image worker failed, processing on the main thread:', event.message || event);
+    imageWorkerState.worker?.terminate();
+    imageWorkerState.worker = null;
+    imageWorkerState.failed = true;
+    Array.from(imageWorkerState.tasks.keys()).forEach(runPendingImageTaskInThread);
+}
 
-        float luminance(vec3 color) {
-            return dot(color, vec3(0.299, 0.587, 0.114));
-        }
+// Drops the owner's pending tasks so superseded work stops using the worker.
+function cancelImageTasks(owner) {
+    imageWorkerState.tasks.forEach((task, id) => {
+        if (task.owner !== owner) return;
 
-        void main() {
-            vec4 sampleColor = texture2D(u_image, v_texCoord);
-            vec3 color = sampleColor.rgb;
-            float luma = luminance(color);
+        imageWorkerState.tasks.delete(id);
+        imageWorkerState.worker?.postMessage({ type: 'cancel', id });
+        task.resolve(null);
+    });
+}
 
-            if (u_filterMode < 0.5) {
-                gl_FragColor = sampleColor;
-                return;
-            }
+// Turns a task result into an app image. keepDecoded caches the returned bitmap
+// for results that are processed again right away, such as rotated originals.
+async function createImageFromTaskResult(result, keepDecoded = false) {
+    const image = await storeImageBlob(result.blob, result.width, result.height);
 
-            if (u_filterMode < 1.5) {
-                vec3 balanced = mix(color, vec3(luma), 0.35);
-                balanced = clamp((balanced - 0.5) * 1.55 + 0.54, 0.0, 1.0);
-                balanced = smoothstep(vec3(0.04), vec3(0.96), balanced);
-                gl_FragColor = vec4(balanced, sampleColor.a);
-                return;
-            }
+    if (keepDecoded && !image._decodedSource && result.bitmap) {
+        image._decodedSource = Promise.resolve(result.bitmap);
+        image._decodedBytes = image.width * image.height * 4;
+    } else {
+        result.bitmap?.close?.();
+    }
 
-            if (u_filterMode < 2.5) {
-                float gray = clamp((luma - 0.5) * 1.5 + 0.5, 0.0, 1.0);
-                gl_FragColor = vec4(vec3(gray), sampleColor.a);
-                return;
-            }
+    return image;
+}
 
-            float contrasted = clamp((luma - 0.48) * 2.4 + 0.5, 0.0, 1.0);
-            float binary = step(u_bitonalThreshold, contrasted);
-            gl_FragColor = vec4(vec3(binary), sampleColor.a);
-        }
-    `);
-
-    const program = createProgram(gl, vertexShader, fragmentShader);
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-        -1, -1,
-         1, -1,
-        -1,  1,
-        -1,  1,
-         1, -1,
-         1,  1
-    ]), gl.STATIC_DRAW);
-
-    const texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-        0, 1,
-        1, 1,
-        0, 0,
-        0, 0,
-        1, 1,
-        1, 0
-    ]), gl.STATIC_DRAW);
-
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-    gl.useProgram(program);
-
-    const positionLocation = gl.getAttribLocation(program, 'a_position');
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.enableVertexAttribArray(positionLocation);
-    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
-
-    const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.enableVertexAttribArray(texCoordLocation);
-    gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 0, 0);
-
-    const imageLocation = gl.getUniformLocation(program, 'u_image');
-    gl.uniform1i(imageLocation, 0);
-    const filterLocation = gl.getUniformLocation(program, 'u_filterMode');
-    const bitonalThresholdLocation = gl.getUniformLocation(program, 'u_bitonalThreshold');
-
-    const processor = {
-        gl,
-        canvas,
-        program,
-        vertexShader,
-        fragmentShader,
-        positionBuffer,
-        texCoordBuffer,
-        texture,
-        filterLocation,
-        bitonalThresholdLocation,
-        render(sourceImage, filterModeValue, bitonalThreshold) {
-            const width = sourceImage.width || sourceImage.naturalWidth;
-            const height = sourceImage.height || sourceImage.naturalHeight;
-            canvas.width = width;
-            canvas.height = height;
-            gl.viewport(0, 0, width, height);
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, sourceImage);
-            gl.uniform1f(filterLocation, filterModeValue);
-            gl.uniform1f(bitonalThresholdLocation, bitonalThreshold);
-            gl.clearColor(0, 0, 0, 0);
-            gl.clear(gl.COLOR_BUFFER_BIT);
-            gl.drawArrays(gl.TRIANGLES, 0, 6);
-            return canvas.toDataURL('image/png');
-        },
-        destroy() {
-            gl.bindTexture(gl.TEXTURE_2D, null);
-            gl.bindBuffer(gl.ARRAY_BUFFER, null);
-            gl.useProgram(null);
-            gl.deleteTexture(texture);
-            gl.deleteBuffer(positionBuffer);
-            gl.deleteBuffer(texCoordBuffer);
-            gl.deleteProgram(program);
-            gl.deleteShader(vertexShader);
-            gl.deleteShader(fragmentShader);
+// Image store
+// App images hold an encoded Blob. The object URL the sheet displays is created
+// on first use and revoked once no page shows the image, so undo can bring an
+// image back from history and simply get a new URL.
+function createStoredImage(blob, width, height) {
+    return {
+        blob,
+        width,
+        height,
+        get src() {
+            return getStoredImageUrl(this);
         }
     };
+}
 
-    canvas.addEventListener('webglcontextlost', () => {
-        filterEngineState.processor = null;
-        setFilterEngineMode('cpu');
-    }, { once: true });
+function getStoredImageUrl(imageData) {
+    if (!imageData._objectUrl) {
+        imageData._objectUrl = URL.createObjectURL(imageData.blob);
+        imageStoreState.urls.set(imageData._objectUrl, imageData);
+    }
 
-    filterEngineState.processor = processor;
-    return processor;
+    return imageData._objectUrl;
 }
 
-// Interactive image transform functions for cover mode
-function setupImageInteraction(imageEl, cellIndex, cellBounds) {
+async function hashImageBlob(blob) {
+    if (!globalThis.crypto?.subtle) {
+        return null;
+    }
+
     try {
-        const cellData = layoutState.cells[cellIndex];
-        if (!cellData || cellData.fillMode !== 'cover') return;
-        
-        // Ensure transform exists (backward compatibility)
-        if (!cellData.transform) {
-            cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
-        }
-        
-        let isInteracting = false;
-        let startTouches = [];
-        let startTransform = { ...cellData.transform };
-        let mouseDragMoved = false;
-        
-        // Handle click for desktop fill mode cycling
-        imageEl.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (mouseDragMoved) {
-                mouseDragMoved = false;
-                return;
-            }
-            // Only handle click on desktop (no touch support)
-            if (!('ontouchstart' in window) && !isInteracting) {
-                cycleFillMode(cellIndex);
-            }
-        });
-        
-        // Mouse events for desktop
-        imageEl.addEventListener('mousedown', startInteraction);
-        imageEl.addEventListener('wheel', handleWheel, { passive: false });
-        
-        // Touch events for mobile - simplified
-        imageEl.addEventListener('touchstart', handleTouchStart, { passive: false });
-        imageEl.addEventListener('touchmove', handleTouchMove, { passive: false });
-        imageEl.addEventListener('touchend', handleTouchEnd, { passive: false });
-        imageEl.addEventListener('touchcancel', handleTouchEnd, { passive: false });
-    
-    function handleTouchStart(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        isInteracting = true;
-        
-        startTouches = Array.from(e.touches).map(touch => ({
-            x: touch.clientX,
-            y: touch.clientY,
-            identifier: touch.identifier
-        }));
-        
-        // Capture the current transform state at the start of interaction
-        startTransform = { ...cellData.transform };
-    }
-    
-    function handleTouchMove(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        if (!isInteracting) return;
-        
-        const currentTouches = Array.from(e.touches);
-        
-        if (currentTouches.length === 1 && startTouches.length === 1) {
-            // Single finger pan
-            const startTouch = startTouches[0];
-            const currentTouch = currentTouches.find(touch => touch.identifier === startTouch.identifier) || currentTouches[0];
-            
-            const deltaX = currentTouch.clientX - startTouch.x;
-            const deltaY = currentTouch.clientY - startTouch.y;
-            
-            updateTransform(deltaX, deltaY, 1);
-            
-        } else if (currentTouches.length === 2 && startTouches.length >= 1) {
-            // Two finger pinch-to-zoom
-            if (startTouches.length === 1) {
-                // We started with one finger, now have two - update start touches
-                startTouches = Array.from(e.touches).map(touch => ({
-                    x: touch.clientX,
-                    y: touch.clientY,
-                    identifier: touch.identifier
-                }));
-                startTransform = { ...cellData.transform };
-                return;
-            }
-            
-            // Match touches by identifier
-            const currentTouch1 = currentTouches.find(touch => touch.identifier === startTouches[0].identifier);
-            const currentTouch2 = currentTouches.find(touch => touch.identifier === startTouches[1].identifier);
-            
-            if (currentTouch1 && currentTouch2 && startTouches.length >= 2) {
-                const startDistance = getDistance(startTouches[0], startTouches[1]);
-                const currentDistance = getDistance(
-                    { x: currentTouch1.clientX, y: currentTouch1.clientY },
-                    { x: currentTouch2.clientX, y: currentTouch2.clientY }
-                );
-                const scaleChange = currentDistance / startDistance;
-                
-                // Get center point of the gesture
-                const startCenter = getCenter(startTouches[0], startTouches[1]);
-                const currentCenter = getCenter(
-                    { x: currentTouch1.clientX, y: currentTouch1.clientY },
-                    { x: currentTouch2.clientX, y: currentTouch2.clientY }
-                );
-                const deltaX = currentCenter.x - startCenter.x;
-                const deltaY = currentCenter.y - startCenter.y;
-                
-                updateTransform(deltaX, deltaY, scaleChange);
-            }
-        }
-    }
-    
-    function handleTouchEnd(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        // If all touches are gone, end interaction
-        if (e.touches.length === 0) {
-            isInteracting = false;
-            startTouches = [];
-        } else if (e.touches.length < startTouches.length) {
-            // Some touches lifted, update the remaining touches as new start
-            startTouches = Array.from(e.touches).map(touch => ({
-                x: touch.clientX,
-                y: touch.clientY,
-                identifier: touch.identifier
-            }));
-            startTransform = { ...cellData.transform };
-        }
-    }
-    
-    function startInteraction(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        isInteracting = true;
-        startTouches = [{ x: e.clientX, y: e.clientY }];
-        startTransform = { ...cellData.transform };
-        mouseDragMoved = false;
-        
-        document.addEventListener('mousemove', handleMouseMove);
-        document.addEventListener('mouseup', endInteraction);
-    }
-    
-    function handleMouseMove(e) {
-        if (!isInteracting || startTouches.length !== 1) return;
-        
-        const deltaX = e.clientX - startTouches[0].x;
-        const deltaY = e.clientY - startTouches[0].y;
-
-        if (Math.hypot(deltaX, deltaY) > 3) {
-            mouseDragMoved = true;
-        }
-        
-        updateTransform(deltaX, deltaY, 1);
-    }
-    
-    function endInteraction() {
-        isInteracting = false;
-        startTouches = [];
-        
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', endInteraction);
-    }
-    
-    function handleWheel(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        const currentScale = cellData.transform.scale;
-        
-        // Non-linear zoom that slows down at extremes
-        // Use different acceleration based on current zoom level
-        let zoomStep;
-        if (currentScale < CONFIG.interaction.pinchTransitionScale) {
-            // Much slower zoom when zoomed out (0.2 - 1.0) for precise control
-            zoomStep = CONFIG.interaction.wheelZoomSlow + (currentScale - CONFIG.interaction.minScale) * 0.025;
-        } else if (currentScale > CONFIG.interaction.pinchTransitionScaleHigh) {
-            // Much slower zoom when highly zoomed in (3.0 - 5.0)
-            zoomStep = CONFIG.interaction.wheelZoomNormal - (currentScale - CONFIG.interaction.pinchTransitionScaleHigh) * 0.015;
-        } else {
-            // Normal zoom in the middle range (1.0 - 3.0)
-            zoomStep = CONFIG.interaction.wheelZoomNormal;
-        }
-        
-        const direction = e.deltaY < 0 ? 1 : -1;
-        const newScale = Math.max(CONFIG.interaction.minScale, Math.min(CONFIG.interaction.maxScale, currentScale + (direction * zoomStep)));
-        
-        cellData.transform.scale = newScale;
-        
-        // Only update the specific cell, not the entire sheet
-        updateSingleCell(cellIndex);
-    }
-    
-    function updateTransform(deltaX, deltaY, scaleChange) {
-        try {
-            // Convert screen coordinates to SVG coordinates
-            const svg = elements.sheet.querySelector('svg');
-            if (!svg) return;
-            
-            const rect = svg.getBoundingClientRect();
-            const svgDeltaX = (deltaX / rect.width) * layoutState.sheet.width;
-            const svgDeltaY = (deltaY / rect.height) * layoutState.sheet.height;
-            
-            // Apply non-linear scaling similar to wheel zoom for pinch gestures
-            let newScale;
-            if (scaleChange !== 1) {
-                // For pinch gestures, convert multiplicative change to additive with non-linear steps
-                const currentScale = startTransform.scale;
-                const scaleDelta = (scaleChange - 1) * currentScale;
-                
-                // Apply non-linear damping based on current zoom level
-                let dampingFactor;
-                if (currentScale < CONFIG.interaction.pinchTransitionScale) {
-                    // Much slower scaling when zoomed out for precise control
-                    dampingFactor = CONFIG.interaction.pinchDampingZoomedOut + (currentScale - CONFIG.interaction.minScale) * 0.25;
-                } else if (currentScale > CONFIG.interaction.pinchTransitionScaleHigh) {
-                    // Much slower scaling when highly zoomed in
-                    dampingFactor = CONFIG.interaction.pinchDampingNormal - (currentScale - CONFIG.interaction.pinchTransitionScaleHigh) * 0.15;
-                } else {
-                    // Normal scaling in middle range
-                    dampingFactor = CONFIG.interaction.pinchDampingNormal;
-                }
-                
-                newScale = Math.max(CONFIG.interaction.minScale, Math.min(CONFIG.interaction.maxScale, currentScale + (scaleDelta * dampingFactor)));
-            } else {
-                newScale = startTransform.scale;
-            }
-            
-            const newTranslateX = startTransform.translateX + svgDeltaX;
-            const newTranslateY = startTransform.translateY + svgDeltaY;
-            
-            // Update transform
-            cellData.transform = {
-                scale: newScale,
-                translateX: newTranslateX,
-                translateY: newTranslateY
-            };
-            
-            // Only update the specific cell, not the entire sheet
-            updateSingleCell(cellIndex);
-        } catch (error) {
-            console.error('Cover mode: Error updating transform', error);
-        }
-    }
-    
-    function getDistance(touch1, touch2) {
-        const dx = touch2.x - touch1.x;
-        const dy = touch2.y - touch1.y;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-    
-    function getCenter(touch1, touch2) {
-        return {
-            x: (touch1.x + touch2.x) / 2,
-            y: (touch1.y + touch2.y) / 2
-        };
-    }
-    } catch (error) {
-        // Silently handle setup errors
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        console.warn('Image hashing failed, storing without deduplication:', error);
+        return null;
     }
 }
 
-// Efficient single cell update function for smooth interactions
-function updateSingleCell(cellIndex) {
-    const svg = elements.sheet.querySelector('svg');
-    if (!svg) {
-        // Fallback to full render if SVG doesn't exist
-        renderSVGSheet();
-        return;
+// Returns the stored image with the same bytes when there is one, so the same
+// photo or page placed in several cells is kept in memory once.
+async function storeImageBlob(blob, width, height) {
+    const hash = await hashImageBlob(blob);
+    const existingImage = hash ? imageStoreState.images.get(hash) : null;
+    if (existingImage) {
+        return existingImage;
     }
-    
-    const contentLayer = svg.querySelector('#content-layer');
-    const uiLayer = svg.querySelector('#ui-layer');
-    
-    if (!contentLayer || !uiLayer) {
-        // Fallback to full render if layers don't exist
-        renderSVGSheet();
-        return;
+
+    const imageData = createStoredImage(blob, width, height);
+    if (hash) {
+        imageStoreState.images.set(hash, imageData);
     }
+    return imageData;
+}
 
-    const { gridSpacing } = getGridMetrics();
-    const { x: cellX, y: cellY, width: cellWidth, height: cellHeight } = getCellCoordinates(cellIndex);
-    
-    // Find and remove existing cell elements
-    const existingContentCell = contentLayer.querySelector(`[data-cell-index="${cellIndex}"]`);
-    const existingUICell = uiLayer.querySelector(`[data-cell-index="${cellIndex}"]`);
-    
-    if (existingContentCell) existingContentCell.remove();
-    if (existingUICell) existingUICell.remove();
-    
-    // Create new cell groups
-    const cellContentGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    cellContentGroup.setAttribute('data-cell-index', cellIndex);
-    cellContentGroup.setAttribute('class', 'cell-content');
-    
-    const cellUIGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    cellUIGroup.setAttribute('data-cell-index', cellIndex);
-    cellUIGroup.setAttribute('class', 'cell-ui');
-    cellUIGroup.style.cursor = 'pointer';
-    
-    // Render the updated cell
-    renderSVGCell(cellContentGroup, cellUIGroup, cellIndex, cellX, cellY, cellWidth, cellHeight, gridSpacing.cellPadding);
+function releaseImageUrl(imageData) {
+    if (!imageData._objectUrl) return;
 
-    // Match the behavior of the full SVG render.
-    cellUIGroup.addEventListener('click', (event) => handleCellUIClick(event, cellIndex));
-    
-    // Add back to DOM
-    contentLayer.appendChild(cellContentGroup);
-    uiLayer.appendChild(cellUIGroup);
+    URL.revokeObjectURL(imageData._objectUrl);
+    imageStoreState.urls.delete(imageData._objectUrl);
+    delete imageData._objectUrl;
 }
 
-function updateSheetSize() {
-    renderCurrentPage();
+function releaseDecodedImage(imageData) {
+    const decoded = imageData._decodedSource;
+    if (!decoded) return;
+
+    delete imageData._decodedSource;
+    delete imageData._decodedBytes;
+    decoded.then(source => source?.close?.(), () => {});
 }
 
-function handleCellUIClick(event, cellIndex) {
-    if (cropDragState.suppressNextClick) {
-        event.stopPropagation();
-        cropDragState.suppressNextClick = false;
-        return;
-    }
+function collectLayoutImages() {
+    const images = new Set();
+    appState.pages.forEach(pageState => pageState.cells.forEach(cellData => {
+        if (cellData?.image) images.add(cellData.image);
+        if (cellData?.originalImage) images.add(cellData.originalImage);
+    }));
+    return images;
+}
 
-    handleCellAdd(cellIndex);
+function collectRetainedImages(layoutImages) {
+    const images = new Set(layoutImages);
+    [...historyState.undoStack, ...historyState.redoStack].forEach(command => {
+        collectHistoryCommandImages(command, images);
+    });
+    return images;
 }
 
-function suppressNextCellClick() {
-    cropDragState.suppressNextClick = true;
+// Drops what only pages need from images no page shows, and forgets images
+// that neither a page nor the history can bring back.
+function pruneUnusedImages() {
+    const layoutImages = collectLayoutImages();
+    const retainedImages = collectRetainedImages(layoutImages);
+    const processedImages = new Set(layoutImages);
 
-    if (cropDragState.suppressClickTimeoutId) {
-        clearTimeout(cropDragState.suppressClickTimeoutId);
-    }
+    // Rotated originals are reprocessed whenever the filter changes.
+    layoutImages.forEach(imageData => {
+        if (imageData._rotatedImage?.image) processedImages.add(imageData._rotatedImage.image);
+    });
 
-    cropDragState.suppressClickTimeoutId = setTimeout(() => {
-        cropDragState.suppressNextClick = false;
-        cropDragState.suppressClickTimeoutId = null;
-    }, 150);
-}
+    Array.from(imageStoreState.urls.values())
+        .filter(imageData => !layoutImages.has(imageData))
+        .forEach(releaseImageUrl);
 
-function getClientPointInSVG(svg, clientX, clientY) {
-    const matrix = svg.getScreenCTM();
+    Array.from(imageStoreState.images)
+        .filter(([, imageData]) => !retainedImages.has(imageData) && !processedImages.has(imageData))
+        .forEach(([hash, imageData]) => {
+            releaseDecodedImage(imageData);
+            imageStoreState.images.delete(hash);
+        });
 
-    if (matrix) {
-        const point = svg.createSVGPoint();
-        point.x = clientX;
-        point.y = clientY;
-        return point.matrixTransform(matrix.inverse());
-    }
+    retainedImages.forEach(imageData => {
+        if (!processedImages.has(imageData)) releaseDecodedImage(imageData);
+    });
 
-    const rect = svg.getBoundingClientRect();
-    return {
-        x: ((clientX - rect.left) / rect.width) * layoutState.sheet.width,
-        y: ((clientY - rect.top) / rect.height) * layoutState.sheet.height
-    };
+    updateImageMemoryUsage();
 }
 
-function lockCropTouchDrag(svg) {
-    cropDragState.previousSheetStackTouchAction = elements.sheetStack?.style.touchAction || '';
-    cropDragState.previousSheetTouchAction = elements.sheet?.style.touchAction || '';
-    cropDragState.previousBodyUserSelect = document.body.style.userSelect || '';
+function getImageMemoryBudget() {
+    const { budgetPerDeviceGigabyte, defaultBudget, maxBudget } = CONFIG.memory;
+    const deviceMemory = Number(navigator.deviceMemory);
 
-    if (elements.sheetStack) {
-        elements.sheetStack.style.touchAction = 'none';
-    }
-    if (elements.sheet) {
-        elements.sheet.style.touchAction = 'none';
-    }
-    if (svg) {
-        svg.style.touchAction = 'none';
-    }
-    document.body.style.userSelect = 'none';
+    return deviceMemory > 0
+        ? Math.min(maxBudget, deviceMemory * budgetPerDeviceGigabyte)
+        : defaultBudget;
 }
 
-function unlockCropTouchDrag(svg) {
-    if (elements.sheetStack) {
-        elements.sheetStack.style.touchAction = cropDragState.previousSheetStackTouchAction;
-    }
-    if (elements.sheet) {
-        elements.sheet.style.touchAction = cropDragState.previousSheetTouchAction;
+function getImagesMemoryBytes(images) {
+    let totalBytes = 0;
+    images.forEach(imageData => {
+        totalBytes += (imageData.blob?.size || 0) + (imageData._decodedBytes || 0);
+    });
+    return totalBytes;
+}
+
+// Counts encoded bytes of every image a page or the history holds, plus the
+// decoded pixels cached for processing. Decoded pixels are the first thing to
+// go when the budget runs short, since they can be decoded again.
+function updateImageMemoryUsage() {
+    const layoutImages = collectLayoutImages();
+    const images = collectRetainedImages(layoutImages);
+    layoutImages.forEach(imageData => {
+        if (imageData._rotatedImage?.image) images.add(imageData._rotatedImage.image);
+    });
+
+    const budget = getImageMemoryBudget();
+    const warningBytes = budget * CONFIG.memory.warningRatio;
+    let usedBytes = getImagesMemoryBytes(images);
+
+    if (usedBytes >= warningBytes) {
+        images.forEach(releaseDecodedImage);
+        usedBytes = getImagesMemoryBytes(images);
     }
-    if (svg) {
-        svg.style.touchAction = '';
+
+    imageStoreState.usedBytes = usedBytes;
+    updateMemoryIndicator(usedBytes, budget);
+
+    if (usedBytes < warningBytes) {
+        imageStoreState.warningShown = false;
+    } else if (!imageStoreState.warningShown) {
+        imageStoreState.warningShown = true;
+        showStatusToast(t('memory.warning'), 6000);
     }
-    document.body.style.userSelect = cropDragState.previousBodyUserSelect;
 }
 
-function setSVGRectAttributes(rect, rectData) {
-    if (!rect) return;
+function updateMemoryIndicator(usedBytes, budget) {
+    const indicator = elements.memoryIndicator;
+    if (!indicator) return;
 
-    rect.setAttribute('x', rectData.x);
-    rect.setAttribute('y', rectData.y);
-    rect.setAttribute('width', rectData.width);
-    rect.setAttribute('height', rectData.height);
+    const toMegabytes = bytes => Math.max(1, Math.round(bytes / (1024 * 1024)));
+    indicator.textContent = t('memory.usage', { used: toMegabytes(usedBytes), budget: toMegabytes(budget) });
+    indicator.title = t('memory.title');
+    indicator.classList.toggle('hidden', usedBytes === 0);
+    indicator.classList.toggle('warning', usedBytes >= budget * CONFIG.memory.warningRatio);
 }
 
-function getCropFromDragPoint(edge, startCrop, startPoint, currentPoint) {
-    const deltaX = currentPoint.x - startPoint.x;
-    const deltaY = currentPoint.y - startPoint.y;
-    const nextCrop = { ...startCrop };
+async function createPersistentImageFromBlob(blob) {
+    const maxDimension = shouldUseNativeCameraCapture() ? CONFIG.image.maxRasterDimension : 0;
+    const result = await runImageTask('scale', { blob }, { maxDimension });
+    return createImageFromTaskResult(result);
+}
 
-    if (edge === 'top') {
-        nextCrop.top = startCrop.top + deltaY;
-    } else if (edge === 'right') {
-        nextCrop.right = startCrop.right - deltaX;
-    } else if (edge === 'bottom') {
-        nextCrop.bottom = startCrop.bottom - deltaY;
-    } else if (edge === 'left') {
-        nextCrop.left = startCrop.left + deltaX;
-    } else if (edge === 'top-left') {
-        nextCrop.top = startCrop.top + deltaY;
-        nextCrop.left = startCrop.left + deltaX;
-    } else if (edge === 'top-right') {
-        nextCrop.top = startCrop.top + deltaY;
-        nextCrop.right = startCrop.right - deltaX;
-    } else if (edge === 'bottom-right') {
-        nextCrop.bottom = startCrop.bottom - deltaY;
-        nextCrop.right = startCrop.right - deltaX;
-    } else if (edge === 'bottom-left') {
-        nextCrop.bottom = startCrop.bottom - deltaY;
-        nextCrop.left = startCrop.left + deltaX;
+// format is the one getImageFileFormat found; HEIF files are decoded here.
+async function createPersistentImageFromFile(file, format = 'native') {
+    if (format === 'heif') {
+        return createPersistentImageFromPixels(await decodeHEIFFile(file));
     }
 
-    return nextCrop;
+    return createPersistentImageFromBlob(file);
 }
 
-function previewCellCrop(crop, contentRect, cropBorderRect, clipRect) {
-    const cropRect = getCroppedContentRect({ crop }, contentRect);
-    setSVGRectAttributes(cropBorderRect, cropRect);
-    setSVGRectAttributes(clipRect, cropRect);
+async function createPersistentImageFromDataUrl(dataUrl) {
+    return createPersistentImageFromBlob(await dataUrlToBlob(dataUrl));
 }
 
-function getNearestCropSnapValue(value, targets) {
-    const threshold = CONFIG.interaction.cropSnapThreshold;
-    let nearestValue = value;
-    let nearestDistance = threshold;
-
-    for (const target of targets) {
-        const distance = Math.abs(target - value);
-        if (distance <= nearestDistance) {
-            nearestValue = target;
-            nearestDistance = distance;
-        }
+// rotation adds clockwise quarter turns to the page's own rotation.
+async function renderPDFPage(page, scale = 2, outputFormat = 'canvas', rotation = 0) {
+    const viewport = page.getViewport({ scale, rotation: page.rotate + rotation });
+    
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    
+    await page.render({
+        canvasContext: context,
+        viewport: viewport
+    }).promise;
+    
+    if (outputFormat === 'bitmap') {
+        // Convert to PNG bitmap (lossless, avoid double JPEG compression)
+        return createPersistentImageFromBlob(await canvasToBlob(canvas));
     }
+    
+    return canvas;
+}
 
-    return nearestValue;
+// Scale that gives a page the export resolution in a cell of the current page
+// it is about to fill, so small cells do not hold needlessly large rasters.
+function getPDFPageRenderScale(page, cellIndex, rotation = 0) {
+    return getCellRenderScale(page.getViewport({ scale: 1, rotation: page.rotate + rotation }), cellIndex);
 }
 
-function collectCropSnapTargets(activeCellIndex) {
-    const { totalCells, gridSpacing } = getGridMetrics();
-    const targets = { x: [], y: [] };
+// The same for any vector content of the given size at scale 1 (PDF pages, SVG).
+function getCellRenderScale(size, cellIndex) {
+    const fillMode = layoutState.cellDefaults?.[cellIndex]?.fillMode || 'contain';
 
-    if (totalCells <= 1) {
-        return targets;
+    return Math.max(CONFIG.pdfRender.minScale, getCellRasterScale({ image: size, fillMode }, cellIndex));
+}
+
+// How much a raster the size of cellData.image has to grow to reach the export
+// resolution where the cell shows it, zoom included, within maxPixels.
+function getCellRasterScale(cellData, cellIndex) {
+    const { width, height } = cellData.image;
+    const geometry = getCellImageGeometry(cellData, getCellContentCoordinates(cellIndex));
+    if (!geometry || !width || !height) {
+        return 1;
     }
 
-    for (let i = 0; i < totalCells; i++) {
-        if (i === activeCellIndex) continue;
-        if (!hasCustomCrop(layoutState.cells[i])) continue;
+    const pixelsPerMm = getExportScale();
+    const scale = Math.max(
+        geometry.visibleRect.width * pixelsPerMm / width,
+        geometry.visibleRect.height * pixelsPerMm / height
+    );
 
-        const { x, y, width, height } = getCellCoordinates(i);
-        const contentRect = getContentRectFromCellBounds(x, y, width, height, gridSpacing.cellPadding);
-        const cropRect = getCroppedContentRect(layoutState.cells[i], contentRect);
-        targets.x.push(cropRect.x, cropRect.x + cropRect.width);
-        targets.y.push(cropRect.y, cropRect.y + cropRect.height);
-    }
+    return Math.min(scale, Math.sqrt(CONFIG.pdfRender.maxPixels / (width * height)));
+}
 
-    return targets;
+function schedulePDFRenderRefresh() {
+    clearTimeout(pdfRenderState.refreshTimer);
+    if (pdfRenderState.exporting) return;
+
+    pdfRenderState.refreshTimer = setTimeout(() => {
+        const pageIndices = [appState.currentPageIndex];
+        refreshPDFCellRenders(pageIndices).catch(error => {
+            console.warn('[PDF] Failed to re-render pages for their cells:', error);
+        });
+        refreshPDFCellText(pageIndices).catch(error => {
+            console.warn('[PDF] Failed to read the text of pages for their cells:', error);
+        });
+    }, CONFIG.pdfRender.refreshDelayMs);
 }
 
-function applyCropSnap(edge, crop, contentRect, snapTargets) {
-    const nextCrop = clampCellCrop(crop, contentRect.width, contentRect.height);
-    const cropRect = getCroppedContentRect({ crop: nextCrop }, contentRect);
-    const rightEdge = contentRect.x + contentRect.width;
-    const bottomEdge = contentRect.y + contentRect.height;
+// Re-renders PDF pages from their retained documents once their cells show
+// them larger than the raster allows, after a grid or fill mode change or a
+// zoom-in.
+function refreshPDFCellRenders(pageIndices) {
+    return queuePDFRenderPass(() => runPDFRenderRefresh(
+        collectPDFRenderUpgrades(pageIndices, false),
+        upgradePDFCellRender
+    ));
+}
 
-    if (edge === 'left' || edge === 'top-left' || edge === 'bottom-left') {
-        nextCrop.left = getNearestCropSnapValue(cropRect.x, snapTargets.x) - contentRect.x;
-    }
-    if (edge === 'right' || edge === 'top-right' || edge === 'bottom-right') {
-        nextCrop.right = rightEdge - getNearestCropSnapValue(cropRect.x + cropRect.width, snapTargets.x);
-    }
-    if (edge === 'top' || edge === 'top-left' || edge === 'top-right') {
-        nextCrop.top = getNearestCropSnapValue(cropRect.y, snapTargets.y) - contentRect.y;
-    }
-    if (edge === 'bottom' || edge === 'bottom-left' || edge === 'bottom-right') {
-        nextCrop.bottom = bottomEdge - getNearestCropSnapValue(cropRect.y + cropRect.height, snapTargets.y);
-    }
+// Pages of other sheets only need the export resolution while an export runs,
+// so they get renders of their own instead of keeping the larger raster.
+// skipVectorCells leaves out pages a PDF export embeds as vectors. Refreshes
+// stop until releaseExportPDFRenders, since the export shows every page in turn.
+function prepareExportPDFRenders({ skipVectorCells = false } = {}) {
+    pdfRenderState.exporting = true;
+    clearTimeout(pdfRenderState.refreshTimer);
 
-    return clampCellCrop(nextCrop, contentRect.width, contentRect.height);
+    const pageIndices = appState.pages.map((_pageState, pageIndex) => pageIndex);
+    return queuePDFRenderPass(() => runPDFRenderRefresh(
+        collectPDFRenderUpgrades(pageIndices, skipVectorCells),
+        renderExportPDFCell
+    ));
 }
 
-function startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, clientX, clientY, options = {}) {
-    if (cropDragState.active) {
-        event.preventDefault();
-        event.stopPropagation();
-        return;
-    }
+function releaseExportPDFRenders() {
+    pdfRenderState.exporting = false;
+    pdfRenderState.exportImages.clear();
+    pruneUnusedImages();
+    schedulePDFRenderRefresh();
+}
 
-    event.preventDefault();
-    event.stopPropagation();
-    hideBitonalPopover();
-    resetPageSwipeTracking();
-    suppressNextCellClick();
+function queuePDFRenderPass(runPass) {
+    const pass = pdfRenderState.queue.then(runPass);
+    pdfRenderState.queue = pass.catch(() => {});
+    return pass;
+}
 
-    const svg = elements.sheet.querySelector('svg');
-    if (!svg) return;
+async function runPDFRenderRefresh(upgrades, applyUpgrade) {
+    if (!upgrades.length || !pdfjsLib?.getDocument) {
+        return;
+    }
 
-    cropDragState.active = true;
-    const dragTarget = event.currentTarget;
-    const pointerId = options.pointerId;
+    const upgradesByDocument = new Map();
+    upgrades.forEach(upgrade => {
+        const { documentId } = upgrade.pdfSource;
+        upgradesByDocument.set(documentId, [...(upgradesByDocument.get(documentId) || []), upgrade]);
+    });
 
-    if (pointerId !== undefined) {
+    for (const [documentId, documentUpgrades] of upgradesByDocument) {
+        let pdf;
         try {
-            dragTarget.setPointerCapture?.(pointerId);
+            pdf = await openPDFSource(documentId);
         } catch (error) {
-            // Pointer capture is best-effort; document listeners keep the drag working.
+            // Passwords are not stored, so restored encrypted sources keep their renders.
+            console.warn('[PDF] Source could not be reopened, keeping its page renders:', error);
+            continue;
         }
-    }
 
-    lockCropTouchDrag(svg);
+        try {
+            for (const upgrade of documentUpgrades) {
+                await applyUpgrade(pdf, upgrade);
+            }
+        } finally {
+            pdf.destroy();
+        }
+    }
 
-    const cropBorderRect = dragTarget.parentNode?.querySelector('[data-crop-border="true"]');
-    const clipRect = elements.sheet.querySelector(`#cell-clip-${cellIndex} rect`);
-    const startPoint = getClientPointInSVG(svg, clientX, clientY);
-    const startCrop = clampCellCrop(layoutState.cells[cellIndex]?.crop, contentRect.width, contentRect.height);
-    const snapTargets = collectCropSnapTargets(cellIndex);
-    let pendingPoint = startPoint;
-    let currentCrop = startCrop;
-    let frameRequestId = null;
+    pruneUnusedImages();
+}
 
-    const applyPendingCrop = () => {
-        frameRequestId = null;
-        const draggedCrop = getCropFromDragPoint(edge, startCrop, startPoint, pendingPoint);
-        currentCrop = applyCropSnap(edge, draggedCrop, contentRect, snapTargets);
-        previewCellCrop(currentCrop, contentRect, cropBorderRect, clipRect);
-    };
+function collectPDFRenderUpgrades(pageIndices, skipVectorCells) {
+    const originalPageIndex = appState.currentPageIndex;
+    const upgrades = [];
 
-    const queueCropPreview = (moveClientX, moveClientY) => {
-        pendingPoint = getClientPointInSVG(svg, moveClientX, moveClientY);
-        if (frameRequestId === null) {
-            frameRequestId = requestAnimationFrame(applyPendingCrop);
-        }
-    };
+    try {
+        pageIndices.forEach(pageIndex => {
+            appState.currentPageIndex = pageIndex;
+            layoutState.cells.forEach((cellData, cellIndex) => {
+                const pdfSource = cellData?.pdfSource;
+                if (!pdfSource || !cellData.image || !pdfSourceState.documents.has(pdfSource.documentId)) return;
+                if (skipVectorCells && getCellVectorPDFSource(cellData)) return;
+
+                const scale = getCellRasterScale(cellData, cellIndex);
+                if (scale >= CONFIG.pdfRender.upgradeRatio) {
+                    upgrades.push({ cellData, cellIndex, pdfSource, width: Math.round(cellData.originalImage.width * scale) });
+                }
+            });
+        });
+    } finally {
+        appState.currentPageIndex = originalPageIndex;
+    }
 
-    const handlePointerMove = (moveEvent) => {
-        if (pointerId !== undefined && moveEvent.pointerId !== pointerId) return;
+    return upgrades;
+}
 
-        moveEvent.preventDefault();
-        moveEvent.stopPropagation();
-        queueCropPreview(moveEvent.clientX, moveEvent.clientY);
-    };
+// Renders the upgrade's page at its width and builds the cell's pixels from it.
+// Returns null when the cell was edited or rotated while the page was rendering.
+async function renderPDFCellUpgrade(pdf, { cellData, pdfSource, width }) {
+    const operationId = cellData.imageOperationId;
+    const rotation = pdfSource.rotation || 0;
+    const page = await pdf.getPage(pdfSource.pageNumber);
+    const viewport = page.getViewport({ scale: 1, rotation: page.rotate + rotation });
+    const originalImage = await renderPDFPage(page, width / viewport.width, 'bitmap', rotation);
+    page.cleanup();
 
-    const touchIdentifier = options.touchIdentifier;
-    const handleTouchMove = (moveEvent) => {
-        const touch = Array.from(moveEvent.touches).find(item => item.identifier === touchIdentifier);
-        if (!touch) return;
+    if (!isCellImageOperationCurrent(cellData, operationId) || cellData.pdfSource !== pdfSource) {
+        return null;
+    }
 
-        moveEvent.preventDefault();
-        moveEvent.stopPropagation();
-        queueCropPreview(touch.clientX, touch.clientY);
-    };
+    const image = await buildCellImage(cellData, operationId, originalImage);
+    return image ? { originalImage, image } : null;
+}
 
-    const endDrag = (endEvent = {}) => {
-        if (endEvent.pointerId !== undefined && pointerId !== undefined && endEvent.pointerId !== pointerId) {
-            return;
-        }
+async function upgradePDFCellRender(pdf, upgrade) {
+    const { cellData, cellIndex } = upgrade;
+    const rendered = await renderPDFCellUpgrade(pdf, upgrade);
+    if (!rendered) return;
 
-        if (frameRequestId !== null) {
-            cancelAnimationFrame(frameRequestId);
-            applyPendingCrop();
-        }
+    cellData.originalImage = rendered.originalImage;
+    cellData.image = rendered.image;
 
-        setCellCrop(cellIndex, currentCrop, contentRect);
+    if (appState.pages[appState.currentPageIndex]?.cells[cellIndex] === cellData) {
         updateSingleCell(cellIndex);
+    }
+}
 
-        if (pointerId !== undefined) {
-            try {
-                dragTarget.releasePointerCapture?.(pointerId);
-            } catch (error) {
-                // Ignore if capture was already released by the browser.
-            }
-        }
-
-        cropDragState.active = false;
-        unlockCropTouchDrag(svg);
-        document.removeEventListener('pointermove', handlePointerMove);
-        document.removeEventListener('pointerup', endDrag);
-        document.removeEventListener('pointercancel', endDrag);
-        document.removeEventListener('touchmove', handleTouchMove);
-        document.removeEventListener('touchend', handleTouchEnd);
-        document.removeEventListener('touchcancel', handleTouchEnd);
-    };
+async function renderExportPDFCell(pdf, upgrade) {
+    const rendered = await renderPDFCellUpgrade(pdf, upgrade);
+    if (rendered) {
+        pdfRenderState.exportImages.set(upgrade.cellData, rendered.image);
+    }
+}
 
-    const handleTouchEnd = (endEvent) => {
-        const activeTouchExists = Array.from(endEvent.touches).some(item => item.identifier === touchIdentifier);
-        if (!activeTouchExists) {
-            endDrag();
+// The page selector lists the pages of a page document: a PDF, or a multi-page
+// TIFF. Each one renders page thumbnails and adds a page to a cell flow,
+// returning the cell it took.
+function createPDFPageDocument(pdf, documentId) {
+    return {
+        numPages: pdf.numPages,
+        titleKey: 'pdfPage.title',
+        async renderThumbnail(pageNum) {
+            const page = await pdf.getPage(pageNum);
+            return renderPDFPage(page, CONFIG.pdfSelector.thumbnailScale, 'canvas');
+        },
+        async addPageToFlow(flow, pageNum, title) {
+            const page = await pdf.getPage(pageNum);
+            const pdfSource = documentId ? createPDFSourceReference(documentId, pageNum) : null;
+            const target = await addPDFPageToFlowCell(flow, page, title, pdfSource);
+            page.cleanup();
+            return target;
         }
     };
+}
 
-    if (options.inputType === 'touch') {
-        document.addEventListener('touchmove', handleTouchMove, { passive: false });
-        document.addEventListener('touchend', handleTouchEnd);
-        document.addEventListener('touchcancel', handleTouchEnd);
-    } else {
-        document.addEventListener('pointermove', handlePointerMove, { passive: false });
-        document.addEventListener('pointerup', endDrag);
-        document.addEventListener('pointercancel', endDrag);
-    }
-}
-
-function startCellCropDrag(event, cellIndex, edge, contentRect) {
-    if (event.pointerType === 'touch') {
-        event.preventDefault();
-        event.stopPropagation();
-        return;
-    }
+// The picked pages go into the flow; it takes no cell before they are imported.
+async function showPDFPageSelector(pageDocument, fileName, flow, documentId = null, unreadablePages = new Set()) {
+    const pageGrid = elements.pageGrid;
+    cancelPDFPageSelectorGeneration();
+    
+    // Hide the initial loading overlay since we're showing the page selector
+    hideLoading();
+    
+    // Show the page selector immediately
+    showPageSelector();
+    
+    pageSelectorSession = {
+        canceled: false,
+        flow,
+        pageDocument,
+        documentId,
+        fileName,
+        pageGrid,
+        spacer: null,
+        metrics: null,
+        scrollHandler: null,
+        frameRequestId: null,
+        resizeObserver: null,
+        renderedSlots: new Map(),
+        thumbnailCache: new Map(),
+        thumbnailCacheOrder: [],
+        pendingRenders: new Map(),
+        unreadablePages,
+        selectedPages: new Set(),
+        selectionAnchor: null
+    };
 
-    startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, event.clientX, event.clientY, {
-        inputType: 'pointer',
-        pointerId: event.pointerId
-    });
+    elements.pageSelectorTitle.dataset.i18n = pageDocument.titleKey;
+    elements.pageSelectorTitle.textContent = t(pageDocument.titleKey);
+    elements.pageSelectorNotice.textContent = unreadablePages.size
+        ? t('pdfPage.damagedNotice', { readable: pageDocument.numPages - unreadablePages.size, total: pageDocument.numPages })
+        : '';
+    elements.pageSelectorNotice.classList.toggle('hidden', !unreadablePages.size);
+    updatePDFPageSelection(pageSelectorSession);
+    setupVirtualPDFPageSelector(pageSelectorSession);
 }
 
-function startCellCropTouchDrag(event, cellIndex, edge, contentRect) {
-    const touch = event.changedTouches[0];
-    if (!touch || event.touches.length !== 1) return;
+function setupVirtualPDFPageSelector(session) {
+    const { pageGrid } = session;
 
-    startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, touch.clientX, touch.clientY, {
-        inputType: 'touch',
-        touchIdentifier: touch.identifier
-    });
-}
+    pageGrid.innerHTML = '';
+    pageGrid.scrollTop = 0;
+    pageGrid.classList.add('virtualized');
 
-function appendCropBorderHitArea(cellUIGroup, cellIndex, edge, contentRect, cropRect) {
-    const hitWidth = CONFIG.ui.cropBorderHitWidth;
-    const halfHitWidth = hitWidth / 2;
-    const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    const spacer = document.createElement('div');
+    spacer.className = 'page-virtual-spacer';
+    pageGrid.appendChild(spacer);
+    session.spacer = spacer;
 
-    if (edge === 'top') {
-        hitArea.setAttribute('x', cropRect.x);
-        hitArea.setAttribute('y', cropRect.y - halfHitWidth);
-        hitArea.setAttribute('width', cropRect.width);
-        hitArea.setAttribute('height', hitWidth);
-        hitArea.style.cursor = 'ns-resize';
-    } else if (edge === 'right') {
-        hitArea.setAttribute('x', cropRect.x + cropRect.width - halfHitWidth);
-        hitArea.setAttribute('y', cropRect.y);
-        hitArea.setAttribute('width', hitWidth);
-        hitArea.setAttribute('height', cropRect.height);
-        hitArea.style.cursor = 'ew-resize';
-    } else if (edge === 'bottom') {
-        hitArea.setAttribute('x', cropRect.x);
-        hitArea.setAttribute('y', cropRect.y + cropRect.height - halfHitWidth);
-        hitArea.setAttribute('width', cropRect.width);
-        hitArea.setAttribute('height', hitWidth);
-        hitArea.style.cursor = 'ns-resize';
-    } else if (edge === 'left') {
-        hitArea.setAttribute('x', cropRect.x - halfHitWidth);
-        hitArea.setAttribute('y', cropRect.y);
-        hitArea.setAttribute('width', hitWidth);
-        hitArea.setAttribute('height', cropRect.height);
-        hitArea.style.cursor = 'ew-resize';
+    session.scrollHandler = () => {
+        scheduleVirtualPDFPageSelectorUpdate(session);
+    };
+    pageGrid.addEventListener('scroll', session.scrollHandler, { passive: true });
+
+    if ('ResizeObserver' in window) {
+        session.resizeObserver = new ResizeObserver(() => {
+            scheduleVirtualPDFPageSelectorUpdate(session);
+        });
+        session.resizeObserver.observe(pageGrid);
     }
 
-    hitArea.setAttribute('fill', 'transparent');
-    hitArea.setAttribute('pointer-events', 'all');
-    hitArea.style.touchAction = 'none';
-    hitArea.addEventListener('touchstart', (event) => startCellCropTouchDrag(event, cellIndex, edge, contentRect), { passive: false });
-    hitArea.addEventListener('pointerdown', (event) => startCellCropDrag(event, cellIndex, edge, contentRect));
-    hitArea.addEventListener('click', (event) => {
-        event.stopPropagation();
-    });
-    cellUIGroup.appendChild(hitArea);
+    updateVirtualPDFPageSelector(session);
+    scheduleVirtualPDFPageSelectorUpdate(session);
 }
 
-function appendCropCornerHitArea(cellUIGroup, cellIndex, corner, contentRect, cropRect) {
-    const hitSize = CONFIG.ui.cropCornerHitSize;
-    const halfHitSize = hitSize / 2;
-    const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    let cornerX = cropRect.x;
-    let cornerY = cropRect.y;
-
-    if (corner === 'top-right' || corner === 'bottom-right') {
-        cornerX = cropRect.x + cropRect.width;
-    }
-
-    if (corner === 'bottom-right' || corner === 'bottom-left') {
-        cornerY = cropRect.y + cropRect.height;
+function scheduleVirtualPDFPageSelectorUpdate(session) {
+    if (session.canceled || pageSelectorSession !== session || session.frameRequestId !== null) {
+        return;
     }
 
-    hitArea.setAttribute('x', cornerX - halfHitSize);
-    hitArea.setAttribute('y', cornerY - halfHitSize);
-    hitArea.setAttribute('width', hitSize);
-    hitArea.setAttribute('height', hitSize);
-    hitArea.setAttribute('fill', 'transparent');
-    hitArea.setAttribute('pointer-events', 'all');
-    hitArea.style.cursor = corner === 'top-left' || corner === 'bottom-right'
-        ? 'nwse-resize'
-        : 'nesw-resize';
-    hitArea.style.touchAction = 'none';
-    hitArea.addEventListener('touchstart', (event) => startCellCropTouchDrag(event, cellIndex, corner, contentRect), { passive: false });
-    hitArea.addEventListener('pointerdown', (event) => startCellCropDrag(event, cellIndex, corner, contentRect));
-    hitArea.addEventListener('click', (event) => {
-        event.stopPropagation();
+    session.frameRequestId = requestAnimationFrame(() => {
+        session.frameRequestId = null;
+        updateVirtualPDFPageSelector(session);
     });
-    cellUIGroup.appendChild(hitArea);
 }
 
-function renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, hasImage) {
-    const borderRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    borderRect.setAttribute('x', cropRect.x);
-    borderRect.setAttribute('y', cropRect.y);
-    borderRect.setAttribute('width', cropRect.width);
-    borderRect.setAttribute('height', cropRect.height);
-    borderRect.setAttribute('fill', 'none');
-    borderRect.setAttribute('stroke', hasImage ? 'rgba(220, 38, 38, 0.95)' : '#adb5bd');
-    borderRect.setAttribute('stroke-width', CONFIG.ui.cropBorderStrokeWidth);
-    borderRect.setAttribute('pointer-events', 'none');
-    borderRect.setAttribute('data-crop-border', 'true');
+function getPDFPageSelectorMetrics(pageGrid, totalPages) {
+    const styles = window.getComputedStyle(pageGrid);
+    const gap = parseFloat(styles.rowGap || styles.gap || '16') || 16;
+    const columns = window.matchMedia('(max-width: 768px)').matches ? 1 : 2;
+    const itemWidth = Math.max(0, (pageGrid.clientWidth - gap * (columns - 1)) / columns);
+    const itemHeight = CONFIG.pdfSelector.itemHeight;
+    const rowHeight = itemHeight + gap;
+    const rowCount = Math.ceil(totalPages / columns);
 
-    if (hasImage) {
-        borderRect.setAttribute('stroke-dasharray', '2 1.5');
+    return {
+        columns,
+        gap,
+        itemWidth,
+        itemHeight,
+        rowHeight,
+        rowCount,
+        spacerHeight: rowCount * itemHeight + Math.max(0, rowCount - 1) * gap
+    };
+}
+
+function updateVirtualPDFPageSelector(session) {
+    if (session.canceled || pageSelectorSession !== session) {
+        return;
     }
 
-    cellUIGroup.appendChild(borderRect);
-    appendCropBorderHitArea(cellUIGroup, cellIndex, 'top', contentRect, cropRect);
-    appendCropBorderHitArea(cellUIGroup, cellIndex, 'right', contentRect, cropRect);
-    appendCropBorderHitArea(cellUIGroup, cellIndex, 'bottom', contentRect, cropRect);
-    appendCropBorderHitArea(cellUIGroup, cellIndex, 'left', contentRect, cropRect);
-    appendCropCornerHitArea(cellUIGroup, cellIndex, 'top-left', contentRect, cropRect);
-    appendCropCornerHitArea(cellUIGroup, cellIndex, 'top-right', contentRect, cropRect);
-    appendCropCornerHitArea(cellUIGroup, cellIndex, 'bottom-right', contentRect, cropRect);
-    appendCropCornerHitArea(cellUIGroup, cellIndex, 'bottom-left', contentRect, cropRect);
-}
+    const { pageGrid, pageDocument, spacer } = session;
+    const metrics = getPDFPageSelectorMetrics(pageGrid, pageDocument.numPages);
+    session.metrics = metrics;
 
-function clearOcrFlashTimer() {
-    if (ocrState.flashTimeoutId) {
-        clearTimeout(ocrState.flashTimeoutId);
-        ocrState.flashTimeoutId = null;
+    spacer.style.height = `${metrics.spacerHeight}px`;
+
+    if (metrics.itemWidth <= 0 || metrics.rowCount === 0) {
+        return;
     }
-}
 
-function clearOcrVisualState() {
-    clearOcrFlashTimer();
-    ocrState.activeCell = null;
-    ocrState.flashItems = [];
-    clearOcrScanOverlay();
-    clearOcrFlashOverlay();
-}
+    const range = getVirtualPDFPageRange(session);
 
-function setOcrActiveCell(pageIndex, cellIndex) {
-    ocrState.activeCell = { pageIndex, cellIndex };
+    for (const [pageNum, slot] of session.renderedSlots) {
+        if (pageNum < range.start || pageNum > range.end) {
+            slot.remove();
+            session.renderedSlots.delete(pageNum);
+        }
+    }
 
-    if (appState.currentPageIndex === pageIndex) {
-        showOcrScanOverlay(cellIndex);
+    for (let pageNum = range.start; pageNum <= range.end; pageNum++) {
+        renderVirtualPDFPageSlot(session, pageNum);
     }
-}
 
-function waitForNextPaint() {
-    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+    prunePDFThumbnailCache(session);
 }
 
-function waitForDuration(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function getVirtualPDFPageRange(session) {
+    const { pageGrid, pageDocument, metrics } = session;
+    const viewportHeight = pageGrid.clientHeight || metrics.itemHeight;
+    const bufferRows = CONFIG.pdfSelector.bufferRows;
+    const firstRow = Math.max(0, Math.floor(pageGrid.scrollTop / metrics.rowHeight) - bufferRows);
+    const lastRow = Math.min(
+        metrics.rowCount - 1,
+        Math.ceil((pageGrid.scrollTop + viewportHeight) / metrics.rowHeight) + bufferRows
+    );
+
+    return {
+        start: firstRow * metrics.columns + 1,
+        end: Math.min(pageDocument.numPages, (lastRow + 1) * metrics.columns)
+    };
 }
 
-async function waitForOcrScanFeedback() {
-    if (document.visibilityState === 'hidden') {
-        return;
-    }
+function renderVirtualPDFPageSlot(session, pageNum) {
+    let slot = session.renderedSlots.get(pageNum);
 
-    await waitForNextPaint();
-}
+    if (!slot) {
+        slot = createVirtualPDFPageSlot(session, pageNum);
+        session.renderedSlots.set(pageNum, slot);
+        session.spacer.appendChild(slot);
 
-function syncOcrOverlayVisibility() {
-    if (!elements.ocrVisualOverlay) {
-        return;
+        if (session.unreadablePages.has(pageNum)) {
+            renderPDFPageSlotPlaceholder(slot, pageNum, t('pdfPage.pageUnreadable'), true);
+        } else {
+            renderPDFPageSlotThumbnail(session, pageNum, slot);
+        }
     }
 
-    const hasVisuals = !!elements.ocrVisualOverlay.querySelector('.ocr-scan-html, .ocr-bbox-flash');
-    elements.ocrVisualOverlay.classList.toggle('hidden', !hasVisuals);
+    positionVirtualPDFPageSlot(session, pageNum, slot);
 }
 
-function clearOcrScanOverlay() {
-    elements.ocrVisualOverlay?.querySelectorAll('.ocr-scan-html').forEach(element => element.remove());
-    syncOcrOverlayVisibility();
+function createVirtualPDFPageSlot(session, pageNum) {
+    const slot = document.createElement('div');
+    slot.className = 'page-thumbnail page-thumbnail-virtual';
+    slot.dataset.pageNum = pageNum;
+    slot.tabIndex = 0;
+    slot.setAttribute('role', 'button');
+    slot.setAttribute('aria-label', t('pdfPage.selectAria', { page: pageNum }));
+    slot.setAttribute('aria-pressed', String(session.selectedPages.has(pageNum)));
+    slot.classList.toggle('selected', session.selectedPages.has(pageNum));
+    if (session.unreadablePages.has(pageNum)) {
+        slot.setAttribute('aria-disabled', 'true');
+    }
+
+    slot.addEventListener('click', (event) => {
+        handlePDFPageSlotActivation(session, pageNum, event);
+    });
+
+    slot.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            handlePDFPageSlotActivation(session, pageNum, event);
+        }
+    });
+
+    renderPDFPageSlotPlaceholder(slot, pageNum, t('pdfPage.loading'));
+    return slot;
 }
 
-function clearOcrFlashOverlay() {
-    elements.ocrVisualOverlay?.querySelectorAll('.ocr-bbox-flash').forEach(element => element.remove());
-    syncOcrOverlayVisibility();
+function positionVirtualPDFPageSlot(session, pageNum, slot) {
+    const { columns, gap, itemWidth, itemHeight, rowHeight } = session.metrics;
+    const pageIndex = pageNum - 1;
+    const row = Math.floor(pageIndex / columns);
+    const col = pageIndex % columns;
+
+    slot.style.width = `${itemWidth}px`;
+    slot.style.height = `${itemHeight}px`;
+    slot.style.transform = `translate(${col * (itemWidth + gap)}px, ${row * rowHeight}px)`;
 }
 
-function getOcrOverlayRectFromSheetBounds(bounds) {
-    const svg = elements.sheet?.querySelector('svg');
-    const svgRect = svg?.getBoundingClientRect();
-    const frameRect = elements.sheetFrame?.getBoundingClientRect();
+function renderPDFPageSlotPlaceholder(slot, pageNum, message, isError = false) {
+    slot.innerHTML = '';
+    slot.classList.toggle('page-thumbnail-error', isError);
 
-    if (!svgRect || !frameRect || !layoutState.sheet.width || !layoutState.sheet.height) {
-        return null;
-    }
+    const placeholder = document.createElement('div');
+    placeholder.className = 'page-thumbnail-placeholder';
+    placeholder.textContent = message;
 
-    const scaleX = svgRect.width / layoutState.sheet.width;
-    const scaleY = svgRect.height / layoutState.sheet.height;
+    const label = document.createElement('div');
+    label.className = 'page-label';
+    label.textContent = isError
+        ? t('pdfPage.pageErrorLabel', { page: pageNum })
+        : t('pdfPage.pageLabel', { page: pageNum });
 
-    return {
-        left: svgRect.left - frameRect.left + bounds.x * scaleX,
-        top: svgRect.top - frameRect.top + bounds.y * scaleY,
-        width: bounds.width * scaleX,
-        height: bounds.height * scaleY
-    };
+    slot.appendChild(placeholder);
+    slot.appendChild(label);
 }
 
-function getCellContentRect(cellIndex) {
-    const { gridSpacing } = getGridMetrics();
-    const { x, y, width, height } = getCellCoordinates(cellIndex);
-    return getContentRectFromCellBounds(x, y, width, height, gridSpacing.cellPadding);
-}
+function renderPDFPageSlotCanvas(slot, pageNum, canvas) {
+    slot.innerHTML = '';
+    slot.classList.remove('page-thumbnail-error');
 
-function setHtmlRect(element, rect) {
-    element.style.left = `${rect.left.toFixed(2)}px`;
-    element.style.top = `${rect.top.toFixed(2)}px`;
-    element.style.width = `${Math.max(1, rect.width).toFixed(2)}px`;
-    element.style.height = `${Math.max(1, rect.height).toFixed(2)}px`;
-}
+    const label = document.createElement('div');
+    label.className = 'page-label';
+    label.textContent = t('pdfPage.pageLabel', { page: pageNum });
 
-function showOcrScanOverlay(cellIndex) {
-    const overlay = elements.ocrVisualOverlay;
-    if (!overlay) return;
+    slot.appendChild(canvas);
+    slot.appendChild(label);
+}
 
-    const sweepBounds = getActualImageBounds(cellIndex) || getCellContentRect(cellIndex);
-    const sweepRect = getOcrOverlayRectFromSheetBounds(sweepBounds);
+async function renderPDFPageSlotThumbnail(session, pageNum, slot) {
+    const cachedThumbnail = session.thumbnailCache.get(pageNum);
 
-    clearOcrScanOverlay();
+    if (cachedThumbnail) {
+        touchPDFThumbnailCacheEntry(session, pageNum);
+        if (cachedThumbnail.error) {
+            renderPDFPageSlotPlaceholder(slot, pageNum, t('pdfPage.previewUnavailable'), true);
+        } else {
+            renderPDFPageSlotCanvas(slot, pageNum, cachedThumbnail.canvas);
+        }
+        return;
+    }
 
-    if (!sweepRect || sweepRect.width <= 0 || sweepRect.height <= 0) {
+    if (session.pendingRenders.has(pageNum)) {
         return;
     }
 
-    const scan = document.createElement('div');
-    scan.className = 'ocr-scan-html';
-    setHtmlRect(scan, sweepRect);
+    const renderPromise = (async () => {
+        try {
+            const canvas = await session.pageDocument.renderThumbnail(pageNum);
 
-    const bandHeight = Math.max(16, sweepRect.height * 0.16);
-    const track = document.createElement('div');
-    track.className = 'ocr-scan-html-track';
-    track.style.setProperty('--ocr-scan-duration', `${(CONFIG.ocr.scanSweepDurationMs / 1000).toFixed(2)}s`);
-    track.style.setProperty('--ocr-sweep-distance', `${sweepRect.height.toFixed(2)}px`);
-    track.style.setProperty('--ocr-sweep-band-height', `${bandHeight.toFixed(2)}px`);
+            if (session.canceled || pageSelectorSession !== session) {
+                return;
+            }
 
-    const band = document.createElement('div');
-    band.className = 'ocr-scan-html-band';
+            cachePDFThumbnail(session, pageNum, { canvas });
 
-    const line = document.createElement('div');
-    line.className = 'ocr-scan-html-line';
+            const currentSlot = session.renderedSlots.get(pageNum);
+            if (currentSlot?.isConnected) {
+                renderPDFPageSlotCanvas(currentSlot, pageNum, canvas);
+            }
+        } catch (error) {
+            if (session.canceled || pageSelectorSession !== session) {
+                return;
+            }
 
-    track.appendChild(band);
-    track.appendChild(line);
-    scan.appendChild(track);
-    overlay.appendChild(scan);
-    syncOcrOverlayVisibility();
-}
+            cachePDFThumbnail(session, pageNum, { error: true });
 
-function appendOcrFlashItems(pageIndex, cellIndex, items) {
-    if (!items.length) {
-        return;
-    }
+            const currentSlot = session.renderedSlots.get(pageNum);
+            if (currentSlot?.isConnected) {
+                renderPDFPageSlotPlaceholder(currentSlot, pageNum, t('pdfPage.previewUnavailable'), true);
+            }
+        } finally {
+            session.pendingRenders.delete(pageNum);
+            prunePDFThumbnailCache(session);
+        }
+    })();
 
-    ocrState.flashItems = ocrState.flashItems.filter(item => (
-        item.pageIndex !== pageIndex || item.cellIndex !== cellIndex
-    ));
-    ocrState.flashItems.push({ pageIndex, cellIndex, items });
+    session.pendingRenders.set(pageNum, renderPromise);
 }
 
-function scheduleOcrFlashClear(duration = CONFIG.ocr.flashDurationMs) {
-    clearOcrFlashTimer();
-    ocrState.flashTimeoutId = setTimeout(() => {
-        ocrState.flashItems = [];
-        ocrState.flashTimeoutId = null;
-        clearOcrFlashOverlay();
-    }, duration);
+function cachePDFThumbnail(session, pageNum, entry) {
+    session.thumbnailCache.set(pageNum, entry);
+    touchPDFThumbnailCacheEntry(session, pageNum);
+    prunePDFThumbnailCache(session);
 }
 
-function showOcrFlashOverlayForCurrentPage() {
-    const overlay = elements.ocrVisualOverlay;
-    if (!overlay) return;
+function touchPDFThumbnailCacheEntry(session, pageNum) {
+    const existingIndex = session.thumbnailCacheOrder.indexOf(pageNum);
+    if (existingIndex !== -1) {
+        session.thumbnailCacheOrder.splice(existingIndex, 1);
+    }
+    session.thumbnailCacheOrder.push(pageNum);
+}
 
-    clearOcrFlashOverlay();
+function prunePDFThumbnailCache(session) {
+    const visiblePages = new Set(session.renderedSlots.keys());
+    let attempts = 0;
 
-    for (const flashItem of ocrState.flashItems) {
-        if (flashItem.pageIndex !== appState.currentPageIndex) {
-            continue;
-        }
+    while (session.thumbnailCacheOrder.length > CONFIG.pdfSelector.maxCachedThumbnails && attempts < session.thumbnailCacheOrder.length) {
+        const pageNum = session.thumbnailCacheOrder[0];
 
-        const imageBounds = getActualImageBounds(flashItem.cellIndex);
-        if (!imageBounds) {
+        if (visiblePages.has(pageNum)) {
+            session.thumbnailCacheOrder.push(session.thumbnailCacheOrder.shift());
+            attempts++;
             continue;
         }
 
-        for (const item of flashItem.items) {
-            const bounds = getNormalizedOcrBounds(item.polyNorm);
+        session.thumbnailCache.delete(pageNum);
+        session.thumbnailCacheOrder.shift();
+        attempts = 0;
+    }
+}
 
-            if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
-                continue;
-            }
+function handlePDFPageSlotActivation(session, pageNum, event) {
+    if (session.canceled || pageSelectorSession !== session || session.unreadablePages.has(pageNum)) {
+        return;
+    }
 
-            const boxRect = getOcrOverlayRectFromSheetBounds({
-                x: imageBounds.x + bounds.x * imageBounds.width,
-                y: imageBounds.y + bounds.y * imageBounds.height,
-                width: bounds.width * imageBounds.width,
-                height: bounds.height * imageBounds.height
-            });
+    const { selectedPages } = session;
 
-            if (!boxRect) {
-                continue;
+    // A plain click imports a single page until a multi-page selection exists.
+    if (event.shiftKey) {
+        const anchor = session.selectionAnchor ?? pageNum;
+        for (let page = Math.min(anchor, pageNum); page <= Math.max(anchor, pageNum); page++) {
+            if (!session.unreadablePages.has(page)) {
+                selectedPages.add(page);
             }
-
-            const box = document.createElement('div');
-            box.className = 'ocr-bbox-flash';
-            box.setAttribute('data-ocr-flash', 'true');
-            setHtmlRect(box, boxRect);
-            overlay.appendChild(box);
         }
+    } else if (event.ctrlKey || event.metaKey || selectedPages.size > 0) {
+        if (selectedPages.has(pageNum)) {
+            selectedPages.delete(pageNum);
+        } else {
+            selectedPages.add(pageNum);
+        }
+    } else {
+        selectPDFPagesFromSession(session, [pageNum]);
+        return;
     }
 
-    syncOcrOverlayVisibility();
+    session.selectionAnchor = pageNum;
+    updatePDFPageSelection(session);
 }
 
-// SVG cell rendering function
-function renderSVGCell(cellContentGroup, cellUIGroup, cellIndex, cellX, cellY, cellWidth, cellHeight, cellPadding) {
-    const cellData = layoutState.cells[cellIndex];
-    const contentRect = getContentRectFromCellBounds(cellX, cellY, cellWidth, cellHeight, cellPadding);
-    const cropRect = getCroppedContentRect(cellData, contentRect);
-    
-    if (cellData?.image) {
-        const imageGeometry = getCellImageGeometry(cellData, contentRect);
-        
-        // Create clipping path for the cell content area
-        const clipId = `cell-clip-${cellIndex}`;
-        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-        const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
-        clipPath.setAttribute('id', clipId);
-        
-        const clipRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        clipRect.setAttribute('x', cropRect.x);
-        clipRect.setAttribute('y', cropRect.y);
-        clipRect.setAttribute('width', cropRect.width);
-        clipRect.setAttribute('height', cropRect.height);
-        clipPath.appendChild(clipRect);
-        defs.appendChild(clipPath);
-        cellContentGroup.appendChild(defs);
-        
-        // Create image element with different handling for cover mode
-        const imageEl = document.createElementNS('http://www.w3.org/2000/svg', 'image');
-        imageEl.setAttribute('href', cellData.image.src);
-        imageEl.setAttribute('clip-path', `url(#${clipId})`);
-        imageEl.style.cursor = 'pointer';
+function updatePDFPageSelection(session, options = {}) {
+    const { selectedPages } = session;
 
-        if (imageGeometry) {
-            imageEl.setAttribute('x', imageGeometry.renderRect.x);
-            imageEl.setAttribute('y', imageGeometry.renderRect.y);
-            imageEl.setAttribute('width', imageGeometry.renderRect.width);
-            imageEl.setAttribute('height', imageGeometry.renderRect.height);
-            imageEl.setAttribute('preserveAspectRatio', imageGeometry.preserveAspectRatio);
-        }
+    for (const [pageNum, slot] of session.renderedSlots) {
+        slot.classList.toggle('selected', selectedPages.has(pageNum));
+        slot.setAttribute('aria-pressed', String(selectedPages.has(pageNum)));
+    }
 
-        if (cellData.fillMode === 'cover' && imageGeometry) {
-            // Setup interactive behavior for cover mode
-            setupImageInteraction(imageEl, cellIndex, imageGeometry.interactionRect);
+    if (options.syncRangeInput !== false) {
+        elements.pageRangeInput.value = formatPageRangeList(Array.from(selectedPages));
+        elements.pageRangeInput.removeAttribute('aria-invalid');
+    }
+
+    elements.importSelectedPagesBtn.disabled = selectedPages.size === 0;
+    elements.importSelectedPagesBtn.textContent = t('pdfPage.importSelected', { count: selectedPages.size });
+}
+
+function parsePageRangeList(text, totalPages) {
+    const pageNumbers = new Set();
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+
+    for (const part of parts) {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const start = Number(match[1]);
+        const end = match[2] === undefined ? start : (match[2] === '' ? totalPages : Number(match[2]));
+        if (start < 1 || end < 1 || start > totalPages || end > totalPages) {
+            return null;
+        }
+
+        for (let page = Math.min(start, end); page <= Math.max(start, end); page++) {
+            pageNumbers.add(page);
+        }
+    }
+
+    return Array.from(pageNumbers).sort((a, b) => a - b);
+}
+
+function formatPageRangeList(pageNumbers) {
+    const sortedPages = [...pageNumbers].sort((a, b) => a - b);
+    const ranges = [];
+
+    sortedPages.forEach(page => {
+        const lastRange = ranges[ranges.length - 1];
+        if (lastRange && page === lastRange[1] + 1) {
+            lastRange[1] = page;
         } else {
-            // Add click handler for cycling fill mode
-            imageEl.addEventListener('click', (e) => {
-                e.stopPropagation();
-                cycleFillMode(cellIndex);
-            });
+            ranges.push([page, page]);
         }
-        
-        cellContentGroup.appendChild(imageEl);
-        renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, true);
+    });
 
-        // Add fill mode cycling button (circle with square icon in top-left corner, inside cell)
-        const fillModeBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        fillModeBtn.style.cursor = 'pointer';
-        
-        const fillModeBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        fillModeBtnCircle.setAttribute('cx', cellX + CONFIG.ui.buttonRadius);
-        fillModeBtnCircle.setAttribute('cy', cellY + CONFIG.ui.buttonRadius);
-        fillModeBtnCircle.setAttribute('r', CONFIG.ui.buttonRadius);
-        fillModeBtnCircle.setAttribute('fill', 'rgba(40, 167, 69, 0.9)');
-        fillModeBtnCircle.setAttribute('stroke', 'white');
-        fillModeBtnCircle.setAttribute('stroke-width', CONFIG.ui.buttonStrokeWidth);
-        
-        // Simple white square outline icon (larger)
-        const fillModeBtnIcon = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        fillModeBtnIcon.setAttribute('x', cellX + CONFIG.ui.buttonRadius - CONFIG.ui.buttonIconSize / 2);
-        fillModeBtnIcon.setAttribute('y', cellY + CONFIG.ui.buttonRadius - CONFIG.ui.buttonIconSize / 2);
-        fillModeBtnIcon.setAttribute('width', CONFIG.ui.buttonIconSize);
-        fillModeBtnIcon.setAttribute('height', CONFIG.ui.buttonIconSize);
-        fillModeBtnIcon.setAttribute('fill', 'none');
-        fillModeBtnIcon.setAttribute('stroke', 'white');
-        fillModeBtnIcon.setAttribute('stroke-width', CONFIG.ui.buttonStrokeWidth);
-        
-        fillModeBtn.appendChild(fillModeBtnCircle);
-        fillModeBtn.appendChild(fillModeBtnIcon);
-        
-        // Add click handler for fill mode cycling button
-        fillModeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            cycleFillMode(cellIndex);
-        });
-        
-        cellUIGroup.appendChild(fillModeBtn);
+    return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`)).join(', ');
+}
 
-        const filterConfig = getCellFilterConfig(cellData.filter || 'original');
-        const filterBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        filterBtn.style.cursor = 'pointer';
-        filterBtn.setAttribute('data-control', 'filter');
+function handlePDFPageRangeInput() {
+    const session = pageSelectorSession;
+    if (!session) return;
 
-        const filterBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        filterBtnCircle.setAttribute('cx', cellX + cellWidth / 2);
-        filterBtnCircle.setAttribute('cy', cellY + 12);
-        filterBtnCircle.setAttribute('r', '12');
-        filterBtnCircle.setAttribute('fill', 'rgba(111, 66, 193, 0.92)');
-        filterBtnCircle.setAttribute('stroke', 'white');
-        filterBtnCircle.setAttribute('stroke-width', '2');
+    const pageNumbers = parsePageRangeList(elements.pageRangeInput.value, session.pageDocument.numPages);
+    if (!pageNumbers) {
+        elements.pageRangeInput.setAttribute('aria-invalid', 'true');
+        return;
+    }
 
-        const filterBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        filterBtnText.setAttribute('x', cellX + cellWidth / 2);
-        filterBtnText.setAttribute('y', cellY + 12);
-        filterBtnText.setAttribute('text-anchor', 'middle');
-        filterBtnText.setAttribute('dominant-baseline', 'central');
-        filterBtnText.setAttribute('font-family', 'monospace');
-        filterBtnText.setAttribute('font-size', filterConfig.label.length > 1 ? '10' : '13');
-        filterBtnText.setAttribute('fill', 'white');
-        filterBtnText.setAttribute('font-weight', 'bold');
-        filterBtnText.textContent = filterConfig.label;
+    elements.pageRangeInput.removeAttribute('aria-invalid');
+    session.selectedPages = new Set(pageNumbers.filter(page => !session.unreadablePages.has(page)));
+    session.selectionAnchor = pageNumbers[pageNumbers.length - 1] ?? null;
+    updatePDFPageSelection(session, { syncRangeInput: false });
+}
 
-        filterBtn.appendChild(filterBtnCircle);
-        filterBtn.appendChild(filterBtnText);
-        filterBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (bitonalPopoverState.suppressNextClick) {
-                bitonalPopoverState.suppressNextClick = false;
-                return;
+function selectAllPDFPages() {
+    const session = pageSelectorSession;
+    if (!session) return;
+
+    session.selectedPages = new Set(Array.from({ length: session.pageDocument.numPages }, (_, index) => index + 1)
+        .filter(page => !session.unreadablePages.has(page)));
+    session.selectionAnchor = session.pageDocument.numPages;
+    updatePDFPageSelection(session);
+}
+
+function importSelectedPDFPages() {
+    const session = pageSelectorSession;
+    if (!session || session.selectedPages.size === 0) return;
+
+    selectPDFPagesFromSession(session, Array.from(session.selectedPages).sort((a, b) => a - b));
+}
+
+function selectPDFPagesFromSession(session, pageNumbers) {
+    if (session.canceled || pageSelectorSession !== session) {
+        return;
+    }
+
+    const { pageDocument, documentId, fileName, flow } = session;
+    // The import below now owns the pending source document.
+    session.documentId = null;
+    cancelPDFPageSelectorGeneration();
+    overlayManager.hide(elements.pageSelector);
+    showLoading(t('pdfPage.processingSelected'));
+    processSelectedPages(pageDocument, pageNumbers, fileName, flow, documentId);
+}
+
+function cancelPDFPageSelectorGeneration() {
+    if (pageSelectorSession) {
+        cleanupPDFPageSelectorSession(pageSelectorSession);
+        pageSelectorSession = null;
+    }
+}
+
+function cleanupPDFPageSelectorSession(session) {
+    session.canceled = true;
+
+    if (session.documentId) {
+        releasePDFSource(session.documentId);
+        session.documentId = null;
+    }
+
+    if (session.frameRequestId !== null) {
+        cancelAnimationFrame(session.frameRequestId);
+        session.frameRequestId = null;
+    }
+
+    if (session.pageGrid && session.scrollHandler) {
+        session.pageGrid.removeEventListener('scroll', session.scrollHandler);
+        session.scrollHandler = null;
+    }
+
+    if (session.resizeObserver) {
+        session.resizeObserver.disconnect();
+        session.resizeObserver = null;
+    }
+
+    if (session.pageGrid) {
+        session.pageGrid.classList.remove('virtualized');
+        session.pageGrid.innerHTML = '';
+    }
+
+    session.renderedSlots?.clear();
+    session.thumbnailCache?.clear();
+    session.thumbnailCacheOrder = [];
+    session.pendingRenders?.clear();
+}
+
+async function processSelectedPages(pageDocument, pageNumbers, fileName, flow, documentId = null) {
+    let firstTarget = null;
+    let failedPages = 0;
+
+    beginHistoryGroup();
+
+    try {
+        // Pages are rendered one at a time to keep only a single full-size raster in flight.
+        for (let i = 0; i < pageNumbers.length; i++) {
+            const pageNum = pageNumbers[i];
+
+            if (pageNumbers.length > 1) {
+                showLoading(t('pdfPage.importingPages', { current: i + 1, total: pageNumbers.length }));
             }
-            cycleCellFilter(cellIndex);
+
+            try {
+                const target = await pageDocument.addPageToFlow(flow, pageNum, `${fileName} p${pageNum}`);
+                firstTarget = firstTarget || target;
+            } catch (error) {
+                console.error(`Failed to import page ${pageNum}:`, error);
+                failedPages++;
+            }
+        }
+    } finally {
+        endHistoryGroup();
+        if (documentId) {
+            releasePDFSource(documentId);
+        }
+        if (firstTarget) {
+            switchToPage(firstTarget.pageIndex);
+        }
+        renderCurrentPage();
+        hideLoading();
+    }
+
+    if (failedPages === pageNumbers.length) {
+        alert(t('pdfPage.processSelectedFailed'));
+    } else if (failedPages > 0) {
+        showStatusToast(t('pdfPage.someFailed', { count: failedPages }), 4000);
+    }
+}
+
+function getPageCellCount(pageState) {
+    return pageState.grid.cols * pageState.grid.rows;
+}
+
+// Bulk imports fill the target cell first, then each following empty cell,
+// inserting pages with the same sheet and grid when the current one runs out.
+function createCellFlow(pageIndex, cellIndex, options = {}) {
+    return {
+        pageIndex,
+        cellIndex,
+        replaceStartCell: options.replaceStartCell !== false
+    };
+}
+
+function takeNextFlowCell(flow) {
+    for (;;) {
+        const pageState = appState.pages[flow.pageIndex];
+
+        if (flow.cellIndex >= getPageCellCount(pageState)) {
+            const historyBefore = snapshotPageList();
+            appState.pages.splice(flow.pageIndex + 1, 0, createEmptyPageState(pageState));
+            recordPageListHistory(historyBefore);
+            if (appState.currentPageIndex > flow.pageIndex) {
+                appState.currentPageIndex++;
+            }
+            flow.pageIndex++;
+            flow.cellIndex = 0;
+            continue;
+        }
+
+        if (isCellSlotCovered(pageState, flow.cellIndex)) {
+            flow.cellIndex++;
+            continue;
+        }
+
+        const target = { pageIndex: flow.pageIndex, cellIndex: flow.cellIndex };
+        const canUseCell = flow.replaceStartCell || !isCellImageContent(pageState.cells[flow.cellIndex]);
+        flow.replaceStartCell = false;
+        flow.cellIndex++;
+
+        if (canUseCell) {
+            return target;
+        }
+    }
+}
+
+function addToFlowCell(flow, content, title, pdfSource = null) {
+    const target = takeNextFlowCell(flow);
+    addToFlowTarget(target, content, title, pdfSource);
+    return target;
+}
+
+// The cell is taken first so the page can be rendered for that cell's size.
+async function addPDFPageToFlowCell(flow, page, title, pdfSource = null) {
+    const target = takeNextFlowCell(flow);
+    const scale = runOnFlowTargetPage(target, () => getPDFPageRenderScale(page, target.cellIndex));
+
+    addToFlowTarget(target, await renderPDFPage(page, scale, 'bitmap'), title, pdfSource);
+    return target;
+}
+
+async function addSVGToFlowCell(flow, svg, title) {
+    const target = takeNextFlowCell(flow);
+    const scale = runOnFlowTargetPage(target, () => getCellRenderScale(svg, target.cellIndex));
+
+    addToFlowTarget(target, await rasterizeSVG(svg, scale), title);
+    return target;
+}
+
+function addToFlowTarget(target, content, title, pdfSource) {
+    runOnFlowTargetPage(target, () => addToSpecificCell(content, title, target.cellIndex, pdfSource));
+}
+
+// Cell helpers work on the current page, so the target's page stands in for it.
+function runOnFlowTargetPage(target, callback) {
+    const originalPageIndex = appState.currentPageIndex;
+
+    appState.currentPageIndex = target.pageIndex;
+    try {
+        return callback();
+    } finally {
+        appState.currentPageIndex = originalPageIndex;
+    }
+}
+
+function addToSpecificCell(content, title = '', cellIndex, pdfSource = null) {
+    const existingCell = layoutState.cells[cellIndex];
+    const existingCrop = normalizeCellCrop(existingCell?.crop);
+    const cellDefaults = layoutState.cellDefaults?.[cellIndex];
+    // Stored images are shared rather than copied, so a page placed twice stays one Blob
+    const imageData = content;
+
+    // Store image data in new format for SVG compatibility
+    const nextCellData = {
+        image: imageData,
+        originalImage: imageData,
+        title,
+        filter: 'original',
+        filterSettings: {
+            bitonalThreshold: cellDefaults?.filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD
+        },
+        imageOperationId: 0,
+        fillMode: cellDefaults?.fillMode || 'contain', // Template default or contain
+        transform: {
+            scale: 1,
+            translateX: 0,
+            translateY: 0
+        }
+    };
+
+    if (hasCustomCrop({ crop: existingCrop })) {
+        nextCellData.crop = existingCrop;
+    }
+
+    if (pdfSource) {
+        nextCellData.pdfSource = { ...pdfSource };
+    }
+
+    const historyBefore = snapshotCell(existingCell);
+    layoutState.cells[cellIndex] = nextCellData;
+    recordCellHistory(appState.currentPageIndex, cellIndex, historyBefore);
+    
+    // Re-render entire SVG sheet
+    renderSVGSheet();
+
+    if (cellDefaults?.filter) {
+        applyCellFilter(cellIndex, cellDefaults.filter).catch(error => {
+            console.error('Failed to apply template filter:', error);
         });
-        bindBitonalPopoverTriggers(filterBtn, cellIndex);
+    }
+}
 
-        cellUIGroup.appendChild(filterBtn);
-        
-        // Add remove button (circle with X in top-right corner, inside cell)
-        const removeBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        removeBtn.style.cursor = 'pointer';
-        
-        const removeBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        removeBtnCircle.setAttribute('cx', cellX + cellWidth - 12);
-        removeBtnCircle.setAttribute('cy', cellY + 12);
-        removeBtnCircle.setAttribute('r', '12');
-        removeBtnCircle.setAttribute('fill', 'rgba(220, 53, 69, 0.9)');
-        removeBtnCircle.setAttribute('stroke', 'white');
-        removeBtnCircle.setAttribute('stroke-width', '2');
-        
-        const removeBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        removeBtnText.setAttribute('x', cellX + cellWidth - 12);
-        removeBtnText.setAttribute('y', cellY + 12);
-        removeBtnText.setAttribute('text-anchor', 'middle');
-        removeBtnText.setAttribute('dominant-baseline', 'central');
-        removeBtnText.setAttribute('font-family', 'monospace');
-        removeBtnText.setAttribute('font-size', '16');
-        removeBtnText.setAttribute('fill', 'white');
-        removeBtnText.setAttribute('font-weight', 'bold');
-        removeBtnText.textContent = '×';
-        
-        removeBtn.appendChild(removeBtnCircle);
-        removeBtn.appendChild(removeBtnText);
+function removeCellContent(cellIndex) {
+    if (bitonalPopoverState.cellIndex === cellIndex) {
+        hideBitonalPopover();
+    }
+    if (rotationPopoverState.cellIndex === cellIndex) {
+        hideRotationPopover();
+    }
+    if (adjustmentsPopoverState.cellIndex === cellIndex) {
+        hideAdjustmentsPopover();
+    }
+    const existingCell = layoutState.cells[cellIndex];
+    const existingCrop = normalizeCellCrop(existingCell?.crop);
+    const historyBefore = snapshotCell(existingCell);
+    layoutState.cells[cellIndex] = hasCustomCrop({ crop: existingCrop })
+        ? { crop: existingCrop }
+        : null;
+    recordCellHistory(appState.currentPageIndex, cellIndex, historyBefore);
+    // Re-render entire SVG sheet
+    renderSVGSheet();
+}
+
+function cycleFillMode(cellIndex) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData) return;
+    
+    // SVG native fill mode values to cycle through
+    const currentMode = cellData.fillMode || 'contain';
+    const currentIndex = CELL_FILL_MODES.indexOf(currentMode);
+    const nextIndex = (currentIndex + 1) % CELL_FILL_MODES.length;
+    const nextMode = CELL_FILL_MODES[nextIndex];
+    const historyBefore = snapshotCell(cellData);
+    
+    // Update state
+    cellData.fillMode = nextMode;
+    
+    // Reset transform when switching fill modes
+    if (!cellData.transform) {
+        cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
+    } else {
+        cellData.transform.scale = 1;
+        cellData.transform.translateX = 0;
+        cellData.transform.translateY = 0;
+    }
+    recordCellHistory(appState.currentPageIndex, cellIndex, historyBefore);
+    
+    // Re-render entire SVG sheet
+    renderSVGSheet();
+}
+
+async function cycleCellFilter(cellIndex) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    const currentFilter = cellData.filter || 'original';
+    const currentIndex = CELL_FILTERS.findIndex(filter => filter.key === currentFilter);
+    const nextFilter = CELL_FILTERS[(currentIndex + 1 + CELL_FILTERS.length) % CELL_FILTERS.length];
+
+    try {
+        await applyCellFilter(cellIndex, nextFilter.key);
+        showStatusToast(t(`filterNames.${nextFilter.key}`));
+    } catch (error) {
+        console.error('Failed to apply filter:', error);
+        alert(t('filters.applyFailed'));
+    }
+}
+
+async function applyCellFilter(cellIndex, filterKey, options = {}) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    if (bitonalPopoverState.cellIndex === cellIndex && filterKey !== cellData.filter) {
+        hideBitonalPopover();
+    }
+
+    beginCellHistoryStep(cellData);
+    const operationId = beginCellImageOperation(cellData);
+    cellData.originalImage = cellData.originalImage || cellData.image;
+    cellData.filter = filterKey;
+
+    const image = await buildCellImage(cellData, operationId);
+    if (!image) return;
+
+    cellData.image = image;
+    updateSingleCell(cellIndex);
+    commitCellHistoryStep(cellData, cellIndex, options);
+}
+
+async function setCellRotationAngle(cellIndex, angle, options = {}) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    beginCellHistoryStep(cellData);
+    const operationId = beginCellImageOperation(cellData);
+    cellData.originalImage = cellData.originalImage || cellData.image;
+
+    const rotationAngle = normalizeRotationAngle(angle);
+    if (rotationAngle) {
+        cellData.rotationAngle = rotationAngle;
+    } else {
+        delete cellData.rotationAngle;
+    }
+
+    const image = await buildCellImage(cellData, operationId);
+    if (!image) return;
+
+    cellData.image = image;
+    updateSingleCell(cellIndex);
+    commitCellHistoryStep(cellData, cellIndex, options);
+}
+
+// Builds the displayed pixels from the untouched original: fine rotation first,
+// then the filter. Returns null when a newer image operation took over the cell.
+async function buildCellImage(cellData, operationId, originalImage = cellData.originalImage) {
+    const angle = getCellRotationAngle(cellData);
+    const rotatedImage = angle
+        ? await rotateImageByAngle(originalImage, angle, cellData)
+        : originalImage;
+    if (!rotatedImage || !isCellImageOperationCurrent(cellData, operationId)) return null;
+
+    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
+    cellData.filter = cellData.filter || 'original';
+
+    if (cellData.filter === 'original' && !hasImageAdjustments(cellData.filterSettings)) {
+        return rotatedImage;
+    }
+
+    const filteredImage = await applyWebGLFilterToImage(rotatedImage, cellData.filter, cellData.filterSettings, cellData);
+    return filteredImage && isCellImageOperationCurrent(cellData, operationId) ? filteredImage : null;
+}
+
+function normalizeRotationAngle(angle) {
+    const value = Number(angle);
+    if (!Number.isFinite(value)) return 0;
+
+    const maxAngle = CONFIG.rotation.maxFineAngle;
+    return Math.round(clamp(value, -maxAngle, maxAngle) * 10) / 10 || 0;
+}
+
+function getCellRotationAngle(cellData) {
+    return normalizeRotationAngle(cellData?.rotationAngle);
+}
+
+// Rotate image 90 degrees clockwise
+function rotateImage(cellIndex) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+    
+    // Ensure transform exists (backward compatibility)
+    if (!cellData.transform) {
+        cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
+    }
+    
+    const originalImage = cellData.originalImage || cellData.image;
+    beginCellHistoryStep(cellData);
+    const operationId = beginCellImageOperation(cellData);
+
+    // Rotate the actual source image data, then rebuild the filtered version.
+    rotateImageData(originalImage, cellData).then(async rotatedImageData => {
+        if (!rotatedImageData || !isCellImageOperationCurrent(cellData, operationId)) return;
+
+        cellData.originalImage = rotatedImageData;
+        if (cellData.pdfSource) {
+            cellData.pdfSource = {
+                ...cellData.pdfSource,
+                rotation: ((cellData.pdfSource.rotation || 0) + 90) % 360
+            };
+        }
+
+        const image = await buildCellImage(cellData, operationId);
+        if (!image) return;
+        cellData.image = image;
+
+        // Reset transforms since we've physically rotated the image
+        cellData.transform.scale = 1;
+        cellData.transform.translateX = 0;
+        cellData.transform.translateY = 0;
         
-        // Add click handler for remove button
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            removeCellContent(cellIndex);
+        // Re-render the sheet to show the rotation
+        renderSVGSheet();
+        commitCellHistoryStep(cellData, cellIndex);
+    }).catch(error => {
+        console.error('Failed to rotate image:', error);
+        alert(t('image.rotateFailed'));
+    });
+}
+
+// Function to rotate image data 90 degrees clockwise
+async function rotateImageData(imageData, owner = null) {
+    const result = await runImageTask('rotate', { imageData }, {}, owner);
+    return result && createImageFromTaskResult(result, true);
+}
+
+// Rotates by an arbitrary angle (degrees, clockwise) onto a white canvas that
+// grows to fit the turned image. The last result is cached on the source image
+// so switching filters does not rotate it again.
+async function rotateImageByAngle(imageData, angle, owner = null) {
+    if (imageData._rotatedImage?.angle === angle) {
+        return imageData._rotatedImage.promise;
+    }
+
+    const promise = runImageTask('rotateAngle', { imageData }, { angle }, owner)
+        .then(result => result && createImageFromTaskResult(result, true));
+    const cacheEntry = { angle, promise };
+    const forgetResult = () => {
+        if (imageData._rotatedImage === cacheEntry) {
+            delete imageData._rotatedImage;
+        }
+    };
+
+    imageData._rotatedImage = cacheEntry;
+    promise.then(image => {
+        if (image) {
+            cacheEntry.image = image;
+        } else {
+            forgetResult();
+        }
+    }, forgetResult);
+
+    return promise;
+}
+
+// Returns the clockwise angle that levels the text lines, or null when the
+// image has too little ink or no clear line structure.
+async function estimateDeskewAngle(imageData) {
+    const sourceImage = await getCachedImageSource(imageData);
+    const scale = Math.min(1, CONFIG.rotation.deskewAnalysisSize / Math.max(sourceImage.width, sourceImage.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(sourceImage.width * scale));
+    canvas.height = Math.max(1, Math.round(sourceImage.height * scale));
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error('Failed to prepare deskew canvas');
+    }
+
+    ctx.drawImage(sourceImage, 0, 0, canvas.width, canvas.height);
+    return findSkewAngle(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+}
+
+// Projection-profile search: text lines produce the sharpest row histogram of
+// dark pixels when the projection runs along them.
+function findSkewAngle(rgba, width, height) {
+    const pixelCount = width * height;
+    const gray = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        gray[i] = rgba[i * 4] * 0.299 + rgba[i * 4 + 1] * 0.587 + rgba[i * 4 + 2] * 0.114;
+    }
+
+    const threshold = getOtsuThreshold(gray);
+    const inkX = [];
+    const inkY = [];
+
+    for (let i = 0; i < pixelCount; i++) {
+        if (gray[i] <= threshold) {
+            inkX.push(i % width - width / 2);
+            inkY.push(Math.floor(i / width) - height / 2);
+        }
+    }
+
+    // Mostly dark images are photos or negatives rather than text on paper.
+    if (inkX.length < CONFIG.rotation.deskewMinInkPixels || inkX.length > pixelCount / 2) {
+        return null;
+    }
+
+    const offset = Math.ceil(Math.hypot(width, height) / 2);
+    const bins = new Float64Array(offset * 2 + 1);
+    const scoreAngle = degrees => {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        bins.fill(0);
+
+        for (let i = 0; i < inkX.length; i++) {
+            bins[Math.round(inkY[i] * cos - inkX[i] * sin) + offset]++;
+        }
+
+        let score = 0;
+        for (let i = 1; i < bins.length; i++) {
+            score += (bins[i] - bins[i - 1]) ** 2;
+        }
+        return score;
+    };
+
+    const maxAngle = CONFIG.rotation.maxDeskewAngle;
+    let bestAngle = 0;
+    let bestScore = -1;
+    let scoreTotal = 0;
+    let scoreCount = 0;
+
+    for (let degrees = -maxAngle; degrees <= maxAngle + 1e-9; degrees += 0.5) {
+        const score = scoreAngle(degrees);
+        scoreTotal += score;
+        scoreCount++;
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = degrees;
+        }
+    }
+
+    // A flat profile across all angles means there are no lines to follow.
+    if (bestScore < (scoreTotal / scoreCount) * 1.1) {
+        return null;
+    }
+
+    const coarseAngle = bestAngle;
+    for (let degrees = coarseAngle - 0.4; degrees <= coarseAngle + 0.4 + 1e-9; degrees += 0.1) {
+        const score = scoreAngle(degrees);
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = degrees;
+        }
+    }
+
+    return normalizeRotationAngle(-bestAngle);
+}
+
+// Perspective correction: corners are stored in original image pixels,
+// ordered top-left, top-right, bottom-right, bottom-left.
+function setupPerspectiveEditor() {
+    elements.perspectiveHandles.forEach((handle, cornerIndex) => {
+        handle.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            handle.setPointerCapture?.(event.pointerId);
+            perspectiveEditorState.activeCorner = cornerIndex;
         });
-        
-        cellUIGroup.appendChild(removeBtn);
-        
-        // Add rotation button (circle with rotate icon in bottom-left corner, inside cell)
-        const rotateBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        rotateBtn.style.cursor = 'pointer';
-        
-        const rotateBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        rotateBtnCircle.setAttribute('cx', cellX + 12);
-        rotateBtnCircle.setAttribute('cy', cellY + cellHeight - 12);
-        rotateBtnCircle.setAttribute('r', '12');
-        rotateBtnCircle.setAttribute('fill', 'rgba(255, 193, 7, 0.9)'); // Yellow/orange color
-        rotateBtnCircle.setAttribute('stroke', 'white');
-        rotateBtnCircle.setAttribute('stroke-width', '2');
-        
-        // Rotation arrow icon (⟲ Unicode character)
-        const rotateBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        rotateBtnText.setAttribute('x', cellX + 12);
-        rotateBtnText.setAttribute('y', cellY + cellHeight - 12);
-        rotateBtnText.setAttribute('text-anchor', 'middle');
-        rotateBtnText.setAttribute('dominant-baseline', 'central');
-        rotateBtnText.setAttribute('font-family', 'monospace');
-        rotateBtnText.setAttribute('font-size', '14');
-        rotateBtnText.setAttribute('fill', 'white');
-        rotateBtnText.setAttribute('font-weight', 'bold');
-        rotateBtnText.textContent = '↻';
-        
-        rotateBtn.appendChild(rotateBtnCircle);
-        rotateBtn.appendChild(rotateBtnText);
-        
-        // Add click handler for rotation button
-        rotateBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            rotateImage(cellIndex);
+
+        handle.addEventListener('pointermove', (event) => {
+            if (perspectiveEditorState.activeCorner !== cornerIndex) return;
+            movePerspectiveCornerToClientPoint(cornerIndex, event.clientX, event.clientY);
         });
-        
-        cellUIGroup.appendChild(rotateBtn);
-        
-        // Add reset button for cover mode (circle with reset icon in bottom-right corner, inside cell)
-        if (cellData.fillMode === 'cover') {
-            const resetBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            resetBtn.style.cursor = 'pointer';
-            
-            const resetBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            resetBtnCircle.setAttribute('cx', cellX + cellWidth - 12);
-            resetBtnCircle.setAttribute('cy', cellY + cellHeight - 12);
-            resetBtnCircle.setAttribute('r', '12');
-            resetBtnCircle.setAttribute('fill', 'rgba(13, 110, 253, 0.9)');
-            resetBtnCircle.setAttribute('stroke', 'white');
-            resetBtnCircle.setAttribute('stroke-width', '2');
-            
-            const resetBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-            resetBtnText.setAttribute('x', cellX + cellWidth - 12);
-            resetBtnText.setAttribute('y', cellY + cellHeight - 12);
-            resetBtnText.setAttribute('text-anchor', 'middle');
-            resetBtnText.setAttribute('dominant-baseline', 'central');
-            resetBtnText.setAttribute('font-family', 'monospace');
-            resetBtnText.setAttribute('font-size', '14');
-            resetBtnText.setAttribute('fill', 'white');
-            resetBtnText.setAttribute('font-weight', 'bold');
-            resetBtnText.textContent = '←';
-            
-            resetBtn.appendChild(resetBtnCircle);
-            resetBtn.appendChild(resetBtnText);
-            
-            // Add click handler for reset button
-            resetBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                // Reset transform to default values
-                cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
-                renderSVGSheet();
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            handle.addEventListener(type, () => {
+                perspectiveEditorState.activeCorner = null;
             });
-            
+        });
+
+        handle.addEventListener('keydown', (event) => {
+            const offsets = {
+                ArrowLeft: [-1, 0],
+                ArrowRight: [1, 0],
+                ArrowUp: [0, -1],
+                ArrowDown: [0, 1]
+            };
+            const offset = offsets[event.key];
+            if (!offset) return;
+
+            event.preventDefault();
+            const { imageData, corners } = perspectiveEditorState;
+            const step = Math.max(1, Math.round(Math.max(imageData.width, imageData.height) / 200));
+            setPerspectiveCorner(cornerIndex, corners[cornerIndex].x + offset[0] * step, corners[cornerIndex].y + offset[1] * step);
+        });
+    });
+
+    elements.perspectiveDetectBtn.addEventListener('click', async () => {
+        const { imageData } = perspectiveEditorState;
+        const corners = await detectDocumentCornersSafely(imageData);
+
+        if (perspectiveEditorState.imageData !== imageData) return;
+        if (!corners) {
+            showStatusToast(t('perspective.notDetected'));
+            return;
+        }
+
+        perspectiveEditorState.corners = corners;
+        renderPerspectiveCorners();
+    });
+    elements.perspectiveResetBtn.addEventListener('click', () => {
+        perspectiveEditorState.corners = getFullImageCorners(perspectiveEditorState.imageData);
+        renderPerspectiveCorners();
+    });
+    elements.applyPerspectiveBtn.addEventListener('click', applyPerspectiveCorrection);
+}
+
+function getFullImageCorners(imageData) {
+    return [
+        { x: 0, y: 0 },
+        { x: imageData.width, y: 0 },
+        { x: imageData.width, y: imageData.height },
+        { x: 0, y: imageData.height }
+    ];
+}
+
+// Camera imports only open the editor when a document was found in the photo.
+async function openPerspectiveEditor(cellIndex, options = {}) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    const imageData = cellData.originalImage || cellData.image;
+    const corners = await detectDocumentCornersSafely(imageData);
+
+    if (layoutState.cells[cellIndex] !== cellData) return;
+    if (!corners && options.requireDocument) return;
+    if (!corners) {
+        showStatusToast(t('perspective.notDetected'));
+    }
+
+    Object.assign(perspectiveEditorState, {
+        cellIndex,
+        cellData,
+        imageData,
+        corners: corners || getFullImageCorners(imageData),
+        activeCorner: null
+    });
+
+    elements.perspectiveImage.src = imageData.src;
+    renderPerspectiveCorners();
+    overlayManager.show(elements.perspectiveOverlay);
+}
+
+function hidePerspectiveEditor() {
+    overlayManager.hide(elements.perspectiveOverlay);
+    Object.assign(perspectiveEditorState, {
+        cellIndex: null,
+        cellData: null,
+        imageData: null,
+        corners: [],
+        activeCorner: null
+    });
+    elements.perspectiveImage.removeAttribute('src');
+}
+
+function movePerspectiveCornerToClientPoint(cornerIndex, clientX, clientY) {
+    const rect = elements.perspectiveStage.getBoundingClientRect();
+    const { imageData } = perspectiveEditorState;
+    if (!rect.width || !rect.height) return;
+
+    setPerspectiveCorner(
+        cornerIndex,
+        (clientX - rect.left) / rect.width * imageData.width,
+        (clientY - rect.top) / rect.height * imageData.height
+    );
+}
+
+function setPerspectiveCorner(cornerIndex, x, y) {
+    const { imageData } = perspectiveEditorState;
+
+    perspectiveEditorState.corners[cornerIndex] = {
+        x: clamp(x, 0, imageData.width),
+        y: clamp(y, 0, imageData.height)
+    };
+    renderPerspectiveCorners();
+}
+
+function renderPerspectiveCorners() {
+    const { imageData, corners } = perspectiveEditorState;
+    const toPercent = corner => ({
+        x: corner.x / imageData.width * 100,
+        y: corner.y / imageData.height * 100
+    });
+
+    elements.perspectiveHandles.forEach((handle, cornerIndex) => {
+        const { x, y } = toPercent(corners[cornerIndex]);
+        handle.style.left = `${x}%`;
+        handle.style.top = `${y}%`;
+    });
+
+    elements.perspectiveOutline.setAttribute('points', corners
+        .map(toPercent)
+        .map(({ x, y }) => `${x},${y}`)
+        .join(' '));
+    elements.applyPerspectiveBtn.disabled = !isConvexQuad(corners);
+}
+
+function isConvexQuad(corners) {
+    let sign = 0;
+
+    for (let i = 0; i < corners.length; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % corners.length];
+        const c = corners[(i + 2) % corners.length];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+
+        if (Math.abs(cross) < 1e-6) return false;
+        if (sign && Math.sign(cross) !== sign) return false;
+        sign = Math.sign(cross);
+    }
+
+    return true;
+}
+
+function getQuadArea(corners) {
+    let area = 0;
+
+    for (let i = 0; i < corners.length; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % corners.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+
+    return Math.abs(area) / 2;
+}
+
+async function applyPerspectiveCorrection() {
+    const { cellIndex, cellData, imageData } = perspectiveEditorState;
+    const corners = perspectiveEditorState.corners.map(corner => ({ ...corner }));
+
+    hidePerspectiveEditor();
+
+    if (!cellData || (cellData.originalImage || cellData.image) !== imageData) {
+        return;
+    }
+
+    beginCellHistoryStep(cellData);
+    const operationId = beginCellImageOperation(cellData);
+    showLoading(t('perspective.processing'));
+
+    try {
+        const flattenedImage = await warpImagePerspective(imageData, corners);
+        if (!isCellImageOperationCurrent(cellData, operationId)) return;
+
+        // The flattened pixels no longer match the source PDF page, and the
+        // page edges now define which way is up.
+        cellData.originalImage = flattenedImage;
+        delete cellData.pdfSource;
+        delete cellData.rotationAngle;
+
+        const image = await buildCellImage(cellData, operationId);
+        if (!image) return;
+        cellData.image = image;
+
+        cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
+        renderSVGSheet();
+        commitCellHistoryStep(cellData, cellIndex);
+    } catch (error) {
+        console.error('Failed to correct perspective:', error);
+        alert(t('perspective.failed'));
+    } finally {
+        hideLoading();
+    }
+}
+
+async function detectDocumentCornersSafely(imageData) {
+    try {
+        return await detectDocumentCorners(imageData);
+    } catch (error) {
+        console.warn('[Perspective] Document detection failed:', error);
+        return null;
+    }
+}
+
+async function detectDocumentCorners(imageData) {
+    const sourceImage = await getCachedImageSource(imageData);
+    const scale = Math.min(1, CONFIG.perspective.detectionSize / Math.max(sourceImage.width, sourceImage.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(sourceImage.width * scale));
+    canvas.height = Math.max(1, Math.round(sourceImage.height * scale));
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error('Failed to prepare detection canvas');
+    }
+
+    ctx.drawImage(sourceImage, 0, 0, canvas.width, canvas.height);
+    const quad = findDocumentQuad(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+
+    return quad && quad.map(corner => ({
+        x: corner.x / canvas.width * imageData.width,
+        y: corner.y / canvas.height * imageData.height
+    }));
+}
+
+// Separates the page from its background with an Otsu threshold, keeps the largest
+// region and takes its extreme points as corners. Both polarities are tried so dark
+// documents on a light desk are found as well.
+function findDocumentQuad(rgba, width, height) {
+    const pixelCount = width * height;
+    const gray = new Float32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        gray[i] = rgba[i * 4] * 0.299 + rgba[i * 4 + 1] * 0.587 + rgba[i * 4 + 2] * 0.114;
+    }
+
+    const blurred = boxBlurGray(boxBlurGray(gray, width, height, 2), width, height, 2);
+    const threshold = getOtsuThreshold(blurred);
+    const { minDocumentArea, maxDocumentArea } = CONFIG.perspective;
+    let bestQuad = null;
+    let bestArea = 0;
+
+    [true, false].forEach(brightDocument => {
+        const mask = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            mask[i] = (blurred[i] > threshold) === brightDocument ? 1 : 0;
+        }
+
+        const quad = getMaskRegionCorners(mask, width);
+        if (!quad || !isConvexQuad(quad)) return;
+
+        const area = getQuadArea(quad) / pixelCount;
+        if (area >= minDocumentArea && area <= maxDocumentArea && area > bestArea) {
+            bestQuad = quad;
+            bestArea = area;
+        }
+    });
+
+    return bestQuad;
+}
+
+function getOtsuThreshold(values) {
+    const histogram = new Array(256).fill(0);
+    values.forEach(value => {
+        histogram[clamp(Math.round(value), 0, 255)]++;
+    });
+
+    const total = values.length;
+    const totalSum = histogram.reduce((sum, count, level) => sum + count * level, 0);
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    let bestVariance = -1;
+    let threshold = 127;
+
+    for (let level = 0; level < 256; level++) {
+        backgroundCount += histogram[level];
+        if (!backgroundCount) continue;
+
+        const foregroundCount = total - backgroundCount;
+        if (!foregroundCount) break;
+
+        backgroundSum += level * histogram[level];
+        const backgroundMean = backgroundSum / backgroundCount;
+        const foregroundMean = (totalSum - backgroundSum) / foregroundCount;
+        const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = level;
+        }
+    }
+
+    return threshold;
+}
+
+function getMaskRegionCorners(mask, width) {
+    const labels = new Int32Array(mask.length);
+    const queue = new Int32Array(mask.length);
+    let bestLabel = 0;
+    let bestSize = 0;
+    let label = 0;
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+
+        label++;
+        let head = 0;
+        let tail = 0;
+        queue[tail++] = start;
+        labels[start] = label;
+
+        while (head < tail) {
+            const index = queue[head++];
+            const x = index % width;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index - width,
+                index + width
+            ];
+
+            for (const neighbour of neighbours) {
+                if (neighbour < 0 || neighbour >= mask.length || !mask[neighbour] || labels[neighbour]) continue;
+                labels[neighbour] = label;
+                queue[tail++] = neighbour;
+            }
+        }
+
+        if (tail > bestSize) {
+            bestSize = tail;
+            bestLabel = label;
+        }
+    }
+
+    if (!bestLabel) return null;
+
+    // Extreme points along the diagonals: min(x+y), max(x-y), max(x+y), min(x-y)
+    const corners = [null, null, null, null];
+    const scores = [Infinity, -Infinity, -Infinity, Infinity];
+
+    for (let index = 0; index < labels.length; index++) {
+        if (labels[index] !== bestLabel) continue;
+
+        const x = index % width + 0.5;
+        const y = Math.floor(index / width) + 0.5;
+        const sum = x + y;
+        const difference = x - y;
+
+        if (sum < scores[0]) { scores[0] = sum; corners[0] = { x, y }; }
+        if (difference > scores[1]) { scores[1] = difference; corners[1] = { x, y }; }
+        if (sum > scores[2]) { scores[2] = sum; corners[2] = { x, y }; }
+        if (difference < scores[3]) { scores[3] = difference; corners[3] = { x, y }; }
+    }
+
+    return corners;
+}
+
+// Returns the 3×3 homography (row-major, last entry 1) mapping each source point onto its target.
+function getPerspectiveTransform(sourcePoints, targetPoints) {
+    const matrix = [];
+    const vector = [];
+
+    sourcePoints.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = targetPoints[i];
+        matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        vector.push(u);
+        matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        vector.push(v);
+    });
+
+    return [...solveLinearSystem(matrix, vector), 1];
+}
+
+function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+                pivot = row;
+            }
+        }
+
+        if (Math.abs(rows[pivot][column]) < 1e-12) {
+            throw new Error('Perspective transform is degenerate');
+        }
+
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+        for (let row = 0; row < size; row++) {
+            if (row === column) continue;
+
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= size; k++) {
+                rows[row][k] -= factor * rows[column][k];
+            }
+        }
+    }
+
+    return rows.map((row, i) => row[size] / row[i]);
+}
+
+async function warpImagePerspective(imageData, corners) {
+    const sourceImage = await getCachedImageSource(imageData);
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const naturalWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+    const naturalHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+    const scale = Math.min(1, CONFIG.perspective.maxOutputDimension / Math.max(naturalWidth, naturalHeight));
+    const width = Math.max(1, Math.round(naturalWidth * scale));
+    const height = Math.max(1, Math.round(naturalHeight * scale));
+
+    // Sample the source for every output pixel through the output-to-photo homography.
+    const transform = getPerspectiveTransform([
+        { x: 0, y: 0 },
+        { x: width, y: 0 },
+        { x: width, y: height },
+        { x: 0, y: height }
+    ], corners);
+
+    // The cached source may be an ImageBitmap, so its pixels are read through a canvas.
+    const sourceCanvas = document.createElement('canvas');
+    sourceCanvas.width = sourceImage.width;
+    sourceCanvas.height = sourceImage.height;
+    const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true });
+    const outputCanvas = document.createElement('canvas');
+    outputCanvas.width = width;
+    outputCanvas.height = height;
+    const outputCtx = outputCanvas.getContext('2d');
+
+    if (!sourceCtx || !outputCtx) {
+        throw new Error('Failed to prepare perspective canvas');
+    }
+
+    sourceCtx.drawImage(sourceImage, 0, 0);
+    const source = sourceCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
+    const output = outputCtx.createImageData(width, height);
+    samplePerspective(source, output, transform);
+    outputCtx.putImageData(output, 0, 0);
+
+    return storeImageBlob(await canvasToBlob(outputCanvas), width, height);
+}
+
+function samplePerspective(source, output, transform) {
+    const [a, b, c, d, e, f, g, h] = transform;
+    const sourceWidth = source.width;
+    const sourceHeight = source.height;
+    const sourcePixels = source.data;
+    const outputPixels = output.data;
+
+    for (let y = 0; y < output.height; y++) {
+        const v = y + 0.5;
+
+        for (let x = 0; x < output.width; x++) {
+            const u = x + 0.5;
+            const w = g * u + h * v + 1;
+            const sourceX = clamp((a * u + b * v + c) / w - 0.5, 0, sourceWidth - 1);
+            const sourceY = clamp((d * u + e * v + f) / w - 0.5, 0, sourceHeight - 1);
+            const x0 = Math.floor(sourceX);
+            const y0 = Math.floor(sourceY);
+            const x1 = Math.min(x0 + 1, sourceWidth - 1);
+            const y1 = Math.min(y0 + 1, sourceHeight - 1);
+            const fx = sourceX - x0;
+            const fy = sourceY - y0;
+            const outputIndex = (y * output.width + x) * 4;
+
+            for (let channel = 0; channel < 4; channel++) {
+                const topValue = sourcePixels[(y0 * sourceWidth + x0) * 4 + channel] * (1 - fx)
+                    + sourcePixels[(y0 * sourceWidth + x1) * 4 + channel] * fx;
+                const bottomValue = sourcePixels[(y1 * sourceWidth + x0) * 4 + channel] * (1 - fx)
+                    + sourcePixels[(y1 * sourceWidth + x1) * 4 + channel] * fx;
+                outputPixels[outputIndex + channel] = topValue * (1 - fy) + bottomValue * fy;
+            }
+        }
+    }
+}
+
+function getBitonalThreshold(cellData) {
+    return cellData?.filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD;
+}
+
+// Only adjustments that differ from their neutral value are stored.
+function normalizeImageAdjustments(adjustments) {
+    const normalized = {};
+
+    IMAGE_ADJUSTMENTS.forEach(({ key, min, max, defaultValue }) => {
+        const value = Number(adjustments?.[key]);
+        if (!Number.isFinite(value)) return;
+
+        const roundedValue = Math.round(clamp(value, min, max) * 100) / 100;
+        if (roundedValue !== defaultValue) {
+            normalized[key] = roundedValue;
+        }
+    });
+
+    return normalized;
+}
+
+function getImageAdjustments(filterSettings) {
+    const adjustments = normalizeImageAdjustments(filterSettings?.adjustments);
+
+    return Object.fromEntries(IMAGE_ADJUSTMENTS.map(({ key, defaultValue }) => [key, adjustments[key] ?? defaultValue]));
+}
+
+function hasImageAdjustments(filterSettings) {
+    return Object.keys(normalizeImageAdjustments(filterSettings?.adjustments)).length > 0;
+}
+
+// Converts slider values into the factors shared by the shader and the 2D fallback.
+function getImageAdjustmentFactors(filterSettings) {
+    const adjustments = getImageAdjustments(filterSettings);
+
+    return {
+        brightness: adjustments.brightness / 200,
+        contrast: adjustments.contrast >= 0 ? 1 + adjustments.contrast / 50 : 1 + adjustments.contrast / 100,
+        gamma: 1 / adjustments.gamma,
+        saturation: 1 + adjustments.saturation / 100,
+        temperature: adjustments.temperature / 500,
+        tint: adjustments.tint / 500,
+        sharpen: adjustments.sharpen / 50
+    };
+}
+
+function getCellFilterConfig(filterKey) {
+    return CELL_FILTERS.find(filter => filter.key === filterKey) || CELL_FILTERS[0];
+}
+
+// The lighting map and background color only depend on the source, so they are
+// cached on it and sent along with later renders.
+async function applyWebGLFilterToImage(imageData, filterKey, filterSettings = null, owner = null) {
+    const lighting = getFilterLightingOptions(filterKey, filterSettings);
+    const bitonalThreshold = filterSettings?.bitonalThreshold ?? DEFAULT_BITONAL_THRESHOLD;
+    const lightingWindow = lighting.adaptive || lighting.removeShadows ? lighting.windowPercent : 0;
+    const cachedLightingMap = imageData._lightingMap?.windowPercent === lightingWindow ? imageData._lightingMap.map : null;
+
+    const result = await runImageTask('filter', { imageData }, {
+        filterKey,
+        bitonalThreshold: bitonalThreshold / 100,
+        adaptiveScale: lighting.adaptive ? bitonalThreshold / DEFAULT_BITONAL_THRESHOLD : 0,
+        removeShadows: lighting.removeShadows,
+        adjustments: getImageAdjustmentFactors(filterSettings),
+        lightingWindow,
+        lightingConfig: CONFIG.lighting,
+        lightingMap: lightingWindow ? cachedLightingMap : null,
+        backgroundColor: filterKey === 'whiten' ? imageData._backgroundColor || null : null
+    }, owner);
+    if (!result) return null;
+
+    if (result.lightingMap) {
+        imageData._lightingMap = { windowPercent: lightingWindow, map: result.lightingMap };
+    }
+    if (result.backgroundColor) {
+        imageData._backgroundColor = result.backgroundColor;
+    }
+
+    updateFilterEngineMode(result);
+    return createImageFromTaskResult(result);
+}
+
+function getFilterLightingOptions(filterKey, filterSettings) {
+    const { defaultWindow, minWindow, maxWindow } = CONFIG.lighting;
+    const windowPercent = Number(filterSettings?.adaptiveWindow);
+
+    return {
+        adaptive: filterKey === 'bitonal' && filterSettings?.bitonalMode === 'adaptive',
+        removeShadows: filterKey === 'document' && filterSettings?.removeShadows === true,
+        windowPercent: Number.isFinite(windowPercent) ? clamp(Math.round(windowPercent), minWindow, maxWindow) : defaultWindow
+    };
+}
+
+// Interactive image transform functions for cover mode
+function setupImageInteraction(imageEl, cellIndex, cellBounds) {
+    try {
+        const cellData = layoutState.cells[cellIndex];
+        if (!cellData || cellData.fillMode !== 'cover') return;
+        
+        // Ensure transform exists (backward compatibility)
+        if (!cellData.transform) {
+            cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
+        }
+        
+        let isInteracting = false;
+        let startTouches = [];
+        let startTransform = { ...cellData.transform };
+        let mouseDragMoved = false;
+        
+        // Handle click for desktop fill mode cycling
+        imageEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (mouseDragMoved) {
+                mouseDragMoved = false;
+                return;
+            }
+            // Only handle click on desktop (no touch support)
+            if (!('ontouchstart' in window) && !isInteracting) {
+                cycleFillMode(cellIndex);
+            }
+        });
+        
+        // Mouse events for desktop
+        imageEl.addEventListener('mousedown', startInteraction);
+        imageEl.addEventListener('wheel', handleWheel, { passive: false });
+        
+        // Touch events for mobile - simplified
+        imageEl.addEventListener('touchstart', handleTouchStart, { passive: false });
+        imageEl.addEventListener('touchmove', handleTouchMove, { passive: false });
+        imageEl.addEventListener('touchend', handleTouchEnd, { passive: false });
+        imageEl.addEventListener('touchcancel', handleTouchEnd, { passive: false });
+    
+    function handleTouchStart(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        beginCellHistoryStep(cellData);
+        isInteracting = true;
+        
+        startTouches = Array.from(e.touches).map(touch => ({
+            x: touch.clientX,
+            y: touch.clientY,
+            identifier: touch.identifier
+        }));
+        
+        // Capture the current transform state at the start of interaction
+        startTransform = { ...cellData.transform };
+    }
+    
+    function handleTouchMove(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        if (!isInteracting) return;
+        
+        const currentTouches = Array.from(e.touches);
+        
+        if (currentTouches.length === 1 && startTouches.length === 1) {
+            // Single finger pan
+            const startTouch = startTouches[0];
+            const currentTouch = currentTouches.find(touch => touch.identifier === startTouch.identifier) || currentTouches[0];
+            
+            const deltaX = currentTouch.clientX - startTouch.x;
+            const deltaY = currentTouch.clientY - startTouch.y;
+            
+            updateTransform(deltaX, deltaY, 1);
+            
+        } else if (currentTouches.length === 2 && startTouches.length >= 1) {
+            // Two finger pinch-to-zoom
+            if (startTouches.length === 1) {
+                // We started with one finger, now have two - update start touches
+                startTouches = Array.from(e.touches).map(touch => ({
+                    x: touch.clientX,
+                    y: touch.clientY,
+                    identifier: touch.identifier
+                }));
+                startTransform = { ...cellData.transform };
+                return;
+            }
+            
+            // Match touches by identifier
+            const currentTouch1 = currentTouches.find(touch => touch.identifier === startTouches[0].identifier);
+            const currentTouch2 = currentTouches.find(touch => touch.identifier === startTouches[1].identifier);
+            
+            if (currentTouch1 && currentTouch2 && startTouches.length >= 2) {
+                const startDistance = getDistance(startTouches[0], startTouches[1]);
+                const currentDistance = getDistance(
+                    { x: currentTouch1.clientX, y: currentTouch1.clientY },
+                    { x: currentTouch2.clientX, y: currentTouch2.clientY }
+                );
+                const scaleChange = currentDistance / startDistance;
+                
+                // Get center point of the gesture
+                const startCenter = getCenter(startTouches[0], startTouches[1]);
+                const currentCenter = getCenter(
+                    { x: currentTouch1.clientX, y: currentTouch1.clientY },
+                    { x: currentTouch2.clientX, y: currentTouch2.clientY }
+                );
+                const deltaX = currentCenter.x - startCenter.x;
+                const deltaY = currentCenter.y - startCenter.y;
+                
+                updateTransform(deltaX, deltaY, scaleChange);
+            }
+        }
+    }
+    
+    function handleTouchEnd(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // If all touches are gone, end interaction
+        if (e.touches.length === 0) {
+            isInteracting = false;
+            startTouches = [];
+            commitCellHistoryStep(cellData, cellIndex);
+        } else if (e.touches.length < startTouches.length) {
+            // Some touches lifted, update the remaining touches as new start
+            startTouches = Array.from(e.touches).map(touch => ({
+                x: touch.clientX,
+                y: touch.clientY,
+                identifier: touch.identifier
+            }));
+            startTransform = { ...cellData.transform };
+        }
+    }
+    
+    function startInteraction(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        beginCellHistoryStep(cellData);
+        isInteracting = true;
+        startTouches = [{ x: e.clientX, y: e.clientY }];
+        startTransform = { ...cellData.transform };
+        mouseDragMoved = false;
+        
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', endInteraction);
+    }
+    
+    function handleMouseMove(e) {
+        if (!isInteracting || startTouches.length !== 1) return;
+        
+        const deltaX = e.clientX - startTouches[0].x;
+        const deltaY = e.clientY - startTouches[0].y;
+
+        if (Math.hypot(deltaX, deltaY) > 3) {
+            mouseDragMoved = true;
+        }
+        
+        updateTransform(deltaX, deltaY, 1);
+    }
+    
+    function endInteraction() {
+        isInteracting = false;
+        startTouches = [];
+        
+        document.removeEventListener('mousemove', handleMouseMove);
+        document.removeEventListener('mouseup', endInteraction);
+        commitCellHistoryStep(cellData, cellIndex);
+    }
+    
+    function handleWheel(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const currentScale = cellData.transform.scale;
+        
+        // Non-linear zoom that slows down at extremes
+        // Use different acceleration based on current zoom level
+        let zoomStep;
+        if (currentScale < CONFIG.interaction.pinchTransitionScale) {
+            // Much slower zoom when zoomed out (0.2 - 1.0) for precise control
+            zoomStep = CONFIG.interaction.wheelZoomSlow + (currentScale - CONFIG.interaction.minScale) * 0.025;
+        } else if (currentScale > CONFIG.interaction.pinchTransitionScaleHigh) {
+            // Much slower zoom when highly zoomed in (3.0 - 5.0)
+            zoomStep = CONFIG.interaction.wheelZoomNormal - (currentScale - CONFIG.interaction.pinchTransitionScaleHigh) * 0.015;
+        } else {
+            // Normal zoom in the middle range (1.0 - 3.0)
+            zoomStep = CONFIG.interaction.wheelZoomNormal;
+        }
+        
+        const direction = e.deltaY < 0 ? 1 : -1;
+        const newScale = Math.max(CONFIG.interaction.minScale, Math.min(CONFIG.interaction.maxScale, currentScale + (direction * zoomStep)));
+        
+        beginCellHistoryStep(cellData);
+        cellData.transform.scale = newScale;
+        
+        // Only update the specific cell, not the entire sheet
+        updateSingleCell(cellIndex);
+        commitCellHistoryStep(cellData, cellIndex, { coalesceKey: 'zoom' });
+    }
+    
+    function updateTransform(deltaX, deltaY, scaleChange) {
+        try {
+            // Convert screen coordinates to SVG coordinates
+            const svg = elements.sheet.querySelector('svg');
+            if (!svg) return;
+            
+            const rect = svg.getBoundingClientRect();
+            const svgDeltaX = (deltaX / rect.width) * layoutState.sheet.width;
+            const svgDeltaY = (deltaY / rect.height) * layoutState.sheet.height;
+            
+            // Apply non-linear scaling similar to wheel zoom for pinch gestures
+            let newScale;
+            if (scaleChange !== 1) {
+                // For pinch gestures, convert multiplicative change to additive with non-linear steps
+                const currentScale = startTransform.scale;
+                const scaleDelta = (scaleChange - 1) * currentScale;
+                
+                // Apply non-linear damping based on current zoom level
+                let dampingFactor;
+                if (currentScale < CONFIG.interaction.pinchTransitionScale) {
+                    // Much slower scaling when zoomed out for precise control
+                    dampingFactor = CONFIG.interaction.pinchDampingZoomedOut + (currentScale - CONFIG.interaction.minScale) * 0.25;
+                } else if (currentScale > CONFIG.interaction.pinchTransitionScaleHigh) {
+                    // Much slower scaling when highly zoomed in
+                    dampingFactor = CONFIG.interaction.pinchDampingNormal - (currentScale - CONFIG.interaction.pinchTransitionScaleHigh) * 0.15;
+                } else {
+                    // Normal scaling in middle range
+                    dampingFactor = CONFIG.interaction.pinchDampingNormal;
+                }
+                
+                newScale = Math.max(CONFIG.interaction.minScale, Math.min(CONFIG.interaction.maxScale, currentScale + (scaleDelta * dampingFactor)));
+            } else {
+                newScale = startTransform.scale;
+            }
+            
+            const newTranslateX = startTransform.translateX + svgDeltaX;
+            const newTranslateY = startTransform.translateY + svgDeltaY;
+            
+            // Update transform
+            cellData.transform = {
+                scale: newScale,
+                translateX: newTranslateX,
+                translateY: newTranslateY
+            };
+            
+            // Only update the specific cell, not the entire sheet
+            updateSingleCell(cellIndex);
+        } catch (error) {
+            console.error('Cover mode: Error updating transform', error);
+        }
+    }
+    
+    function getDistance(touch1, touch2) {
+        const dx = touch2.x - touch1.x;
+        const dy = touch2.y - touch1.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    function getCenter(touch1, touch2) {
+        return {
+            x: (touch1.x + touch2.x) / 2,
+            y: (touch1.y + touch2.y) / 2
+        };
+    }
+    } catch (error) {
+        // Silently handle setup errors
+    }
+}
+
+// Efficient single cell update function for smooth interactions
+function updateSingleCell(cellIndex) {
+    const svg = elements.sheet.querySelector('svg');
+    if (!svg) {
+        // Fallback to full render if SVG doesn't exist
+        renderSVGSheet();
+        return;
+    }
+    
+    const contentLayer = svg.querySelector('#content-layer');
+    const uiLayer = svg.querySelector('#ui-layer');
+    
+    if (!contentLayer || !uiLayer) {
+        // Fallback to full render if layers don't exist
+        renderSVGSheet();
+        return;
+    }
+
+    const { gridSpacing } = getGridMetrics();
+    const { x: cellX, y: cellY, width: cellWidth, height: cellHeight } = getCellCoordinates(cellIndex);
+    
+    // Find and remove existing cell elements
+    const existingContentCell = contentLayer.querySelector(`[data-cell-index="${cellIndex}"]`);
+    const existingUICell = uiLayer.querySelector(`[data-cell-index="${cellIndex}"]`);
+    
+    if (existingContentCell) existingContentCell.remove();
+    if (existingUICell) existingUICell.remove();
+    
+    // Create new cell groups
+    const cellContentGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    cellContentGroup.setAttribute('data-cell-index', cellIndex);
+    cellContentGroup.setAttribute('class', 'cell-content');
+    
+    const cellUIGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    cellUIGroup.setAttribute('data-cell-index', cellIndex);
+    cellUIGroup.setAttribute('class', 'cell-ui');
+    cellUIGroup.style.cursor = 'pointer';
+    
+    // Render the updated cell
+    renderSVGCell(cellContentGroup, cellUIGroup, cellIndex, cellX, cellY, cellWidth, cellHeight, gridSpacing.cellPadding);
+
+    // Match the behavior of the full SVG render.
+    cellUIGroup.addEventListener('click', (event) => handleCellUIClick(event, cellIndex));
+    
+    // Add back to DOM
+    contentLayer.appendChild(cellContentGroup);
+    uiLayer.appendChild(cellUIGroup);
+    scheduleLayoutAutosave();
+    schedulePDFRenderRefresh();
+}
+
+function updateSheetSize() {
+    renderCurrentPage();
+}
+
+function handleCellUIClick(event, cellIndex) {
+    if (cropDragState.suppressNextClick) {
+        event.stopPropagation();
+        cropDragState.suppressNextClick = false;
+        return;
+    }
+
+    handleCellAdd(cellIndex);
+}
+
+function suppressNextCellClick() {
+    cropDragState.suppressNextClick = true;
+
+    if (cropDragState.suppressClickTimeoutId) {
+        clearTimeout(cropDragState.suppressClickTimeoutId);
+    }
+
+    cropDragState.suppressClickTimeoutId = setTimeout(() => {
+        cropDragState.suppressNextClick = false;
+        cropDragState.suppressClickTimeoutId = null;
+    }, 150);
+}
+
+function getClientPointInSVG(svg, clientX, clientY) {
+    const matrix = svg.getScreenCTM();
+
+    if (matrix) {
+        const point = svg.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        return point.matrixTransform(matrix.inverse());
+    }
+
+    const rect = svg.getBoundingClientRect();
+    return {
+        x: ((clientX - rect.left) / rect.width) * layoutState.sheet.width,
+        y: ((clientY - rect.top) / rect.height) * layoutState.sheet.height
+    };
+}
+
+function lockCropTouchDrag(svg) {
+    cropDragState.previousSheetStackTouchAction = elements.sheetStack?.style.touchAction || '';
+    cropDragState.previousSheetTouchAction = elements.sheet?.style.touchAction || '';
+    cropDragState.previousBodyUserSelect = document.body.style.userSelect || '';
+
+    if (elements.sheetStack) {
+        elements.sheetStack.style.touchAction = 'none';
+    }
+    if (elements.sheet) {
+        elements.sheet.style.touchAction = 'none';
+    }
+    if (svg) {
+        svg.style.touchAction = 'none';
+    }
+    document.body.style.userSelect = 'none';
+}
+
+function unlockCropTouchDrag(svg) {
+    if (elements.sheetStack) {
+        elements.sheetStack.style.touchAction = cropDragState.previousSheetStackTouchAction;
+    }
+    if (elements.sheet) {
+        elements.sheet.style.touchAction = cropDragState.previousSheetTouchAction;
+    }
+    if (svg) {
+        svg.style.touchAction = '';
+    }
+    document.body.style.userSelect = cropDragState.previousBodyUserSelect;
+}
+
+function setSVGRectAttributes(rect, rectData) {
+    if (!rect) return;
+
+    rect.setAttribute('x', rectData.x);
+    rect.setAttribute('y', rectData.y);
+    rect.setAttribute('width', rectData.width);
+    rect.setAttribute('height', rectData.height);
+}
+
+function getCropFromDragPoint(edge, startCrop, startPoint, currentPoint) {
+    const deltaX = currentPoint.x - startPoint.x;
+    const deltaY = currentPoint.y - startPoint.y;
+    const nextCrop = { ...startCrop };
+
+    if (edge === 'top') {
+        nextCrop.top = startCrop.top + deltaY;
+    } else if (edge === 'right') {
+        nextCrop.right = startCrop.right - deltaX;
+    } else if (edge === 'bottom') {
+        nextCrop.bottom = startCrop.bottom - deltaY;
+    } else if (edge === 'left') {
+        nextCrop.left = startCrop.left + deltaX;
+    } else if (edge === 'top-left') {
+        nextCrop.top = startCrop.top + deltaY;
+        nextCrop.left = startCrop.left + deltaX;
+    } else if (edge === 'top-right') {
+        nextCrop.top = startCrop.top + deltaY;
+        nextCrop.right = startCrop.right - deltaX;
+    } else if (edge === 'bottom-right') {
+        nextCrop.bottom = startCrop.bottom - deltaY;
+        nextCrop.right = startCrop.right - deltaX;
+    } else if (edge === 'bottom-left') {
+        nextCrop.bottom = startCrop.bottom - deltaY;
+        nextCrop.left = startCrop.left + deltaX;
+    }
+
+    return nextCrop;
+}
+
+function previewCellCrop(crop, contentRect, cropBorderRect, clipRect) {
+    const cropRect = getCroppedContentRect({ crop }, contentRect);
+    setSVGRectAttributes(cropBorderRect, cropRect);
+    setSVGRectAttributes(clipRect, cropRect);
+}
+
+function getNearestCropSnapValue(value, targets) {
+    const threshold = CONFIG.interaction.cropSnapThreshold;
+    let nearestValue = value;
+    let nearestDistance = threshold;
+
+    for (const target of targets) {
+        const distance = Math.abs(target - value);
+        if (distance <= nearestDistance) {
+            nearestValue = target;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearestValue;
+}
+
+function collectCropSnapTargets(activeCellIndex) {
+    const { gridSpacing } = getGridMetrics();
+    const visibleCellIndexes = getVisibleCellIndexes();
+    const targets = { x: [], y: [] };
+
+    if (visibleCellIndexes.length <= 1) {
+        return targets;
+    }
+
+    for (const i of visibleCellIndexes) {
+        if (i === activeCellIndex) continue;
+        if (!hasCustomCrop(layoutState.cells[i])) continue;
+
+        const { x, y, width, height } = getCellCoordinates(i);
+        const contentRect = getContentRectFromCellBounds(x, y, width, height, gridSpacing.cellPadding);
+        const cropRect = getCroppedContentRect(layoutState.cells[i], contentRect);
+        targets.x.push(cropRect.x, cropRect.x + cropRect.width);
+        targets.y.push(cropRect.y, cropRect.y + cropRect.height);
+    }
+
+    return targets;
+}
+
+function applyCropSnap(edge, crop, contentRect, snapTargets) {
+    const nextCrop = clampCellCrop(crop, contentRect.width, contentRect.height);
+    const cropRect = getCroppedContentRect({ crop: nextCrop }, contentRect);
+    const rightEdge = contentRect.x + contentRect.width;
+    const bottomEdge = contentRect.y + contentRect.height;
+
+    if (edge === 'left' || edge === 'top-left' || edge === 'bottom-left') {
+        nextCrop.left = getNearestCropSnapValue(cropRect.x, snapTargets.x) - contentRect.x;
+    }
+    if (edge === 'right' || edge === 'top-right' || edge === 'bottom-right') {
+        nextCrop.right = rightEdge - getNearestCropSnapValue(cropRect.x + cropRect.width, snapTargets.x);
+    }
+    if (edge === 'top' || edge === 'top-left' || edge === 'top-right') {
+        nextCrop.top = getNearestCropSnapValue(cropRect.y, snapTargets.y) - contentRect.y;
+    }
+    if (edge === 'bottom' || edge === 'bottom-left' || edge === 'bottom-right') {
+        nextCrop.bottom = bottomEdge - getNearestCropSnapValue(cropRect.y + cropRect.height, snapTargets.y);
+    }
+
+    return clampCellCrop(nextCrop, contentRect.width, contentRect.height);
+}
+
+function startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, clientX, clientY, options = {}) {
+    if (cropDragState.active) {
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    hideCellPopovers();
+    resetPageSwipeTracking();
+    suppressNextCellClick();
+
+    const svg = elements.sheet.querySelector('svg');
+    if (!svg) return;
+
+    cropDragState.active = true;
+    const dragTarget = event.currentTarget;
+    const pointerId = options.pointerId;
+
+    if (pointerId !== undefined) {
+        try {
+            dragTarget.setPointerCapture?.(pointerId);
+        } catch (error) {
+            // Pointer capture is best-effort; document listeners keep the drag working.
+        }
+    }
+
+    lockCropTouchDrag(svg);
+
+    const cropBorderRect = dragTarget.parentNode?.querySelector('[data-crop-border="true"]');
+    const clipRect = elements.sheet.querySelector(`#cell-clip-${cellIndex} rect`);
+    const startPoint = getClientPointInSVG(svg, clientX, clientY);
+    const startCrop = clampCellCrop(layoutState.cells[cellIndex]?.crop, contentRect.width, contentRect.height);
+    const historyBefore = snapshotCell(layoutState.cells[cellIndex]);
+    const snapTargets = collectCropSnapTargets(cellIndex);
+    let pendingPoint = startPoint;
+    let currentCrop = startCrop;
+    let frameRequestId = null;
+
+    const applyPendingCrop = () => {
+        frameRequestId = null;
+        const draggedCrop = getCropFromDragPoint(edge, startCrop, startPoint, pendingPoint);
+        currentCrop = applyCropSnap(edge, draggedCrop, contentRect, snapTargets);
+        previewCellCrop(currentCrop, contentRect, cropBorderRect, clipRect);
+    };
+
+    const queueCropPreview = (moveClientX, moveClientY) => {
+        pendingPoint = getClientPointInSVG(svg, moveClientX, moveClientY);
+        if (frameRequestId === null) {
+            frameRequestId = requestAnimationFrame(applyPendingCrop);
+        }
+    };
+
+    const handlePointerMove = (moveEvent) => {
+        if (pointerId !== undefined && moveEvent.pointerId !== pointerId) return;
+
+        moveEvent.preventDefault();
+        moveEvent.stopPropagation();
+        queueCropPreview(moveEvent.clientX, moveEvent.clientY);
+    };
+
+    const touchIdentifier = options.touchIdentifier;
+    const handleTouchMove = (moveEvent) => {
+        const touch = Array.from(moveEvent.touches).find(item => item.identifier === touchIdentifier);
+        if (!touch) return;
+
+        moveEvent.preventDefault();
+        moveEvent.stopPropagation();
+        queueCropPreview(touch.clientX, touch.clientY);
+    };
+
+    const endDrag = (endEvent = {}) => {
+        if (endEvent.pointerId !== undefined && pointerId !== undefined && endEvent.pointerId !== pointerId) {
+            return;
+        }
+
+        if (frameRequestId !== null) {
+            cancelAnimationFrame(frameRequestId);
+            applyPendingCrop();
+        }
+
+        setCellCrop(cellIndex, currentCrop, contentRect);
+        recordCellHistory(appState.currentPageIndex, cellIndex, historyBefore);
+        updateSingleCell(cellIndex);
+
+        if (pointerId !== undefined) {
+            try {
+                dragTarget.releasePointerCapture?.(pointerId);
+            } catch (error) {
+                // Ignore if capture was already released by the browser.
+            }
+        }
+
+        cropDragState.active = false;
+        unlockCropTouchDrag(svg);
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', endDrag);
+        document.removeEventListener('pointercancel', endDrag);
+        document.removeEventListener('touchmove', handleTouchMove);
+        document.removeEventListener('touchend', handleTouchEnd);
+        document.removeEventListener('touchcancel', handleTouchEnd);
+    };
+
+    const handleTouchEnd = (endEvent) => {
+        const activeTouchExists = Array.from(endEvent.touches).some(item => item.identifier === touchIdentifier);
+        if (!activeTouchExists) {
+            endDrag();
+        }
+    };
+
+    if (options.inputType === 'touch') {
+        document.addEventListener('touchmove', handleTouchMove, { passive: false });
+        document.addEventListener('touchend', handleTouchEnd);
+        document.addEventListener('touchcancel', handleTouchEnd);
+    } else {
+        document.addEventListener('pointermove', handlePointerMove, { passive: false });
+        document.addEventListener('pointerup', endDrag);
+        document.addEventListener('pointercancel', endDrag);
+    }
+}
+
+function startCellCropDrag(event, cellIndex, edge, contentRect) {
+    if (event.pointerType === 'touch') {
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+    }
+
+    startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, event.clientX, event.clientY, {
+        inputType: 'pointer',
+        pointerId: event.pointerId
+    });
+}
+
+function startCellCropTouchDrag(event, cellIndex, edge, contentRect) {
+    const touch = event.changedTouches[0];
+    if (!touch || event.touches.length !== 1) return;
+
+    startCellCropDragFromClientPoint(event, cellIndex, edge, contentRect, touch.clientX, touch.clientY, {
+        inputType: 'touch',
+        touchIdentifier: touch.identifier
+    });
+}
+
+function appendCropBorderHitArea(cellUIGroup, cellIndex, edge, contentRect, cropRect) {
+    const hitWidth = CONFIG.ui.cropBorderHitWidth;
+    const halfHitWidth = hitWidth / 2;
+    const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+
+    if (edge === 'top') {
+        hitArea.setAttribute('x', cropRect.x);
+        hitArea.setAttribute('y', cropRect.y - halfHitWidth);
+        hitArea.setAttribute('width', cropRect.width);
+        hitArea.setAttribute('height', hitWidth);
+        hitArea.style.cursor = 'ns-resize';
+    } else if (edge === 'right') {
+        hitArea.setAttribute('x', cropRect.x + cropRect.width - halfHitWidth);
+        hitArea.setAttribute('y', cropRect.y);
+        hitArea.setAttribute('width', hitWidth);
+        hitArea.setAttribute('height', cropRect.height);
+        hitArea.style.cursor = 'ew-resize';
+    } else if (edge === 'bottom') {
+        hitArea.setAttribute('x', cropRect.x);
+        hitArea.setAttribute('y', cropRect.y + cropRect.height - halfHitWidth);
+        hitArea.setAttribute('width', cropRect.width);
+        hitArea.setAttribute('height', hitWidth);
+        hitArea.style.cursor = 'ns-resize';
+    } else if (edge === 'left') {
+        hitArea.setAttribute('x', cropRect.x - halfHitWidth);
+        hitArea.setAttribute('y', cropRect.y);
+        hitArea.setAttribute('width', hitWidth);
+        hitArea.setAttribute('height', cropRect.height);
+        hitArea.style.cursor = 'ew-resize';
+    }
+
+    hitArea.setAttribute('fill', 'transparent');
+    hitArea.setAttribute('pointer-events', 'all');
+    hitArea.style.touchAction = 'none';
+    hitArea.addEventListener('touchstart', (event) => startCellCropTouchDrag(event, cellIndex, edge, contentRect), { passive: false });
+    hitArea.addEventListener('pointerdown', (event) => startCellCropDrag(event, cellIndex, edge, contentRect));
+    hitArea.addEventListener('click', (event) => {
+        event.stopPropagation();
+    });
+    cellUIGroup.appendChild(hitArea);
+}
+
+function appendCropCornerHitArea(cellUIGroup, cellIndex, corner, contentRect, cropRect) {
+    const hitSize = CONFIG.ui.cropCornerHitSize;
+    const halfHitSize = hitSize / 2;
+    const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    let cornerX = cropRect.x;
+    let cornerY = cropRect.y;
+
+    if (corner === 'top-right' || corner === 'bottom-right') {
+        cornerX = cropRect.x + cropRect.width;
+    }
+
+    if (corner === 'bottom-right' || corner === 'bottom-left') {
+        cornerY = cropRect.y + cropRect.height;
+    }
+
+    hitArea.setAttribute('x', cornerX - halfHitSize);
+    hitArea.setAttribute('y', cornerY - halfHitSize);
+    hitArea.setAttribute('width', hitSize);
+    hitArea.setAttribute('height', hitSize);
+    hitArea.setAttribute('fill', 'transparent');
+    hitArea.setAttribute('pointer-events', 'all');
+    hitArea.style.cursor = corner === 'top-left' || corner === 'bottom-right'
+        ? 'nwse-resize'
+        : 'nesw-resize';
+    hitArea.style.touchAction = 'none';
+    hitArea.addEventListener('touchstart', (event) => startCellCropTouchDrag(event, cellIndex, corner, contentRect), { passive: false });
+    hitArea.addEventListener('pointerdown', (event) => startCellCropDrag(event, cellIndex, corner, contentRect));
+    hitArea.addEventListener('click', (event) => {
+        event.stopPropagation();
+    });
+    cellUIGroup.appendChild(hitArea);
+}
+
+function renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, hasImage) {
+    const borderRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    borderRect.setAttribute('x', cropRect.x);
+    borderRect.setAttribute('y', cropRect.y);
+    borderRect.setAttribute('width', cropRect.width);
+    borderRect.setAttribute('height', cropRect.height);
+    borderRect.setAttribute('fill', 'none');
+    borderRect.setAttribute('stroke', hasImage ? 'rgba(220, 38, 38, 0.95)' : '#adb5bd');
+    borderRect.setAttribute('stroke-width', CONFIG.ui.cropBorderStrokeWidth);
+    borderRect.setAttribute('pointer-events', 'none');
+    borderRect.setAttribute('data-crop-border', 'true');
+
+    if (hasImage) {
+        borderRect.setAttribute('stroke-dasharray', '2 1.5');
+    }
+
+    cellUIGroup.appendChild(borderRect);
+    appendCropBorderHitArea(cellUIGroup, cellIndex, 'top', contentRect, cropRect);
+    appendCropBorderHitArea(cellUIGroup, cellIndex, 'right', contentRect, cropRect);
+    appendCropBorderHitArea(cellUIGroup, cellIndex, 'bottom', contentRect, cropRect);
+    appendCropBorderHitArea(cellUIGroup, cellIndex, 'left', contentRect, cropRect);
+    appendCropCornerHitArea(cellUIGroup, cellIndex, 'top-left', contentRect, cropRect);
+    appendCropCornerHitArea(cellUIGroup, cellIndex, 'top-right', contentRect, cropRect);
+    appendCropCornerHitArea(cellUIGroup, cellIndex, 'bottom-right', contentRect, cropRect);
+    appendCropCornerHitArea(cellUIGroup, cellIndex, 'bottom-left', contentRect, cropRect);
+}
+
+function clearOcrFlashTimer() {
+    if (ocrState.flashTimeoutId) {
+        clearTimeout(ocrState.flashTimeoutId);
+        ocrState.flashTimeoutId = null;
+    }
+}
+
+function clearOcrVisualState() {
+    clearOcrFlashTimer();
+    ocrState.activeCell = null;
+    ocrState.flashItems = [];
+    clearOcrScanOverlay();
+    clearOcrFlashOverlay();
+}
+
+function setOcrActiveCell(pageIndex, cellIndex) {
+    ocrState.activeCell = { pageIndex, cellIndex };
+
+    if (appState.currentPageIndex === pageIndex) {
+        showOcrScanOverlay(cellIndex);
+    }
+}
+
+function waitForNextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+function waitForDuration(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitForOcrScanFeedback() {
+    if (document.visibilityState === 'hidden') {
+        return;
+    }
+
+    await waitForNextPaint();
+}
+
+function syncOcrOverlayVisibility() {
+    if (!elements.ocrVisualOverlay) {
+        return;
+    }
+
+    const hasVisuals = !!elements.ocrVisualOverlay.querySelector('.ocr-scan-html, .ocr-bbox-flash');
+    elements.ocrVisualOverlay.classList.toggle('hidden', !hasVisuals);
+}
+
+function clearOcrScanOverlay() {
+    elements.ocrVisualOverlay?.querySelectorAll('.ocr-scan-html').forEach(element => element.remove());
+    syncOcrOverlayVisibility();
+}
+
+function clearOcrFlashOverlay() {
+    elements.ocrVisualOverlay?.querySelectorAll('.ocr-bbox-flash').forEach(element => element.remove());
+    syncOcrOverlayVisibility();
+}
+
+function getOcrOverlayRectFromSheetBounds(bounds) {
+    const svg = elements.sheet?.querySelector('svg');
+    const svgRect = svg?.getBoundingClientRect();
+    const frameRect = elements.sheetFrame?.getBoundingClientRect();
+
+    if (!svgRect || !frameRect || !layoutState.sheet.width || !layoutState.sheet.height) {
+        return null;
+    }
+
+    const scaleX = svgRect.width / layoutState.sheet.width;
+    const scaleY = svgRect.height / layoutState.sheet.height;
+
+    return {
+        left: svgRect.left - frameRect.left + bounds.x * scaleX,
+        top: svgRect.top - frameRect.top + bounds.y * scaleY,
+        width: bounds.width * scaleX,
+        height: bounds.height * scaleY
+    };
+}
+
+function getCellContentRect(cellIndex) {
+    const { gridSpacing } = getGridMetrics();
+    const { x, y, width, height } = getCellCoordinates(cellIndex);
+    return getContentRectFromCellBounds(x, y, width, height, gridSpacing.cellPadding);
+}
+
+function setHtmlRect(element, rect) {
+    element.style.left = `${rect.left.toFixed(2)}px`;
+    element.style.top = `${rect.top.toFixed(2)}px`;
+    element.style.width = `${Math.max(1, rect.width).toFixed(2)}px`;
+    element.style.height = `${Math.max(1, rect.height).toFixed(2)}px`;
+}
+
+function showOcrScanOverlay(cellIndex) {
+    const overlay = elements.ocrVisualOverlay;
+    if (!overlay) return;
+
+    const sweepBounds = getActualImageBounds(cellIndex) || getCellContentRect(cellIndex);
+    const sweepRect = getOcrOverlayRectFromSheetBounds(sweepBounds);
+
+    clearOcrScanOverlay();
+
+    if (!sweepRect || sweepRect.width <= 0 || sweepRect.height <= 0) {
+        return;
+    }
+
+    const scan = document.createElement('div');
+    scan.className = 'ocr-scan-html';
+    setHtmlRect(scan, sweepRect);
+
+    const bandHeight = Math.max(16, sweepRect.height * 0.16);
+    const track = document.createElement('div');
+    track.className = 'ocr-scan-html-track';
+    track.style.setProperty('--ocr-scan-duration', `${(CONFIG.ocr.scanSweepDurationMs / 1000).toFixed(2)}s`);
+    track.style.setProperty('--ocr-sweep-distance', `${sweepRect.height.toFixed(2)}px`);
+    track.style.setProperty('--ocr-sweep-band-height', `${bandHeight.toFixed(2)}px`);
+
+    const band = document.createElement('div');
+    band.className = 'ocr-scan-html-band';
+
+    const line = document.createElement('div');
+    line.className = 'ocr-scan-html-line';
+
+    track.appendChild(band);
+    track.appendChild(line);
+    scan.appendChild(track);
+    overlay.appendChild(scan);
+    syncOcrOverlayVisibility();
+}
+
+function appendOcrFlashItems(pageIndex, cellIndex, items) {
+    if (!items.length) {
+        return;
+    }
+
+    ocrState.flashItems = ocrState.flashItems.filter(item => (
+        item.pageIndex !== pageIndex || item.cellIndex !== cellIndex
+    ));
+    ocrState.flashItems.push({ pageIndex, cellIndex, items });
+}
+
+function scheduleOcrFlashClear(duration = CONFIG.ocr.flashDurationMs) {
+    clearOcrFlashTimer();
+    ocrState.flashTimeoutId = setTimeout(() => {
+        ocrState.flashItems = [];
+        ocrState.flashTimeoutId = null;
+        clearOcrFlashOverlay();
+    }, duration);
+}
+
+function showOcrFlashOverlayForCurrentPage() {
+    const overlay = elements.ocrVisualOverlay;
+    if (!overlay) return;
+
+    clearOcrFlashOverlay();
+
+    for (const flashItem of ocrState.flashItems) {
+        if (flashItem.pageIndex !== appState.currentPageIndex) {
+            continue;
+        }
+
+        const imageBounds = getActualImageBounds(flashItem.cellIndex);
+        if (!imageBounds) {
+            continue;
+        }
+
+        for (const item of flashItem.items) {
+            const bounds = getNormalizedOcrBounds(item.polyNorm);
+
+            if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
+                continue;
+            }
+
+            const boxRect = getOcrOverlayRectFromSheetBounds({
+                x: imageBounds.x + bounds.x * imageBounds.width,
+                y: imageBounds.y + bounds.y * imageBounds.height,
+                width: bounds.width * imageBounds.width,
+                height: bounds.height * imageBounds.height
+            });
+
+            if (!boxRect) {
+                continue;
+            }
+
+            const box = document.createElement('div');
+            box.className = 'ocr-bbox-flash';
+            box.setAttribute('data-ocr-flash', 'true');
+            setHtmlRect(box, boxRect);
+            overlay.appendChild(box);
+        }
+    }
+
+    syncOcrOverlayVisibility();
+}
+
+// SVG cell rendering function
+function renderSVGCell(cellContentGroup, cellUIGroup, cellIndex, cellX, cellY, cellWidth, cellHeight, cellPadding) {
+    const cellData = layoutState.cells[cellIndex];
+    const contentRect = getContentRectFromCellBounds(cellX, cellY, cellWidth, cellHeight, cellPadding);
+    const cropRect = getCroppedContentRect(cellData, contentRect);
+    
+    if (cellData?.image) {
+        const imageGeometry = getCellImageGeometry(cellData, contentRect);
+        
+        // Create clipping path for the cell content area
+        const clipId = `cell-clip-${cellIndex}`;
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+        clipPath.setAttribute('id', clipId);
+        
+        const clipRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        clipRect.setAttribute('x', cropRect.x);
+        clipRect.setAttribute('y', cropRect.y);
+        clipRect.setAttribute('width', cropRect.width);
+        clipRect.setAttribute('height', cropRect.height);
+        clipPath.appendChild(clipRect);
+        defs.appendChild(clipPath);
+        cellContentGroup.appendChild(defs);
+        
+        // Create image element with different handling for cover mode
+        const imageEl = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+        imageEl.setAttribute('href', cellData.image.src);
+        imageEl.setAttribute('clip-path', `url(#${clipId})`);
+        imageEl.style.cursor = 'pointer';
+
+        if (imageGeometry) {
+            imageEl.setAttribute('x', imageGeometry.renderRect.x);
+            imageEl.setAttribute('y', imageGeometry.renderRect.y);
+            imageEl.setAttribute('width', imageGeometry.renderRect.width);
+            imageEl.setAttribute('height', imageGeometry.renderRect.height);
+            imageEl.setAttribute('preserveAspectRatio', imageGeometry.preserveAspectRatio);
+        }
+
+        if (cellData.fillMode === 'cover' && imageGeometry) {
+            // Setup interactive behavior for cover mode
+            setupImageInteraction(imageEl, cellIndex, imageGeometry.interactionRect);
+        } else {
+            // Add click handler for cycling fill mode
+            imageEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                cycleFillMode(cellIndex);
+            });
+        }
+        
+        cellContentGroup.appendChild(imageEl);
+        renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, true);
+
+        // Add fill mode cycling button (circle with square icon in top-left corner, inside cell)
+        const fillModeBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        fillModeBtn.style.cursor = 'pointer';
+        
+        const fillModeBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        fillModeBtnCircle.setAttribute('cx', cellX + CONFIG.ui.buttonRadius);
+        fillModeBtnCircle.setAttribute('cy', cellY + CONFIG.ui.buttonRadius);
+        fillModeBtnCircle.setAttribute('r', CONFIG.ui.buttonRadius);
+        fillModeBtnCircle.setAttribute('fill', 'rgba(40, 167, 69, 0.9)');
+        fillModeBtnCircle.setAttribute('stroke', 'white');
+        fillModeBtnCircle.setAttribute('stroke-width', CONFIG.ui.buttonStrokeWidth);
+        
+        // Simple white square outline icon (larger)
+        const fillModeBtnIcon = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        fillModeBtnIcon.setAttribute('x', cellX + CONFIG.ui.buttonRadius - CONFIG.ui.buttonIconSize / 2);
+        fillModeBtnIcon.setAttribute('y', cellY + CONFIG.ui.buttonRadius - CONFIG.ui.buttonIconSize / 2);
+        fillModeBtnIcon.setAttribute('width', CONFIG.ui.buttonIconSize);
+        fillModeBtnIcon.setAttribute('height', CONFIG.ui.buttonIconSize);
+        fillModeBtnIcon.setAttribute('fill', 'none');
+        fillModeBtnIcon.setAttribute('stroke', 'white');
+        fillModeBtnIcon.setAttribute('stroke-width', CONFIG.ui.buttonStrokeWidth);
+        
+        fillModeBtn.appendChild(fillModeBtnCircle);
+        fillModeBtn.appendChild(fillModeBtnIcon);
+        
+        // Add click handler for fill mode cycling button
+        fillModeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            cycleFillMode(cellIndex);
+        });
+        
+        cellUIGroup.appendChild(fillModeBtn);
+
+        const filterConfig = getCellFilterConfig(cellData.filter || 'original');
+        const filterBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        filterBtn.style.cursor = 'pointer';
+        filterBtn.setAttribute('data-control', 'filter');
+
+        const filterBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        filterBtnCircle.setAttribute('cx', cellX + cellWidth / 2);
+        filterBtnCircle.setAttribute('cy', cellY + 12);
+        filterBtnCircle.setAttribute('r', '12');
+        filterBtnCircle.setAttribute('fill', 'rgba(111, 66, 193, 0.92)');
+        filterBtnCircle.setAttribute('stroke', 'white');
+        filterBtnCircle.setAttribute('stroke-width', '2');
+
+        const filterBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        filterBtnText.setAttribute('x', cellX + cellWidth / 2);
+        filterBtnText.setAttribute('y', cellY + 12);
+        filterBtnText.setAttribute('text-anchor', 'middle');
+        filterBtnText.setAttribute('dominant-baseline', 'central');
+        filterBtnText.setAttribute('font-family', 'monospace');
+        filterBtnText.setAttribute('font-size', filterConfig.label.length > 2 ? '8' : filterConfig.label.length > 1 ? '10' : '13');
+        filterBtnText.setAttribute('fill', 'white');
+        filterBtnText.setAttribute('font-weight', 'bold');
+        filterBtnText.textContent = filterConfig.label;
+
+        filterBtn.appendChild(filterBtnCircle);
+        filterBtn.appendChild(filterBtnText);
+        filterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (bitonalPopoverState.suppressNextClick) {
+                bitonalPopoverState.suppressNextClick = false;
+                return;
+            }
+            cycleCellFilter(cellIndex);
+        });
+        bindBitonalPopoverTriggers(filterBtn, cellIndex);
+
+        cellUIGroup.appendChild(filterBtn);
+        
+        // Add remove button (circle with X in top-right corner, inside cell)
+        const removeBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        removeBtn.style.cursor = 'pointer';
+        
+        const removeBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        removeBtnCircle.setAttribute('cx', cellX + cellWidth - 12);
+        removeBtnCircle.setAttribute('cy', cellY + 12);
+        removeBtnCircle.setAttribute('r', '12');
+        removeBtnCircle.setAttribute('fill', 'rgba(220, 53, 69, 0.9)');
+        removeBtnCircle.setAttribute('stroke', 'white');
+        removeBtnCircle.setAttribute('stroke-width', '2');
+        
+        const removeBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        removeBtnText.setAttribute('x', cellX + cellWidth - 12);
+        removeBtnText.setAttribute('y', cellY + 12);
+        removeBtnText.setAttribute('text-anchor', 'middle');
+        removeBtnText.setAttribute('dominant-baseline', 'central');
+        removeBtnText.setAttribute('font-family', 'monospace');
+        removeBtnText.setAttribute('font-size', '16');
+        removeBtnText.setAttribute('fill', 'white');
+        removeBtnText.setAttribute('font-weight', 'bold');
+        removeBtnText.textContent = '×';
+        
+        removeBtn.appendChild(removeBtnCircle);
+        removeBtn.appendChild(removeBtnText);
+        
+        // Add click handler for remove button
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeCellContent(cellIndex);
+        });
+        
+        cellUIGroup.appendChild(removeBtn);
+        
+        // Add rotation button (circle with rotate icon in bottom-left corner, inside cell)
+        const rotateBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        rotateBtn.style.cursor = 'pointer';
+        
+        const rotateBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        rotateBtnCircle.setAttribute('cx', cellX + 12);
+        rotateBtnCircle.setAttribute('cy', cellY + cellHeight - 12);
+        rotateBtnCircle.setAttribute('r', '12');
+        rotateBtnCircle.setAttribute('fill', 'rgba(255, 193, 7, 0.9)'); // Yellow/orange color
+        rotateBtnCircle.setAttribute('stroke', 'white');
+        rotateBtnCircle.setAttribute('stroke-width', '2');
+        
+        // Rotation arrow icon (⟲ Unicode character)
+        const rotateBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        rotateBtnText.setAttribute('x', cellX + 12);
+        rotateBtnText.setAttribute('y', cellY + cellHeight - 12);
+        rotateBtnText.setAttribute('text-anchor', 'middle');
+        rotateBtnText.setAttribute('dominant-baseline', 'central');
+        rotateBtnText.setAttribute('font-family', 'monospace');
+        rotateBtnText.setAttribute('font-size', '14');
+        rotateBtnText.setAttribute('fill', 'white');
+        rotateBtnText.setAttribute('font-weight', 'bold');
+        rotateBtnText.textContent = '↻';
+        
+        rotateBtn.appendChild(rotateBtnCircle);
+        rotateBtn.appendChild(rotateBtnText);
+        
+        // Add click handler for rotation button; long-press or right-click opens fine rotation
+        rotateBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (rotationPopoverState.suppressNextClick) {
+                rotationPopoverState.suppressNextClick = false;
+                return;
+            }
+            rotateImage(cellIndex);
+        });
+        bindRotationPopoverTriggers(rotateBtn, cellIndex);
+        
+        cellUIGroup.appendChild(rotateBtn);
+
+        // Add perspective button (circle with quad icon in bottom-center, inside cell)
+        const perspectiveBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        perspectiveBtn.style.cursor = 'pointer';
+
+        const perspectiveBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        perspectiveBtnCircle.setAttribute('cx', cellX + cellWidth / 2);
+        perspectiveBtnCircle.setAttribute('cy', cellY + cellHeight - 12);
+        perspectiveBtnCircle.setAttribute('r', '12');
+        perspectiveBtnCircle.setAttribute('fill', 'rgba(32, 201, 151, 0.9)');
+        perspectiveBtnCircle.setAttribute('stroke', 'white');
+        perspectiveBtnCircle.setAttribute('stroke-width', '2');
+
+        const perspectiveBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        perspectiveBtnText.setAttribute('x', cellX + cellWidth / 2);
+        perspectiveBtnText.setAttribute('y', cellY + cellHeight - 12);
+        perspectiveBtnText.setAttribute('text-anchor', 'middle');
+        perspectiveBtnText.setAttribute('dominant-baseline', 'central');
+        perspectiveBtnText.setAttribute('font-family', 'monospace');
+        perspectiveBtnText.setAttribute('font-size', '14');
+        perspectiveBtnText.setAttribute('fill', 'white');
+        perspectiveBtnText.setAttribute('font-weight', 'bold');
+        perspectiveBtnText.textContent = '◇';
+
+        perspectiveBtn.appendChild(perspectiveBtnCircle);
+        perspectiveBtn.appendChild(perspectiveBtnText);
+
+        perspectiveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openPerspectiveEditor(cellIndex);
+        });
+
+        cellUIGroup.appendChild(perspectiveBtn);
+
+        // Add adjustments button (circle with contrast icon in left-center, inside cell)
+        const adjustmentsBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        adjustmentsBtn.style.cursor = 'pointer';
+
+        const adjustmentsBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        adjustmentsBtnCircle.setAttribute('cx', cellX + 12);
+        adjustmentsBtnCircle.setAttribute('cy', cellY + cellHeight / 2);
+        adjustmentsBtnCircle.setAttribute('r', '12');
+        adjustmentsBtnCircle.setAttribute('fill', hasImageAdjustments(cellData.filterSettings)
+            ? 'rgba(253, 126, 20, 0.92)'
+            : 'rgba(52, 58, 64, 0.85)');
+        adjustmentsBtnCircle.setAttribute('stroke', 'white');
+        adjustmentsBtnCircle.setAttribute('stroke-width', '2');
+
+        const adjustmentsBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        adjustmentsBtnText.setAttribute('x', cellX + 12);
+        adjustmentsBtnText.setAttribute('y', cellY + cellHeight / 2);
+        adjustmentsBtnText.setAttribute('text-anchor', 'middle');
+        adjustmentsBtnText.setAttribute('dominant-baseline', 'central');
+        adjustmentsBtnText.setAttribute('font-family', 'monospace');
+        adjustmentsBtnText.setAttribute('font-size', '14');
+        adjustmentsBtnText.setAttribute('fill', 'white');
+        adjustmentsBtnText.setAttribute('font-weight', 'bold');
+        adjustmentsBtnText.textContent = '◐';
+
+        adjustmentsBtn.appendChild(adjustmentsBtnCircle);
+        adjustmentsBtn.appendChild(adjustmentsBtnText);
+
+        adjustmentsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showAdjustmentsPopover(cellIndex, adjustmentsBtn.getBoundingClientRect());
+        });
+
+        cellUIGroup.appendChild(adjustmentsBtn);
+        
+        // Add reset button for cover mode (circle with reset icon in bottom-right corner, inside cell)
+        if (cellData.fillMode === 'cover') {
+            const resetBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            resetBtn.style.cursor = 'pointer';
+            
+            const resetBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            resetBtnCircle.setAttribute('cx', cellX + cellWidth - 12);
+            resetBtnCircle.setAttribute('cy', cellY + cellHeight - 12);
+            resetBtnCircle.setAttribute('r', '12');
+            resetBtnCircle.setAttribute('fill', 'rgba(13, 110, 253, 0.9)');
+            resetBtnCircle.setAttribute('stroke', 'white');
+            resetBtnCircle.setAttribute('stroke-width', '2');
+            
+            const resetBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            resetBtnText.setAttribute('x', cellX + cellWidth - 12);
+            resetBtnText.setAttribute('y', cellY + cellHeight - 12);
+            resetBtnText.setAttribute('text-anchor', 'middle');
+            resetBtnText.setAttribute('dominant-baseline', 'central');
+            resetBtnText.setAttribute('font-family', 'monospace');
+            resetBtnText.setAttribute('font-size', '14');
+            resetBtnText.setAttribute('fill', 'white');
+            resetBtnText.setAttribute('font-weight', 'bold');
+            resetBtnText.textContent = '←';
+            
+            resetBtn.appendChild(resetBtnCircle);
+            resetBtn.appendChild(resetBtnText);
+            
+            // Add click handler for reset button
+            resetBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // Reset transform to default values
+                const historyBefore = snapshotCell(cellData);
+                cellData.transform = { scale: 1, translateX: 0, translateY: 0 };
+                recordCellHistory(appState.currentPageIndex, cellIndex, historyBefore);
+                renderSVGSheet();
+            });
+            
             cellUIGroup.appendChild(resetBtn);
         }
-        
-    } else {
-        // Empty cell - add cell background for visual reference
-        const cellRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        cellRect.setAttribute('x', cellX);
-        cellRect.setAttribute('y', cellY);
-        cellRect.setAttribute('width', cellWidth);
-        cellRect.setAttribute('height', cellHeight);
-        cellRect.setAttribute('fill', '#f8f9fa');
-        cellRect.setAttribute('stroke', 'none');
-        cellUIGroup.appendChild(cellRect);
-        renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, false);
-        
-        // Empty cell - add subtle "+" button
-        const addBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        addBtn.style.cursor = 'pointer';
-        
-        const addBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        addBtnCircle.setAttribute('cx', cellX + cellWidth / 2);
-        addBtnCircle.setAttribute('cy', cellY + cellHeight / 2);
-        addBtnCircle.setAttribute('r', '12'); // Bigger than control buttons
-        addBtnCircle.setAttribute('fill', 'rgba(173, 181, 189, 0.3)'); // Light gray, barely visible
-        addBtnCircle.setAttribute('stroke', 'rgba(173, 181, 189, 0.5)');
-        addBtnCircle.setAttribute('stroke-width', '1');
-        
-        const addBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        addBtnText.setAttribute('x', cellX + cellWidth / 2);
-        addBtnText.setAttribute('y', cellY + cellHeight / 2);
-        addBtnText.setAttribute('text-anchor', 'middle');
-        addBtnText.setAttribute('dominant-baseline', 'central');
-        addBtnText.setAttribute('font-family', 'monospace');
-        addBtnText.setAttribute('font-size', '16');
-        addBtnText.setAttribute('fill', 'rgba(173, 181, 189, 0.7)');
-        addBtnText.setAttribute('font-weight', 'normal');
-        addBtnText.textContent = '+';
-        
-        addBtn.appendChild(addBtnCircle);
-        addBtn.appendChild(addBtnText);
-        
-        cellUIGroup.appendChild(addBtn);
+        
+    } else {
+        // Empty cell - add cell background for visual reference
+        const cellRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        cellRect.setAttribute('x', cellX);
+        cellRect.setAttribute('y', cellY);
+        cellRect.setAttribute('width', cellWidth);
+        cellRect.setAttribute('height', cellHeight);
+        cellRect.setAttribute('fill', '#f8f9fa');
+        cellRect.setAttribute('stroke', 'none');
+        cellUIGroup.appendChild(cellRect);
+        renderCellCropBorder(cellUIGroup, cellIndex, contentRect, cropRect, false);
+        
+        // Empty cell - add subtle "+" button
+        const addBtn = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        addBtn.style.cursor = 'pointer';
+        
+        const addBtnCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        addBtnCircle.setAttribute('cx', cellX + cellWidth / 2);
+        addBtnCircle.setAttribute('cy', cellY + cellHeight / 2);
+        addBtnCircle.setAttribute('r', '12'); // Bigger than control buttons
+        addBtnCircle.setAttribute('fill', 'rgba(173, 181, 189, 0.3)'); // Light gray, barely visible
+        addBtnCircle.setAttribute('stroke', 'rgba(173, 181, 189, 0.5)');
+        addBtnCircle.setAttribute('stroke-width', '1');
+        
+        const addBtnText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        addBtnText.setAttribute('x', cellX + cellWidth / 2);
+        addBtnText.setAttribute('y', cellY + cellHeight / 2);
+        addBtnText.setAttribute('text-anchor', 'middle');
+        addBtnText.setAttribute('dominant-baseline', 'central');
+        addBtnText.setAttribute('font-family', 'monospace');
+        addBtnText.setAttribute('font-size', '16');
+        addBtnText.setAttribute('fill', 'rgba(173, 181, 189, 0.7)');
+        addBtnText.setAttribute('font-weight', 'normal');
+        addBtnText.textContent = '+';
+        
+        addBtn.appendChild(addBtnCircle);
+        addBtn.appendChild(addBtnText);
+        
+        cellUIGroup.appendChild(addBtn);
+    }
+}
+
+// SVG-based sheet rendering function
+function renderSVGSheet() {
+    const { width, height, gridSpacing } = getGridMetrics();
+    
+    // Clear the sheet container
+    elements.sheet.innerHTML = '';
+    
+    // Create SVG element with mm dimensions
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    svg.style.border = '1px solid #ccc';
+    svg.style.background = 'white';
+    
+    // Create content layer (for export)
+    const contentLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    contentLayer.setAttribute('id', 'content-layer');
+    
+    // Create UI layer (hidden during export)
+    const uiLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    uiLayer.setAttribute('id', 'ui-layer');
+    
+    // Add sheet background to content layer
+    const sheetBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    sheetBg.setAttribute('x', '0');
+    sheetBg.setAttribute('y', '0');
+    sheetBg.setAttribute('width', width);
+    sheetBg.setAttribute('height', height);
+    sheetBg.setAttribute('fill', 'white');
+    sheetBg.setAttribute('stroke', '#ddd');
+    sheetBg.setAttribute('stroke-width', '0.5');
+    contentLayer.appendChild(sheetBg);
+    
+    // Render each cell (slots covered by a merged cell are skipped)
+    for (const i of getVisibleCellIndexes()) {
+        const { x: cellX, y: cellY, width: cellWidth, height: cellHeight } = getCellCoordinates(i);
+        
+        // Create cell content group (for export)
+        const cellContentGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        cellContentGroup.setAttribute('data-cell-index', i);
+        cellContentGroup.setAttribute('class', 'cell-content');
+        
+        // Create cell UI group (hidden during export)
+        const cellUIGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        cellUIGroup.setAttribute('data-cell-index', i);
+        cellUIGroup.setAttribute('class', 'cell-ui');
+        cellUIGroup.style.cursor = 'pointer';
+        
+        // Render cell content (images go to content layer, buttons and cell visuals go to UI layer)
+        renderSVGCell(cellContentGroup, cellUIGroup, i, cellX, cellY, cellWidth, cellHeight, gridSpacing.cellPadding);
+        
+        // Add click handler for cell interaction to UI layer
+        cellUIGroup.addEventListener('click', (event) => handleCellUIClick(event, i));
+        
+        // Add groups to respective layers
+        contentLayer.appendChild(cellContentGroup);
+        uiLayer.appendChild(cellUIGroup);
+    }
+    
+    // Add layers to SVG
+    svg.appendChild(contentLayer);
+    svg.appendChild(uiLayer);
+    
+    elements.sheet.appendChild(svg);
+    scheduleLayoutAutosave();
+    schedulePDFRenderRefresh();
+}
+
+function updateSheetGrid() {
+    renderCurrentPage();
+}
+
+function setupGridMatrix() {
+    const matrix = elements.gridMatrix;
+    matrix.innerHTML = '';
+    
+    // Track touch state for drag highlighting
+    let isDragging = false;
+    
+    // Create 5x5 grid of selectable cells
+    for (let row = 1; row <= CONFIG.maxGridSize; row++) {
+        for (let col = 1; col <= CONFIG.maxGridSize; col++) {
+            const cell = document.createElement('div');
+            cell.className = 'grid-cell';
+            cell.dataset.row = row;
+            cell.dataset.col = col;
+            
+            // Mouse event handlers for desktop
+            cell.addEventListener('mouseenter', () => highlightGridArea(col, row));
+            cell.addEventListener('click', () => selectGrid(col, row));
+            
+            // Touch event handlers for mobile
+            cell.addEventListener('touchstart', (e) => {
+                e.preventDefault(); // Prevent scrolling and other default behaviors
+                isDragging = true;
+                highlightGridArea(col, row);
+            });
+            
+            cell.addEventListener('touchmove', (e) => {
+                e.preventDefault();
+                if (isDragging) {
+                    // Find which cell is under the touch point
+                    const touch = e.touches[0];
+                    const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
+                    
+                    if (elementUnderTouch && elementUnderTouch.classList.contains('grid-cell')) {
+                        const touchCol = parseInt(elementUnderTouch.dataset.col);
+                        const touchRow = parseInt(elementUnderTouch.dataset.row);
+                        highlightGridArea(touchCol, touchRow);
+                    }
+                }
+            });
+            
+            cell.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                if (isDragging) {
+                    isDragging = false;
+                    // Select the grid that was highlighted when touch ended
+                    const touch = e.changedTouches[0];
+                    const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
+                    
+                    if (elementUnderTouch && elementUnderTouch.classList.contains('grid-cell')) {
+                        const touchCol = parseInt(elementUnderTouch.dataset.col);
+                        const touchRow = parseInt(elementUnderTouch.dataset.row);
+                        selectGrid(touchCol, touchRow);
+                    }
+                }
+            });
+            
+            matrix.appendChild(cell);
+        }
+    }
+    
+    // Add global touch cancel handler for the grid matrix
+    matrix.addEventListener('touchcancel', () => {
+        isDragging = false;
+    });
+}
+
+function highlightGridArea(cols, rows) {
+    const cells = elements.gridMatrix.children;
+    
+    for (let i = 0; i < cells.length; i++) {
+        const cell = cells[i];
+        const cellCol = parseInt(cell.dataset.col);
+        const cellRow = parseInt(cell.dataset.row);
+        
+        if (cellCol <= cols && cellRow <= rows) {
+            cell.classList.add('highlighted');
+        } else {
+            cell.classList.remove('highlighted');
+        }
+    }
+    
+    // Update display
+    elements.gridDisplay.textContent = `${cols} × ${rows}`;
+}
+
+function selectGrid(cols, rows) {
+    const currentTotalCells = layoutState.grid.rows * layoutState.grid.cols;
+    const newTotalCells = rows * cols;
+    const gridChanged = cols !== layoutState.grid.cols || rows !== layoutState.grid.rows;
+    const historyBefore = snapshotPage(getCurrentPageState());
+
+    if (!gridChanged) {
+        resetCellCrops();
+        recordPageHistory(appState.currentPageIndex, historyBefore);
+        updateSheetGrid();
+        hideGridPicker();
+        return;
+    }
+
+    // The page's margins, gutters and padding must still leave room in every new cell
+    if (!doesGridSpacingFit({ ...getCurrentPageState(), grid: { cols, rows } })) {
+        alert(t('grid.spacingTooLarge', { cols, rows }));
+        return;
+    }
+    
+    // Check if we're reducing the grid size and if there's data that would be lost
+    if (newTotalCells < currentTotalCells) {
+        const cellsToRemove = layoutState.cells.slice(newTotalCells);
+        const hasDataInRemovedCells = cellsToRemove.some(isCellImageContent);
+        
+        if (hasDataInRemovedCells) {
+            const lostContentCount = cellsToRemove.filter(isCellImageContent).length;
+            const confirmMessage = t('grid.shrinkWarning', {
+                cols,
+                rows,
+                removedCells: currentTotalCells - newTotalCells,
+                count: lostContentCount
+            });
+            
+            const userConfirmed = confirm(confirmMessage);
+            if (!userConfirmed) {
+                return; // Don't proceed with grid change
+            }
+        }
+    }
+    
+    // Proceed with grid change; merges, track sizes and cell defaults belong to the old grid
+    layoutState.grid = { cols, rows };
+    delete getCurrentPageState().cellDefaults;
+    
+    // Clear cells that are outside new grid (now with user consent)
+    const totalCells = rows * cols;
+    if (layoutState.cells.length > totalCells) {
+        layoutState.cells = layoutState.cells.slice(0, totalCells);
+    }
+
+    resetCellCrops();
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    
+    updateSheetGrid();
+    hideGridPicker();
+}
+
+function showGridPicker() {
+    gridLayoutEditorState.selection = null;
+    renderGridLayoutEditor();
+    overlayManager.show(elements.gridOverlay, () => {
+        // Highlight current grid
+        highlightGridArea(layoutState.grid.cols, layoutState.grid.rows);
+    });
+}
+
+function hideGridPicker() {
+    gridLayoutEditorState.dragging = false;
+    overlayManager.hide(elements.gridOverlay);
+}
+
+function setupGridLayoutEditor() {
+    const preview = elements.gridLayoutPreview;
+
+    preview.addEventListener('pointerdown', (event) => {
+        const slot = getGridLayoutSlotAtClientPoint(event.clientX, event.clientY);
+        if (!slot) return;
+
+        event.preventDefault();
+        preview.setPointerCapture?.(event.pointerId);
+        gridLayoutEditorState.selection = { anchor: slot, focus: slot };
+        gridLayoutEditorState.dragging = true;
+        renderGridLayoutSelection();
+    });
+
+    preview.addEventListener('pointermove', (event) => {
+        if (!gridLayoutEditorState.dragging) return;
+
+        const slot = getGridLayoutSlotAtClientPoint(event.clientX, event.clientY);
+        if (slot) {
+            gridLayoutEditorState.selection.focus = slot;
+            renderGridLayoutSelection();
+        }
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+        preview.addEventListener(type, () => {
+            gridLayoutEditorState.dragging = false;
+        });
+    });
+
+    elements.mergeCellsBtn.addEventListener('click', mergeSelectedGridCells);
+    elements.splitCellsBtn.addEventListener('click', splitSelectedGridCells);
+    elements.applyTrackSizesBtn.addEventListener('click', applyGridTrackSizes);
+    elements.resetGridLayoutBtn.addEventListener('click', resetGridLayout);
+}
+
+// Maps a point in the preview to a grid slot using the track weights, so merged
+// cells can still be selected slot by slot.
+function getGridLayoutSlotAtClientPoint(clientX, clientY) {
+    const rect = elements.gridLayoutPreview.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    const { cols, rows, colWeights, rowWeights } = layoutState.grid;
+    const findTrack = (weights, fraction) => {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let edge = 0;
+
+        for (let i = 0; i < weights.length; i++) {
+            edge += weights[i] / totalWeight;
+            if (fraction < edge) return i;
+        }
+
+        return weights.length - 1;
+    };
+
+    return {
+        col: findTrack(getGridTrackWeights(colWeights, cols), clamp((clientX - rect.left) / rect.width, 0, 1)),
+        row: findTrack(getGridTrackWeights(rowWeights, rows), clamp((clientY - rect.top) / rect.height, 0, 1))
+    };
+}
+
+// The selected area grows until it fully contains every merged cell it touches.
+function getGridLayoutSelectionArea() {
+    const { selection } = gridLayoutEditorState;
+    const { cols, rows } = layoutState.grid;
+
+    if (!selection) return null;
+
+    const { anchor, focus } = selection;
+    if ([anchor, focus].some(slot => slot.col >= cols || slot.row >= rows)) {
+        return null;
+    }
+
+    let left = Math.min(anchor.col, focus.col);
+    let top = Math.min(anchor.row, focus.row);
+    let right = Math.max(anchor.col, focus.col) + 1;
+    let bottom = Math.max(anchor.row, focus.row) + 1;
+    let expanded = true;
+
+    while (expanded) {
+        expanded = false;
+
+        for (const merge of getGridMerges(layoutState)) {
+            const area = { col: left, row: top, colSpan: right - left, rowSpan: bottom - top };
+            if (!doGridAreasOverlap(area, merge)) continue;
+
+            const nextLeft = Math.min(left, merge.col);
+            const nextTop = Math.min(top, merge.row);
+            const nextRight = Math.max(right, merge.col + merge.colSpan);
+            const nextBottom = Math.max(bottom, merge.row + merge.rowSpan);
+
+            if (nextLeft !== left || nextTop !== top || nextRight !== right || nextBottom !== bottom) {
+                left = nextLeft;
+                top = nextTop;
+                right = nextRight;
+                bottom = nextBottom;
+                expanded = true;
+            }
+        }
+    }
+
+    return { col: left, row: top, colSpan: right - left, rowSpan: bottom - top };
+}
+
+function getGridAreaCellIndexes(pageState, area) {
+    return getVisibleCellIndexes(pageState)
+        .filter(cellIndex => doGridAreasOverlap(area, getCellSpan(pageState, cellIndex)));
+}
+
+function renderGridLayoutEditor() {
+    const pageState = getCurrentPageState();
+
+    renderGridLayoutPreview(elements.gridLayoutPreview, pageState);
+    elements.columnWeightsInput.value = getGridTrackWeights(pageState.grid.colWeights, pageState.grid.cols).join(', ');
+    elements.rowWeightsInput.value = getGridTrackWeights(pageState.grid.rowWeights, pageState.grid.rows).join(', ');
+    renderGridLayoutSelection();
+}
+
+function renderGridLayoutPreview(preview, pageState) {
+    const { cols, rows } = pageState.grid;
+    const colWeights = getGridTrackWeights(pageState.grid.colWeights, cols);
+    const rowWeights = getGridTrackWeights(pageState.grid.rowWeights, rows);
+
+    preview.innerHTML = '';
+    preview.style.gridTemplateColumns = colWeights.map(weight => `${weight}fr`).join(' ');
+    preview.style.gridTemplateRows = rowWeights.map(weight => `${weight}fr`).join(' ');
+    preview.style.aspectRatio = `${pageState.sheet.width} / ${pageState.sheet.height}`;
+
+    getVisibleCellIndexes(pageState).forEach(cellIndex => {
+        const { col, row, colSpan, rowSpan } = getCellSpan(pageState, cellIndex);
+        const cell = document.createElement('div');
+
+        cell.className = 'grid-layout-cell';
+        cell.dataset.cellIndex = cellIndex;
+        cell.style.gridColumn = `${col + 1} / span ${colSpan}`;
+        cell.style.gridRow = `${row + 1} / span ${rowSpan}`;
+        cell.classList.toggle('has-content', isCellImageContent(pageState.cells[cellIndex]));
+        preview.appendChild(cell);
+    });
+}
+
+function renderGridLayoutSelection() {
+    const area = getGridLayoutSelectionArea();
+    const merges = getGridMerges(layoutState);
+
+    Array.from(elements.gridLayoutPreview.children).forEach(cell => {
+        const span = getCellSpan(layoutState, Number(cell.dataset.cellIndex));
+        cell.classList.toggle('selected', !!area && doGridAreasOverlap(area, span));
+    });
+
+    elements.mergeCellsBtn.disabled = !area || area.colSpan * area.rowSpan <= 1
+        || merges.some(merge => merge.col === area.col && merge.row === area.row
+            && merge.colSpan === area.colSpan && merge.rowSpan === area.rowSpan);
+    elements.splitCellsBtn.disabled = !area || !merges.some(merge => doGridAreasOverlap(area, merge));
+}
+
+function mergeSelectedGridCells() {
+    const area = getGridLayoutSelectionArea();
+    if (!area || area.colSpan * area.rowSpan <= 1) return;
+
+    const pageState = getCurrentPageState();
+    const anchorIndex = area.row * pageState.grid.cols + area.col;
+    const areaCellIndexes = getGridAreaCellIndexes(pageState, area);
+    const contentIndexes = areaCellIndexes.filter(cellIndex => isCellImageContent(pageState.cells[cellIndex]));
+
+    if (contentIndexes.length > 1 && !confirm(t('grid.mergeWarning', { count: contentIndexes.length - 1 }))) {
+        return;
+    }
+
+    const historyBefore = snapshotPage(pageState);
+    const keptCell = contentIndexes.length ? pageState.cells[contentIndexes[0]] : null;
+
+    // The first filled cell moves into the merged cell; the rest of the area is cleared.
+    areaCellIndexes.forEach(cellIndex => {
+        pageState.cells[cellIndex] = null;
+    });
+    pageState.cells[anchorIndex] = keptCell;
+    clearCellCrop(anchorIndex);
+
+    pageState.grid.merges = [
+        ...getGridMerges(pageState).filter(merge => !doGridAreasOverlap(area, merge)),
+        area
+    ];
+
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    gridLayoutEditorState.selection = {
+        anchor: { col: area.col, row: area.row },
+        focus: { col: area.col + area.colSpan - 1, row: area.row + area.rowSpan - 1 }
+    };
+    renderCurrentPage();
+    renderGridLayoutEditor();
+}
+
+function splitSelectedGridCells() {
+    const area = getGridLayoutSelectionArea();
+    if (!area) return;
+
+    const pageState = getCurrentPageState();
+    const merges = getGridMerges(pageState);
+    const splitMerges = merges.filter(merge => doGridAreasOverlap(area, merge));
+    if (!splitMerges.length) return;
+
+    const historyBefore = snapshotPage(pageState);
+    const remainingMerges = merges.filter(merge => !splitMerges.includes(merge));
+
+    // Content stays in the top-left cell, which shrinks back to a single slot.
+    splitMerges.forEach(merge => clearCellCrop(merge.row * pageState.grid.cols + merge.col));
+
+    if (remainingMerges.length) {
+        pageState.grid.merges = remainingMerges;
+    } else {
+        delete pageState.grid.merges;
+    }
+
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    renderCurrentPage();
+    renderGridLayoutEditor();
+}
+
+function readGridTrackWeightsInput(input, count) {
+    const weights = input.value.split(/[\s,;]+/).filter(Boolean).map(Number);
+
+    return weights.length === count && weights.every(weight => Number.isFinite(weight) && weight >= 0.01)
+        ? weights
+        : null;
+}
+
+function applyGridTrackSizes() {
+    const pageState = getCurrentPageState();
+    const colWeights = readGridTrackWeightsInput(elements.columnWeightsInput, pageState.grid.cols);
+    const rowWeights = readGridTrackWeightsInput(elements.rowWeightsInput, pageState.grid.rows);
+
+    if (!colWeights || !rowWeights) {
+        alert(t('grid.invalidTrackSizes', { cols: pageState.grid.cols, rows: pageState.grid.rows }));
+        return;
+    }
+
+    const grid = normalizeGrid({ ...pageState.grid, colWeights, rowWeights });
+    if (!doesGridSpacingFit({ ...pageState, grid })) {
+        alert(t('grid.tracksTooSmall'));
+        return;
+    }
+
+    const historyBefore = snapshotPage(pageState);
+    pageState.grid = grid;
+    resetCellCrops();
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    renderCurrentPage();
+    renderGridLayoutEditor();
+}
+
+function resetGridLayout() {
+    const pageState = getCurrentPageState();
+    const { merges, colWeights, rowWeights } = pageState.grid;
+    if (!merges && !colWeights && !rowWeights) return;
+
+    const historyBefore = snapshotPage(pageState);
+
+    pageState.grid = { cols: pageState.grid.cols, rows: pageState.grid.rows };
+    resetCellCrops();
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    gridLayoutEditorState.selection = null;
+    renderCurrentPage();
+    renderGridLayoutEditor();
+}
+
+function setupSizeOptions() {
+    loadPaperPresets();
+
+    elements.sizeOrientationButtons.forEach(button => {
+        button.addEventListener('click', () => setSizePickerOrientation(button.dataset.orientation));
+    });
+    elements.customUnitSelect.addEventListener('change', handleCustomUnitChange);
+    elements.applyCustomSizeBtn.addEventListener('click', applyCustomPaperSize);
+    elements.saveCustomPresetBtn.addEventListener('click', saveCustomPaperPreset);
+
+    renderSizeOptions();
+}
+
+function renderSizeOptions() {
+    const standardOptions = Object.entries(CONFIG.paperSizes).map(([paperSize, size]) => ({
+        paperSize,
+        label: paperSize,
+        size,
+        unit: size.unit || 'mm'
+    }));
+    const presetOptions = sizePickerState.presets.map(preset => ({
+        paperSize: CUSTOM_PAPER_SIZE,
+        preset,
+        label: preset.name,
+        size: preset,
+        unit: preset.unit || 'mm'
+    }));
+
+    elements.sizeOptions.replaceChildren(...[...standardOptions, ...presetOptions].map(createSizeOptionElement));
+    highlightCurrentSize();
+}
+
+function createSizeOptionElement({ paperSize, preset = null, label, size, unit }) {
+    const [width, height] = getOrientedPaperDimensions(size, sizePickerState.orientation);
+    const longSide = Math.max(width, height);
+    const option = document.createElement('div');
+    option.className = 'size-option interactive-card';
+    option.dataset.size = paperSize;
+
+    const preview = document.createElement('div');
+    preview.className = 'size-preview';
+    preview.style.setProperty('--size-preview-width', String(width / longSide));
+    preview.style.setProperty('--size-preview-height', String(height / longSide));
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'size-label';
+    labelElement.textContent = label;
+
+    const dimensions = document.createElement('span');
+    dimensions.className = 'size-dimensions';
+    dimensions.textContent = formatPaperDimensions(width, height, unit);
+
+    option.append(preview, labelElement, dimensions);
+
+    if (preset) {
+        option.dataset.presetId = preset.id;
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'size-preset-delete';
+        deleteButton.textContent = '×';
+        deleteButton.setAttribute('aria-label', t('paper.deletePreset', { name: preset.name }));
+        deleteButton.addEventListener('click', event => {
+            event.stopPropagation();
+            deletePaperPreset(preset.id);
+        });
+        option.appendChild(deleteButton);
+    }
+
+    option.addEventListener('click', () => {
+        if (setCurrentPaperSize(paperSize, sizePickerState.orientation, preset)) {
+            hideSizePicker();
+        }
+    });
+
+    return option;
+}
+
+function formatPaperLength(mm, unit) {
+    const value = unit === 'in' ? mm / MM_PER_INCH : mm;
+    return String(Math.round(value * 100) / 100);
+}
+
+function formatPaperDimensions(width, height, unit = 'mm') {
+    return `${formatPaperLength(width, unit)} × ${formatPaperLength(height, unit)} ${unit}`;
+}
+
+function isSamePaperSize(a, b) {
+    return !!a && !!b && Math.abs(a.width - b.width) < 0.01 && Math.abs(a.height - b.height) < 0.01;
+}
+
+// Returns false, leaving the page untouched, when the spacing would not fit the new sheet.
+function setCurrentPaperSize(paperSize, orientation, customSize = null) {
+    const pageState = getCurrentPageState();
+    const sheet = { ...pageState.sheet, paperSize, orientation };
+    if (paperSize === CUSTOM_PAPER_SIZE) {
+        sheet.customSize = normalizeCustomPaperSize(customSize);
+    } else {
+        delete sheet.customSize;
+    }
+
+    const candidate = { ...pageState, sheet };
+    syncPageDimensions(candidate);
+    if (!doesGridSpacingFit(candidate)) {
+        alert(t('paper.spacingTooLarge'));
+        return false;
+    }
+
+    const historyBefore = snapshotPage(pageState);
+    pageState.sheet = sheet;
+    recordPageHistory(appState.currentPageIndex, historyBefore);
+    updateSheetSize();
+    return true;
+}
+
+// Flipping orientation applies right away; picking a size then closes the picker.
+function setSizePickerOrientation(orientation) {
+    if (layoutState.sheet.orientation !== orientation
+        && !setCurrentPaperSize(layoutState.sheet.paperSize, orientation, layoutState.sheet.customSize)) {
+        return;
+    }
+
+    sizePickerState.orientation = orientation;
+    renderSizeOptions();
+}
+
+function fillCustomSizeInputs() {
+    const unit = sizePickerState.customUnit;
+    elements.customUnitSelect.value = unit;
+    elements.customWidthInput.value = formatPaperLength(layoutState.sheet.width, unit);
+    elements.customHeightInput.value = formatPaperLength(layoutState.sheet.height, unit);
+}
+
+function handleCustomUnitChange() {
+    const previousFactor = sizePickerState.customUnit === 'in' ? MM_PER_INCH : 1;
+    const nextUnit = elements.customUnitSelect.value;
+
+    [elements.customWidthInput, elements.customHeightInput].forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+            input.value = formatPaperLength(value * previousFactor, nextUnit);
+        }
+    });
+    sizePickerState.customUnit = nextUnit;
+}
+
+function readCustomPaperSizeInputs() {
+    const factor = elements.customUnitSelect.value === 'in' ? MM_PER_INCH : 1;
+    const width = parseFloat(elements.customWidthInput.value) * factor;
+    const height = parseFloat(elements.customHeightInput.value) * factor;
+    const size = normalizeCustomPaperSize({ width, height });
+
+    if (!size) {
+        const { minSize, maxSize } = CONFIG.customPaperSize;
+        alert(t('paper.invalidCustom', { min: minSize, max: maxSize }));
+        return null;
+    }
+
+    return {
+        size,
+        orientation: width > height ? 'landscape' : 'portrait'
+    };
+}
+
+function applyCustomPaperSize() {
+    const customPaper = readCustomPaperSizeInputs();
+    if (!customPaper) return;
+
+    if (setCurrentPaperSize(CUSTOM_PAPER_SIZE, customPaper.orientation, customPaper.size)) {
+        hideSizePicker();
+    }
+}
+
+function saveCustomPaperPreset() {
+    const customPaper = readCustomPaperSizeInputs();
+    if (!customPaper) return;
+
+    const unit = elements.customUnitSelect.value;
+    const [width, height] = getOrientedPaperDimensions(customPaper.size, customPaper.orientation);
+    const name = elements.customPresetNameInput.value.trim() || formatPaperDimensions(width, height, unit);
+
+    sizePickerState.presets.push({
+        id: createStorageKey(),
+        name,
+        unit,
+        ...customPaper.size
+    });
+    storePaperPresets();
+
+    elements.customPresetNameInput.value = '';
+    sizePickerState.orientation = customPaper.orientation;
+    updateSizeOrientationButtons();
+    renderSizeOptions();
+    showStatusToast(t('paper.presetSaved', { name }));
+}
+
+function deletePaperPreset(presetId) {
+    sizePickerState.presets = sizePickerState.presets.filter(preset => preset.id !== presetId);
+    storePaperPresets();
+    renderSizeOptions();
+}
+
+function loadPaperPresets() {
+    try {
+        const storedPresets = JSON.parse(localStorage.getItem(CONFIG.customPaperSize.presetsStorageKey) || '[]');
+
+        sizePickerState.presets = Array.isArray(storedPresets)
+            ? storedPresets.filter(preset => typeof preset?.name === 'string' && normalizeCustomPaperSize(preset))
+            : [];
+    } catch (error) {
+        console.warn('[Paper] Failed to load size presets:', error);
+        sizePickerState.presets = [];
+    }
+}
+
+function storePaperPresets() {
+    try {
+        localStorage.setItem(CONFIG.customPaperSize.presetsStorageKey, JSON.stringify(sizePickerState.presets));
+    } catch (error) {
+        console.warn('[Paper] Failed to store size presets:', error);
+    }
+}
+
+function updateSizeOrientationButtons() {
+    elements.sizeOrientationButtons.forEach(button => {
+        const selected = button.dataset.orientation === sizePickerState.orientation;
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', String(selected));
+    });
+}
+
+function showSizePicker() {
+    sizePickerState.orientation = layoutState.sheet.orientation;
+    updateSizeOrientationButtons();
+    fillCustomSizeInputs();
+    renderSizeOptions();
+
+    const matchesPreset = sizePickerState.presets.some(preset => isSamePaperSize(preset, layoutState.sheet.customSize));
+    elements.customSizeSection.open = layoutState.sheet.paperSize === CUSTOM_PAPER_SIZE && !matchesPreset;
+
+    overlayManager.show(elements.sizeOverlay);
+}
+
+function hideSizePicker() {
+    overlayManager.hide(elements.sizeOverlay);
+}
+
+function setupSpacingOptions() {
+    elements.spacingPresetButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            fillSpacingInputs(CONFIG.gridSpacingPresets[button.dataset.preset]);
+        });
+    });
+
+    [...elements.marginInputs, elements.columnGapInput, elements.rowGapInput, elements.cellPaddingInput].forEach(input => {
+        input.addEventListener('input', highlightSpacingPreset);
+    });
+    elements.applySpacingBtn.addEventListener('click', applySpacingSettings);
+}
+
+function showSpacingPicker() {
+    fillSpacingInputs(getPageGridSpacing(getCurrentPageState()));
+    elements.spacingAllPagesInput.checked = false;
+    overlayManager.show(elements.spacingOverlay);
+}
+
+function hideSpacingPicker() {
+    overlayManager.hide(elements.spacingOverlay);
+}
+
+function fillSpacingInputs(gridSpacing) {
+    elements.marginInputs.forEach(input => {
+        input.value = String(gridSpacing.sheetPadding[input.dataset.margin]);
+    });
+    elements.columnGapInput.value = String(gridSpacing.columnGap);
+    elements.rowGapInput.value = String(gridSpacing.rowGap);
+    elements.cellPaddingInput.value = String(gridSpacing.cellPadding);
+    highlightSpacingPreset();
+}
+
+function readSpacingInputs() {
+    const sheetPadding = {};
+    elements.marginInputs.forEach(input => {
+        sheetPadding[input.dataset.margin] = input.value.trim() === '' ? NaN : Number(input.value);
+    });
+
+    return normalizeGridSpacing({
+        sheetPadding,
+        columnGap: elements.columnGapInput.value.trim() === '' ? NaN : Number(elements.columnGapInput.value),
+        rowGap: elements.rowGapInput.value.trim() === '' ? NaN : Number(elements.rowGapInput.value),
+        cellPadding: elements.cellPaddingInput.value.trim() === '' ? NaN : Number(elements.cellPaddingInput.value)
+    });
+}
+
+function highlightSpacingPreset() {
+    const gridSpacing = readSpacingInputs();
+
+    elements.spacingPresetButtons.forEach(button => {
+        const preset = CONFIG.gridSpacingPresets[button.dataset.preset];
+        const selected = !!gridSpacing && JSON.stringify(preset) === JSON.stringify(gridSpacing);
+        button.classList.toggle('selected', selected);
+        button.setAttribute('aria-pressed', String(selected));
+    });
+}
+
+function applySpacingSettings() {
+    const gridSpacing = readSpacingInputs();
+    const targetPageIndexes = elements.spacingAllPagesInput.checked
+        ? appState.pages.map((_, pageIndex) => pageIndex)
+        : [appState.currentPageIndex];
+
+    if (!gridSpacing || targetPageIndexes.some(pageIndex => !doesGridSpacingFit(appState.pages[pageIndex], gridSpacing))) {
+        alert(t('spacing.invalid'));
+        return;
+    }
+
+    beginHistoryGroup();
+    try {
+        targetPageIndexes.forEach(pageIndex => {
+            const pageState = appState.pages[pageIndex];
+            const historyBefore = snapshotPage(pageState);
+            pageState.gridSpacing = cloneSerializableValue(gridSpacing);
+            recordPageHistory(pageIndex, historyBefore);
+        });
+    } finally {
+        endHistoryGroup();
+    }
+
+    hideSpacingPicker();
+    renderCurrentPage();
+}
+
+// Layout templates
+function setupLayoutTemplates() {
+    loadLayoutTemplates();
+
+    elements.saveTemplateBtn.addEventListener('click', saveCurrentPageAsTemplate);
+    elements.exportTemplatesBtn.addEventListener('click', exportLayoutTemplates);
+    elements.importTemplatesBtn.addEventListener('click', () => elements.templateInput.click());
+    elements.templateInput.addEventListener('change', handleTemplateFileSelection);
+}
+
+function showTemplatePicker() {
+    elements.templateAllPagesInput.checked = false;
+    renderLayoutTemplates();
+    overlayManager.show(elements.templateOverlay);
+}
+
+function hideTemplatePicker() {
+    overlayManager.hide(elements.templateOverlay);
+}
+
+function loadLayoutTemplates() {
+    try {
+        const storedTemplates = JSON.parse(localStorage.getItem(CONFIG.layoutTemplates.storageKey) || '[]');
+
+        layoutTemplateState.templates = Array.isArray(storedTemplates)
+            ? storedTemplates
+                .map(template => {
+                    const normalized = normalizeLayoutTemplate(template);
+                    return normalized && { id: String(template.id || createStorageKey()), ...normalized };
+                })
+                .filter(Boolean)
+            : [];
+    } catch (error) {
+        console.warn('[Templates] Failed to load layout templates:', error);
+        layoutTemplateState.templates = [];
+    }
+}
+
+function storeLayoutTemplates() {
+    try {
+        localStorage.setItem(CONFIG.layoutTemplates.storageKey, JSON.stringify(layoutTemplateState.templates));
+    } catch (error) {
+        console.warn('[Templates] Failed to store layout templates:', error);
+    }
+}
+
+function getBuiltInLayoutTemplates() {
+    return CONFIG.layoutTemplates.builtIns.map(({ id, ...template }) => ({
+        ...normalizeLayoutTemplate({ ...template, name: t(`templateNames.${id}`) }),
+        id: `builtin:${id}`,
+        builtIn: true
+    }));
+}
+
+function normalizeTemplateCell(cell) {
+    const settings = {};
+
+    if (CELL_FILL_MODES.includes(cell?.fillMode) && cell.fillMode !== 'contain') {
+        settings.fillMode = cell.fillMode;
+    }
+
+    if (cell?.filter && cell.filter !== 'original' && CELL_FILTERS.some(filter => filter.key === cell.filter)) {
+        settings.filter = cell.filter;
+
+        const threshold = Number(cell.filterSettings?.bitonalThreshold);
+        if (cell.filter === 'bitonal' && Number.isFinite(threshold)) {
+            settings.filterSettings = { bitonalThreshold: clamp(Math.round(threshold), 0, 100) };
+        }
+    }
+
+    if (hasCustomCrop(cell)) {
+        settings.crop = normalizeCellCrop(cell.crop);
+    }
+
+    return Object.keys(settings).length ? settings : null;
+}
+
+// Fill mode and filter defaults are applied to content placed in a cell later on.
+function normalizeCellDefaults(cellDefaults, cellCount) {
+    if (!Array.isArray(cellDefaults)) {
+        return null;
+    }
+
+    const normalized = Array.from({ length: cellCount }, (_, cellIndex) => {
+        const { crop, ...defaults } = normalizeTemplateCell(cellDefaults[cellIndex]) || {};
+        return Object.keys(defaults).length ? defaults : null;
+    });
+
+    return normalized.some(Boolean) ? normalized : null;
+}
+
+function normalizeLayoutTemplate(template) {
+    const name = typeof template?.name === 'string'
+        ? template.name.trim().slice(0, CONFIG.layoutTemplates.maxNameLength)
+        : '';
+    const grid = normalizeGrid(template?.grid);
+    const gridSpacing = template?.gridSpacing ? normalizeGridSpacing(template.gridSpacing) : null;
+    const sheet = {
+        paperSize: template?.sheet?.paperSize,
+        orientation: template?.sheet?.orientation === 'landscape' ? 'landscape' : 'portrait'
+    };
+
+    if (sheet.paperSize === CUSTOM_PAPER_SIZE) {
+        sheet.customSize = normalizeCustomPaperSize(template.sheet.customSize);
+    }
+
+    const paperSize = getSheetPaperSize(sheet);
+    if (!name || !grid || !paperSize || (template.gridSpacing && !gridSpacing)) {
+        return null;
+    }
+
+    const [width, height] = getOrientedPaperDimensions(paperSize, sheet.orientation);
+    const pageState = { sheet: { ...sheet, width, height }, grid, cells: [] };
+    if (gridSpacing) {
+        pageState.gridSpacing = gridSpacing;
+    }
+
+    if (!doesGridSpacingFit(pageState)) {
+        return null;
+    }
+
+    const cells = Array.isArray(template.cells) ? template.cells : [];
+    const normalized = {
+        name,
+        sheet,
+        grid,
+        cells: Array.from({ length: getPageCellCount(pageState) }, (_, cellIndex) => (
+            isCellSlotCovered(pageState, cellIndex) ? null : normalizeTemplateCell(cells[cellIndex])
+        ))
+    };
+
+    if (gridSpacing) {
+        normalized.gridSpacing = gridSpacing;
+    }
+
+    return normalized;
+}
+
+function createLayoutTemplateFromPage(pageState, name) {
+    const cells = Array.from({ length: getPageCellCount(pageState) }, (_, cellIndex) => ({
+        ...pageState.cellDefaults?.[cellIndex],
+        ...pageState.cells[cellIndex]
+    }));
+
+    return normalizeLayoutTemplate({
+        name,
+        sheet: pageState.sheet,
+        grid: pageState.grid,
+        gridSpacing: getPageGridSpacing(pageState),
+        cells
+    });
+}
+
+function renderLayoutTemplates() {
+    const templates = [...getBuiltInLayoutTemplates(), ...layoutTemplateState.templates];
+
+    elements.templateOptions.replaceChildren(...templates.map(createLayoutTemplateOptionElement));
+    elements.exportTemplatesBtn.disabled = !layoutTemplateState.templates.length;
+}
+
+function createLayoutTemplateOptionElement(template) {
+    const paperSize = getSheetPaperSize(template.sheet);
+    const [width, height] = getOrientedPaperDimensions(paperSize, template.sheet.orientation);
+    const option = document.createElement('div');
+    option.className = 'template-option interactive-card';
+    option.dataset.templateId = template.id;
+
+    const preview = document.createElement('div');
+    preview.className = 'template-preview';
+    renderGridLayoutPreview(preview, {
+        sheet: { width, height },
+        grid: template.grid,
+        cells: []
+    });
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'template-label';
+    labelElement.textContent = template.name;
+
+    const details = document.createElement('span');
+    details.className = 'template-details';
+    const paperLabel = template.sheet.paperSize === CUSTOM_PAPER_SIZE
+        ? formatPaperDimensions(width, height)
+        : template.sheet.paperSize;
+    details.textContent = `${paperLabel} · ${template.grid.cols} × ${template.grid.rows}`;
+
+    option.append(preview, labelElement, details);
+
+    if (!template.builtIn) {
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'size-preset-delete';
+        deleteButton.textContent = '×';
+        deleteButton.setAttribute('aria-label', t('templates.delete', { name: template.name }));
+        deleteButton.addEventListener('click', event => {
+            event.stopPropagation();
+            deleteLayoutTemplate(template.id);
+        });
+        option.appendChild(deleteButton);
+    }
+
+    option.addEventListener('click', () => applyLayoutTemplate(template));
+
+    return option;
+}
+
+function getLayoutTemplateOverflow(pageState, template) {
+    const contentCount = pageState.cells.filter(isCellImageContent).length;
+    const slotCount = getVisibleCellIndexes({ ...pageState, grid: template.grid }).length;
+
+    return Math.max(0, contentCount - slotCount);
+}
+
+// Content keeps its order and moves into the template's cells; crops come from the template.
+function applyLayoutTemplateToPage(pageState, template) {
+    const contentCells = pageState.cells.filter(isCellImageContent);
+
+    pageState.sheet = {
+        paperSize: template.sheet.paperSize,
+        orientation: template.sheet.orientation
+    };
+    if (template.sheet.customSize) {
+        pageState.sheet.customSize = { ...template.sheet.customSize };
+    }
+    syncPageDimensions(pageState);
+
+    pageState.grid = cloneSerializableValue(template.grid);
+    if (template.gridSpacing) {
+        pageState.gridSpacing = cloneSerializableValue(template.gridSpacing);
+    } else {
+        delete pageState.gridSpacing;
+    }
+
+    const cellDefaults = normalizeCellDefaults(template.cells, getPageCellCount(pageState));
+    if (cellDefaults) {
+        pageState.cellDefaults = cellDefaults;
+    } else {
+        delete pageState.cellDefaults;
+    }
+
+    pageState.cells = [];
+    getVisibleCellIndexes(pageState).forEach((cellIndex, order) => {
+        const cellData = contentCells[order] || null;
+        const crop = template.cells[cellIndex]?.crop;
+
+        if (cellData) {
+            delete cellData.crop;
+            if (crop) {
+                cellData.crop = { ...crop };
+            }
+        }
+
+        pageState.cells[cellIndex] = cellData || (crop ? { crop: { ...crop } } : null);
+    });
+}
+
+function applyLayoutTemplate(template) {
+    const targetPageIndexes = elements.templateAllPagesInput.checked
+        ? appState.pages.map((_, pageIndex) => pageIndex)
+        : [appState.currentPageIndex];
+    const lostContentCount = targetPageIndexes.reduce((count, pageIndex) => (
+        count + getLayoutTemplateOverflow(appState.pages[pageIndex], template)
+    ), 0);
+
+    if (lostContentCount > 0 && !confirm(t('templates.overflowWarning', { count: lostContentCount }))) {
+        return;
+    }
+
+    closePageScopedUI();
+    beginHistoryGroup();
+    try {
+        targetPageIndexes.forEach(pageIndex => {
+            const pageState = appState.pages[pageIndex];
+            const historyBefore = snapshotPage(pageState);
+            applyLayoutTemplateToPage(pageState, template);
+            recordPageHistory(pageIndex, historyBefore);
+        });
+    } finally {
+        endHistoryGroup();
+    }
+
+    hideTemplatePicker();
+    renderCurrentPage();
+    showStatusToast(t('templates.applied', { name: template.name }));
+}
+
+function saveCurrentPageAsTemplate() {
+    const name = elements.templateNameInput.value.trim()
+        || t('templates.defaultName', { number: layoutTemplateState.templates.length + 1 });
+    const template = createLayoutTemplateFromPage(getCurrentPageState(), name);
+
+    if (!template) {
+        alert(t('templates.saveFailed'));
+        return;
+    }
+
+    layoutTemplateState.templates.push({ id: createStorageKey(), ...template });
+    storeLayoutTemplates();
+
+    elements.templateNameInput.value = '';
+    renderLayoutTemplates();
+    showStatusToast(t('templates.saved', { name: template.name }));
+}
+
+function deleteLayoutTemplate(templateId) {
+    layoutTemplateState.templates = layoutTemplateState.templates.filter(template => template.id !== templateId);
+    storeLayoutTemplates();
+    renderLayoutTemplates();
+}
+
+function exportLayoutTemplates() {
+    if (!layoutTemplateState.templates.length) return;
+
+    const payload = {
+        format: LAYOUT_TEMPLATE_FORMAT,
+        version: LAYOUT_TEMPLATE_VERSION,
+        templates: layoutTemplateState.templates.map(({ id, ...template }) => template)
+    };
+
+    downloadBlob(
+        new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }),
+        'PDFomator templates.json'
+    );
+}
+
+async function handleTemplateFileSelection(e) {
+    const file = e.target.files?.[0];
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        const payload = JSON.parse(await file.text());
+        if (payload?.format !== LAYOUT_TEMPLATE_FORMAT || !Array.isArray(payload.templates)) {
+            throw new Error('Not a layout template file');
+        }
+        if (payload.version > LAYOUT_TEMPLATE_VERSION) {
+            throw new Error(`Unsupported layout template version ${payload.version}`);
+        }
+
+        const templates = payload.templates.map(normalizeLayoutTemplate).filter(Boolean);
+        if (!templates.length) {
+            throw new Error('No valid layout templates found');
+        }
+
+        templates.forEach(template => {
+            layoutTemplateState.templates.push({ id: createStorageKey(), ...template });
+        });
+        storeLayoutTemplates();
+        renderLayoutTemplates();
+        showStatusToast(t('templates.imported', { count: templates.length }));
+    } catch (error) {
+        console.error('[Templates] Failed to import layout templates:', error);
+        alert(t('templates.importFailed'));
+    } finally {
+        elements.templateInput.value = '';
+    }
+}
+
+function showExportOverlay() {
+    syncExportControls();
+    overlayManager.show(elements.exportOverlay);
+}
+
+function hideExportOverlay() {
+    overlayManager.hide(elements.exportOverlay);
+}
+
+function showProjectOverlay() {
+    overlayManager.show(elements.projectOverlay);
+}
+
+function hideProjectOverlay() {
+    overlayManager.hide(elements.projectOverlay);
+}
+
+function highlightCurrentSize() {
+    const { paperSize, orientation, customSize } = layoutState.sheet;
+    const showsCurrentOrientation = orientation === sizePickerState.orientation;
+
+    elements.sizeOptions.querySelectorAll('.size-option').forEach(option => {
+        const preset = sizePickerState.presets.find(item => item.id === option.dataset.presetId);
+        const matchesSize = paperSize === CUSTOM_PAPER_SIZE
+            ? isSamePaperSize(preset, customSize)
+            : option.dataset.size === paperSize;
+
+        option.classList.toggle('selected', showsCurrentOrientation && matchesSize);
+    });
+}
+
+function showFileTypeSelector() {
+    overlayManager.show(elements.fileTypeSelector);
+}
+
+function hideFileTypeSelector() {
+    overlayManager.hide(elements.fileTypeSelector);
+}
+
+function cancelFileTypeSelector() {
+    overlayManager.hide(elements.fileTypeSelector, () => {
+        currentTargetCell = null;
+    });
+}
+
+async function showCameraOverlay() {
+    overlayManager.show(elements.cameraOverlay);
+    resetCameraCapture();
+
+    try {
+        await startCameraStream(cameraState.selectedDeviceId);
+    } catch (error) {
+        hideCameraOverlay();
+        alert(t('camera.unavailable'));
+    }
+}
+
+function hideCameraOverlay() {
+    stopCameraStream();
+    resetCameraDeviceOptions();
+    resetCameraCapture();
+    overlayManager.hide(elements.cameraOverlay);
+}
+
+function cancelCameraOverlay() {
+    hideCameraOverlay();
+    currentTargetCell = null;
+}
+
+async function startCameraStream(deviceId = '') {
+    if (!navigator.mediaDevices?.getUserMedia) {
+        throw new Error('Camera API not available');
+    }
+
+    stopCameraStream();
+
+    const videoConstraints = deviceId ? { deviceId: { exact: deviceId } } : true;
+    const stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints, audio: false });
+    cameraState.stream = stream;
+
+    const activeTrack = stream.getVideoTracks()[0];
+    const activeSettings = activeTrack?.getSettings?.();
+    cameraState.selectedDeviceId = activeSettings?.deviceId || deviceId || cameraState.selectedDeviceId;
+
+    elements.cameraVideo.srcObject = stream;
+    await elements.cameraVideo.play();
+    await refreshCameraDevices();
+}
+
+function stopCameraStream() {
+    if (cameraState.stream) {
+        cameraState.stream.getTracks().forEach(track => track.stop());
+        cameraState.stream = null;
+    }
+
+    if (elements.cameraVideo) {
+        elements.cameraVideo.pause();
+        elements.cameraVideo.srcObject = null;
+    }
+}
+
+async function refreshCameraDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+        resetCameraDeviceOptions();
+        return;
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const videoDevices = devices.filter(device => device.kind === 'videoinput');
+    cameraState.devices = videoDevices;
+
+    if (!videoDevices.length) {
+        resetCameraDeviceOptions();
+        return;
+    }
+
+    const currentDeviceId = cameraState.selectedDeviceId || videoDevices[0].deviceId;
+    const deviceOptions = videoDevices.map((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || t('camera.deviceFallback', { index: index + 1 });
+        return option;
+    });
+
+    elements.cameraDeviceSelect.innerHTML = '';
+    deviceOptions.forEach(option => elements.cameraDeviceSelect.appendChild(option));
+    elements.cameraDeviceSelect.value = videoDevices.some(device => device.deviceId === currentDeviceId)
+        ? currentDeviceId
+        : videoDevices[0].deviceId;
+    cameraState.selectedDeviceId = elements.cameraDeviceSelect.value;
+
+    if (videoDevices.length > 1) {
+        elements.cameraDeviceField.classList.remove('hidden');
+    } else {
+        elements.cameraDeviceField.classList.add('hidden');
+    }
+}
+
+function resetCameraDeviceOptions() {
+    cameraState.devices = [];
+    elements.cameraDeviceSelect.innerHTML = '';
+    elements.cameraDeviceField.classList.add('hidden');
+}
+
+async function handleCameraDeviceChange() {
+    const nextDeviceId = elements.cameraDeviceSelect.value;
+    if (!nextDeviceId || nextDeviceId === cameraState.selectedDeviceId) {
+        return;
+    }
+
+    cameraState.selectedDeviceId = nextDeviceId;
+    resetCameraCapture();
+
+    try {
+        await startCameraStream(nextDeviceId);
+    } catch (error) {
+        alert(t('camera.switchFailed'));
+    }
+}
+
+function captureCameraFrame() {
+    const video = elements.cameraVideo;
+    if (!video.videoWidth || !video.videoHeight) {
+        alert(t('camera.previewNotReady'));
+        return;
+    }
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+
+    if (!ctx) {
+        alert(t('camera.captureFailed'));
+        return;
+    }
+
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    cameraState.capturedDataUrl = canvas.toDataURL('image/png');
+
+    elements.cameraCapturedImage.src = cameraState.capturedDataUrl;
+    elements.cameraCapturedImage.classList.remove('hidden');
+    elements.cameraVideo.classList.add('hidden');
+    elements.cameraCaptureBtn.classList.add('hidden');
+    elements.cameraUseBtn.classList.remove('hidden');
+    elements.cameraRetakeBtn.classList.remove('hidden');
+}
+
+function resetCameraCapture() {
+    cameraState.capturedDataUrl = null;
+    elements.cameraCapturedImage.src = '';
+    elements.cameraCapturedImage.classList.add('hidden');
+    elements.cameraVideo.classList.remove('hidden');
+    elements.cameraCaptureBtn.classList.remove('hidden');
+    elements.cameraUseBtn.classList.add('hidden');
+    elements.cameraRetakeBtn.classList.add('hidden');
+}
+
+async function useCapturedPhoto() {
+    const dataUrl = cameraState.capturedDataUrl;
+    const targetCell = currentTargetCell;
+
+    if (!dataUrl || targetCell === null) {
+        return;
+    }
+
+    hideCameraOverlay();
+    showLoading(t('loading.processingPhoto'));
+
+    try {
+        const persistentImg = await createPersistentImageFromDataUrl(dataUrl);
+        addToSpecificCell(persistentImg, t('camera.photoTitle'), targetCell);
+    } catch (error) {
+        alert(t('camera.useFailed'));
+        return;
+    } finally {
+        hideLoading();
+        if (currentTargetCell === targetCell) {
+            currentTargetCell = null;
+        }
+    }
+
+    openPerspectiveEditor(targetCell, { requireDocument: true });
+}
+
+function showPageSelector() {
+    overlayManager.show(elements.pageSelector);
+}
+
+function hidePageSelector() {
+    cancelPDFPageSelectorGeneration();
+    overlayManager.hide(elements.pageSelector);
+}
+
+// Resolves with the entered password, or null when the prompt is canceled.
+function promptPDFPassword(fileName, isRetry) {
+    cancelPDFPasswordPrompt();
+
+    return new Promise(resolve => {
+        pdfPasswordState.resolve = resolve;
+        elements.pdfPasswordMessage.textContent = isRetry
+            ? t('pdfPassword.incorrect')
+            : t('pdfPassword.prompt', { name: fileName });
+        elements.pdfPasswordMessage.classList.toggle('pdf-password-error', isRetry);
+        elements.pdfPasswordInput.value = '';
+        overlayManager.show(elements.pdfPasswordOverlay);
+    });
+}
+
+function settlePDFPasswordPrompt(password) {
+    const { resolve } = pdfPasswordState;
+    if (!resolve) return;
+
+    pdfPasswordState.resolve = null;
+    elements.pdfPasswordInput.value = '';
+    overlayManager.hide(elements.pdfPasswordOverlay);
+    resolve(password);
+}
+
+function submitPDFPassword(event) {
+    event.preventDefault();
+    settlePDFPasswordPrompt(elements.pdfPasswordInput.value);
+}
+
+function cancelPDFPasswordPrompt() {
+    settlePDFPasswordPrompt(null);
+}
+
+function showLoading(message = t('loading.title')) {
+    if (!elements.loading) return; // Safety check for early calls
+    overlayManager.show(elements.loading, () => {
+        const loadingText = elements.loading.querySelector('p');
+        if (loadingText) loadingText.textContent = message;
+    });
+}
+
+function hideLoading() {
+    if (!elements.loading) return; // Safety check for early calls
+    overlayManager.hide(elements.loading);
+}
+
+function showStatusToast(message, duration = 2000) {
+    if (statusToastTimeoutId) {
+        clearTimeout(statusToastTimeoutId);
+        statusToastTimeoutId = null;
+    }
+
+    if (activeStatusToast) {
+        activeStatusToast.remove();
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'status-toast';
+    const toastContent = document.createElement('div');
+    toastContent.className = 'status-toast-content';
+    toastContent.textContent = message;
+    toast.appendChild(toastContent);
+    document.body.appendChild(toast);
+    activeStatusToast = toast;
+
+    statusToastTimeoutId = setTimeout(() => {
+        if (activeStatusToast === toast) {
+            toast.remove();
+            activeStatusToast = null;
+        }
+        statusToastTimeoutId = null;
+    }, duration);
+}
+
+function showBitonalPopover(cellIndex, anchorRect) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
+    hideRotationPopover();
+    hideAdjustmentsPopover();
+    bitonalPopoverState.cellIndex = cellIndex;
+    bitonalPopoverState.anchorRect = anchorRect;
+
+    syncFilterOptionControls(cellData);
+    positionBitonalPopover(anchorRect);
+    elements.bitonalPopover.classList.remove('hidden');
+}
+
+function positionBitonalPopover(anchorRect = bitonalPopoverState.anchorRect) {
+    if (!anchorRect || !elements.bitonalPopover) return;
+
+    const popover = elements.bitonalPopover;
+    const popoverWidth = Math.min(window.innerWidth * 0.42, 220);
+    const left = Math.min(
+        Math.max(12, anchorRect.left + (anchorRect.width / 2) - (popoverWidth / 2)),
+        window.innerWidth - popoverWidth - 12
+    );
+    const top = Math.max(12, anchorRect.bottom + 10);
+
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+}
+
+function hideBitonalPopover() {
+    clearBitonalLongPress();
+    if (bitonalPopoverState.frameRequestId) {
+        cancelAnimationFrame(bitonalPopoverState.frameRequestId);
+        bitonalPopoverState.frameRequestId = null;
+    }
+    bitonalPopoverState.cellIndex = null;
+    bitonalPopoverState.anchorRect = null;
+    bitonalPopoverState.suppressNextClick = false;
+    bitonalPopoverState.applying = false;
+    bitonalPopoverState.pendingSettings = null;
+    if (elements.bitonalPopover) {
+        elements.bitonalPopover.classList.add('hidden');
+    }
+}
+
+function hideCellPopovers() {
+    hideBitonalPopover();
+    hideRotationPopover();
+    hideAdjustmentsPopover();
+}
+
+function clearBitonalLongPress() {
+    if (bitonalPopoverState.longPressTimer) {
+        clearTimeout(bitonalPopoverState.longPressTimer);
+        bitonalPopoverState.longPressTimer = null;
+    }
+}
+
+function handleGlobalPointerDown(event) {
+    if (elements.bitonalPopover && !elements.bitonalPopover.classList.contains('hidden')
+        && !elements.bitonalPopover.contains(event.target)) {
+        hideBitonalPopover();
+    }
+
+    if (elements.rotationPopover && !elements.rotationPopover.classList.contains('hidden')
+        && !elements.rotationPopover.contains(event.target)) {
+        hideRotationPopover();
+    }
+
+    if (elements.adjustmentsPopover && !elements.adjustmentsPopover.classList.contains('hidden')
+        && !elements.adjustmentsPopover.contains(event.target)) {
+        hideAdjustmentsPopover();
+    }
+}
+
+// The popover shows the options of the current filter: threshold and adaptive
+// mode for 1-bit, shadow removal for Auto.
+function syncFilterOptionControls(cellData) {
+    const lighting = getFilterLightingOptions(cellData.filter, cellData.filterSettings);
+    const isDocument = cellData.filter === 'document';
+
+    elements.bitonalOptions.classList.toggle('hidden', isDocument);
+    elements.documentOptions.classList.toggle('hidden', !isDocument);
+    elements.bitonalThresholdSlider.value = String(getBitonalThreshold(cellData));
+    elements.adaptiveThresholdInput.checked = lighting.adaptive;
+    elements.adaptiveWindowField.classList.toggle('hidden', !lighting.adaptive);
+    elements.adaptiveWindowSlider.value = String(lighting.windowPercent);
+    elements.removeShadowsInput.checked = lighting.removeShadows;
+}
+
+function handleFilterOptionsInput() {
+    const cellIndex = bitonalPopoverState.cellIndex;
+    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
+    if (!cellData?.image) return;
+
+    elements.adaptiveWindowField.classList.toggle('hidden', !elements.adaptiveThresholdInput.checked);
+    bitonalPopoverState.pendingSettings = {
+        bitonalThreshold: Number(elements.bitonalThresholdSlider.value),
+        bitonalMode: elements.adaptiveThresholdInput.checked ? 'adaptive' : 'global',
+        adaptiveWindow: Number(elements.adaptiveWindowSlider.value),
+        removeShadows: elements.removeShadowsInput.checked
+    };
+
+    if (bitonalPopoverState.frameRequestId) {
+        return;
+    }
+
+    bitonalPopoverState.frameRequestId = requestAnimationFrame(() => {
+        bitonalPopoverState.frameRequestId = null;
+        applyFilterOptionsPreview();
+    });
+}
+
+async function applyFilterOptionsPreview() {
+    const cellIndex = bitonalPopoverState.cellIndex;
+    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
+    if (!cellData?.image || !['bitonal', 'document'].includes(cellData.filter)) return;
+
+    if (bitonalPopoverState.applying) {
+        return;
+    }
+
+    const nextSettings = bitonalPopoverState.pendingSettings;
+    if (nextSettings === null) {
+        return;
+    }
+
+    bitonalPopoverState.pendingSettings = null;
+    beginCellHistoryStep(cellData);
+    const filterSettings = {
+        ...cellData.filterSettings,
+        bitonalThreshold: nextSettings.bitonalThreshold
+    };
+
+    // Defaults are left out so untouched cells keep their stored settings unchanged.
+    if (cellData.filter === 'bitonal') {
+        delete filterSettings.bitonalMode;
+        delete filterSettings.adaptiveWindow;
+        if (nextSettings.bitonalMode === 'adaptive') {
+            filterSettings.bitonalMode = 'adaptive';
+            filterSettings.adaptiveWindow = nextSettings.adaptiveWindow;
+        }
+    } else {
+        delete filterSettings.removeShadows;
+        if (nextSettings.removeShadows) {
+            filterSettings.removeShadows = true;
+        }
+    }
+
+    cellData.filterSettings = filterSettings;
+    bitonalPopoverState.applying = true;
+
+    try {
+        await applyCellFilter(cellIndex, cellData.filter, { coalesceKey: `${cellData.filter}-options` });
+    } catch (error) {
+        console.error('Failed to update filter options:', error);
+    } finally {
+        bitonalPopoverState.applying = false;
+
+        if (bitonalPopoverState.pendingSettings !== null && bitonalPopoverState.cellIndex === cellIndex) {
+            applyFilterOptionsPreview();
+        }
+    }
+}
+
+function bindBitonalPopoverTriggers(filterBtn, cellIndex) {
+    filterBtn.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openBitonalPopoverForCell(cellIndex, filterBtn.getBoundingClientRect());
+    });
+
+    filterBtn.addEventListener('pointerdown', (event) => {
+        if (event.pointerType !== 'touch') return;
+        clearBitonalLongPress();
+        bitonalPopoverState.longPressTimer = setTimeout(() => {
+            bitonalPopoverState.suppressNextClick = true;
+            openBitonalPopoverForCell(cellIndex, filterBtn.getBoundingClientRect());
+        }, 450);
+    });
+
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach(eventName => {
+        filterBtn.addEventListener(eventName, clearBitonalLongPress);
+    });
+}
+
+async function openBitonalPopoverForCell(cellIndex, anchorRect) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    if (cellData.filter !== 'bitonal' && cellData.filter !== 'document') {
+        try {
+            await applyCellFilter(cellIndex, 'bitonal');
+        } catch (error) {
+            console.error('Failed to open 1-bit threshold control:', error);
+            return;
+        }
+    }
+
+    showBitonalPopover(cellIndex, anchorRect);
+}
+
+function showRotationPopover(cellIndex, anchorRect) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    hideBitonalPopover();
+    hideAdjustmentsPopover();
+    rotationPopoverState.cellIndex = cellIndex;
+    rotationPopoverState.anchorRect = anchorRect;
+
+    syncRotationAngleControls(getCellRotationAngle(cellData));
+    elements.rotationPopover.classList.remove('hidden');
+    positionCellPopover(elements.rotationPopover, anchorRect);
+}
+
+// Places a visible popover below its cell button, kept inside the viewport.
+function positionCellPopover(popover, anchorRect) {
+    if (!anchorRect || !popover) return;
+
+    const popoverWidth = Math.min(window.innerWidth - 24, 280);
+    const left = Math.min(
+        Math.max(12, anchorRect.left + (anchorRect.width / 2) - (popoverWidth / 2)),
+        window.innerWidth - popoverWidth - 12
+    );
+    const top = Math.max(12, Math.min(anchorRect.bottom + 10, window.innerHeight - popover.offsetHeight - 12));
+
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+}
+
+function hideRotationPopover() {
+    clearRotationLongPress();
+    if (rotationPopoverState.frameRequestId) {
+        cancelAnimationFrame(rotationPopoverState.frameRequestId);
+        rotationPopoverState.frameRequestId = null;
+    }
+    rotationPopoverState.cellIndex = null;
+    rotationPopoverState.anchorRect = null;
+    rotationPopoverState.suppressNextClick = false;
+    rotationPopoverState.applying = false;
+    rotationPopoverState.pendingAngle = null;
+    if (elements.rotationPopover) {
+        elements.rotationPopover.classList.add('hidden');
+    }
+}
+
+function clearRotationLongPress() {
+    if (rotationPopoverState.longPressTimer) {
+        clearTimeout(rotationPopoverState.longPressTimer);
+        rotationPopoverState.longPressTimer = null;
+    }
+}
+
+function syncRotationAngleControls(angle) {
+    elements.rotationAngleSlider.value = String(angle);
+    elements.rotationAngleInput.value = angle.toFixed(1);
+}
+
+function handleRotationAngleInput(event) {
+    if (rotationPopoverState.cellIndex === null) return;
+
+    const angle = normalizeRotationAngle(event.target.value);
+    syncRotationAngleControls(angle);
+    queueRotationAngle(angle);
+}
+
+function queueRotationAngle(angle) {
+    rotationPopoverState.pendingAngle = angle;
+
+    if (rotationPopoverState.frameRequestId) {
+        return;
+    }
+
+    rotationPopoverState.frameRequestId = requestAnimationFrame(() => {
+        rotationPopoverState.frameRequestId = null;
+        applyRotationAnglePreview();
+    });
+}
+
+async function applyRotationAnglePreview() {
+    const cellIndex = rotationPopoverState.cellIndex;
+    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
+    if (!cellData?.image || rotationPopoverState.applying) return;
+
+    const nextAngle = rotationPopoverState.pendingAngle;
+    if (nextAngle === null) {
+        return;
+    }
+
+    rotationPopoverState.pendingAngle = null;
+    rotationPopoverState.applying = true;
+
+    try {
+        await setCellRotationAngle(cellIndex, nextAngle, { coalesceKey: 'rotation-angle' });
+    } catch (error) {
+        console.error('Failed to apply fine rotation:', error);
+        alert(t('image.rotateFailed'));
+    } finally {
+        rotationPopoverState.applying = false;
+
+        if (rotationPopoverState.pendingAngle !== null && rotationPopoverState.cellIndex === cellIndex) {
+            applyRotationAnglePreview();
+        }
+    }
+}
+
+async function handleDeskewClick() {
+    const cellIndex = rotationPopoverState.cellIndex;
+    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
+    if (!cellData?.image) return;
+
+    elements.deskewBtn.disabled = true;
+
+    try {
+        const angle = await estimateDeskewAngle(cellData.originalImage || cellData.image);
+        if (layoutState.cells[cellIndex] !== cellData) return;
+
+        if (angle === null) {
+            showStatusToast(t('rotation.noTextLines'));
+            return;
+        }
+
+        if (rotationPopoverState.cellIndex === cellIndex) {
+            syncRotationAngleControls(angle);
+        }
+        await setCellRotationAngle(cellIndex, angle);
+    } catch (error) {
+        console.error('Failed to deskew image:', error);
+        alert(t('image.rotateFailed'));
+    } finally {
+        elements.deskewBtn.disabled = false;
+    }
+}
+
+function showAdjustmentsPopover(cellIndex, anchorRect) {
+    const cellData = layoutState.cells[cellIndex];
+    if (!cellData?.image) return;
+
+    hideCellPopovers();
+    adjustmentsPopoverState.cellIndex = cellIndex;
+    adjustmentsPopoverState.anchorRect = anchorRect;
+
+    syncAdjustmentControls(getImageAdjustments(cellData.filterSettings));
+    elements.adjustmentsPopover.classList.remove('hidden');
+    positionCellPopover(elements.adjustmentsPopover, anchorRect);
+}
+
+function hideAdjustmentsPopover() {
+    if (adjustmentsPopoverState.frameRequestId) {
+        cancelAnimationFrame(adjustmentsPopoverState.frameRequestId);
+        adjustmentsPopoverState.frameRequestId = null;
+    }
+    adjustmentsPopoverState.cellIndex = null;
+    adjustmentsPopoverState.anchorRect = null;
+    adjustmentsPopoverState.applying = false;
+    adjustmentsPopoverState.pendingAdjustments = null;
+    if (elements.adjustmentsPopover) {
+        elements.adjustmentsPopover.classList.add('hidden');
+    }
+}
+
+function syncAdjustmentControls(adjustments) {
+    elements.adjustmentSliders.forEach(slider => {
+        const key = slider.dataset.adjustment;
+        slider.value = String(adjustments[key]);
+        elements.adjustmentsPopover.querySelector(`[data-adjustment-value="${key}"]`).textContent = formatAdjustmentValue(key, adjustments[key]);
+    });
+}
+
+function formatAdjustmentValue(key, value) {
+    if (key === 'gamma') {
+        return value.toFixed(2);
+    }
+    return value > 0 ? `+${value}` : String(value);
+}
+
+function readAdjustmentControls() {
+    const adjustments = {};
+    elements.adjustmentSliders.forEach(slider => {
+        adjustments[slider.dataset.adjustment] = Number(slider.value);
+    });
+    return normalizeImageAdjustments(adjustments);
+}
+
+function handleAdjustmentInput() {
+    if (adjustmentsPopoverState.cellIndex === null) return;
+
+    const adjustments = readAdjustmentControls();
+    syncAdjustmentControls(getImageAdjustments({ adjustments }));
+    queueImageAdjustments(adjustments);
+}
+
+function queueImageAdjustments(adjustments) {
+    adjustmentsPopoverState.pendingAdjustments = adjustments;
+
+    if (adjustmentsPopoverState.frameRequestId) {
+        return;
+    }
+
+    adjustmentsPopoverState.frameRequestId = requestAnimationFrame(() => {
+        adjustmentsPopoverState.frameRequestId = null;
+        applyImageAdjustmentsPreview();
+    });
+}
+
+async function applyImageAdjustmentsPreview() {
+    const cellIndex = adjustmentsPopoverState.cellIndex;
+    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
+    if (!cellData?.image || adjustmentsPopoverState.applying) return;
+
+    const nextAdjustments = adjustmentsPopoverState.pendingAdjustments;
+    if (nextAdjustments === null) {
+        return;
+    }
+
+    adjustmentsPopoverState.pendingAdjustments = null;
+    beginCellHistoryStep(cellData);
+    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
+    if (Object.keys(nextAdjustments).length) {
+        cellData.filterSettings.adjustments = nextAdjustments;
+    } else {
+        delete cellData.filterSettings.adjustments;
+    }
+    adjustmentsPopoverState.applying = true;
+
+    try {
+        await applyCellFilter(cellIndex, cellData.filter || 'original', { coalesceKey: 'image-adjustments' });
+    } catch (error) {
+        console.error('Failed to apply image adjustments:', error);
+    } finally {
+        adjustmentsPopoverState.applying = false;
+
+        if (adjustmentsPopoverState.pendingAdjustments !== null && adjustmentsPopoverState.cellIndex === cellIndex) {
+            applyImageAdjustmentsPreview();
+        }
+    }
+}
+
+function bindRotationPopoverTriggers(rotateBtn, cellIndex) {
+    rotateBtn.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        showRotationPopover(cellIndex, rotateBtn.getBoundingClientRect());
+    });
+
+    rotateBtn.addEventListener('pointerdown', (event) => {
+        if (event.pointerType !== 'touch') return;
+        clearRotationLongPress();
+        rotationPopoverState.longPressTimer = setTimeout(() => {
+            rotationPopoverState.suppressNextClick = true;
+            showRotationPopover(cellIndex, rotateBtn.getBoundingClientRect());
+        }, 450);
+    });
+
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach(eventName => {
+        rotateBtn.addEventListener(eventName, clearRotationLongPress);
+    });
+}
+
+// OCR functionality
+function updateOcrButtonState() {
+    if (!elements.ocrBtn) return;
+
+    elements.ocrBtn.disabled = ocrState.busy;
+    elements.ocrBtn.classList.toggle('is-busy', ocrState.busy);
+    elements.ocrBtn.classList.toggle('is-ready', ocrState.status === 'ready');
+}
+
+function scheduleOcrEnginePreload() {
+    if (ocrState.preloadScheduled) {
+        return;
+    }
+
+    ocrState.preloadScheduled = true;
+
+    const scheduleIdlePreload = () => {
+        const runPreload = () => {
+            if (ocrState.busy) {
+                return;
+            }
+
+            void preloadOcrEngine();
+        };
+
+        if (typeof window.requestIdleCallback === 'function') {
+            window.requestIdleCallback(runPreload, {
+                timeout: CONFIG.ocr.preloadIdleTimeoutMs
+            });
+            return;
+        }
+
+        setTimeout(runPreload, CONFIG.ocr.preloadDelayMs);
+    };
+
+    requestAnimationFrame(() => {
+        setTimeout(scheduleIdlePreload, CONFIG.ocr.preloadDelayMs);
+    });
+}
+
+async function preloadOcrEngine() {
+    if (ocrState.status === 'ready') {
+        return;
+    }
+
+    console.log('[OCR] Preloading OCR engine');
+
+    try {
+        await getPaddleOcrEngine();
+
+        if (!ocrState.busy) {
+            ocrState.status = 'ready';
+            updateOcrButtonState();
+        }
+
+        console.log('[OCR] OCR engine preloaded');
+    } catch (error) {
+        console.warn('[OCR] OCR engine preload failed:', error);
+    }
+}
+
+async function getPaddleOcrEngine() {
+    if (!ocrState.enginePromise) {
+        ocrState.enginePromise = (async () => {
+            const { PaddleOCR } = await import(CONFIG.ocr.moduleUrl);
+            const ocr = await PaddleOCR.create({
+                textDetectionModelName: CONFIG.ocr.textDetectionModelName,
+                textDetectionModelAsset: {
+                    url: CONFIG.ocr.textDetectionModelUrl
+                },
+                textRecognitionModelName: CONFIG.ocr.textRecognitionModelName,
+                textRecognitionModelAsset: {
+                    url: CONFIG.ocr.textRecognitionModelUrl
+                },
+                textRecognitionBatchSize: CONFIG.ocr.textRecognitionBatchSize,
+                worker: true,
+                ortOptions: {
+                    backend: 'auto',
+                    wasmPaths: CONFIG.ocr.wasmPaths,
+                    numThreads: 1,
+                    simd: true
+                }
+            });
+
+            ocrState.lastSummary = ocr.getInitializationSummary?.() || null;
+            return ocr;
+        })().catch(error => {
+            ocrState.enginePromise = null;
+            throw error;
+        });
+    }
+
+    return ocrState.enginePromise;
+}
+
+function getCellOcrSignature(cellIndex) {
+    const cellData = layoutState.cells[cellIndex];
+    const imageBounds = getActualImageBounds(cellIndex);
+
+    if (!cellData?.image || !imageBounds) {
+        return '';
+    }
+
+    return JSON.stringify({
+        imageWidth: cellData.image.width,
+        imageHeight: cellData.image.height,
+        imageOperationId: cellData.imageOperationId || 0,
+        fillMode: cellData.fillMode || 'contain',
+        transform: normalizeNumericObject(cellData.transform),
+        crop: normalizeNumericObject(normalizeCellCrop(cellData.crop)),
+        rotationAngle: getCellRotationAngle(cellData),
+        filter: cellData.filter || 'original',
+        filterSettings: normalizeNumericObject(cellData.filterSettings),
+        imageBounds: normalizeNumericObject(imageBounds)
+    });
+}
+
+function normalizeNumericObject(value) {
+    if (!value || typeof value !== 'object') {
+        return value || null;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        typeof item === 'number' ? Number(item.toFixed(4)) : item
+    ]));
+}
+
+function normalizeOcrItems(result) {
+    const imageWidth = Math.max(1, Number(result?.image?.width) || 1);
+    const imageHeight = Math.max(1, Number(result?.image?.height) || 1);
+
+    return (result?.items || [])
+        .filter(item => item?.text && item.score >= CONFIG.ocr.minConfidence && Array.isArray(item.poly))
+        .map(item => ({
+            text: item.text,
+            score: item.score,
+            polyNorm: item.poly.map(point => [
+                clamp(Number(point[0]) / imageWidth, 0, 1),
+                clamp(Number(point[1]) / imageHeight, 0, 1)
+            ])
+        }))
+        .filter(item => item.polyNorm.length >= 4);
+}
+
+// Opens retained PDF sources on demand during one pass and closes them afterwards.
+function createPDFSourceLoader() {
+    const documents = new Map();
+
+    return {
+        load(documentId) {
+            if (!documents.has(documentId)) {
+                documents.set(documentId, openPDFSource(documentId));
+            }
+            return documents.get(documentId);
+        },
+        async close() {
+            for (const documentPromise of documents.values()) {
+                (await documentPromise.catch(() => null))?.destroy();
+            }
+            documents.clear();
+        }
+    };
+}
+
+// The text a digital PDF page already carries, in the same shape as OCR items.
+// Returns an empty list for pages without text, such as scans.
+async function getPDFCellTextItems(pdfSources, cellData, cellIndex) {
+    const pageText = await readPDFPageText(pdfSources, cellData.pdfSource);
+    return pageText ? placePDFTextInCell(pageText, cellData, cellIndex) : [];
+}
+
+// The page's text items with the viewport of its quarter turns, or null when
+// its source is no longer retained.
+async function readPDFPageText(pdfSources, pdfSource) {
+    if (!pdfSource || !pdfjsLib?.getDocument || !pdfSourceState.documents.has(pdfSource.documentId)) {
+        return null;
+    }
+
+    const pdf = await pdfSources.load(pdfSource.documentId);
+    const page = await pdf.getPage(pdfSource.pageNumber);
+    const viewport = page.getViewport({ scale: 1, rotation: page.rotate + (pdfSource.rotation || 0) });
+    const textContent = await page.getTextContent();
+    page.cleanup();
+
+    return { viewport, items: textContent.items };
+}
+
+// Each line is placed through the page's quarter turns, the fine rotation, the
+// fill mode, transform and crop onto the cell's visible image.
+function placePDFTextInCell({ viewport, items }, cellData, cellIndex) {
+    const imageBounds = getActualImageBounds(cellIndex);
+    const geometry = getCellImageGeometry(cellData, getCellContentCoordinates(cellIndex));
+    if (!imageBounds || !geometry) {
+        return [];
+    }
+
+    const imageRect = geometry.visibleRect;
+    const toImagePoint = getFineRotationMapper(cellData);
+    const toCellPoint = (x, y) => {
+        const [viewportX, viewportY] = viewport.convertToViewportPoint(x, y);
+        const [imageX, imageY] = toImagePoint(viewportX / viewport.width, viewportY / viewport.height);
+        return [
+            (imageRect.x + imageX * imageRect.width - imageBounds.x) / imageBounds.width,
+            (imageRect.y + imageY * imageRect.height - imageBounds.y) / imageBounds.height
+        ];
+    };
+
+    return items
+        .filter(item => item.str?.trim() && Array.isArray(item.transform))
+        .map(item => {
+            const [a, b, c, d, originX, originY] = item.transform;
+            const fontSize = Math.hypot(c, d) || item.height || 1;
+            const runLength = Math.hypot(a, b) || 1;
+            const along = [a / runLength * item.width, b / runLength * item.width];
+            const up = [c / fontSize, d / fontSize];
+            const bottom = [originX - up[0] * fontSize * 0.2, originY - up[1] * fontSize * 0.2];
+            const top = [originX + up[0] * fontSize * 0.8, originY + up[1] * fontSize * 0.8];
+
+            return {
+                text: item.str.trim(),
+                score: 1,
+                polyNorm: [
+                    toCellPoint(top[0], top[1]),
+                    toCellPoint(top[0] + along[0], top[1] + along[1]),
+                    toCellPoint(bottom[0] + along[0], bottom[1] + along[1]),
+                    toCellPoint(bottom[0], bottom[1])
+                ]
+            };
+        })
+        .filter(item => {
+            // Lines stay when their center is still visible after cropping and zooming.
+            const centerX = item.polyNorm.reduce((sum, point) => sum + point[0], 0) / 4;
+            const centerY = item.polyNorm.reduce((sum, point) => sum + point[1], 0) / 4;
+            return centerX >= 0 && centerX <= 1 && centerY >= 0 && centerY <= 1;
+        })
+        .map(item => ({
+            ...item,
+            polyNorm: item.polyNorm.map(([x, y]) => [clamp(x, 0, 1), clamp(y, 0, 1)])
+        }));
+}
+
+// Keeps cellData.ocr of PDF pages in step with how their cells show them, so
+// exports carry the embedded text without running OCR. Pages without text keep
+// whatever OCR found for them.
+function refreshPDFCellText(pageIndices) {
+    return queuePDFRenderPass(async () => {
+        const cells = collectStalePDFCellText(pageIndices);
+        if (!cells.length) return;
+
+        const pdfSources = createPDFSourceLoader();
+        try {
+            for (const { pageIndex, cellIndex, cellData, pdfSource } of cells) {
+                const pageText = await readPDFPageText(pdfSources, pdfSource).catch(error => {
+                    console.warn('[PDF] Failed to read page text:', error);
+                    return null;
+                });
+                if (!pageText) continue;
+
+                runOnFlowTargetPage({ pageIndex, cellIndex }, () => {
+                    // The cell may have been replaced or rotated while the text was read.
+                    if (layoutState.cells[cellIndex] !== cellData || cellData.pdfSource !== pdfSource) return;
+
+                    if (pageText.items.some(item => item.str?.trim())) {
+                        const items = placePDFTextInCell(pageText, cellData, cellIndex);
+                        cellData.ocr = { engine: 'pdf', signature: getCellOcrSignature(cellIndex), items };
+                    } else {
+                        pdfSourceState.textlessPages.add(getPDFPageKey(pdfSource));
+                    }
+                });
+            }
+        } finally {
+            await pdfSources.close();
+        }
+    });
+}
+
+function collectStalePDFCellText(pageIndices) {
+    const cells = [];
+
+    pageIndices.forEach(pageIndex => runOnFlowTargetPage({ pageIndex }, () => {
+        layoutState.cells.forEach((cellData, cellIndex) => {
+            const pdfSource = cellData?.pdfSource;
+            if (!pdfSource || !cellData.image || !pdfSourceState.documents.has(pdfSource.documentId)) return;
+            if (pdfSourceState.textlessPages.has(getPDFPageKey(pdfSource)) || isCellOcrCurrent(cellData, cellIndex)) return;
+
+            cells.push({ pageIndex, cellIndex, cellData, pdfSource });
+        });
+    }));
+
+    return cells;
+}
+
+// History snapshots copy pdfSource, so pages are told apart by document and number.
+function getPDFPageKey({ documentId, pageNumber }) {
+    return `${documentId}:${pageNumber}`;
+}
+
+// Maps normalized points of the original image onto the finely rotated copy,
+// which drawRotatedImage grows to fit the turned corners.
+function getFineRotationMapper(cellData) {
+    const angle = getCellRotationAngle(cellData);
+    if (!angle || !cellData.originalImage) {
+        return (x, y) => [x, y];
+    }
+
+    const { width, height } = cellData.originalImage;
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const rotatedWidth = width * Math.abs(cos) + height * Math.abs(sin);
+    const rotatedHeight = width * Math.abs(sin) + height * Math.abs(cos);
+
+    return (x, y) => {
+        const offsetX = (x - 0.5) * width;
+        const offsetY = (y - 0.5) * height;
+        return [
+            (offsetX * cos - offsetY * sin) / rotatedWidth + 0.5,
+            (offsetX * sin + offsetY * cos) / rotatedHeight + 0.5
+        ];
+    };
+}
+
+function getOcrBackendLabel(summary) {
+    const backend = summary?.backend || summary?.requestedBackend || '';
+    const detProvider = summary?.providers?.det || summary?.detProvider || '';
+    const recProvider = summary?.providers?.rec || summary?.recProvider || '';
+    const providers = [detProvider, recProvider].filter(Boolean).join('/');
+
+    return providers || backend || 'auto';
+}
+
+function getOcrCompletionMessage(recognizedLines) {
+    if (recognizedLines === 0) {
+        return t('ocr.completeNoText');
+    }
+
+    return t('ocr.completeWithText', { count: recognizedLines });
+}
+
+async function handleRunOCR() {
+    if (ocrState.busy) return;
+
+    const totalCells = appState.pages.reduce((count, page) => (
+        count + page.cells.filter(isCellImageContent).length
+    ), 0);
+
+    if (!totalCells) {
+        showStatusToast(t('ocr.noImages'));
+        return;
+    }
+
+    ocrState.busy = true;
+    clearOcrVisualState();
+    updateOcrButtonState();
+
+    const originalPageIndex = appState.currentPageIndex;
+    const pdfSources = createPDFSourceLoader();
+    let ocr = null;
+    let recognizedLines = 0;
+    let processedCells = 0;
+    let completedSuccessfully = false;
+
+    // PaddleOCR loads only once a cell without embedded PDF text needs it.
+    const getOcrEngine = async () => {
+        if (!ocr) {
+            ocrState.status = 'loading';
+            updateOcrButtonState();
+            ocr = await getPaddleOcrEngine();
+            ocrState.status = 'ready';
+            updateOcrButtonState();
+        }
+        return ocr;
+    };
+
+    try {
+        for (let pageIndex = 0; pageIndex < appState.pages.length; pageIndex++) {
+            appState.currentPageIndex = pageIndex;
+            renderCurrentPage();
+
+            const cellIndices = layoutState.cells
+                .map((cell, cellIndex) => (isCellImageContent(cell) ? cellIndex : null))
+                .filter(cellIndex => cellIndex !== null);
+
+            if (!cellIndices.length) {
+                continue;
+            }
+
+            let renderedSheet = null;
+
+            for (const cellIndex of cellIndices) {
+                const cellData = layoutState.cells[cellIndex];
+                const imageBounds = getActualImageBounds(cellIndex);
+
+                if (!cellData?.image || !imageBounds) {
+                    continue;
+                }
+
+                processedCells += 1;
+                setOcrActiveCell(pageIndex, cellIndex);
+                await waitForOcrScanFeedback();
+
+                const signature = getCellOcrSignature(cellIndex);
+                const pdfTextItems = cellData.ocr?.engine === 'pdf' && isCellOcrCurrent(cellData, cellIndex)
+                    ? cellData.ocr.items
+                    : await getPDFCellTextItems(pdfSources, cellData, cellIndex).catch(error => {
+                        console.warn('[OCR] Failed to read PDF text, recognizing the page instead:', error);
+                        return [];
+                    });
+
+                if (pdfTextItems.length) {
+                    cellData.ocr = { engine: 'pdf', signature, items: pdfTextItems };
+                    recognizedLines += pdfTextItems.length;
+                    appendOcrFlashItems(pageIndex, cellIndex, pdfTextItems);
+                    clearOcrScanOverlay();
+                    continue;
+                }
+
+                renderedSheet = renderedSheet || await renderSheetToFullCanvas(CONFIG.ocr.rasterScale);
+                const cellCanvas = extractCellCanvasFromRenderedSheet(
+                    renderedSheet,
+                    imageBounds,
+                    CONFIG.ocr.rasterScale
+                );
+
+                if (!cellCanvas) {
+                    clearOcrScanOverlay();
+                    continue;
+                }
+
+                const [result] = await (await getOcrEngine()).predict(cellCanvas);
+                const items = normalizeOcrItems(result);
+
+                cellData.ocr = {
+                    engine: 'paddleocr',
+                    model: CONFIG.ocr.textRecognitionModelName,
+                    signature,
+                    items,
+                    metrics: result?.metrics || null,
+                    runtime: result?.runtime || null
+                };
+
+                recognizedLines += items.length;
+                appendOcrFlashItems(pageIndex, cellIndex, items);
+
+                if (CONFIG.ocr.postScanFeedbackMs > 0) {
+                    await waitForDuration(CONFIG.ocr.postScanFeedbackMs);
+                }
+                clearOcrScanOverlay();
+            }
+        }
+
+        const backendLabel = getOcrBackendLabel(ocrState.lastSummary);
+        console.log('[OCR] Scan complete:', {
+            recognizedLines,
+            processedCells,
+            backend: backendLabel,
+            summary: ocrState.lastSummary
+        });
+        completedSuccessfully = true;
+        showStatusToast(getOcrCompletionMessage(recognizedLines), 3200);
+    } catch (error) {
+        console.error('OCR failed:', error);
+        ocrState.status = 'error';
+        ocrState.lastError = String(error);
+        alert(t('ocr.failed'));
+    } finally {
+        await pdfSources.close();
+        appState.currentPageIndex = originalPageIndex;
+        ocrState.activeCell = null;
+
+        if (!completedSuccessfully || recognizedLines === 0) {
+            clearOcrVisualState();
+        } else {
+            clearOcrScanOverlay();
+        }
+
+        renderCurrentPage();
+        ocrState.busy = false;
+        updateOcrButtonState();
+
+        if (completedSuccessfully && recognizedLines > 0) {
+            showOcrFlashOverlayForCurrentPage();
+            scheduleOcrFlashClear();
+        }
+
+        if (!processedCells && ocrState.status !== 'error') {
+            showStatusToast(t('ocr.noExportableCells'));
+        }
     }
 }
 
-// SVG-based sheet rendering function
-function renderSVGSheet() {
-    const { width, height, totalCells, gridSpacing } = getGridMetrics();
-    
-    // Clear the sheet container
-    elements.sheet.innerHTML = '';
-    
-    // Create SVG element with mm dimensions
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', '100%');
-    svg.setAttribute('height', '100%');
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-    svg.style.border = '1px solid #ccc';
-    svg.style.background = 'white';
-    
-    // Create content layer (for export)
-    const contentLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    contentLayer.setAttribute('id', 'content-layer');
-    
-    // Create UI layer (hidden during export)
-    const uiLayer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    uiLayer.setAttribute('id', 'ui-layer');
-    
-    // Add sheet background to content layer
-    const sheetBg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    sheetBg.setAttribute('x', '0');
-    sheetBg.setAttribute('y', '0');
-    sheetBg.setAttribute('width', width);
-    sheetBg.setAttribute('height', height);
-    sheetBg.setAttribute('fill', 'white');
-    sheetBg.setAttribute('stroke', '#ddd');
-    sheetBg.setAttribute('stroke-width', '0.5');
-    contentLayer.appendChild(sheetBg);
-    
-    // Render each cell
-    for (let i = 0; i < totalCells; i++) {
-        const { x: cellX, y: cellY, width: cellWidth, height: cellHeight } = getCellCoordinates(i);
-        
-        // Create cell content group (for export)
-        const cellContentGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        cellContentGroup.setAttribute('data-cell-index', i);
-        cellContentGroup.setAttribute('class', 'cell-content');
-        
-        // Create cell UI group (hidden during export)
-        const cellUIGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        cellUIGroup.setAttribute('data-cell-index', i);
-        cellUIGroup.setAttribute('class', 'cell-ui');
-        cellUIGroup.style.cursor = 'pointer';
-        
-        // Render cell content (images go to content layer, buttons and cell visuals go to UI layer)
-        renderSVGCell(cellContentGroup, cellUIGroup, i, cellX, cellY, cellWidth, cellHeight, gridSpacing.cellPadding);
-        
-        // Add click handler for cell interaction to UI layer
-        cellUIGroup.addEventListener('click', (event) => handleCellUIClick(event, i));
-        
-        // Add groups to respective layers
-        contentLayer.appendChild(cellContentGroup);
-        uiLayer.appendChild(cellUIGroup);
+// Undo/redo history
+function snapshotCell(cellData) {
+    if (!cellData) {
+        return null;
     }
-    
-    // Add layers to SVG
-    svg.appendChild(contentLayer);
-    svg.appendChild(uiLayer);
-    
-    elements.sheet.appendChild(svg);
-}
 
-function updateSheetGrid() {
-    renderCurrentPage();
+    // Image and OCR objects are never mutated in place, so snapshots share them
+    // instead of duplicating full-resolution images.
+    const snapshot = {};
+    Object.entries(cellData).forEach(([key, value]) => {
+        snapshot[key] = HISTORY_SHARED_CELL_KEYS.has(key) || value === null || typeof value !== 'object'
+            ? value
+            : cloneSerializableValue(value);
+    });
+    return snapshot;
 }
 
-function setupGridMatrix() {
-    const matrix = elements.gridMatrix;
-    matrix.innerHTML = '';
-    
-    // Track touch state for drag highlighting
-    let isDragging = false;
-    
-    // Create 5x5 grid of selectable cells
-    for (let row = 1; row <= CONFIG.maxGridSize; row++) {
-        for (let col = 1; col <= CONFIG.maxGridSize; col++) {
-            const cell = document.createElement('div');
-            cell.className = 'grid-cell';
-            cell.dataset.row = row;
-            cell.dataset.col = col;
-            
-            // Mouse event handlers for desktop
-            cell.addEventListener('mouseenter', () => highlightGridArea(col, row));
-            cell.addEventListener('click', () => selectGrid(col, row));
-            
-            // Touch event handlers for mobile
-            cell.addEventListener('touchstart', (e) => {
-                e.preventDefault(); // Prevent scrolling and other default behaviors
-                isDragging = true;
-                highlightGridArea(col, row);
-            });
-            
-            cell.addEventListener('touchmove', (e) => {
-                e.preventDefault();
-                if (isDragging) {
-                    // Find which cell is under the touch point
-                    const touch = e.touches[0];
-                    const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
-                    
-                    if (elementUnderTouch && elementUnderTouch.classList.contains('grid-cell')) {
-                        const touchCol = parseInt(elementUnderTouch.dataset.col);
-                        const touchRow = parseInt(elementUnderTouch.dataset.row);
-                        highlightGridArea(touchCol, touchRow);
-                    }
-                }
-            });
-            
-            cell.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                if (isDragging) {
-                    isDragging = false;
-                    // Select the grid that was highlighted when touch ended
-                    const touch = e.changedTouches[0];
-                    const elementUnderTouch = document.elementFromPoint(touch.clientX, touch.clientY);
-                    
-                    if (elementUnderTouch && elementUnderTouch.classList.contains('grid-cell')) {
-                        const touchCol = parseInt(elementUnderTouch.dataset.col);
-                        const touchRow = parseInt(elementUnderTouch.dataset.row);
-                        selectGrid(touchCol, touchRow);
-                    }
-                }
-            });
-            
-            matrix.appendChild(cell);
-        }
+function areCellSnapshotsEqual(a, b) {
+    if (!a || !b) {
+        return !a && !b;
     }
-    
-    // Add global touch cancel handler for the grid matrix
-    matrix.addEventListener('touchcancel', () => {
-        isDragging = false;
+
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => (
+        HISTORY_SHARED_CELL_KEYS.has(key)
+            ? a[key] === b[key]
+            : JSON.stringify(a[key]) === JSON.stringify(b[key])
+    ));
+}
+
+function snapshotPage(pageState) {
+    const { cells, ...pageSettings } = pageState;
+
+    return {
+        ...cloneSerializableValue(pageSettings),
+        cells: Array.from(cells, snapshotCell)
+    };
+}
+
+function restorePageSnapshot(pageState, snapshot) {
+    const { cells, ...pageSettings } = snapshot;
+
+    Object.keys(pageState).forEach(key => delete pageState[key]);
+    Object.assign(pageState, cloneSerializableValue(pageSettings), {
+        cells: Array.from(cells, snapshotCell)
     });
 }
 
-function highlightGridArea(cols, rows) {
-    const cells = elements.gridMatrix.children;
-    
-    for (let i = 0; i < cells.length; i++) {
-        const cell = cells[i];
-        const cellCol = parseInt(cell.dataset.col);
-        const cellRow = parseInt(cell.dataset.row);
-        
-        if (cellCol <= cols && cellRow <= rows) {
-            cell.classList.add('highlighted');
-        } else {
-            cell.classList.remove('highlighted');
+function arePageSnapshotsEqual(a, b) {
+    const { cells: cellsA, ...settingsA } = a;
+    const { cells: cellsB, ...settingsB } = b;
+    const cellCount = Math.max(cellsA.length, cellsB.length);
+
+    if (JSON.stringify(settingsA) !== JSON.stringify(settingsB)) {
+        return false;
+    }
+
+    for (let i = 0; i < cellCount; i++) {
+        if (!areCellSnapshotsEqual(cellsA[i], cellsB[i])) {
+            return false;
         }
     }
-    
-    // Update display
-    elements.gridDisplay.textContent = `${cols} × ${rows}`;
+    return true;
 }
 
-function selectGrid(cols, rows) {
-    const currentTotalCells = layoutState.grid.rows * layoutState.grid.cols;
-    const newTotalCells = rows * cols;
-    const gridChanged = cols !== layoutState.grid.cols || rows !== layoutState.grid.rows;
+// Page objects are only edited through cell/page commands, which are always
+// undone before the page list command that introduced them, so references suffice.
+function snapshotPageList() {
+    return {
+        pages: [...appState.pages],
+        currentPageIndex: appState.currentPageIndex
+    };
+}
 
-    if (!gridChanged) {
-        resetCellCrops();
-        updateSheetGrid();
-        hideGridPicker();
-        return;
-    }
-    
-    // Check if we're reducing the grid size and if there's data that would be lost
-    if (newTotalCells < currentTotalCells) {
-        const cellsToRemove = layoutState.cells.slice(newTotalCells);
-        const hasDataInRemovedCells = cellsToRemove.some(isCellImageContent);
-        
-        if (hasDataInRemovedCells) {
-            const lostContentCount = cellsToRemove.filter(isCellImageContent).length;
-            const confirmMessage = t('grid.shrinkWarning', {
-                cols,
-                rows,
-                removedCells: currentTotalCells - newTotalCells,
-                count: lostContentCount
-            });
-            
-            const userConfirmed = confirm(confirmMessage);
-            if (!userConfirmed) {
-                return; // Don't proceed with grid change
-            }
-        }
+function isHistoryRecording() {
+    return historyState.suspendedDepth === 0;
+}
+
+function pushHistoryCommand(command) {
+    if (!isHistoryRecording()) {
+        return;
     }
-    
-    // Proceed with grid change
-    layoutState.grid.cols = cols;
-    layoutState.grid.rows = rows;
-    
-    // Clear cells that are outside new grid (now with user consent)
-    const totalCells = rows * cols;
-    if (layoutState.cells.length > totalCells) {
-        layoutState.cells = layoutState.cells.slice(0, totalCells);
+
+    if (historyState.activeGroup) {
+        historyState.activeGroup.commands.push(command);
+        return;
     }
 
-    resetCellCrops();
-    
-    updateSheetGrid();
-    hideGridPicker();
+    const now = Date.now();
+    const lastCommand = historyState.undoStack[historyState.undoStack.length - 1];
+    const canCoalesce = !!command.coalesceKey
+        && !historyState.redoStack.length
+        && lastCommand?.coalesceKey === command.coalesceKey
+        && now - lastCommand.timestamp <= CONFIG.history.coalesceWindowMs;
+
+    if (canCoalesce) {
+        lastCommand.after = command.after;
+        lastCommand.timestamp = now;
+    } else {
+        historyState.undoStack.push({ ...command, timestamp: now });
+    }
+
+    historyState.redoStack = [];
+    trimHistory();
+    updateHistoryControls();
 }
 
-function showGridPicker() {
-    overlayManager.show(elements.gridOverlay, () => {
-        // Highlight current grid
-        highlightGridArea(layoutState.grid.cols, layoutState.grid.rows);
+function recordCellHistory(pageIndex, cellIndex, before, options = {}) {
+    const pageState = appState.pages[pageIndex];
+    if (!pageState) return;
+
+    const after = snapshotCell(pageState.cells[cellIndex]);
+    if (areCellSnapshotsEqual(before, after)) return;
+
+    pushHistoryCommand({
+        type: 'cell',
+        pageIndex,
+        cellIndex,
+        before,
+        after,
+        coalesceKey: options.coalesceKey ? `${options.coalesceKey}:${pageIndex}:${cellIndex}` : ''
     });
 }
 
-function hideGridPicker() {
-    overlayManager.hide(elements.gridOverlay);
+function recordPageHistory(pageIndex, before) {
+    const pageState = appState.pages[pageIndex];
+    if (!pageState) return;
+
+    const after = snapshotPage(pageState);
+    if (arePageSnapshotsEqual(before, after)) return;
+
+    pushHistoryCommand({ type: 'page', pageIndex, before, after });
 }
 
-function setupSizeOptions() {
-    const sizeOptions = document.querySelectorAll('.size-option');
-    
-    sizeOptions.forEach(option => {
-        option.addEventListener('click', () => {
-            const size = option.dataset.size;
-            const orientation = option.dataset.orientation;
-            
-            // Update state
-            layoutState.sheet.paperSize = size;
-            layoutState.sheet.orientation = orientation;
-            
-            // Update UI
-            updateSheetSize();
-            hideSizePicker();
-        });
-    });
+function recordPageListHistory(before) {
+    const after = snapshotPageList();
+    const unchanged = before.pages.length === after.pages.length
+        && before.pages.every((pageState, index) => pageState === after.pages[index]);
+    if (unchanged) return;
+
+    pushHistoryCommand({ type: 'pages', before, after });
 }
 
-function showSizePicker() {
-    overlayManager.show(elements.sizeOverlay, () => {
-        // Highlight current selection
-        highlightCurrentSize();
-    });
+// Bulk imports collect their cell and page changes into one undo step.
+function beginHistoryGroup() {
+    if (!historyState.activeGroup) {
+        historyState.activeGroup = { commands: [], depth: 0 };
+    }
+    historyState.activeGroup.depth++;
 }
 
-function hideSizePicker() {
-    overlayManager.hide(elements.sizeOverlay);
+function endHistoryGroup() {
+    const group = historyState.activeGroup;
+    if (!group || --group.depth > 0) return;
+
+    historyState.activeGroup = null;
+    if (group.commands.length === 1) {
+        pushHistoryCommand(group.commands[0]);
+    } else if (group.commands.length > 1) {
+        pushHistoryCommand({ type: 'group', commands: group.commands });
+    }
 }
 
-function showExportOverlay() {
-    overlayManager.show(elements.exportOverlay);
+// Async edits (filters, rotation, gestures) keep the state from before their
+// first step so superseded operations collapse into a single history entry.
+function beginCellHistoryStep(cellData) {
+    if (!cellData || !isHistoryRecording() || historyState.pendingCellSnapshots.has(cellData)) {
+        return;
+    }
+
+    historyState.pendingCellSnapshots.set(cellData, snapshotCell(cellData));
 }
 
-function hideExportOverlay() {
-    overlayManager.hide(elements.exportOverlay);
+function commitCellHistoryStep(cellData, cellIndex, options = {}) {
+    const before = historyState.pendingCellSnapshots.get(cellData);
+    historyState.pendingCellSnapshots.delete(cellData);
+    if (!before) return;
+
+    // Undo/redo may have swapped the cell out while the operation was running.
+    const pageIndex = appState.pages.findIndex(pageState => pageState.cells[cellIndex] === cellData);
+    if (pageIndex === -1) return;
+
+    recordCellHistory(pageIndex, cellIndex, before, options);
 }
 
-function highlightCurrentSize() {
-    const sizeOptions = document.querySelectorAll('.size-option');
-    const currentSize = layoutState.sheet.paperSize;
-    const currentOrientation = layoutState.sheet.orientation;
-    
-    sizeOptions.forEach(option => {
-        const size = option.dataset.size;
-        const orientation = option.dataset.orientation;
-        
-        if (size === currentSize && orientation === currentOrientation) {
-            option.classList.add('selected');
+function forEachHistoryCommandCell(command, callback) {
+    if (command.type === 'group') {
+        command.commands.forEach(childCommand => forEachHistoryCommandCell(childCommand, callback));
+        return;
+    }
+
+    [command.before, command.after].forEach(state => {
+        if (command.type === 'cell') {
+            callback(state);
+        } else if (command.type === 'page') {
+            state.cells.forEach(callback);
         } else {
-            option.classList.remove('selected');
+            state.pages.forEach(pageState => pageState.cells.forEach(callback));
         }
     });
 }
 
-function showFileTypeSelector() {
-    overlayManager.show(elements.fileTypeSelector);
+function collectHistoryCommandImages(command, images) {
+    forEachHistoryCommandCell(command, cellData => {
+        if (cellData?.image) images.add(cellData.image);
+        if (cellData?.originalImage) images.add(cellData.originalImage);
+    });
 }
 
-function hideFileTypeSelector() {
-    overlayManager.hide(elements.fileTypeSelector);
-}
+function getHistoryRetainedImageBytes() {
+    const liveImages = collectLayoutImages();
+    const retainedImages = collectRetainedImages(liveImages);
 
-function cancelFileTypeSelector() {
-    overlayManager.hide(elements.fileTypeSelector, () => {
-        currentTargetCell = null;
+    let totalBytes = 0;
+    retainedImages.forEach(imageData => {
+        if (!liveImages.has(imageData)) {
+            totalBytes += imageData.blob?.size || 0;
+        }
     });
+    return totalBytes;
 }
 
-async function showCameraOverlay() {
-    overlayManager.show(elements.cameraOverlay);
-    resetCameraCapture();
+function trimHistory() {
+    const { maxEntries, maxRetainedImageBytes } = CONFIG.history;
 
-    try {
-        await startCameraStream(cameraState.selectedDeviceId);
-    } catch (error) {
-        hideCameraOverlay();
-        alert(t('camera.unavailable'));
+    while (historyState.undoStack.length > maxEntries) {
+        historyState.undoStack.shift();
+    }
+
+    while (historyState.undoStack.length && getHistoryRetainedImageBytes() > maxRetainedImageBytes) {
+        historyState.undoStack.shift();
     }
+
+    pruneUnusedPDFSources();
+    pruneUnusedImages();
 }
 
-function hideCameraOverlay() {
-    stopCameraStream();
-    resetCameraDeviceOptions();
-    resetCameraCapture();
-    overlayManager.hide(elements.cameraOverlay);
+function applyHistoryCommand(command, direction) {
+    if (command.type === 'group') {
+        const commands = direction === 'undo' ? [...command.commands].reverse() : command.commands;
+        commands.forEach(childCommand => applyHistoryCommand(childCommand, direction));
+        return;
+    }
+
+    const state = direction === 'undo' ? command.before : command.after;
+    switch (command.type) {
+        case 'cell':
+            appState.pages[command.pageIndex].cells[command.cellIndex] = snapshotCell(state);
+            appState.currentPageIndex = command.pageIndex;
+            break;
+        case 'page':
+            restorePageSnapshot(appState.pages[command.pageIndex], state);
+            appState.currentPageIndex = command.pageIndex;
+            break;
+        case 'pages':
+            appState.pages = [...state.pages];
+            appState.currentPageIndex = clamp(state.currentPageIndex, 0, appState.pages.length - 1);
+            break;
+    }
 }
 
-function cancelCameraOverlay() {
-    hideCameraOverlay();
-    currentTargetCell = null;
+function stepLayoutHistory(direction) {
+    const sourceStack = direction === 'undo' ? historyState.undoStack : historyState.redoStack;
+    const targetStack = direction === 'undo' ? historyState.redoStack : historyState.undoStack;
+    const command = sourceStack.pop();
+    if (!command) return;
+
+    closePageScopedUI();
+    applyHistoryCommand(command, direction);
+    targetStack.push(command);
+    renderCurrentPage();
+    pruneUnusedImages();
+    updateHistoryControls();
+
+    // Text read after a snapshot was taken is not part of it.
+    refreshPDFCellText(appState.pages.map((_pageState, pageIndex) => pageIndex)).catch(error => {
+        console.warn('[PDF] Failed to read the text of pages for their cells:', error);
+    });
 }
 
-async function startCameraStream(deviceId = '') {
-    if (!navigator.mediaDevices?.getUserMedia) {
-        throw new Error('Camera API not available');
-    }
+function undoLayoutChange() {
+    stepLayoutHistory('undo');
+}
 
-    stopCameraStream();
+function redoLayoutChange() {
+    stepLayoutHistory('redo');
+}
 
-    const videoConstraints = deviceId ? { deviceId: { exact: deviceId } } : true;
-    const stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints, audio: false });
-    cameraState.stream = stream;
+function updateHistoryControls() {
+    if (!elements.undoBtn || !elements.redoBtn) return;
 
-    const activeTrack = stream.getVideoTracks()[0];
-    const activeSettings = activeTrack?.getSettings?.();
-    cameraState.selectedDeviceId = activeSettings?.deviceId || deviceId || cameraState.selectedDeviceId;
+    elements.undoBtn.disabled = !historyState.undoStack.length;
+    elements.redoBtn.disabled = !historyState.redoStack.length;
+}
 
-    elements.cameraVideo.srcObject = stream;
-    await elements.cameraVideo.play();
-    await refreshCameraDevices();
+// Layout persistence
+function isLayoutStorageAvailable() {
+    return typeof indexedDB !== 'undefined';
 }
 
-function stopCameraStream() {
-    if (cameraState.stream) {
-        cameraState.stream.getTracks().forEach(track => track.stop());
-        cameraState.stream = null;
-    }
+function promisifyStorageRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    if (elements.cameraVideo) {
-        elements.cameraVideo.pause();
-        elements.cameraVideo.srcObject = null;
-    }
+function waitForStorageTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
 }
 
-async function refreshCameraDevices() {
-    if (!navigator.mediaDevices?.enumerateDevices) {
-        resetCameraDeviceOptions();
-        return;
+function openLayoutDatabase() {
+    if (!storageState.databasePromise) {
+        const { databaseName, databaseVersion, layoutStore, imageStore, documentStore } = CONFIG.storage;
+
+        storageState.databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, databaseVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(layoutStore)) {
+                    db.createObjectStore(layoutStore);
+                }
+                if (!db.objectStoreNames.contains(imageStore)) {
+                    db.createObjectStore(imageStore);
+                }
+                if (!db.objectStoreNames.contains(documentStore)) {
+                    db.createObjectStore(documentStore);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer app version upgrade the schema from another tab.
+                db.onversionchange = () => {
+                    db.close();
+                    storageState.databasePromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            storageState.databasePromise = null;
+            throw error;
+        });
     }
 
-    const devices = await navigator.mediaDevices.enumerateDevices();
-    const videoDevices = devices.filter(device => device.kind === 'videoinput');
-    cameraState.devices = videoDevices;
+    return storageState.databasePromise;
+}
 
-    if (!videoDevices.length) {
-        resetCameraDeviceOptions();
-        return;
+function createStorageKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
     }
 
-    const currentDeviceId = cameraState.selectedDeviceId || videoDevices[0].deviceId;
-    const deviceOptions = videoDevices.map((device, index) => {
-        const option = document.createElement('option');
-        option.value = device.deviceId;
-        option.textContent = device.label || t('camera.deviceFallback', { index: index + 1 });
-        return option;
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function cloneSerializableValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+async function dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Failed to read image blob'));
+        reader.readAsDataURL(blob);
     });
+}
 
-    elements.cameraDeviceSelect.innerHTML = '';
-    deviceOptions.forEach(option => elements.cameraDeviceSelect.appendChild(option));
-    elements.cameraDeviceSelect.value = videoDevices.some(device => device.deviceId === currentDeviceId)
-        ? currentDeviceId
-        : videoDevices[0].deviceId;
-    cameraState.selectedDeviceId = elements.cameraDeviceSelect.value;
+function serializeCellForStorage(cellData, resolveImageKey) {
+    if (!cellData) {
+        return null;
+    }
 
-    if (videoDevices.length > 1) {
-        elements.cameraDeviceField.classList.remove('hidden');
-    } else {
-        elements.cameraDeviceField.classList.add('hidden');
+    const { image, originalImage, ...settings } = cellData;
+    const serializedCell = cloneSerializableValue(settings);
+
+    if (image) {
+        serializedCell.image = resolveImageKey(image);
+        serializedCell.originalImage = resolveImageKey(originalImage || image);
     }
+
+    return serializedCell;
 }
 
-function resetCameraDeviceOptions() {
-    cameraState.devices = [];
-    elements.cameraDeviceSelect.innerHTML = '';
-    elements.cameraDeviceField.classList.add('hidden');
+function serializeLayoutForStorage(resolveImageKey) {
+    return {
+        version: LAYOUT_STORAGE_VERSION,
+        savedAt: Date.now(),
+        currentPageIndex: appState.currentPageIndex,
+        pages: appState.pages.map(pageState => {
+            const { cells, ...pageSettings } = pageState;
+
+            return {
+                ...cloneSerializableValue(pageSettings),
+                cells: Array.from(cells, cellData => serializeCellForStorage(cellData, resolveImageKey))
+            };
+        })
+    };
 }
 
-async function handleCameraDeviceChange() {
-    const nextDeviceId = elements.cameraDeviceSelect.value;
-    if (!nextDeviceId || nextDeviceId === cameraState.selectedDeviceId) {
-        return;
+function deserializeStoredCell(storedCell, images) {
+    if (!storedCell) {
+        return null;
     }
 
-    cameraState.selectedDeviceId = nextDeviceId;
-    resetCameraCapture();
+    const { image: imageKey, originalImage: originalImageKey, ...settings } = storedCell;
 
-    try {
-        await startCameraStream(nextDeviceId);
-    } catch (error) {
-        alert(t('camera.switchFailed'));
+    if (!imageKey) {
+        return hasCustomCrop(settings) ? { crop: normalizeCellCrop(settings.crop) } : null;
     }
+
+    const image = images.get(imageKey);
+    if (!image) {
+        return hasCustomCrop(settings) ? { crop: normalizeCellCrop(settings.crop) } : null;
+    }
+
+    return {
+        ...settings,
+        image,
+        originalImage: images.get(originalImageKey) || image
+    };
 }
 
-function captureCameraFrame() {
-    const video = elements.cameraVideo;
-    if (!video.videoWidth || !video.videoHeight) {
-        alert(t('camera.previewNotReady'));
-        return;
+function deserializeStoredPage(storedPage, images) {
+    const { cells, ...pageSettings } = storedPage;
+    const pageState = {
+        ...createEmptyPageState(pageSettings),
+        ...pageSettings
+    };
+
+    if (!getSheetPaperSize(pageState.sheet)) {
+        pageState.sheet = createEmptyPageState().sheet;
     }
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+    pageState.grid = normalizeGrid(pageState.grid) || createEmptyPageState().grid;
 
-    if (!ctx) {
-        alert(t('camera.captureFailed'));
-        return;
+    const cellDefaults = normalizeCellDefaults(pageState.cellDefaults, getPageCellCount(pageState));
+    if (cellDefaults) {
+        pageState.cellDefaults = cellDefaults;
+    } else {
+        delete pageState.cellDefaults;
     }
 
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    cameraState.capturedDataUrl = canvas.toDataURL('image/png');
+    if (pageState.gridSpacing) {
+        const gridSpacing = normalizeGridSpacing(pageState.gridSpacing);
+        if (gridSpacing) {
+            pageState.gridSpacing = gridSpacing;
+        } else {
+            delete pageState.gridSpacing;
+        }
+    }
 
-    elements.cameraCapturedImage.src = cameraState.capturedDataUrl;
-    elements.cameraCapturedImage.classList.remove('hidden');
-    elements.cameraVideo.classList.add('hidden');
-    elements.cameraCaptureBtn.classList.add('hidden');
-    elements.cameraUseBtn.classList.remove('hidden');
-    elements.cameraRetakeBtn.classList.remove('hidden');
+    pageState.cells = Array.from(cells || [], (storedCell, cellIndex) => (
+        isCellSlotCovered(pageState, cellIndex) ? null : deserializeStoredCell(storedCell, images)
+    ));
+    return pageState;
 }
 
-function resetCameraCapture() {
-    cameraState.capturedDataUrl = null;
-    elements.cameraCapturedImage.src = '';
-    elements.cameraCapturedImage.classList.add('hidden');
-    elements.cameraVideo.classList.remove('hidden');
-    elements.cameraCaptureBtn.classList.remove('hidden');
-    elements.cameraUseBtn.classList.add('hidden');
-    elements.cameraRetakeBtn.classList.add('hidden');
+function collectLayoutPDFSourceIds() {
+    const documentIds = new Set();
+
+    appState.pages.forEach(pageState => pageState.cells.forEach(cellData => {
+        const documentId = cellData?.pdfSource?.documentId;
+        if (documentId && pdfSourceState.documents.has(documentId)) {
+            documentIds.add(documentId);
+        }
+    }));
+    return documentIds;
+}
+
+async function saveLayoutToStorage() {
+    const db = await openLayoutDatabase();
+    const { layoutStore, imageStore, documentStore, layoutKey } = CONFIG.storage;
+    const referencedKeys = new Set();
+    const pendingImages = new Map();
+
+    const layout = serializeLayoutForStorage(imageData => {
+        let key = storageState.imageKeys.get(imageData);
+        if (!key) {
+            key = createStorageKey();
+            storageState.imageKeys.set(imageData, key);
+        }
+
+        referencedKeys.add(key);
+        if (!storageState.persistedImageKeys.has(key)) {
+            pendingImages.set(key, imageData);
+        }
+        return key;
+    });
+
+    const imageRecords = Array.from(pendingImages, ([key, imageData]) => ({
+        key,
+        record: {
+            blob: imageData.blob,
+            width: imageData.width,
+            height: imageData.height
+        }
+    }));
+
+    const referencedDocumentIds = collectLayoutPDFSourceIds();
+    const transaction = db.transaction([layoutStore, imageStore, documentStore], 'readwrite');
+    const images = transaction.objectStore(imageStore);
+    const documents = transaction.objectStore(documentStore);
+
+    imageRecords.forEach(({ key, record }) => images.put(record, key));
+    referencedDocumentIds.forEach(documentId => {
+        if (storageState.persistedDocumentIds.has(documentId)) return;
+
+        const { bytes, name } = pdfSourceState.documents.get(documentId);
+        documents.put({ blob: new Blob([bytes], { type: 'application/pdf' }), name }, documentId);
+    });
+    transaction.objectStore(layoutStore).put(layout, layoutKey);
+
+    const keysRequest = images.getAllKeys();
+    keysRequest.onsuccess = () => {
+        keysRequest.result
+            .filter(key => !referencedKeys.has(key))
+            .forEach(key => images.delete(key));
+    };
+
+    const documentKeysRequest = documents.getAllKeys();
+    documentKeysRequest.onsuccess = () => {
+        documentKeysRequest.result
+            .filter(key => !referencedDocumentIds.has(key))
+            .forEach(key => documents.delete(key));
+    };
+
+    await waitForStorageTransaction(transaction);
+    storageState.persistedImageKeys = referencedKeys;
+    storageState.persistedDocumentIds = referencedDocumentIds;
+    storageState.lastErrorName = '';
 }
 
-async function useCapturedPhoto() {
-    const dataUrl = cameraState.capturedDataUrl;
-    const targetCell = currentTargetCell;
+async function loadLayoutFromStorage() {
+    const db = await openLayoutDatabase();
+    const { layoutStore, imageStore, documentStore, layoutKey } = CONFIG.storage;
+    const transaction = db.transaction([layoutStore, imageStore, documentStore], 'readonly');
+    const images = transaction.objectStore(imageStore);
+    const documents = transaction.objectStore(documentStore);
 
-    if (!dataUrl || targetCell === null) {
-        return;
+    const [layout, imageKeys, imageRecords, documentKeys, documentRecords] = await Promise.all([
+        promisifyStorageRequest(transaction.objectStore(layoutStore).get(layoutKey)),
+        promisifyStorageRequest(images.getAllKeys()),
+        promisifyStorageRequest(images.getAll()),
+        promisifyStorageRequest(documents.getAllKeys()),
+        promisifyStorageRequest(documents.getAll())
+    ]);
+
+    if (!layout?.pages?.length || layout.version > LAYOUT_STORAGE_VERSION) {
+        return null;
     }
 
-    hideCameraOverlay();
-    showLoading(t('loading.processingPhoto'));
+    const restoredImages = new Map();
+    await Promise.all(imageKeys.map(async (key, index) => {
+        const record = imageRecords[index];
+        if (!record?.blob) return;
+
+        const imageData = await storeImageBlob(record.blob, record.width, record.height);
+        storageState.imageKeys.set(imageData, key);
+        restoredImages.set(key, imageData);
+    }));
+
+    storageState.persistedImageKeys = new Set(restoredImages.keys());
+
+    await Promise.all(documentKeys.map(async (documentId, index) => {
+        const record = documentRecords[index];
+        if (!record?.blob) return;
+
+        pdfSourceState.documents.set(documentId, {
+            bytes: new Uint8Array(await record.blob.arrayBuffer()),
+            name: record.name || ''
+        });
+    }));
+
+    storageState.persistedDocumentIds = new Set(pdfSourceState.documents.keys());
+
+    return {
+        currentPageIndex: layout.currentPageIndex,
+        pages: layout.pages.map(storedPage => deserializeStoredPage(storedPage, restoredImages))
+    };
+}
+
+async function restoreSavedLayout() {
+    if (!isLayoutStorageAvailable()) {
+        console.log('[Storage] IndexedDB not supported, autosave disabled');
+        return false;
+    }
 
     try {
-        const persistentImg = await createPersistentImageFromDataUrl(dataUrl);
-        addToSpecificCell(persistentImg, t('camera.photoTitle'), targetCell);
-    } catch (error) {
-        alert(t('camera.useFailed'));
-    } finally {
-        hideLoading();
-        if (currentTargetCell === targetCell) {
-            currentTargetCell = null;
+        const restoredLayout = await loadLayoutFromStorage();
+        if (!restoredLayout) {
+            return false;
         }
+
+        appState.pages = restoredLayout.pages;
+        appState.currentPageIndex = clamp(Number(restoredLayout.currentPageIndex) || 0, 0, appState.pages.length - 1);
+        console.log('[Storage] Layout restored:', appState.pages.length, 'page(s)');
+
+        return appState.pages.some(pageHasContent);
+    } catch (error) {
+        console.warn('[Storage] Failed to restore layout:', error);
+        return false;
     }
 }
 
-function showPageSelector() {
-    overlayManager.show(elements.pageSelector);
-}
+function scheduleLayoutAutosave() {
+    if (storageState.suspended || !isLayoutStorageAvailable()) {
+        return;
+    }
 
-function hidePageSelector() {
-    cancelPDFPageSelectorGeneration();
-    overlayManager.hide(elements.pageSelector);
-}
+    if (storageState.autosaveTimeoutId) {
+        clearTimeout(storageState.autosaveTimeoutId);
+    }
 
-function showLoading(message = t('loading.title')) {
-    if (!elements.loading) return; // Safety check for early calls
-    overlayManager.show(elements.loading, () => {
-        const loadingText = elements.loading.querySelector('p');
-        if (loadingText) loadingText.textContent = message;
-    });
+    storageState.autosaveTimeoutId = setTimeout(() => {
+        storageState.autosaveTimeoutId = null;
+        void flushLayoutAutosave();
+    }, CONFIG.storage.autosaveDelayMs);
 }
 
-function hideLoading() {
-    if (!elements.loading) return; // Safety check for early calls
-    overlayManager.hide(elements.loading);
-}
+async function flushLayoutAutosave() {
+    if (storageState.autosaveTimeoutId) {
+        clearTimeout(storageState.autosaveTimeoutId);
+        storageState.autosaveTimeoutId = null;
+    }
 
-function showStatusToast(message, duration = 2000) {
-    if (statusToastTimeoutId) {
-        clearTimeout(statusToastTimeoutId);
-        statusToastTimeoutId = null;
+    if (storageState.suspended || !isLayoutStorageAvailable()) {
+        return;
     }
 
-    if (activeStatusToast) {
-        activeStatusToast.remove();
+    // Saves run one at a time so image records are never deleted mid-write.
+    while (storageState.savePromise) {
+        await storageState.savePromise;
     }
 
-    const toast = document.createElement('div');
-    toast.className = 'status-toast';
-    const toastContent = document.createElement('div');
-    toastContent.className = 'status-toast-content';
-    toastContent.textContent = message;
-    toast.appendChild(toastContent);
-    document.body.appendChild(toast);
-    activeStatusToast = toast;
+    storageState.savePromise = saveLayoutToStorage()
+        .catch(handleLayoutAutosaveError)
+        .finally(() => {
+            storageState.savePromise = null;
+        });
 
-    statusToastTimeoutId = setTimeout(() => {
-        if (activeStatusToast === toast) {
-            toast.remove();
-            activeStatusToast = null;
-        }
-        statusToastTimeoutId = null;
-    }, duration);
+    return storageState.savePromise;
 }
 
-function showBitonalPopover(cellIndex, anchorRect) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData?.image) return;
+function handleLayoutAutosaveError(error) {
+    console.warn('[Storage] Autosave failed:', error);
 
-    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
-    bitonalPopoverState.cellIndex = cellIndex;
-    bitonalPopoverState.anchorRect = anchorRect;
+    const errorName = error?.name || 'Error';
+    if (storageState.lastErrorName === errorName) {
+        return;
+    }
 
-    elements.bitonalThresholdSlider.value = String(getBitonalThreshold(cellData));
-    positionBitonalPopover(anchorRect);
-    elements.bitonalPopover.classList.remove('hidden');
+    storageState.lastErrorName = errorName;
+    showStatusToast(errorName === 'QuotaExceededError' ? t('storage.quotaExceeded') : t('storage.saveFailed'), 4000);
 }
 
-function positionBitonalPopover(anchorRect = bitonalPopoverState.anchorRect) {
-    if (!anchorRect || !elements.bitonalPopover) return;
+function reloadAfterLayoutSave() {
+    flushLayoutAutosave().finally(() => {
+        window.location.reload();
+    });
+}
 
-    const popover = elements.bitonalPopover;
-    const popoverWidth = Math.min(window.innerWidth * 0.42, 220);
-    const left = Math.min(
-        Math.max(12, anchorRect.left + (anchorRect.width / 2) - (popoverWidth / 2)),
-        window.innerWidth - popoverWidth - 12
-    );
-    const top = Math.max(12, anchorRect.bottom + 10);
+async function startFreshLayout() {
+    closePageScopedUI();
+    clearOcrVisualState();
+    const historyBefore = snapshotPageList();
+    appState.pages = [createEmptyPageState()];
+    appState.currentPageIndex = 0;
+    recordPageListHistory(historyBefore);
+    renderCurrentPage();
+    await flushLayoutAutosave();
+}
 
-    popover.style.left = `${left}px`;
-    popover.style.top = `${top}px`;
+// Project bundles (.pdfomator)
+function isCellOcrCurrent(cellData, cellIndex) {
+    return !!cellData?.ocr?.items && cellData.ocr.signature === getCellOcrSignature(cellIndex);
 }
 
-function hideBitonalPopover() {
-    clearBitonalLongPress();
-    if (bitonalPopoverState.frameRequestId) {
-        cancelAnimationFrame(bitonalPopoverState.frameRequestId);
-        bitonalPopoverState.frameRequestId = null;
-    }
-    bitonalPopoverState.cellIndex = null;
-    bitonalPopoverState.anchorRect = null;
-    bitonalPopoverState.suppressNextClick = false;
-    bitonalPopoverState.applying = false;
-    bitonalPopoverState.pendingThreshold = null;
-    if (elements.bitonalPopover) {
-        elements.bitonalPopover.classList.add('hidden');
+function getImageFileExtension(mimeType) {
+    switch (mimeType) {
+        case 'image/jpeg':
+            return 'jpg';
+        case 'image/webp':
+            return 'webp';
+        default:
+            return 'png';
     }
 }
 
-function clearBitonalLongPress() {
-    if (bitonalPopoverState.longPressTimer) {
-        clearTimeout(bitonalPopoverState.longPressTimer);
-        bitonalPopoverState.longPressTimer = null;
+function serializeCellForProject(cellData, cellIndex, resolveImagePath, resolveDocumentPath) {
+    if (!cellData) {
+        return null;
     }
-}
 
-function handleGlobalPointerDown(event) {
-    if (elements.bitonalPopover?.classList.contains('hidden')) {
-        return;
+    const projectCell = {};
+
+    if (hasCustomCrop(cellData)) {
+        projectCell.crop = normalizeCellCrop(cellData.crop);
     }
 
-    if (elements.bitonalPopover.contains(event.target)) {
-        return;
+    if (!cellData.image) {
+        return projectCell.crop ? projectCell : null;
     }
 
-    hideBitonalPopover();
-}
+    Object.assign(projectCell, {
+        source: resolveImagePath(cellData.originalImage || cellData.image),
+        title: cellData.title || '',
+        fillMode: cellData.fillMode || 'contain',
+        transform: cloneSerializableValue(cellData.transform || { scale: 1, translateX: 0, translateY: 0 }),
+        filter: cellData.filter || 'original',
+        filterSettings: cloneSerializableValue(cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD })
+    });
 
-function handleBitonalThresholdInput() {
-    const cellIndex = bitonalPopoverState.cellIndex;
-    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
-    if (!cellData?.image) return;
+    if (getCellRotationAngle(cellData)) {
+        projectCell.rotationAngle = getCellRotationAngle(cellData);
+    }
 
-    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
-    bitonalPopoverState.pendingThreshold = Number(elements.bitonalThresholdSlider.value);
+    const documentId = cellData.pdfSource?.documentId;
+    if (documentId && pdfSourceState.documents.has(documentId)) {
+        projectCell.pdfSource = {
+            document: resolveDocumentPath(documentId),
+            pageNumber: cellData.pdfSource.pageNumber,
+            rotation: cellData.pdfSource.rotation || 0
+        };
+    }
 
-    if (bitonalPopoverState.frameRequestId) {
-        return;
+    // Stale OCR would point at the wrong pixels once the bundle is rebuilt.
+    if (isCellOcrCurrent(cellData, cellIndex)) {
+        projectCell.ocr = {
+            engine: cellData.ocr.engine,
+            model: cellData.ocr.model,
+            items: cloneSerializableValue(cellData.ocr.items)
+        };
     }
 
-    bitonalPopoverState.frameRequestId = requestAnimationFrame(() => {
-        bitonalPopoverState.frameRequestId = null;
-        applyBitonalThresholdPreview();
-    });
+    return projectCell;
 }
 
-async function applyBitonalThresholdPreview() {
-    const cellIndex = bitonalPopoverState.cellIndex;
-    const cellData = cellIndex !== null ? layoutState.cells[cellIndex] : null;
-    if (!cellData?.image || cellData.filter !== 'bitonal') return;
+async function createProjectBundle() {
+    const originalPageIndex = appState.currentPageIndex;
+    const imagePaths = new Map();
+    const imageEntries = [];
+    const documentPaths = new Map();
+    const pages = [];
+
+    const resolveImagePath = imageData => {
+        if (!imagePaths.has(imageData)) {
+            imagePaths.set(imageData, null);
+            imageEntries.push(imageData);
+        }
+        return imageData;
+    };
 
-    if (bitonalPopoverState.applying) {
-        return;
-    }
+    const resolveDocumentPath = documentId => {
+        if (!documentPaths.has(documentId)) {
+            documentPaths.set(documentId, `documents/${documentPaths.size + 1}.pdf`);
+        }
+        return documentPaths.get(documentId);
+    };
 
-    const nextThreshold = bitonalPopoverState.pendingThreshold;
-    if (nextThreshold === null) {
-        return;
+    try {
+        // getCellOcrSignature reads the current page through layoutState.
+        for (let pageIndex = 0; pageIndex < appState.pages.length; pageIndex++) {
+            appState.currentPageIndex = pageIndex;
+            const { cells, ...pageSettings } = appState.pages[pageIndex];
+
+            pages.push({
+                ...cloneSerializableValue(pageSettings),
+                cells: Array.from(cells, (cellData, cellIndex) => serializeCellForProject(cellData, cellIndex, resolveImagePath, resolveDocumentPath))
+            });
+        }
+    } finally {
+        appState.currentPageIndex = originalPageIndex;
     }
 
-    bitonalPopoverState.pendingThreshold = null;
-    cellData.filterSettings = cellData.filterSettings || { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD };
-    cellData.filterSettings.bitonalThreshold = nextThreshold;
-    bitonalPopoverState.applying = true;
+    const files = [];
+    for (let i = 0; i < imageEntries.length; i++) {
+        const imageData = imageEntries[i];
+        const blob = imageData.blob;
+        const path = `images/${i + 1}.${getImageFileExtension(blob.type)}`;
+        imagePaths.set(imageData, path);
+        files.push({ name: path, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
 
-    try {
-        await applyCellFilter(cellIndex, 'bitonal');
-    } catch (error) {
-        console.error('Failed to update 1-bit threshold:', error);
-    } finally {
-        bitonalPopoverState.applying = false;
+    documentPaths.forEach((path, documentId) => {
+        files.push({ name: path, data: pdfSourceState.documents.get(documentId).bytes });
+    });
 
-        if (bitonalPopoverState.pendingThreshold !== null && bitonalPopoverState.cellIndex === cellIndex) {
-            applyBitonalThresholdPreview();
+    for (const page of pages) {
+        for (const cell of page.cells) {
+            if (cell?.source) {
+                cell.source = imagePaths.get(cell.source);
+            }
         }
     }
+
+    const manifest = {
+        format: PROJECT_BUNDLE_FORMAT,
+        schemaVersion: PROJECT_BUNDLE_VERSION,
+        appVersion: APP_VERSION,
+        createdAt: new Date().toISOString(),
+        currentPageIndex: appState.currentPageIndex,
+        pages
+    };
+
+    return createZipArchive([
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+        ...files
+    ], 'application/x-pdfomator');
 }
 
-function bindBitonalPopoverTriggers(filterBtn, cellIndex) {
-    filterBtn.addEventListener('contextmenu', (event) => {
-        event.preventDefault();
-        event.stopPropagation();
-        openBitonalPopoverForCell(cellIndex, filterBtn.getBoundingClientRect());
-    });
+function migrateProjectManifest(manifest) {
+    if (manifest?.format !== PROJECT_BUNDLE_FORMAT || !Array.isArray(manifest.pages)) {
+        throw new Error('Not a PDFomator project');
+    }
 
-    filterBtn.addEventListener('pointerdown', (event) => {
-        if (event.pointerType !== 'touch') return;
-        clearBitonalLongPress();
-        bitonalPopoverState.longPressTimer = setTimeout(() => {
-            bitonalPopoverState.suppressNextClick = true;
-            openBitonalPopoverForCell(cellIndex, filterBtn.getBoundingClientRect());
-        }, 450);
-    });
+    const schemaVersion = Number(manifest.schemaVersion) || 1;
+    if (schemaVersion > PROJECT_BUNDLE_VERSION) {
+        const error = new Error(`Unsupported project schema version ${schemaVersion}`);
+        error.code = 'unsupported-version';
+        throw error;
+    }
 
-    ['pointerup', 'pointercancel', 'pointerleave'].forEach(eventName => {
-        filterBtn.addEventListener(eventName, clearBitonalLongPress);
-    });
+    // Upgrade older manifests one schema version at a time here.
+    return {
+        ...manifest,
+        schemaVersion: PROJECT_BUNDLE_VERSION
+    };
 }
 
-async function openBitonalPopoverForCell(cellIndex, anchorRect) {
-    const cellData = layoutState.cells[cellIndex];
-    if (!cellData?.image) return;
+// Builds the cell on the detached page, so nothing reaches the open layout
+// before the whole project has been read. Recognized text is returned for
+// openProjectBundle to match against the cell once the page is shown.
+async function restoreProjectCell(projectCell, pageState, cellIndex, files, documentIds) {
+    if (!projectCell) {
+        return null;
+    }
 
-    if (cellData.filter !== 'bitonal') {
-        try {
-            await applyCellFilter(cellIndex, 'bitonal');
-        } catch (error) {
-            console.error('Failed to open 1-bit threshold control:', error);
-            return;
+    const crop = normalizeCellCrop(projectCell.crop);
+    if (hasCustomCrop({ crop })) {
+        pageState.cells[cellIndex] = { crop };
+    }
+
+    const sourceBytes = projectCell.source ? files.get(projectCell.source) : null;
+    if (!sourceBytes) {
+        return null;
+    }
+
+    const persistentImg = await createPersistentImageFromFile(new Blob([sourceBytes]));
+    const cellData = {
+        image: persistentImg,
+        originalImage: persistentImg,
+        title: projectCell.title || '',
+        filter: 'original',
+        filterSettings: { bitonalThreshold: DEFAULT_BITONAL_THRESHOLD },
+        imageOperationId: 0
+    };
+    if (hasCustomCrop({ crop })) {
+        cellData.crop = crop;
+    }
+    pageState.cells[cellIndex] = cellData;
+
+    const documentPath = projectCell.pdfSource?.document;
+    const documentBytes = documentPath ? files.get(documentPath) : null;
+    if (documentBytes) {
+        if (!documentIds.has(documentPath)) {
+            documentIds.set(documentPath, registerPDFSource(documentBytes.slice(), documentPath));
         }
+        cellData.pdfSource = {
+            ...createPDFSourceReference(documentIds.get(documentPath), Number(projectCell.pdfSource.pageNumber) || 1),
+            rotation: [0, 90, 180, 270].includes(projectCell.pdfSource.rotation) ? projectCell.pdfSource.rotation : 0
+        };
     }
 
-    showBitonalPopover(cellIndex, anchorRect);
-}
+    cellData.fillMode = ['contain', 'cover', 'fill'].includes(projectCell.fillMode) ? projectCell.fillMode : 'contain';
+    cellData.transform = {
+        scale: Number(projectCell.transform?.scale) || 1,
+        translateX: Number(projectCell.transform?.translateX) || 0,
+        translateY: Number(projectCell.transform?.translateY) || 0
+    };
+    cellData.filterSettings = {
+        ...cellData.filterSettings,
+        ...projectCell.filterSettings
+    };
 
-// OCR functionality
-function updateOcrButtonState() {
-    if (!elements.ocrBtn) return;
+    const filter = CELL_FILTERS.some(({ key }) => key === projectCell.filter) ? projectCell.filter : 'original';
+    if (normalizeRotationAngle(projectCell.rotationAngle)) {
+        cellData.rotationAngle = normalizeRotationAngle(projectCell.rotationAngle);
+    }
 
-    elements.ocrBtn.disabled = ocrState.busy;
-    elements.ocrBtn.classList.toggle('is-busy', ocrState.busy);
-    elements.ocrBtn.classList.toggle('is-ready', ocrState.status === 'ready');
+    if (filter !== 'original' || getCellRotationAngle(cellData) || hasImageAdjustments(cellData.filterSettings)) {
+        cellData.filter = filter;
+        const image = await buildCellImage(cellData, cellData.imageOperationId);
+        if (!image) {
+            throw new Error('Project cell image could not be processed');
+        }
+        cellData.image = image;
+    }
+
+    return Array.isArray(projectCell.ocr?.items)
+        ? {
+            engine: projectCell.ocr.engine || 'paddleocr',
+            model: projectCell.ocr.model || '',
+            items: projectCell.ocr.items
+        }
+        : null;
 }
 
-function scheduleOcrEnginePreload() {
-    if (ocrState.preloadScheduled) {
-        return;
-    }
+async function openProjectBundle(file) {
+    const files = await readZipArchive(await file.arrayBuffer());
+    const manifestBytes = files.get('manifest.json');
 
-    ocrState.preloadScheduled = true;
+    if (!manifestBytes) {
+        throw new Error('Project manifest missing');
+    }
 
-    const scheduleIdlePreload = () => {
-        const runPreload = () => {
-            if (ocrState.busy) {
-                return;
-            }
+    const manifest = migrateProjectManifest(JSON.parse(new TextDecoder().decode(manifestBytes)));
+    const pages = manifest.pages.map(projectPage => {
+        const { cells, ...pageSettings } = projectPage;
+        const pageState = deserializeStoredPage(pageSettings, new Map());
+        pageState.cells = [];
+        return pageState;
+    });
 
-            void preloadOcrEngine();
-        };
+    if (!pages.length) {
+        throw new Error('Project has no pages');
+    }
 
-        if (typeof window.requestIdleCallback === 'function') {
-            window.requestIdleCallback(runPreload, {
-                timeout: CONFIG.ocr.preloadIdleTimeoutMs
-            });
-            return;
+    const documentIds = new Map();
+    const restoredOcr = [];
+
+    try {
+        for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+            syncPageDimensions(pages[pageIndex]);
+            const projectCells = manifest.pages[pageIndex].cells || [];
+
+            for (let cellIndex = 0; cellIndex < projectCells.length; cellIndex++) {
+                if (isCellSlotCovered(pages[pageIndex], cellIndex)) continue;
+                const ocr = await restoreProjectCell(projectCells[cellIndex], pages[pageIndex], cellIndex, files, documentIds);
+                if (ocr) restoredOcr.push({ pageIndex, cellIndex, ocr });
+            }
         }
+    } catch (error) {
+        // The open layout stays as it was; the sources read for it go again.
+        documentIds.forEach(documentId => {
+            releasePDFSource(documentId);
+            pdfSourceState.documents.delete(documentId);
+        });
+        pruneUnusedImages();
+        throw error;
+    }
 
-        setTimeout(runPreload, CONFIG.ocr.preloadDelayMs);
-    };
+    closePageScopedUI();
+    clearOcrVisualState();
+    const historyBefore = snapshotPageList();
+    appState.pages = pages;
+    documentIds.forEach(releasePDFSource);
 
-    requestAnimationFrame(() => {
-        setTimeout(scheduleIdlePreload, CONFIG.ocr.preloadDelayMs);
-    });
+    // Saved text matches the cell as saved; the signature is taken on its page.
+    restoredOcr.forEach(({ pageIndex, cellIndex, ocr }) => runOnFlowTargetPage({ pageIndex }, () => {
+        layoutState.cells[cellIndex].ocr = { ...ocr, signature: getCellOcrSignature(cellIndex) };
+    }));
+
+    appState.currentPageIndex = clamp(Number(manifest.currentPageIndex) || 0, 0, pages.length - 1);
+    recordPageListHistory(historyBefore);
+    renderCurrentPage();
 }
 
-async function preloadOcrEngine() {
-    if (ocrState.status === 'ready') {
+async function handleSaveProject() {
+    hideProjectOverlay();
+
+    if (!appState.pages.some(pageHasContent)) {
+        alert(t('export.noContent'));
         return;
     }
 
-    console.log('[OCR] Preloading OCR engine');
+    showLoading(t('project.saving'));
 
     try {
-        await getPaddleOcrEngine();
-
-        if (!ocrState.busy) {
-            ocrState.status = 'ready';
-            updateOcrButtonState();
-        }
-
-        console.log('[OCR] OCR engine preloaded');
+        const bundle = await createProjectBundle();
+        downloadBlob(bundle, `PDFomator project.${PROJECT_BUNDLE_EXTENSION}`);
+        hideLoading();
+        showStatusToast(t('project.saved'));
     } catch (error) {
-        console.warn('[OCR] OCR engine preload failed:', error);
+        hideLoading();
+        console.error('Project save failed:', error);
+        alert(t('project.saveFailed'));
     }
 }
 
-async function getPaddleOcrEngine() {
-    if (!ocrState.enginePromise) {
-        ocrState.enginePromise = (async () => {
-            const { PaddleOCR } = await import(CONFIG.ocr.moduleUrl);
-            const ocr = await PaddleOCR.create({
-                textDetectionModelName: CONFIG.ocr.textDetectionModelName,
-                textDetectionModelAsset: {
-                    url: CONFIG.ocr.textDetectionModelUrl
-                },
-                textRecognitionModelName: CONFIG.ocr.textRecognitionModelName,
-                textRecognitionModelAsset: {
-                    url: CONFIG.ocr.textRecognitionModelUrl
-                },
-                textRecognitionBatchSize: CONFIG.ocr.textRecognitionBatchSize,
-                worker: true,
-                ortOptions: {
-                    backend: 'auto',
-                    wasmPaths: CONFIG.ocr.wasmPaths,
-                    numThreads: 1,
-                    simd: true
-                }
-            });
+function handleOpenProjectOption() {
+    hideProjectOverlay();
 
-            ocrState.lastSummary = ocr.getInitializationSummary?.() || null;
-            return ocr;
-        })().catch(error => {
-            ocrState.enginePromise = null;
-            throw error;
-        });
+    if (appState.pages.some(pageHasContent) && !window.confirm(t('project.replaceConfirm'))) {
+        return;
     }
 
-    return ocrState.enginePromise;
+    elements.projectInput.click();
 }
 
-function getCellOcrSignature(cellIndex) {
-    const cellData = layoutState.cells[cellIndex];
-    const imageBounds = getActualImageBounds(cellIndex);
+// The restore toast offers the same reset only briefly after startup.
+function handleNewLayoutOption() {
+    hideProjectOverlay();
 
-    if (!cellData?.image || !imageBounds) {
-        return '';
+    if (appState.pages.some(pageHasContent) && !window.confirm(t('project.newLayoutConfirm'))) {
+        return;
     }
 
-    return JSON.stringify({
-        imageWidth: cellData.image.width,
-        imageHeight: cellData.image.height,
-        imageOperationId: cellData.imageOperationId || 0,
-        fillMode: cellData.fillMode || 'contain',
-        transform: normalizeNumericObject(cellData.transform),
-        crop: normalizeNumericObject(normalizeCellCrop(cellData.crop)),
-        filter: cellData.filter || 'original',
-        filterSettings: normalizeNumericObject(cellData.filterSettings),
-        imageBounds: normalizeNumericObject(imageBounds)
-    });
+    void startFreshLayout();
 }
 
-function normalizeNumericObject(value) {
-    if (!value || typeof value !== 'object') {
-        return value || null;
+async function handleProjectSelection(e) {
+    const file = e.target.files?.[0];
+
+    if (!file) {
+        return;
     }
 
-    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
-        key,
-        typeof item === 'number' ? Number(item.toFixed(4)) : item
-    ]));
+    showLoading(t('project.opening'));
+
+    try {
+        await openProjectBundle(file);
+    } catch (error) {
+        console.error('Project open failed:', error);
+        alert(error?.code === 'unsupported-version' ? t('project.unsupportedVersion') : t('project.openFailed'));
+    } finally {
+        hideLoading();
+        elements.projectInput.value = '';
+    }
 }
 
-function normalizeOcrItems(result) {
-    const imageWidth = Math.max(1, Number(result?.image?.width) || 1);
-    const imageHeight = Math.max(1, Number(result?.image?.height) || 1);
+// Source PDF documents (vector export)
+// The password of an encrypted source stays in memory only; it is never saved.
+function registerPDFSource(bytes, name, password = null) {
+    const documentId = createStorageKey();
+    pdfSourceState.documents.set(documentId, { bytes, name, password });
+    pdfSourceState.pendingDocumentIds.add(documentId);
+    return documentId;
+}
 
-    return (result?.items || [])
-        .filter(item => item?.text && item.score >= CONFIG.ocr.minConfidence && Array.isArray(item.poly))
-        .map(item => ({
-            text: item.text,
-            score: item.score,
-            polyNorm: item.poly.map(point => [
-                clamp(Number(point[0]) / imageWidth, 0, 1),
-                clamp(Number(point[1]) / imageHeight, 0, 1)
-            ])
-        }))
-        .filter(item => item.polyNorm.length >= 4);
+function openPDFSource(documentId) {
+    const { bytes, password } = pdfSourceState.documents.get(documentId);
+    // pdf.js transfers the buffer it is given, so it gets a copy of the retained bytes.
+    return pdfjsLib.getDocument({ data: bytes.slice(), password }).promise;
 }
 
-function getOcrBackendLabel(summary) {
-    const backend = summary?.backend || summary?.requestedBackend || '';
-    const detProvider = summary?.providers?.det || summary?.detProvider || '';
-    const recProvider = summary?.providers?.rec || summary?.recProvider || '';
-    const providers = [detProvider, recProvider].filter(Boolean).join('/');
+function releasePDFSource(documentId) {
+    pdfSourceState.pendingDocumentIds.delete(documentId);
+}
 
-    return providers || backend || 'auto';
+function createPDFSourceReference(documentId, pageNumber) {
+    return { documentId, pageNumber, rotation: 0 };
 }
 
-function getOcrCompletionMessage(recognizedLines) {
-    if (recognizedLines === 0) {
-        return t('ocr.completeNoText');
-    }
+function pruneUnusedPDFSources() {
+    const referencedIds = new Set(pdfSourceState.pendingDocumentIds);
+    const addCellDocument = cellData => {
+        if (cellData?.pdfSource?.documentId) {
+            referencedIds.add(cellData.pdfSource.documentId);
+        }
+    };
 
-    return t('ocr.completeWithText', { count: recognizedLines });
+    appState.pages.forEach(pageState => pageState.cells.forEach(addCellDocument));
+    [...historyState.undoStack, ...historyState.redoStack].forEach(command => {
+        forEachHistoryCommandCell(command, addCellDocument);
+    });
+
+    Array.from(pdfSourceState.documents.keys())
+        .filter(documentId => !referencedIds.has(documentId))
+        .forEach(documentId => pdfSourceState.documents.delete(documentId));
 }
 
-async function handleRunOCR() {
-    if (ocrState.busy) return;
+// Only an untouched page render can be swapped for the vector original;
+// filtered pixels have to be exported as they look on the sheet.
+function getCellVectorPDFSource(cellData) {
+    const pdfSource = cellData?.pdfSource;
 
-    const totalCells = appState.pages.reduce((count, page) => (
-        count + page.cells.filter(isCellImageContent).length
-    ), 0);
+    if (!pdfSource || !cellData.image || cellData.image !== cellData.originalImage) {
+        return null;
+    }
 
-    if (!totalCells) {
-        showStatusToast(t('ocr.noImages'));
-        return;
+    if ((cellData.filter || 'original') !== 'original' || !pdfSourceState.documents.has(pdfSource.documentId)) {
+        return null;
     }
 
-    ocrState.busy = true;
-    ocrState.status = 'loading';
-    clearOcrVisualState();
-    updateOcrButtonState();
+    return pdfSource;
+}
 
-    const originalPageIndex = appState.currentPageIndex;
-    let recognizedLines = 0;
-    let processedCells = 0;
-    let completedSuccessfully = false;
+async function loadPDFLib() {
+    if (!pdfLibPromise) {
+        pdfLibPromise = import(/* @vite-ignore */ CONFIG.pdfLibModuleUrl).catch(error => {
+            pdfLibPromise = null;
+            throw error;
+        });
+    }
 
-    try {
-        const ocr = await getPaddleOcrEngine();
-        ocrState.status = 'ready';
-        updateOcrButtonState();
+    return pdfLibPromise;
+}
 
-        for (let pageIndex = 0; pageIndex < appState.pages.length; pageIndex++) {
-            appState.currentPageIndex = pageIndex;
-            renderCurrentPage();
+// Export settings
+function setupExportSettings() {
+    loadExportSettings();
 
-            const cellIndices = layoutState.cells
-                .map((cell, cellIndex) => (isCellImageContent(cell) ? cellIndex : null))
-                .filter(cellIndex => cellIndex !== null);
+    elements.exportFormatSelect.addEventListener('change', () => {
+        updateExportSettings({ format: elements.exportFormatSelect.value });
+    });
+    elements.exportDpiInput.addEventListener('input', () => {
+        const dpi = Number(elements.exportDpiInput.value);
+        if (dpi >= CONFIG.export.minDpi && dpi <= CONFIG.export.maxDpi) {
+            updateExportSettings({ dpi }, false);
+        }
+    });
+    elements.exportDpiInput.addEventListener('change', () => {
+        updateExportSettings({ dpi: elements.exportDpiInput.value });
+    });
+    elements.exportJpegQualityInput.addEventListener('input', () => {
+        updateExportSettings({ jpegQuality: Number(elements.exportJpegQualityInput.value) / 100 });
+    });
+    elements.exportLosslessInput.addEventListener('change', () => {
+        updateExportSettings({ losslessBitonal: elements.exportLosslessInput.checked });
+    });
+    elements.exportGroup4Input.addEventListener('change', () => {
+        updateExportSettings({ group4: elements.exportGroup4Input.checked });
+    });
+}
 
-            if (!cellIndices.length) {
-                continue;
-            }
+function normalizeExportSettings(settings) {
+    const { minDpi, maxDpi, minJpegQuality } = CONFIG.export;
+    const dpi = Math.round(Number(settings?.dpi));
+    const jpegQuality = Number(settings?.jpegQuality);
 
-            const renderedSheet = await renderSheetToFullCanvas(CONFIG.ocr.rasterScale);
+    return {
+        format: EXPORT_FORMATS.includes(settings?.format) ? settings.format : exportState.format,
+        dpi: Number.isFinite(dpi) ? clamp(dpi, minDpi, maxDpi) : exportState.dpi,
+        jpegQuality: Number.isFinite(jpegQuality) ? clamp(jpegQuality, minJpegQuality, 1) : exportState.jpegQuality,
+        losslessBitonal: typeof settings?.losslessBitonal === 'boolean' ? settings.losslessBitonal : exportState.losslessBitonal,
+        group4: typeof settings?.group4 === 'boolean' ? settings.group4 : exportState.group4
+    };
+}
 
-            for (const cellIndex of cellIndices) {
-                const cellData = layoutState.cells[cellIndex];
-                const imageBounds = getActualImageBounds(cellIndex);
+function loadExportSettings() {
+    try {
+        const storedSettings = JSON.parse(localStorage.getItem(CONFIG.export.settingsStorageKey) || 'null');
+        if (storedSettings) {
+            Object.assign(exportState, normalizeExportSettings(storedSettings));
+        }
+    } catch (error) {
+        console.warn('[Export] Failed to load export settings:', error);
+    }
+}
 
-                if (!cellData?.image || !imageBounds) {
-                    continue;
-                }
+function storeExportSettings() {
+    try {
+        localStorage.setItem(CONFIG.export.settingsStorageKey, JSON.stringify(exportState));
+    } catch (error) {
+        console.warn('[Export] Failed to store export settings:', error);
+    }
+}
 
-                processedCells += 1;
-                setOcrActiveCell(pageIndex, cellIndex);
-                await waitForOcrScanFeedback();
+// syncDpiInput is false while the user is still typing a resolution.
+function updateExportSettings(changes, syncDpiInput = true) {
+    Object.assign(exportState, normalizeExportSettings({ ...exportState, ...changes }));
+    storeExportSettings();
+    syncExportControls(syncDpiInput);
+}
 
-                const cellCanvas = extractCellCanvasFromRenderedSheet(
-                    renderedSheet,
-                    imageBounds,
-                    CONFIG.ocr.rasterScale
-                );
+function syncExportControls(syncDpiInput = true) {
+    const { format } = exportState;
 
-                if (!cellCanvas) {
-                    clearOcrScanOverlay();
-                    continue;
-                }
+    elements.exportFormatSelect.value = format;
+    if (syncDpiInput) {
+        elements.exportDpiInput.value = exportState.dpi;
+    }
+    elements.exportJpegQualityInput.value = Math.round(exportState.jpegQuality * 100);
+    elements.exportJpegQualityValue.textContent = Math.round(exportState.jpegQuality * 100);
+    elements.exportLosslessInput.checked = exportState.losslessBitonal;
+    elements.exportGroup4Input.checked = exportState.group4;
 
-                const signature = getCellOcrSignature(cellIndex);
-                const [result] = await ocr.predict(cellCanvas);
-                const items = normalizeOcrItems(result);
+    elements.exportJpegQualityField.classList.toggle('hidden', format !== 'pdf' && format !== 'jpeg');
+    elements.exportLosslessOption.classList.toggle('hidden', format !== 'pdf');
+    elements.exportGroup4Option.classList.toggle('hidden', format !== 'tiff');
+    updateExportSizeEstimate();
+}
 
-                cellData.ocr = {
-                    engine: 'paddleocr',
-                    model: CONFIG.ocr.textRecognitionModelName,
-                    signature,
-                    items,
-                    metrics: result?.metrics || null,
-                    runtime: result?.runtime || null
-                };
+function getExportScale() {
+    return exportState.dpi / MM_PER_INCH;
+}
 
-                recognizedLines += items.length;
-                appendOcrFlashItems(pageIndex, cellIndex, items);
+function isLosslessExportCell(cellData) {
+    return exportState.losslessBitonal && cellData?.filter === 'bitonal';
+}
 
-                if (CONFIG.ocr.postScanFeedbackMs > 0) {
-                    await waitForDuration(CONFIG.ocr.postScanFeedbackMs);
-                }
-                clearOcrScanOverlay();
-            }
-        }
+function updateExportSizeEstimate() {
+    const megabytes = estimateExportBytes() / (1024 * 1024);
+    const size = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        maximumFractionDigits: megabytes < 10 ? 1 : 0
+    }).format(Math.max(0.1, megabytes));
 
-        const backendLabel = getOcrBackendLabel(ocrState.lastSummary);
-        console.log('[OCR] Scan complete:', {
-            recognizedLines,
-            processedCells,
-            backend: backendLabel,
-            summary: ocrState.lastSummary
-        });
-        completedSuccessfully = true;
-        showStatusToast(getOcrCompletionMessage(recognizedLines), 3200);
-    } catch (error) {
-        console.error('OCR failed:', error);
-        ocrState.status = 'error';
-        ocrState.lastError = String(error);
-        alert(t('ocr.failed'));
-    } finally {
-        appState.currentPageIndex = originalPageIndex;
-        ocrState.activeCell = null;
+    elements.exportSizeEstimate.textContent = t('export.estimate', { size });
+}
 
-        if (!completedSuccessfully || recognizedLines === 0) {
-            clearOcrVisualState();
-        } else {
-            clearOcrScanOverlay();
-        }
+// A rough figure from the pixel area each page will encode. 1-bit cells
+// compress far better than photos, so they are counted apart; vector PDF
+// pages keep their original size and are left out.
+function estimateExportBytes() {
+    const { format, jpegQuality } = exportState;
+    const bytesPerPixel = CONFIG.export.estimatedBytesPerPixel;
+    const jpegBytesPerPixel = 0.08 + 0.6 * jpegQuality ** 6;
+    const pixelsPerSquareMm = getExportScale() ** 2;
+    const originalPageIndex = appState.currentPageIndex;
+    let totalBytes = 0;
 
-        renderCurrentPage();
-        ocrState.busy = false;
-        updateOcrButtonState();
+    try {
+        appState.pages.forEach((_pageState, pageIndex) => {
+            appState.currentPageIndex = pageIndex;
+            let photoPixels = 0;
+            let bitonalPixels = 0;
 
-        if (completedSuccessfully && recognizedLines > 0) {
-            showOcrFlashOverlayForCurrentPage();
-            scheduleOcrFlashClear();
-        }
+            layoutState.cells.forEach((cellData, cellIndex) => {
+                const bounds = getActualImageBounds(cellIndex);
+                if (!bounds || (format === 'pdf' && getCellVectorPDFSource(cellData))) return;
+
+                const pixels = bounds.width * bounds.height * pixelsPerSquareMm;
+                if (cellData.filter === 'bitonal') {
+                    bitonalPixels += pixels;
+                } else {
+                    photoPixels += pixels;
+                }
+            });
 
-        if (!processedCells && ocrState.status !== 'error') {
-            showStatusToast(t('ocr.noExportableCells'));
-        }
+            if (format === 'tiff' && isCurrentPageBitonal()) {
+                const sheetPixels = layoutState.sheet.width * layoutState.sheet.height * pixelsPerSquareMm;
+                totalBytes += sheetPixels * (exportState.group4 ? bytesPerPixel.group4 : bytesPerPixel.packedBitonal);
+            } else if (format === 'tiff') {
+                totalBytes += (photoPixels + bitonalPixels) * bytesPerPixel.deflateRGB;
+            } else if (format === 'png') {
+                totalBytes += photoPixels * bytesPerPixel.png + bitonalPixels * bytesPerPixel.bitonalPng;
+            } else {
+                const bitonalBytesPerPixel = format === 'pdf' && exportState.losslessBitonal ? bytesPerPixel.group4 : jpegBytesPerPixel;
+                totalBytes += photoPixels * jpegBytesPerPixel + bitonalPixels * bitonalBytesPerPixel;
+            }
+        });
+    } finally {
+        appState.currentPageIndex = originalPageIndex;
     }
+
+    return totalBytes;
 }
 
 // Export functionality
-async function handleQualityExport(quality) {
+async function startExport() {
     hideExportOverlay();
-    showLoading(t('export.exporting', { quality: getExportQualityLabel(quality) }));
+    showLoading(t('export.exporting', { dpi: exportState.dpi }));
     
     try {
-        const pdf = await assemblePDF(quality);
-        downloadPDF(pdf, quality);
+        await prepareExportPDFRenders({ skipVectorCells: exportState.format === 'pdf' });
+        if (exportState.format === 'pdf') {
+            await refreshPDFCellText(appState.pages.map((_pageState, pageIndex) => pageIndex));
+        }
+
+        const baseName = `PDFomator ${exportState.dpi}dpi`;
+        if (exportState.format === 'pdf') {
+            downloadExportFile(await assemblePDF(), `${baseName}.pdf`);
+        } else if (exportState.format === 'tiff') {
+            downloadExportFile(await assembleTIFFExport(), `${baseName}.tif`);
+        } else {
+            const { blob, filename } = await assembleSheetImages(baseName, exportState.format);
+            downloadExportFile(blob, filename);
+        }
         hideLoading();
         showStatusToast(t('export.complete'));
     } catch (error) {
         hideLoading();
         console.error('Export failed:', error);
         alert(t('export.failed'));
+    } finally {
+        releaseExportPDFRenders();
     }
 }
 
-async function assemblePDF(quality) {
-    const { scale, jpegQuality } = EXPORT_QUALITY[quality];
-    const originalPageIndex = appState.currentPageIndex;
+async function assemblePDF() {
+    const scale = getExportScale();
     const JsPDF = window.jspdf?.jsPDF;
+    const vectorPlacements = [];
     let pdf = null;
 
     if (!JsPDF) {
         throw new Error('jsPDF library not loaded');
     }
+    registerPDFPixelImageFormat(JsPDF);
+
+    const vectorSources = await loadVectorPDFSources();
+
+    await forEachRenderedSheet(scale, async (renderedSheet, pageIndex) => {
+        const { width, height, orientation } = layoutState.sheet;
+        if (!pdf) {
+            pdf = new JsPDF({
+                orientation: orientation === 'landscape' ? 'l' : 'p',
+                unit: 'mm',
+                format: [width, height]
+            });
+        } else {
+            pdf.addPage([width, height], orientation === 'landscape' ? 'l' : 'p');
+        }
+
+        for (let i = 0; i < layoutState.cells.length; i++) {
+            if (!layoutState.cells[i]) {
+                continue;
+            }
+
+            const imageBounds = getActualImageBounds(i);
+            if (!imageBounds) {
+                continue;
+            }
+
+            const vectorPlacement = getCellVectorPlacement(i, imageBounds, vectorSources);
+            if (vectorPlacement) {
+                vectorPlacements.push({ pageIndex, ...vectorPlacement });
+                // The embedded page brings its own text; only recognized text is added.
+                if (layoutState.cells[i].ocr?.engine !== 'pdf') {
+                    addCellOcrTextLayer(pdf, imageBounds, layoutState.cells[i], i);
+                }
+                continue;
+            }
+
+            const cellCanvas = extractCellCanvasFromRenderedSheet(renderedSheet, imageBounds, scale);
+            if (!cellCanvas) {
+                continue;
+            }
+
+            const cellImage = await encodeCellPDFImage(cellCanvas, layoutState.cells[i]);
+            pdf.addImage(
+                cellImage.data,
+                cellImage.format,
+                imageBounds.x,
+                imageBounds.y,
+                imageBounds.width,
+                imageBounds.height
+            );
+
+            addCellOcrTextLayer(pdf, imageBounds, layoutState.cells[i], i);
+        }
+    });
+
+    showLoading(t('export.assembling'));
+    if (!vectorPlacements.length) {
+        return pdf.output('blob');
+    }
+
+    const pdfBytes = await embedVectorPDFPages(pdf.output('arraybuffer'), vectorPlacements, vectorSources);
+    return new Blob([pdfBytes], { type: 'application/pdf' });
+}
+
+// jsPDF only embeds complete image files. Pixels already encoded for a PDF
+// image stream go through this extra format instead, with their stream
+// parameters looked up by data array.
+const PDF_PIXEL_IMAGE_FORMAT = 'PIXELS';
+const pdfPixelImages = new WeakMap();
+
+function registerPDFPixelImageFormat(JsPDF) {
+    JsPDF.API[`process${PDF_PIXEL_IMAGE_FORMAT}`] ??= function(data, index, alias) {
+        const { stream, ...parameters } = pdfPixelImages.get(data);
+        return { ...parameters, data: this.__addimage__.arrayBufferToBinaryString(stream), index, alias };
+    };
+}
+
+function createPDFPixelImage(stream, parameters) {
+    // The leading zero byte keeps jsPDF from taking the stream for a known
+    // file type by its first bytes.
+    const data = new Uint8Array(stream.length + 1);
+    data.set(stream, 1);
+    pdfPixelImages.set(data, { stream, ...parameters });
+    return { data, format: PDF_PIXEL_IMAGE_FORMAT };
+}
+
+// 1-bit cells become CCITT G4 images; cells without color become 8-bit gray
+// when that is smaller than the JPEG; everything else stays JPEG.
+async function encodeCellPDFImage(cellCanvas, cellData) {
+    const { width, height } = cellCanvas;
+    const rgba = cellCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    if (isLosslessExportCell(cellData)) {
+        return createPDFPixelImage(encodeGroup4(toBitonalPixels(rgba), width, height), {
+            width,
+            height,
+            colorSpace: 'DeviceGray',
+            bitsPerComponent: 1,
+            filter: 'CCITTFaxDecode',
+            decodeParameters: `/K -1 /Columns ${width} /Rows ${height}`
+        });
+    }
+
+    const jpegImage = { data: cellCanvas.toDataURL('image/jpeg', exportState.jpegQuality), format: 'JPEG' };
+    const grayPixels = getGrayPixels(rgba);
+    const grayStream = grayPixels && await deflateBytes(addUpPredictorRows(grayPixels, width, height));
+    const jpegBytes = (jpegImage.data.length - jpegImage.data.indexOf(',') - 1) * 3 / 4;
+
+    if (!grayStream || grayStream.length >= jpegBytes) {
+        return jpegImage;
+    }
+
+    return createPDFPixelImage(grayStream, {
+        width,
+        height,
+        colorSpace: 'DeviceGray',
+        bitsPerComponent: 8,
+        filter: 'FlateDecode',
+        decodeParameters: `/Predictor 15 /Colors 1 /BitsPerComponent 8 /Columns ${width}`
+    });
+}
+
+// Luminance of each pixel, or null as soon as one pixel shows color.
+function getGrayPixels(rgba) {
+    const tolerance = CONFIG.export.grayChromaTolerance;
+    const pixels = new Uint8Array(rgba.length / 4);
+
+    for (let i = 0; i < pixels.length; i++) {
+        const offset = i * 4;
+        const r = rgba[offset];
+        const g = rgba[offset + 1];
+        const b = rgba[offset + 2];
+        if (Math.max(r, g, b) - Math.min(r, g, b) > tolerance) {
+            return null;
+        }
+        pixels[i] = Math.round(r * 0.299 + g * 0.587 + b * 0.114);
+    }
+    return pixels;
+}
+
+// PNG "Up" filtering: each row stored as its difference from the row above,
+// which Deflate compresses much better on scanned pages.
+function addUpPredictorRows(pixels, width, height) {
+    const rows = new Uint8Array((width + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const rowOffset = y * (width + 1);
+        rows[rowOffset] = 2;
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            rows[rowOffset + 1 + x] = pixels[index] - (y ? pixels[index - width] : 0);
+        }
+    }
+    return rows;
+}
+
+// Shows each page of the layout in turn and passes its rasterized sheet to
+// onSheet, then returns to the page the user was on.
+async function forEachRenderedSheet(scale, onSheet) {
+    const originalPageIndex = appState.currentPageIndex;
 
     try {
         for (let pageIndex = 0; pageIndex < appState.pages.length; pageIndex++) {
             appState.currentPageIndex = pageIndex;
             renderCurrentPage();
 
-            const { width, height, orientation } = layoutState.sheet;
-            if (!pdf) {
-                pdf = new JsPDF({
-                    orientation: orientation === 'landscape' ? 'l' : 'p',
-                    unit: 'mm',
-                    format: [width, height]
-                });
-            } else {
-                pdf.addPage([width, height], orientation === 'landscape' ? 'l' : 'p');
-            }
-
             showLoading(t('export.rasterizingPage', {
                 current: pageIndex + 1,
                 total: appState.pages.length
             }));
-            const renderedSheet = await renderSheetToFullCanvas(scale);
+            await onSheet(await renderSheetToFullCanvas(scale), pageIndex);
+        }
+    } finally {
+        appState.currentPageIndex = originalPageIndex;
+        renderCurrentPage();
+    }
+}
 
-            for (let i = 0; i < layoutState.cells.length; i++) {
-                if (!layoutState.cells[i]) {
-                    continue;
-                }
+// Writes each sheet as a PNG or JPEG tagged with the export resolution, zipped
+// when the layout has more than one page.
+async function assembleSheetImages(baseName, format) {
+    const scale = getExportScale();
+    const { dpi, jpegQuality } = exportState;
+    const isJPEG = format === 'jpeg';
+    const mimeType = isJPEG ? 'image/jpeg' : 'image/png';
+    const extension = isJPEG ? 'jpg' : 'png';
+    const files = [];
 
-                const imageBounds = getActualImageBounds(i);
-                if (!imageBounds) {
-                    continue;
-                }
+    await forEachRenderedSheet(scale, async (renderedSheet, pageIndex) => {
+        const blob = await canvasToBlob(renderedSheet, mimeType, jpegQuality);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        files.push({
+            name: `${baseName} ${pageIndex + 1}.${extension}`,
+            data: isJPEG ? setJPEGResolution(bytes, dpi) : setPNGResolution(bytes, dpi)
+        });
+    });
 
-                const cellImageData = extractCellImageFromRenderedSheet(renderedSheet, imageBounds, scale, jpegQuality);
-                if (!cellImageData) {
-                    continue;
-                }
+    showLoading(t('export.packing'));
+    if (files.length === 1) {
+        return { blob: new Blob([files[0].data], { type: mimeType }), filename: `${baseName}.${extension}` };
+    }
 
-                pdf.addImage(
-                    cellImageData,
-                    'JPEG',
-                    imageBounds.x,
-                    imageBounds.y,
-                    imageBounds.width,
-                    imageBounds.height
-                );
+    return { blob: createZipArchive(files), filename: `${baseName}.zip` };
+}
+
+// One multi-page TIFF; pages made only of 1-bit cells are stored as 1-bit images.
+async function assembleTIFFExport() {
+    const scale = getExportScale();
+    const { dpi } = exportState;
+    const pages = [];
+
+    await forEachRenderedSheet(scale, async renderedSheet => {
+        const { width, height } = renderedSheet;
+        const ctx = renderedSheet.getContext('2d');
+        if (!ctx) {
+            throw new Error('Failed to read rendered sheet');
+        }
+
+        pages.push(await encodeTIFFPage({
+            width,
+            height,
+            dpi,
+            rgba: ctx.getImageData(0, 0, width, height).data,
+            bitonal: isCurrentPageBitonal()
+        }, { group4: exportState.group4 }));
+    });
+
+    showLoading(t('export.packing'));
+    return assembleTIFF(pages);
+}
+
+function isCurrentPageBitonal() {
+    const filledCells = layoutState.cells.filter(Boolean);
+    return filledCells.length > 0 && filledCells.every(cellData => cellData.filter === 'bitonal');
+}
+
+// Loads pdf-lib and every source document still shown untouched on the sheet.
+// Anything that cannot be embedded simply stays on the raster path.
+async function loadVectorPDFSources() {
+    const documentIds = new Set();
+
+    appState.pages.forEach(pageState => pageState.cells.forEach(cellData => {
+        const pdfSource = getCellVectorPDFSource(cellData);
+        if (pdfSource) {
+            documentIds.add(pdfSource.documentId);
+        }
+    }));
+
+    if (!documentIds.size) {
+        return null;
+    }
+
+    let PDFLib;
+    try {
+        PDFLib = await loadPDFLib();
+    } catch (error) {
+        console.warn('[Export] pdf-lib unavailable, exporting PDF pages as images:', error);
+        return null;
+    }
+
+    const documents = new Map();
+    for (const documentId of documentIds) {
+        try {
+            const sourceDocument = await PDFLib.PDFDocument.load(pdfSourceState.documents.get(documentId).bytes, {
+                ignoreEncryption: true,
+                updateMetadata: false
+            });
 
-                addCellOcrTextLayer(pdf, imageBounds, layoutState.cells[i], i);
+            // Encrypted content streams cannot be copied into another document.
+            if (!sourceDocument.isEncrypted) {
+                documents.set(documentId, sourceDocument);
             }
+        } catch (error) {
+            console.warn('[Export] Source PDF could not be parsed, exporting as image:', error);
         }
+    }
 
-        showLoading(t('export.assembling'));
-        return pdf;
-    } finally {
-        appState.currentPageIndex = originalPageIndex;
-        renderCurrentPage();
+    return documents.size ? { PDFLib, documents } : null;
+}
+
+function getCellVectorPlacement(cellIndex, clipBounds, vectorSources) {
+    const cellData = layoutState.cells[cellIndex];
+    const pdfSource = getCellVectorPDFSource(cellData);
+    const sourceDocument = pdfSource && vectorSources?.documents.get(pdfSource.documentId);
+
+    if (!sourceDocument || pdfSource.pageNumber < 1 || pdfSource.pageNumber > sourceDocument.getPageCount()) {
+        return null;
+    }
+
+    const imageGeometry = getCellImageGeometry(cellData, getCellContentCoordinates(cellIndex));
+    if (!imageGeometry) {
+        return null;
+    }
+
+    return {
+        pdfSource,
+        clipBounds,
+        // Contained images are letterboxed inside renderRect, so the page fills visibleRect.
+        imageRect: (cellData.fillMode || 'contain') === 'contain' ? imageGeometry.visibleRect : imageGeometry.renderRect
+    };
+}
+
+// Maps the unrotated page box onto its displayed orientation (PDF /Rotate is clockwise).
+function getPDFPageRotationMatrix(rotation, width, height) {
+    switch (rotation) {
+        case 90:
+            return [0, -1, 1, 0, 0, width];
+        case 180:
+            return [-1, 0, 0, -1, width, height];
+        case 270:
+            return [0, 1, -1, 0, height, 0];
+        default:
+            return [1, 0, 0, 1, 0, 0];
+    }
+}
+
+async function embedVectorPDFPages(pdfBytes, placements, vectorSources) {
+    const {
+        PDFDocument,
+        pushGraphicsState,
+        popGraphicsState,
+        rectangle,
+        clip,
+        endPath,
+        concatTransformationMatrix,
+        drawObject
+    } = vectorSources.PDFLib;
+    const outputDocument = await PDFDocument.load(pdfBytes);
+    const embeddedPages = new Map();
+    const pointsPerMm = 72 / 25.4;
+
+    for (const { pageIndex, pdfSource, clipBounds, imageRect } of placements) {
+        const embeddedKey = `${pdfSource.documentId}:${pdfSource.pageNumber}`;
+
+        if (!embeddedPages.has(embeddedKey)) {
+            const sourcePage = vectorSources.documents.get(pdfSource.documentId).getPage(pdfSource.pageNumber - 1);
+            const cropBox = sourcePage.getCropBox();
+            const embeddedPage = await outputDocument.embedPage(sourcePage, {
+                left: cropBox.x,
+                bottom: cropBox.y,
+                right: cropBox.x + cropBox.width,
+                top: cropBox.y + cropBox.height
+            });
+            embeddedPages.set(embeddedKey, {
+                embeddedPage,
+                rotation: sourcePage.getRotation().angle
+            });
+        }
+
+        const { embeddedPage, rotation: sourceRotation } = embeddedPages.get(embeddedKey);
+        const page = outputDocument.getPage(pageIndex);
+        const pageHeight = page.getHeight();
+        const rotation = ((Math.round((sourceRotation + (pdfSource.rotation || 0)) / 90) * 90) % 360 + 360) % 360;
+        const { width, height } = embeddedPage;
+        const [rotatedWidth, rotatedHeight] = rotation % 180 === 0 ? [width, height] : [height, width];
+        const [a, b, c, d, e, f] = getPDFPageRotationMatrix(rotation, width, height);
+        const scaleX = imageRect.width * pointsPerMm / rotatedWidth;
+        const scaleY = imageRect.height * pointsPerMm / rotatedHeight;
+        const originX = imageRect.x * pointsPerMm;
+        const originY = pageHeight - (imageRect.y + imageRect.height) * pointsPerMm;
+
+        page.pushOperators(
+            pushGraphicsState(),
+            rectangle(
+                clipBounds.x * pointsPerMm,
+                pageHeight - (clipBounds.y + clipBounds.height) * pointsPerMm,
+                clipBounds.width * pointsPerMm,
+                clipBounds.height * pointsPerMm
+            ),
+            clip(),
+            endPath(),
+            concatTransformationMatrix(
+                scaleX * a,
+                scaleY * b,
+                scaleX * c,
+                scaleY * d,
+                scaleX * e + originX,
+                scaleY * f + originY
+            ),
+            drawObject(page.node.newXObject('EmbeddedPdfPage', embeddedPage.ref)),
+            popGraphicsState()
+        );
     }
+
+    return outputDocument.save();
 }
 
 function addCellOcrTextLayer(pdf, imageBounds, cellData, cellIndex) {
@@ -5273,7 +12070,7 @@ async function renderSheetToFullCanvas(scale) {
 }
 
 async function renderSVGToFullCanvas(svg, scale) {
-    const img = await loadImageFromSrc(serializeSVGToDataUrl(svg));
+    const img = await loadImageFromSrc(serializeSVGToDataUrl(await inlineSVGImages(svg)));
     const fullCanvas = document.createElement('canvas');
     const fullWidth = Math.round(layoutState.sheet.width * scale);
     const fullHeight = Math.round(layoutState.sheet.height * scale);
@@ -5290,12 +12087,6 @@ async function renderSVGToFullCanvas(svg, scale) {
     return fullCanvas;
 }
 
-function extractCellImageFromRenderedSheet(fullCanvas, cellCoords, scale, jpegQuality) {
-    const cellCanvas = extractCellCanvasFromRenderedSheet(fullCanvas, cellCoords, scale);
-
-    return cellCanvas ? cellCanvas.toDataURL('image/jpeg', jpegQuality) : null;
-}
-
 function extractCellCanvasFromRenderedSheet(fullCanvas, cellCoords, scale) {
     const targetWidth = Math.round(cellCoords.width * scale);
     const targetHeight = Math.round(cellCoords.height * scale);
@@ -5324,6 +12115,28 @@ function extractCellCanvasFromRenderedSheet(fullCanvas, cellCoords, scale) {
     return cellCanvas;
 }
 
+// An SVG loaded as an image cannot fetch blob: URLs, so a copy of the sheet
+// gets its stored images embedded as data URLs before rasterizing. Cells with
+// a page rendered for the running export embed that render instead.
+async function inlineSVGImages(svg) {
+    const svgCopy = svg.cloneNode(true);
+    const dataUrls = new Map();
+
+    await Promise.all(Array.from(svgCopy.querySelectorAll('image'), async imageEl => {
+        const cellIndex = imageEl.closest('[data-cell-index]')?.getAttribute('data-cell-index');
+        const exportImage = cellIndex !== undefined && pdfRenderState.exportImages.get(layoutState.cells[cellIndex]);
+        const imageData = exportImage || imageStoreState.urls.get(imageEl.getAttribute('href'));
+        if (!imageData) return;
+
+        if (!dataUrls.has(imageData)) {
+            dataUrls.set(imageData, blobToDataUrl(imageData.blob));
+        }
+        imageEl.setAttribute('href', await dataUrls.get(imageData));
+    }));
+
+    return svgCopy;
+}
+
 function serializeSVGToDataUrl(svg) {
     const serializer = new XMLSerializer();
     const svgString = serializer.serializeToString(svg);
@@ -5334,14 +12147,166 @@ function serializeSVGToDataUrl(svg) {
     return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(cleanSvgString)}`;
 }
 
-function getGridMetrics() {
-    const { cols, rows } = layoutState.grid;
-    const { width, height } = layoutState.sheet;
-    const gridSpacing = CONFIG.gridSpacing;
+function getPageGridSpacing(pageState) {
+    return pageState.gridSpacing || CONFIG.gridSpacing;
+}
+
+function normalizeGridSpacing(gridSpacing) {
+    const readLength = value => {
+        const length = Number(value);
+        return Number.isFinite(length) && length >= 0 ? Math.round(length * 100) / 100 : null;
+    };
+    const normalized = {
+        sheetPadding: {
+            top: readLength(gridSpacing?.sheetPadding?.top),
+            right: readLength(gridSpacing?.sheetPadding?.right),
+            bottom: readLength(gridSpacing?.sheetPadding?.bottom),
+            left: readLength(gridSpacing?.sheetPadding?.left)
+        },
+        columnGap: readLength(gridSpacing?.columnGap),
+        rowGap: readLength(gridSpacing?.rowGap),
+        cellPadding: readLength(gridSpacing?.cellPadding)
+    };
+    const lengths = [...Object.values(normalized.sheetPadding), normalized.columnGap, normalized.rowGap, normalized.cellPadding];
+
+    return lengths.every(length => length !== null) ? normalized : null;
+}
+
+function doesGridSpacingFit(pageState, gridSpacing = getPageGridSpacing(pageState)) {
+    const candidate = { ...pageState, gridSpacing };
+    const minSize = CONFIG.minCellContentSize;
+
+    return getVisibleCellIndexes(candidate).every(cellIndex => {
+        const { width, height } = getCellCoordinates(cellIndex, candidate);
+        return width - gridSpacing.cellPadding * 2 >= minSize
+            && height - gridSpacing.cellPadding * 2 >= minSize;
+    });
+}
+
+// Grid layout: cells are addressed by slot index (row * cols + col). A merge is
+// owned by its top-left slot; the other slots it covers stay empty and are skipped.
+function getGridTrackWeights(weights, count) {
+    return Array.isArray(weights) && weights.length === count ? weights : new Array(count).fill(1);
+}
+
+function getGridTrackSizes(availableLength, gap, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const trackLength = availableLength - gap * (weights.length - 1);
+
+    return weights.map(weight => trackLength * weight / totalWeight);
+}
+
+function getGridMerges(pageState) {
+    return pageState.grid.merges || [];
+}
+
+function getGridMergeAt(pageState, col, row) {
+    return getGridMerges(pageState).find(merge => (
+        col >= merge.col && col < merge.col + merge.colSpan
+        && row >= merge.row && row < merge.row + merge.rowSpan
+    )) || null;
+}
+
+function getCellSpan(pageState, cellIndex) {
+    const { cols } = pageState.grid;
+    const col = cellIndex % cols;
+    const row = Math.floor(cellIndex / cols);
+    const merge = getGridMergeAt(pageState, col, row);
+
+    return merge && merge.col === col && merge.row === row
+        ? { ...merge }
+        : { col, row, colSpan: 1, rowSpan: 1 };
+}
+
+function isCellSlotCovered(pageState, cellIndex) {
+    const { cols } = pageState.grid;
+    const col = cellIndex % cols;
+    const row = Math.floor(cellIndex / cols);
+    const merge = getGridMergeAt(pageState, col, row);
+
+    return !!merge && (merge.col !== col || merge.row !== row);
+}
+
+function getVisibleCellIndexes(pageState = layoutState) {
+    const indexes = [];
+
+    for (let i = 0; i < getPageCellCount(pageState); i++) {
+        if (!isCellSlotCovered(pageState, i)) {
+            indexes.push(i);
+        }
+    }
+
+    return indexes;
+}
+
+function normalizeGridTrackWeights(weights, count) {
+    if (!Array.isArray(weights) || weights.length !== count) {
+        return null;
+    }
+
+    const normalized = weights.map(weight => Math.round(Number(weight) * 100) / 100);
+    if (normalized.some(weight => !Number.isFinite(weight) || weight <= 0)) {
+        return null;
+    }
+
+    // Equal weights are the default layout and are not stored.
+    return normalized.every(weight => weight === normalized[0]) ? null : normalized;
+}
+
+function normalizeGrid(grid) {
+    const readTrackCount = value => {
+        const count = Number(value);
+        return Number.isInteger(count) && count >= 1 && count <= CONFIG.maxGridSize ? count : null;
+    };
+    const cols = readTrackCount(grid?.cols);
+    const rows = readTrackCount(grid?.rows);
+
+    if (!cols || !rows) {
+        return null;
+    }
+
+    const normalized = { cols, rows };
+    const colWeights = normalizeGridTrackWeights(grid.colWeights, cols);
+    const rowWeights = normalizeGridTrackWeights(grid.rowWeights, rows);
+    if (colWeights) normalized.colWeights = colWeights;
+    if (rowWeights) normalized.rowWeights = rowWeights;
+
+    const merges = [];
+    (Array.isArray(grid.merges) ? grid.merges : []).forEach(merge => {
+        const candidate = {
+            col: Number(merge?.col),
+            row: Number(merge?.row),
+            colSpan: Number(merge?.colSpan),
+            rowSpan: Number(merge?.rowSpan)
+        };
+        const valid = Object.values(candidate).every(Number.isInteger)
+            && candidate.col >= 0 && candidate.row >= 0
+            && candidate.colSpan >= 1 && candidate.rowSpan >= 1
+            && candidate.colSpan * candidate.rowSpan > 1
+            && candidate.col + candidate.colSpan <= cols
+            && candidate.row + candidate.rowSpan <= rows
+            && !merges.some(other => doGridAreasOverlap(other, candidate));
+
+        if (valid) {
+            merges.push(candidate);
+        }
+    });
+    if (merges.length) normalized.merges = merges;
+
+    return normalized;
+}
+
+function doGridAreasOverlap(a, b) {
+    return a.col < b.col + b.colSpan && b.col < a.col + a.colSpan
+        && a.row < b.row + b.rowSpan && b.row < a.row + a.rowSpan;
+}
+
+function getGridMetrics(pageState = layoutState) {
+    const { cols, rows } = pageState.grid;
+    const { width, height } = pageState.sheet;
+    const gridSpacing = getPageGridSpacing(pageState);
     const availableWidth = width - gridSpacing.sheetPadding.left - gridSpacing.sheetPadding.right;
     const availableHeight = height - gridSpacing.sheetPadding.top - gridSpacing.sheetPadding.bottom;
-    const totalGapWidth = gridSpacing.columnGap * (cols - 1);
-    const totalGapHeight = gridSpacing.rowGap * (rows - 1);
 
     return {
         width,
@@ -5350,27 +12315,27 @@ function getGridMetrics() {
         rows,
         totalCells: rows * cols,
         gridSpacing,
-        cellWidth: (availableWidth - totalGapWidth) / cols,
-        cellHeight: (availableHeight - totalGapHeight) / rows
+        columnWidths: getGridTrackSizes(availableWidth, gridSpacing.columnGap, getGridTrackWeights(pageState.grid.colWeights, cols)),
+        rowHeights: getGridTrackSizes(availableHeight, gridSpacing.rowGap, getGridTrackWeights(pageState.grid.rowWeights, rows))
     };
 }
 
-function getCellCoordinates(cellIndex) {
-    const { cols, gridSpacing, cellWidth, cellHeight } = getGridMetrics();
-    const col = cellIndex % cols;
-    const row = Math.floor(cellIndex / cols);
+function getCellCoordinates(cellIndex, pageState = layoutState) {
+    const { gridSpacing, columnWidths, rowHeights } = getGridMetrics(pageState);
+    const { col, row, colSpan, rowSpan } = getCellSpan(pageState, cellIndex);
+    const sumTracks = (sizes, start, end) => sizes.slice(start, end).reduce((sum, size) => sum + size, 0);
 
     return {
-        x: gridSpacing.sheetPadding.left + col * (cellWidth + gridSpacing.columnGap),
-        y: gridSpacing.sheetPadding.top + row * (cellHeight + gridSpacing.rowGap),
-        width: cellWidth,
-        height: cellHeight
+        x: gridSpacing.sheetPadding.left + sumTracks(columnWidths, 0, col) + col * gridSpacing.columnGap,
+        y: gridSpacing.sheetPadding.top + sumTracks(rowHeights, 0, row) + row * gridSpacing.rowGap,
+        width: sumTracks(columnWidths, col, col + colSpan) + (colSpan - 1) * gridSpacing.columnGap,
+        height: sumTracks(rowHeights, row, row + rowSpan) + (rowSpan - 1) * gridSpacing.rowGap
     };
 }
 
 function getCellContentCoordinates(cellIndex) {
     const cellCoords = getCellCoordinates(cellIndex);
-    const { cellPadding } = CONFIG.gridSpacing;
+    const { cellPadding } = getGridMetrics().gridSpacing;
 
     return getContentRectFromCellBounds(cellCoords.x, cellCoords.y, cellCoords.width, cellCoords.height, cellPadding);
 }
@@ -5388,9 +12353,224 @@ function getActualImageBounds(cellIndex) {
     return intersectRects(imageGeometry.visibleRect, cropCoords);
 }
 
-function downloadPDF(pdf, quality) {
-    const filename = `PDFomator ${quality}.pdf`;
-    
+function downloadExportFile(blob, filename) {
     showLoading(t('export.preparingDownload'));
-    pdf.save(filename);
+    downloadBlob(blob, filename);
+}
+
+// Resolution metadata for exported sheet images, so they print at sheet size
+function setPNGResolution(bytes, dpi) {
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const physicalChunk = new Uint8Array(21);
+    const chunkView = new DataView(physicalChunk.buffer);
+    chunkView.setUint32(0, 9);
+    physicalChunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    chunkView.setUint32(8, pixelsPerMeter);
+    chunkView.setUint32(12, pixelsPerMeter);
+    physicalChunk[16] = 1; // Unit: meter
+    chunkView.setUint32(17, computeCrc32(physicalChunk.subarray(4, 17)));
+
+    // pHYs goes right after IHDR (8-byte signature + 25-byte chunk), replacing any existing one.
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 33), physicalChunk];
+    for (let offset = 33; offset + 8 <= bytes.length;) {
+        const end = offset + 12 + view.getUint32(offset);
+        if (view.getUint32(offset + 4) !== 0x70485973) {
+            parts.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    return concatenateBytes(parts);
+}
+
+function setJPEGResolution(bytes, dpi) {
+    const density = Math.round(dpi);
+    const hasJFIFHeader = bytes[2] === 0xFF && bytes[3] === 0xE0
+        && String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+
+    if (hasJFIFHeader) {
+        const result = bytes.slice();
+        const view = new DataView(result.buffer);
+        result[13] = 1; // Dots per inch
+        view.setUint16(14, density);
+        view.setUint16(16, density);
+        return result;
+    }
+
+    const jfifSegment = new Uint8Array([
+        0xFF, 0xE0, 0, 16, 0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 1,
+        density >> 8, density & 0xFF, density >> 8, density & 0xFF, 0, 0
+    ]);
+    return concatenateBytes([bytes.subarray(0, 2), jfifSegment, bytes.subarray(2)]);
+}
+
+function concatenateBytes(parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// ZIP archive helpers (stored entries; deflated entries can be read)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+
+    return table;
+})();
+
+function computeCrc32(bytes, crc = 0) {
+    let value = crc ^ 0xFFFFFFFF;
+
+    for (let i = 0; i < bytes.length; i++) {
+        value = CRC32_TABLE[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+    }
+
+    return (value ^ 0xFFFFFFFF) >>> 0;
+}
+
+function getZipDosDateTime(date = new Date()) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function createZipArchive(entries, mimeType = 'application/zip') {
+    const encoder = new TextEncoder();
+    const { time, date } = getZipDosDateTime();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const data = entry.data instanceof Uint8Array ? entry.data : encoder.encode(String(entry.data));
+        const crc = computeCrc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034B50, true);
+        localHeader.setUint16(4, 20, true);
+        localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+        localHeader.setUint16(8, 0, true);      // Stored
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014B50, true);
+        centralHeader.setUint16(4, 20, true);
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+        centralDirectory.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralDirectorySize = centralDirectory.reduce((size, chunk) => size + chunk.length, 0);
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054B50, true);
+    endRecord.setUint16(8, entries.length, true);
+    endRecord.setUint16(10, entries.length, true);
+    endRecord.setUint32(12, centralDirectorySize, true);
+    endRecord.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, new Uint8Array(endRecord.buffer)], { type: mimeType });
+}
+
+async function inflateRawBytes(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed ZIP entries are not supported in this browser');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readZipArchive(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const decoder = new TextDecoder();
+    let endOffset = -1;
+
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+
+    if (endOffset === -1) {
+        throw new Error('ZIP end of central directory not found');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Invalid ZIP central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataOffset = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            files.set(name, await inflateRawBytes(data));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
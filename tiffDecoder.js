@@ -0,0 +1,729 @@
+// PDFomator - TIFF decoder
+// Reads the pages of a TIFF into RGBA pixels: bilevel, gray, palette, RGB and
+// CMYK images in strips or tiles, uncompressed or with CCITT modified Huffman,
+// Group 3 or Group 4, LZW, Deflate, PackBits or JPEG compression. Reduced-
+// resolution copies (thumbnails) are skipped. Variants outside that set throw
+// an error with code 'image-unsupported'.
+
+import { createCanvas } from './imageProcessing.js';
+import { RUN_CODES, PASS_CODE, HORIZONTAL_CODE, VERTICAL_CODES } from './tiffEncoder.js';
+
+const TAG = {
+    newSubfileType: 254, width: 256, height: 257, bitsPerSample: 258, compression: 259,
+    photometric: 262, fillOrder: 266, stripOffsets: 273, orientation: 274, samplesPerPixel: 277,
+    rowsPerStrip: 278, stripByteCounts: 279, planarConfiguration: 284, t4Options: 292,
+    predictor: 317, colorMap: 320, tileWidth: 322, tileLength: 323, tileOffsets: 324,
+    tileByteCounts: 325, extraSamples: 338, sampleFormat: 339, jpegTables: 347
+};
+// Value sizes in bytes, indexed by TIFF field type.
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 4];
+const COMPRESSION = { none: 1, modifiedHuffman: 2, group3: 3, group4: 4, lzw: 5, jpeg: 7, deflate: 8, packBits: 32773, adobeDeflate: 32946 };
+const PHOTOMETRIC = { whiteIsZero: 0, blackIsZero: 1, rgb: 2, palette: 3, cmyk: 5, yCbCr: 6 };
+// Color samples before any extra (alpha) samples, per photometric interpretation.
+const COLOR_SAMPLES = { 0: 1, 1: 1, 2: 3, 3: 1, 5: 4 };
+
+const REVERSED_BITS = new Uint8Array(256).map((_, value) => {
+    let reversed = 0;
+    for (let bit = 0; bit < 8; bit++) {
+        reversed |= ((value >> bit) & 1) << (7 - bit);
+    }
+    return reversed;
+});
+
+const codeKey = ({ bits, length }) => (length << 16) | bits;
+const MAX_CODE_LENGTH = 13;
+const RUN_TABLES = RUN_CODES.map(({ terminating, makeup }) => {
+    const table = new Map();
+    terminating.forEach((code, run) => table.set(codeKey(code), run));
+    makeup.forEach((code, index) => table.set(codeKey(code), (index + 1) * 64));
+    return table;
+});
+const MODE = { pass: 'pass', horizontal: 'horizontal', endOfLine: 'endOfLine' };
+// Two-dimensional coding modes; vertical modes map to their a1 - b1 offset.
+const MODE_TABLE = new Map([
+    [codeKey(PASS_CODE), MODE.pass],
+    [codeKey(HORIZONTAL_CODE), MODE.horizontal],
+    [codeKey({ bits: 1, length: 12 }), MODE.endOfLine],
+    ...VERTICAL_CODES.map((code, index) => [codeKey(code), index - 3])
+]);
+
+function createTIFFError(message, code) {
+    const error = new Error(message);
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+const unsupported = feature => createTIFFError(`Unsupported TIFF: ${feature}`, 'image-unsupported');
+
+export function isTIFFData(bytes) {
+    return (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2A && bytes[3] === 0)
+        || (bytes[0] === 0x4D && bytes[1] === 0x4D && bytes[2] === 0 && bytes[3] === 0x2A);
+}
+
+// Lists the full-resolution pages as { width, height, tags, littleEndian }.
+export function readTIFFPages(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const byteOrder = bytes.length >= 8 ? view.getUint16(0) : 0;
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+        throw createTIFFError('Not a TIFF file');
+    }
+
+    const littleEndian = byteOrder === 0x4949;
+    const version = view.getUint16(2, littleEndian);
+    if (version === 43) {
+        throw unsupported('BigTIFF');
+    }
+    if (version !== 42) {
+        throw createTIFFError('Not a TIFF file');
+    }
+
+    const pages = [];
+    const visitedOffsets = new Set();
+    let offset = view.getUint32(4, littleEndian);
+    // Damaged files can link directories in a loop; each one is read once.
+    while (offset && offset + 2 <= bytes.length && !visitedOffsets.has(offset)) {
+        visitedOffsets.add(offset);
+        const { tags, nextOffset } = readDirectory(view, offset, littleEndian);
+        const width = getTag(tags, TAG.width, 0);
+        const height = getTag(tags, TAG.height, 0);
+        if (!(getTag(tags, TAG.newSubfileType, 0) & 1) && width > 0 && height > 0) {
+            pages.push({ width, height, tags, littleEndian });
+        }
+        offset = nextOffset;
+    }
+    return pages;
+}
+
+function readDirectory(view, offset, littleEndian) {
+    const count = view.getUint16(offset, littleEndian);
+    const tags = new Map();
+    for (let index = 0; index < count; index++) {
+        const entry = offset + 2 + index * 12;
+        if (entry + 12 > view.byteLength) {
+            return { tags, nextOffset: 0 };
+        }
+
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const size = TYPE_SIZES[type] * valueCount;
+        if (!size) {
+            continue;
+        }
+
+        const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        if (valueOffset + size <= view.byteLength) {
+            tags.set(tag, readTagValues(view, type, valueCount, valueOffset, littleEndian));
+        }
+    }
+
+    const nextEntry = offset + 2 + count * 12;
+    return { tags, nextOffset: nextEntry + 4 <= view.byteLength ? view.getUint32(nextEntry, littleEndian) : 0 };
+}
+
+function readTagValues(view, type, count, offset, littleEndian) {
+    const values = new Array(count);
+    const size = TYPE_SIZES[type];
+    for (let index = 0; index < count; index++) {
+        const position = offset + index * size;
+        switch (type) {
+            case 3: values[index] = view.getUint16(position, littleEndian); break;
+            case 4: case 13: values[index] = view.getUint32(position, littleEndian); break;
+            case 5: values[index] = view.getUint32(position, littleEndian) / (view.getUint32(position + 4, littleEndian) || 1); break;
+            case 6: values[index] = view.getInt8(position); break;
+            case 8: values[index] = view.getInt16(position, littleEndian); break;
+            case 9: values[index] = view.getInt32(position, littleEndian); break;
+            case 10: values[index] = view.getInt32(position, littleEndian) / (view.getInt32(position + 4, littleEndian) || 1); break;
+            case 11: values[index] = view.getFloat32(position, littleEndian); break;
+            case 12: values[index] = view.getFloat64(position, littleEndian); break;
+            default: values[index] = view.getUint8(position);
+        }
+    }
+    return values;
+}
+
+function getTag(tags, tag, fallback) {
+    return tags.get(tag)?.[0] ?? fallback;
+}
+
+// Decodes one page from readTIFFPages into { width, height, data } with RGBA data,
+// turned upright according to its Orientation tag.
+export async function decodeTIFFPage(bytes, page) {
+    const { tags, width, height } = page;
+    const compression = getTag(tags, TAG.compression, COMPRESSION.none);
+    const isFax = [COMPRESSION.modifiedHuffman, COMPRESSION.group3, COMPRESSION.group4].includes(compression);
+    const format = {
+        compression,
+        photometric: getTag(tags, TAG.photometric, isFax ? PHOTOMETRIC.whiteIsZero : PHOTOMETRIC.blackIsZero),
+        samplesPerPixel: getTag(tags, TAG.samplesPerPixel, 1),
+        bitsPerSample: getTag(tags, TAG.bitsPerSample, 1),
+        planar: getTag(tags, TAG.planarConfiguration, 1) === 2,
+        predictor: getTag(tags, TAG.predictor, 1),
+        littleEndian: page.littleEndian
+    };
+    validateFormat(format, tags);
+
+    const layout = getSegmentLayout(tags, width, height, format);
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const writePixel = createPixelWriter(rgba, format, tags);
+    const fillOrderReversed = getTag(tags, TAG.fillOrder, 1) === 2;
+    const jpegTables = tags.has(TAG.jpegTables) ? Uint8Array.from(tags.get(TAG.jpegTables)) : null;
+
+    for (let segment = 0; segment < layout.segmentsPerPlane; segment++) {
+        const x0 = (segment % layout.across) * layout.segmentWidth;
+        const y0 = Math.floor(segment / layout.across) * layout.segmentHeight;
+        const rows = layout.tiled ? layout.segmentHeight : Math.min(layout.segmentHeight, height - y0);
+        if (rows <= 0) {
+            break;
+        }
+
+        if (compression === COMPRESSION.jpeg) {
+            const data = readSegment(bytes, layout, segment);
+            const pixels = await decodeJPEGSegment(data, jpegTables, layout.segmentWidth, rows);
+            copyRGBA(rgba, width, height, pixels, layout.segmentWidth, x0, y0, rows);
+            continue;
+        }
+
+        const planes = [];
+        for (let plane = 0; plane < layout.planes; plane++) {
+            let data = readSegment(bytes, layout, plane * layout.segmentsPerPlane + segment);
+            if (fillOrderReversed) {
+                data = data.map(value => REVERSED_BITS[value]);
+            }
+            const raw = await decompressSegment(data, format, layout.segmentWidth, rows, layout.rowBytes, getTag(tags, TAG.t4Options, 0));
+            if (format.predictor === 2) {
+                undoHorizontalPredictor(raw, layout.rowBytes, rows, format.planar ? 1 : format.samplesPerPixel, format);
+            }
+            planes.push(raw);
+        }
+        writeSegmentPixels(planes, layout, format, writePixel, width, height, x0, y0, rows);
+    }
+
+    return orientPixels(rgba, width, height, getTag(tags, TAG.orientation, 1));
+}
+
+function validateFormat(format, tags) {
+    const { compression, photometric, bitsPerSample, predictor } = format;
+    if (!Object.values(COMPRESSION).includes(compression)) {
+        throw unsupported(`compression ${compression}`);
+    }
+    if (getTag(tags, TAG.sampleFormat, 1) === 3) {
+        throw unsupported('floating-point samples');
+    }
+    if (compression === COMPRESSION.jpeg) {
+        return;
+    }
+    if (!(photometric in COLOR_SAMPLES)) {
+        throw unsupported(`photometric interpretation ${photometric}`);
+    }
+    if (![1, 2, 4, 8, 16].includes(bitsPerSample) || (photometric === PHOTOMETRIC.palette && bitsPerSample > 8)) {
+        throw unsupported(`${bitsPerSample}-bit samples`);
+    }
+    if (format.samplesPerPixel < COLOR_SAMPLES[photometric]) {
+        throw unsupported(`${format.samplesPerPixel} samples per pixel`);
+    }
+    if (predictor !== 1 && (predictor !== 2 || bitsPerSample < 8)) {
+        throw unsupported(`predictor ${predictor}`);
+    }
+}
+
+// Strips are segments as wide as the image; tiles are fixed-size and padded at
+// the right and bottom edges. Separate planes store each sample's segments in turn.
+function getSegmentLayout(tags, width, height, format) {
+    const tiled = tags.has(TAG.tileOffsets);
+    const segmentWidth = tiled ? getTag(tags, TAG.tileWidth, 0) : width;
+    const segmentHeight = tiled ? getTag(tags, TAG.tileLength, 0) : Math.min(height, getTag(tags, TAG.rowsPerStrip, height) || height);
+    if (!segmentWidth || !segmentHeight) {
+        throw createTIFFError('Missing TIFF tile size');
+    }
+
+    const across = Math.ceil(width / segmentWidth);
+    const planes = format.planar ? format.samplesPerPixel : 1;
+    const samplesPerRow = segmentWidth * (format.planar ? 1 : format.samplesPerPixel);
+    return {
+        tiled,
+        segmentWidth,
+        segmentHeight,
+        across,
+        planes,
+        segmentsPerPlane: across * Math.ceil(height / segmentHeight),
+        rowBytes: Math.ceil(samplesPerRow * format.bitsPerSample / 8),
+        offsets: tags.get(tiled ? TAG.tileOffsets : TAG.stripOffsets) || [],
+        byteCounts: tags.get(tiled ? TAG.tileByteCounts : TAG.stripByteCounts) || []
+    };
+}
+
+function readSegment(bytes, layout, index) {
+    const offset = layout.offsets[index];
+    if (offset === undefined || offset >= bytes.length) {
+        throw createTIFFError(`Missing TIFF segment ${index}`);
+    }
+    // Some writers leave out the byte counts of single-strip images.
+    const byteCount = layout.byteCounts[index] ?? bytes.length - offset;
+    return bytes.subarray(offset, Math.min(bytes.length, offset + byteCount));
+}
+
+async function decompressSegment(data, format, width, rows, rowBytes, t4Options) {
+    const expectedLength = rowBytes * rows;
+    switch (format.compression) {
+        case COMPRESSION.none:
+            return fitLength(data, expectedLength);
+        case COMPRESSION.modifiedHuffman:
+        case COMPRESSION.group3:
+        case COMPRESSION.group4:
+            return decodeCCITT(data, width, rows, format.compression, t4Options);
+        case COMPRESSION.lzw:
+            return decodeLZW(data, expectedLength);
+        case COMPRESSION.deflate:
+        case COMPRESSION.adobeDeflate:
+            return fitLength(await inflateBytes(data), expectedLength);
+        case COMPRESSION.packBits:
+            return decodePackBits(data, expectedLength);
+        default:
+            throw unsupported(`compression ${format.compression}`);
+    }
+}
+
+// Copies into a buffer of the expected size, so short (truncated) data reads as zeros.
+function fitLength(data, length) {
+    const output = new Uint8Array(length);
+    output.set(data.subarray(0, length));
+    return output;
+}
+
+// zlib-wrapped Deflate, the counterpart of deflateBytes in the TIFF encoder.
+async function inflateBytes(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw unsupported('Deflate compression in this browser');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decodePackBits(data, expectedLength) {
+    const output = new Uint8Array(expectedLength);
+    let input = 0;
+    let position = 0;
+    while (input < data.length && position < expectedLength) {
+        const header = (data[input++] << 24) >> 24;
+        if (header >= 0) {
+            const literal = data.subarray(input, input + header + 1).subarray(0, expectedLength - position);
+            output.set(literal, position);
+            input += header + 1;
+            position += header + 1;
+        } else if (header !== -128) {
+            output.fill(data[input++], position, Math.min(expectedLength, position + 1 - header));
+            position += 1 - header;
+        }
+    }
+    return output;
+}
+
+// TIFF LZW: MSB-first codes of 9 to 12 bits that widen one code early.
+function decodeLZW(data, expectedLength) {
+    if (data[0] === 0 && (data[1] & 1)) {
+        throw unsupported('old-style LZW compression');
+    }
+
+    const output = new Uint8Array(expectedLength);
+    const prefixes = new Uint16Array(4096);
+    const suffixes = new Uint8Array(4096);
+    const firstBytes = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    for (let code = 0; code < 256; code++) {
+        suffixes[code] = code;
+        firstBytes[code] = code;
+        lengths[code] = 1;
+    }
+
+    const CLEAR_CODE = 256;
+    const END_CODE = 257;
+    const totalBits = data.length * 8;
+    let bitPosition = 0;
+    let codeLength = 9;
+    let nextCode = 258;
+    let previous = -1;
+    let position = 0;
+
+    const writeEntry = code => {
+        let entry = code;
+        for (let index = lengths[code] - 1; index >= 0; index--) {
+            if (position + index < expectedLength) {
+                output[position + index] = suffixes[entry];
+            }
+            entry = prefixes[entry];
+        }
+        position += lengths[code];
+    };
+    const addEntry = suffix => {
+        if (nextCode < 4096) {
+            prefixes[nextCode] = previous;
+            suffixes[nextCode] = suffix;
+            firstBytes[nextCode] = firstBytes[previous];
+            lengths[nextCode] = lengths[previous] + 1;
+            nextCode++;
+        }
+    };
+
+    while (bitPosition + codeLength <= totalBits && position < expectedLength) {
+        let code = 0;
+        for (let bit = 0; bit < codeLength; bit++, bitPosition++) {
+            code = (code << 1) | ((data[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+        }
+
+        if (code === END_CODE) {
+            break;
+        }
+        if (code === CLEAR_CODE) {
+            codeLength = 9;
+            nextCode = 258;
+            previous = -1;
+            continue;
+        }
+
+        if (previous === -1) {
+            if (code > 255) {
+                break;
+            }
+            writeEntry(code);
+        } else if (code < nextCode) {
+            writeEntry(code);
+            addEntry(firstBytes[code]);
+        } else if (code === nextCode) {
+            addEntry(firstBytes[previous]);
+            writeEntry(code);
+        } else {
+            break;
+        }
+
+        previous = code;
+        if (nextCode + 1 >= (1 << codeLength) && codeLength < 12) {
+            codeLength++;
+        }
+    }
+    return output;
+}
+
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    get exhausted() {
+        return this.position >= this.bytes.length * 8;
+    }
+
+    // Reads past the end return zeros, which no valid code consists of.
+    readBit() {
+        const byte = this.bytes[this.position >> 3] ?? 0;
+        const bit = (byte >> (7 - (this.position & 7))) & 1;
+        this.position++;
+        return bit;
+    }
+
+    readCode(table) {
+        let bits = 0;
+        for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+            bits = (bits << 1) | this.readBit();
+            const value = table.get((length << 16) | bits);
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        throw createTIFFError('Invalid CCITT code');
+    }
+
+    readRun(color) {
+        let run = 0;
+        for (;;) {
+            const length = this.readCode(RUN_TABLES[color]);
+            run += length;
+            if (length < 64) {
+                return run;
+            }
+        }
+    }
+
+    alignToByte() {
+        this.position = (this.position + 7) & ~7;
+    }
+
+    // Skips the fill bits and EOL code (000000000001) that may start a Group 3 row.
+    skipEndOfLine() {
+        const start = this.position;
+        let zeros = 0;
+        while (!this.exhausted && this.readBit() === 0) {
+            zeros++;
+        }
+        if (zeros < 11 || this.exhausted) {
+            this.position = start;
+        }
+    }
+}
+
+// Decodes CCITT rows into packed 1-bit rows where 1 is black, the layout of
+// uncompressed bilevel TIFF data. Rows are lists of changing columns.
+function decodeCCITT(data, width, rows, compression, t4Options) {
+    const reader = new BitReader(data);
+    const rowBytes = Math.ceil(width / 8);
+    const output = new Uint8Array(rowBytes * rows);
+    const twoDimensional = compression === COMPRESSION.group4 || (compression === COMPRESSION.group3 && (t4Options & 1));
+    let reference = [];
+    let row = 0;
+    try {
+        for (; row < rows && !reader.exhausted; row++) {
+            let useReference = compression === COMPRESSION.group4;
+            if (compression === COMPRESSION.group3) {
+                reader.skipEndOfLine();
+                useReference = twoDimensional && reader.readBit() === 0;
+            }
+
+            const changes = useReference ? decode2DRow(reader, [...reference, width, width], width) : decode1DRow(reader, width);
+            if (compression === COMPRESSION.modifiedHuffman) {
+                reader.alignToByte();
+            }
+            fillRow(output, row * rowBytes, changes, width);
+            reference = changes;
+        }
+    } catch (error) {
+        // Damaged fax data keeps the rows decoded so far; the rest stays white.
+        if (row === 0) {
+            throw error;
+        }
+    }
+    return output;
+}
+
+function decode1DRow(reader, width) {
+    const changes = [];
+    let position = 0;
+    let color = 0;
+    while (position < width) {
+        position = Math.min(width, position + reader.readRun(color));
+        changes.push(position);
+        color = 1 - color;
+    }
+    return changes;
+}
+
+// Changes at even indexes turn black, at odd indexes white. b1 is the first
+// change on the reference row right of a0 that turns to the opposite of the
+// current color; the reference ends with two sentinels at the row width.
+function decode2DRow(reader, reference, width) {
+    const changes = [];
+    let a0 = -1;
+    let color = 0;
+    let referenceIndex = 0;
+    while (a0 < width) {
+        referenceIndex = Math.max(0, referenceIndex - 2);
+        while (reference[referenceIndex] <= a0 || referenceIndex % 2 !== color) {
+            referenceIndex++;
+        }
+        const b1 = reference[referenceIndex];
+        const b2 = reference[referenceIndex + 1] ?? width;
+
+        const mode = reader.readCode(MODE_TABLE);
+        if (mode === MODE.pass) {
+            a0 = b2;
+        } else if (mode === MODE.horizontal) {
+            const a1 = Math.min(width, Math.max(a0, 0) + reader.readRun(color));
+            const a2 = Math.min(width, a1 + reader.readRun(1 - color));
+            changes.push(a1, a2);
+            a0 = a2;
+        } else if (mode === MODE.endOfLine) {
+            throw createTIFFError('Unexpected end of CCITT row');
+        } else {
+            const a1 = Math.min(width, Math.max(b1 + mode, a0, 0));
+            changes.push(a1);
+            a0 = a1;
+            color = 1 - color;
+        }
+    }
+    return changes;
+}
+
+function fillRow(output, rowOffset, changes, width) {
+    let position = 0;
+    for (let index = 0; index <= changes.length; index++) {
+        const end = Math.min(width, changes[index] ?? width);
+        if (index % 2 === 1) {
+            for (let x = position; x < end; x++) {
+                output[rowOffset + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+        position = Math.max(position, end);
+    }
+}
+
+function undoHorizontalPredictor(data, rowBytes, rows, stride, { bitsPerSample, littleEndian }) {
+    if (bitsPerSample === 8) {
+        for (let row = 0; row < rows; row++) {
+            const start = row * rowBytes;
+            for (let index = start + stride; index < start + rowBytes; index++) {
+                data[index] = (data[index] + data[index - stride]) & 0xFF;
+            }
+        }
+        return;
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let row = 0; row < rows; row++) {
+        const start = row * rowBytes;
+        for (let index = start + stride * 2; index + 1 < start + rowBytes; index += 2) {
+            const sum = view.getUint16(index, littleEndian) + view.getUint16(index - stride * 2, littleEndian);
+            view.setUint16(index, sum & 0xFFFF, littleEndian);
+        }
+    }
+}
+
+// Reads one sample scaled to 0-255; palette indexes are returned as stored.
+function readSample(data, rowOffset, index, { bitsPerSample, littleEndian }, scaled) {
+    if (bitsPerSample === 8) {
+        return data[rowOffset + index];
+    }
+    if (bitsPerSample === 16) {
+        return data[rowOffset + index * 2 + (littleEndian ? 1 : 0)];
+    }
+
+    const bit = index * bitsPerSample;
+    const maxValue = (1 << bitsPerSample) - 1;
+    const value = (data[rowOffset + (bit >> 3)] >> (8 - bitsPerSample - (bit & 7))) & maxValue;
+    return scaled ? Math.round(value * 255 / maxValue) : value;
+}
+
+function writeSegmentPixels(planes, layout, format, writePixel, width, height, x0, y0, rows) {
+    const { samplesPerPixel, planar, photometric } = format;
+    const scaled = photometric !== PHOTOMETRIC.palette;
+    const samples = new Array(samplesPerPixel);
+    const columns = Math.min(layout.segmentWidth, width - x0);
+    for (let row = 0; row < rows && y0 + row < height; row++) {
+        const rowOffset = row * layout.rowBytes;
+        for (let x = 0; x < columns; x++) {
+            for (let sample = 0; sample < samplesPerPixel; sample++) {
+                samples[sample] = planar
+                    ? readSample(planes[sample], rowOffset, x, format, scaled)
+                    : readSample(planes[0], rowOffset, x * samplesPerPixel + sample, format, scaled);
+            }
+            writePixel(((y0 + row) * width + x0 + x) * 4, samples);
+        }
+    }
+}
+
+function createPixelWriter(rgba, { photometric, samplesPerPixel }, tags) {
+    const colorSamples = COLOR_SAMPLES[photometric];
+    const extraSamples = tags.get(TAG.extraSamples) || [];
+    // Extra sample 1 is premultiplied alpha, 2 straight alpha.
+    const alphaType = samplesPerPixel > colorSamples ? extraSamples[0] : 0;
+    const colorMap = tags.get(TAG.colorMap);
+    const paletteSize = colorMap ? colorMap.length / 3 : 0;
+
+    return (offset, samples) => {
+        let red;
+        let green;
+        let blue;
+        switch (photometric) {
+            case PHOTOMETRIC.whiteIsZero:
+                red = green = blue = 255 - samples[0];
+                break;
+            case PHOTOMETRIC.blackIsZero:
+                red = green = blue = samples[0];
+                break;
+            case PHOTOMETRIC.palette: {
+                const index = Math.min(samples[0], paletteSize - 1);
+                red = colorMap ? colorMap[index] >> 8 : samples[0];
+                green = colorMap ? colorMap[paletteSize + index] >> 8 : samples[0];
+                blue = colorMap ? colorMap[paletteSize * 2 + index] >> 8 : samples[0];
+                break;
+            }
+            case PHOTOMETRIC.cmyk: {
+                const white = 255 - samples[3];
+                red = (255 - samples[0]) * white / 255;
+                green = (255 - samples[1]) * white / 255;
+                blue = (255 - samples[2]) * white / 255;
+                break;
+            }
+            default:
+                [red, green, blue] = samples;
+        }
+
+        let alpha = 255;
+        if (alphaType === 1 || alphaType === 2) {
+            alpha = samples[colorSamples];
+            if (alphaType === 1 && alpha > 0) {
+                red = red * 255 / alpha;
+                green = green * 255 / alpha;
+                blue = blue * 255 / alpha;
+            }
+        }
+
+        rgba[offset] = red;
+        rgba[offset + 1] = green;
+        rgba[offset + 2] = blue;
+        rgba[offset + 3] = alpha;
+    };
+}
+
+// JPEG segments usually rely on shared tables stored in the JPEGTables tag as
+// an abbreviated stream (SOI, tables, EOI); they go between the segment's SOI
+// and the rest of its data. The browser does the YCbCr conversion.
+async function decodeJPEGSegment(data, jpegTables, width, height) {
+    let stream = data;
+    if (jpegTables?.length > 4) {
+        stream = new Uint8Array(jpegTables.length - 2 + data.length - 2);
+        stream.set(jpegTables.subarray(0, jpegTables.length - 2));
+        stream.set(data.subarray(2), jpegTables.length - 2);
+    }
+
+    const bitmap = await createImageBitmap(new Blob([stream], { type: 'image/jpeg' }));
+    try {
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        return ctx.getImageData(0, 0, width, height).data;
+    } finally {
+        bitmap.close();
+    }
+}
+
+function copyRGBA(rgba, width, height, pixels, segmentWidth, x0, y0, rows) {
+    const columns = Math.min(segmentWidth, width - x0);
+    for (let row = 0; row < rows && y0 + row < height; row++) {
+        const source = row * segmentWidth * 4;
+        rgba.set(pixels.subarray(source, source + columns * 4), ((y0 + row) * width + x0) * 4);
+    }
+}
+
+// Orientation 1 is upright; 2-4 mirror or turn the image half-way, and 5-8
+// swap rows and columns.
+function orientPixels(rgba, width, height, orientation) {
+    if (!(orientation >= 2 && orientation <= 8)) {
+        return { width, height, data: rgba };
+    }
+
+    const swapped = orientation >= 5;
+    const outputWidth = swapped ? height : width;
+    const source = new Uint32Array(rgba.buffer);
+    const output = new Uint8ClampedArray(rgba.length);
+    const target = new Uint32Array(output.buffer);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let targetX;
+            let targetY;
+            switch (orientation) {
+                case 2: targetX = width - 1 - x; targetY = y; break;
+                case 3: targetX = width - 1 - x; targetY = height - 1 - y; break;
+                case 4: targetX = x; targetY = height - 1 - y; break;
+                case 5: targetX = y; targetY = x; break;
+                case 6: targetX = height - 1 - y; targetY = x; break;
+                case 7: targetX = height - 1 - y; targetY = width - 1 - x; break;
+                default: targetX = y; targetY = width - 1 - x;
+            }
+            target[targetY * outputWidth + targetX] = source[y * width + x];
+        }
+    }
+    return { width: outputWidth, height: swapped ? width : height, data: output };
+}
@@ -0,0 +1,361 @@
+// PDFomator - TIFF encoder
+// Writes multi-page baseline TIFFs: color pages as Deflate-compressed RGB, and
+// 1-bit pages either uncompressed or with CCITT Group 4 (T.6) fax compression.
+// The Group 4 coder and Deflate helper are shared with PDF export, and the
+// CCITT code tables with the TIFF decoder.
+
+const TIFF_TYPE = { ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5 };
+const TIFF_TYPE_SIZE = { [TIFF_TYPE.ASCII]: 1, [TIFF_TYPE.SHORT]: 2, [TIFF_TYPE.LONG]: 4, [TIFF_TYPE.RATIONAL]: 8 };
+const TIFF_COMPRESSION = { none: 1, group4: 4, deflate: 8 };
+
+// T.4 run-length codes shared by Group 3 and Group 4, as bit strings.
+// Terminating codes cover runs 0-63, make-up codes multiples of 64.
+const WHITE_TERMINATING_CODES = [
+    '00110101', '000111', '0111', '1000', '1011', '1100', '1110', '1111',
+    '10011', '10100', '00111', '01000', '001000', '000011', '110100', '110101',
+    '101010', '101011', '0100111', '0001100', '0001000', '0010111', '0000011', '0000100',
+    '0101000', '0101011', '0010011', '0100100', '0011000', '00000010', '00000011', '00011010',
+    '00011011', '00010010', '00010011', '00010100', '00010101', '00010110', '00010111', '00101000',
+    '00101001', '00101010', '00101011', '00101100', '00101101', '00000100', '00000101', '00001010',
+    '00001011', '01010010', '01010011', '01010100', '01010101', '00100100', '00100101', '01011000',
+    '01011001', '01011010', '01011011', '01001010', '01001011', '00110010', '00110011', '00110100'
+];
+const WHITE_MAKEUP_CODES = [
+    '11011', '10010', '010111', '0110111', '00110110', '00110111', '01100100', '01100101',
+    '01101000', '01100111', '011001100', '011001101', '011010010', '011010011', '011010100', '011010101',
+    '011010110', '011010111', '011011000', '011011001', '011011010', '011011011', '010011000', '010011001',
+    '010011010', '011000', '010011011'
+];
+const BLACK_TERMINATING_CODES = [
+    '0000110111', '010', '11', '10', '011', '0011', '0010', '00011',
+    '000101', '000100', '0000100', '0000101', '0000111', '00000100', '00000111', '000011000',
+    '0000010111', '0000011000', '0000001000', '00001100111', '00001101000', '00001101100', '00000110111', '00000101000',
+    '00000010111', '00000011000', '000011001010', '000011001011', '000011001100', '000011001101', '000001101000', '000001101001',
+    '000001101010', '000001101011', '000011010010', '000011010011', '000011010100', '000011010101', '000011010110', '000011010111',
+    '000001101100', '000001101101', '000011011010', '000011011011', '000001010100', '000001010101', '000001010110', '000001010111',
+    '000001100100', '000001100101', '000001010010', '000001010011', '000000100100', '000000110111', '000000111000', '000000100111',
+    '000000101000', '000001011000', '000001011001', '000000101011', '000000101100', '000001011010', '000001100110', '000001100111'
+];
+const BLACK_MAKEUP_CODES = [
+    '0000001111', '000011001000', '000011001001', '000001011011', '000000110011', '000000110100', '000000110101', '0000001101100',
+    '0000001101101', '0000001001010', '0000001001011', '0000001001100', '0000001001101', '0000001110010', '0000001110011', '0000001110100',
+    '0000001110101', '0000001110110', '0000001110111', '0000001010010', '0000001010011', '0000001010100', '0000001010101', '0000001011010',
+    '0000001011011', '0000001100100', '0000001100101'
+];
+// Make-up codes for runs of 1792-2560, the same for both colors.
+const EXTENDED_MAKEUP_CODES = [
+    '00000001000', '00000001100', '00000001101', '000000010010', '000000010011', '000000010100', '000000010101',
+    '000000010110', '000000010111', '000000011100', '000000011101', '000000011110', '000000011111'
+];
+
+const parseCodes = codes => codes.map(code => ({ bits: parseInt(code, 2), length: code.length }));
+export const RUN_CODES = [
+    {
+        terminating: parseCodes(WHITE_TERMINATING_CODES),
+        makeup: parseCodes([...WHITE_MAKEUP_CODES, ...EXTENDED_MAKEUP_CODES])
+    },
+    {
+        terminating: parseCodes(BLACK_TERMINATING_CODES),
+        makeup: parseCodes([...BLACK_MAKEUP_CODES, ...EXTENDED_MAKEUP_CODES])
+    }
+];
+export const PASS_CODE = { bits: 0b0001, length: 4 };
+export const HORIZONTAL_CODE = { bits: 0b001, length: 3 };
+// Vertical mode codes indexed by a1 - b1 + 3.
+export const VERTICAL_CODES = parseCodes(['0000010', '000010', '010', '1', '011', '000011', '0000011']);
+const END_OF_BLOCK_CODE = { bits: 0b000000000001000000000001, length: 24 };
+const MAX_MAKEUP_RUN = 2560;
+
+class BitWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.buffer = 0;
+        this.bufferLength = 0;
+    }
+
+    write({ bits, length }) {
+        for (let shift = length - 1; shift >= 0; shift--) {
+            this.buffer = (this.buffer << 1) | ((bits >>> shift) & 1);
+            if (++this.bufferLength === 8) {
+                this.pushByte(this.buffer);
+                this.buffer = 0;
+                this.bufferLength = 0;
+            }
+        }
+    }
+
+    pushByte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    finish() {
+        if (this.bufferLength) {
+            this.pushByte(this.buffer << (8 - this.bufferLength));
+            this.buffer = 0;
+            this.bufferLength = 0;
+        }
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+function writeRun(writer, color, run) {
+    const { terminating, makeup } = RUN_CODES[color];
+
+    while (run >= MAX_MAKEUP_RUN + 64) {
+        writer.write(makeup[MAX_MAKEUP_RUN / 64 - 1]);
+        run -= MAX_MAKEUP_RUN;
+    }
+    if (run >= 64) {
+        writer.write(makeup[Math.floor(run / 64) - 1]);
+        run %= 64;
+    }
+    writer.write(terminating[run]);
+}
+
+// First position at or after start whose pixel is not color; width when none is.
+function findChange(line, start, width, color) {
+    let position = start;
+    while (position < width && line[position] === color) {
+        position++;
+    }
+    return position;
+}
+
+// Encodes rows of 0 (white) / 1 (black) pixels. Each line is coded against the
+// one above it; the line above the first is all white.
+export function encodeGroup4(bitonalPixels, width, height) {
+    const writer = new BitWriter(Math.max(1024, Math.ceil(width * height / 32)));
+    let reference = new Uint8Array(width);
+
+    for (let y = 0; y < height; y++) {
+        const line = bitonalPixels.subarray(y * width, (y + 1) * width);
+        let a0 = 0;
+        let a1 = line[0] ? 0 : findChange(line, 0, width, 0);
+        let b1 = reference[0] ? 0 : findChange(reference, 0, width, 0);
+
+        while (true) {
+            const b2 = b1 < width ? findChange(reference, b1, width, reference[b1]) : width;
+
+            if (b2 < a1) {
+                writer.write(PASS_CODE);
+                a0 = b2;
+            } else if (Math.abs(a1 - b1) <= 3) {
+                writer.write(VERTICAL_CODES[a1 - b1 + 3]);
+                a0 = a1;
+            } else {
+                const a2 = a1 < width ? findChange(line, a1, width, line[a1]) : width;
+                const firstColor = a0 + a1 === 0 || !line[a0] ? 0 : 1;
+                writer.write(HORIZONTAL_CODE);
+                writeRun(writer, firstColor, a1 - a0);
+                writeRun(writer, 1 - firstColor, a2 - a1);
+                a0 = a2;
+            }
+
+            if (a0 >= width) break;
+
+            const color = line[a0];
+            a1 = findChange(line, a0, width, color);
+            b1 = findChange(reference, findChange(reference, a0, width, 1 - color), width, color);
+        }
+
+        reference = line;
+    }
+
+    writer.write(END_OF_BLOCK_CODE);
+    return writer.finish();
+}
+
+// Packs 0/1 pixels eight to a byte, rows padded to whole bytes, 1 meaning black.
+function packBitonalRows(bitonalPixels, width, height) {
+    const rowBytes = Math.ceil(width / 8);
+    const packed = new Uint8Array(rowBytes * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (bitonalPixels[y * width + x]) {
+                packed[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return packed;
+}
+
+export function toBitonalPixels(rgba, threshold = 128) {
+    const pixels = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < pixels.length; i++) {
+        const offset = i * 4;
+        const gray = rgba[offset] * 0.299 + rgba[offset + 1] * 0.587 + rgba[offset + 2] * 0.114;
+        pixels[i] = gray < threshold ? 1 : 0;
+    }
+    return pixels;
+}
+
+function toRGBPixels(rgba) {
+    const pixels = new Uint8Array(rgba.length / 4 * 3);
+    for (let source = 0, target = 0; source < rgba.length; source += 4, target += 3) {
+        pixels[target] = rgba[source];
+        pixels[target + 1] = rgba[source + 1];
+        pixels[target + 2] = rgba[source + 2];
+    }
+    return pixels;
+}
+
+// zlib-wrapped Deflate, which is what TIFF compression 8 and PDF FlateDecode store.
+export async function deflateBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return null;
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function getPageTags(page, pageIndex, pageCount) {
+    const resolution = [Math.round(page.dpi * 100), 100];
+
+    return [
+        [254, TIFF_TYPE.LONG, [2]], // NewSubfileType: one page of a multi-page file
+        [256, TIFF_TYPE.LONG, [page.width]],
+        [257, TIFF_TYPE.LONG, [page.height]],
+        [258, TIFF_TYPE.SHORT, page.bitonal ? [1] : [8, 8, 8]],
+        [259, TIFF_TYPE.SHORT, [page.compression]],
+        [262, TIFF_TYPE.SHORT, [page.bitonal ? 0 : 2]], // WhiteIsZero or RGB
+        [273, TIFF_TYPE.LONG, [0]], // StripOffsets, filled in when the page is placed
+        [277, TIFF_TYPE.SHORT, [page.bitonal ? 1 : 3]],
+        [278, TIFF_TYPE.LONG, [page.height]],
+        [279, TIFF_TYPE.LONG, [page.data.length]],
+        [282, TIFF_TYPE.RATIONAL, resolution],
+        [283, TIFF_TYPE.RATIONAL, resolution],
+        [284, TIFF_TYPE.SHORT, [1]],
+        [296, TIFF_TYPE.SHORT, [2]], // Resolution in inches
+        [297, TIFF_TYPE.SHORT, [pageIndex, pageCount]],
+        [305, TIFF_TYPE.ASCII, 'PDFomator']
+    ];
+}
+
+function getTagValueBytes(type, values) {
+    if (type === TIFF_TYPE.ASCII) {
+        return values.length + 1;
+    }
+    return (type === TIFF_TYPE.RATIONAL ? values.length / 2 : values.length) * TIFF_TYPE_SIZE[type];
+}
+
+function writeTagValues(view, offset, type, values) {
+    if (type === TIFF_TYPE.ASCII) {
+        Array.from(values).forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0) & 0x7F));
+        view.setUint8(offset + values.length, 0);
+        return;
+    }
+
+    values.forEach((value, index) => {
+        if (type === TIFF_TYPE.SHORT) {
+            view.setUint16(offset + index * 2, value, true);
+        } else {
+            view.setUint32(offset + index * 4, value, true);
+        }
+    });
+}
+
+function getWordAlignedSize(size) {
+    return size + (size % 2);
+}
+
+function getDirectorySize(tags) {
+    return tags.reduce((size, [, type, values]) => {
+        const valueSize = getTagValueBytes(type, values);
+        return valueSize > 4 ? size + getWordAlignedSize(valueSize) : size;
+    }, 2 + tags.length * 12 + 4);
+}
+
+// Writes one page's IFD for file position offset, with values too big for an
+// entry stored right after the entries.
+function createPageDirectory(tags, stripOffset, nextDirectoryOffset, offset) {
+    const bytes = new Uint8Array(getDirectorySize(tags));
+    const view = new DataView(bytes.buffer);
+    let overflowOffset = 2 + tags.length * 12 + 4;
+
+    view.setUint16(0, tags.length, true);
+    tags.forEach(([tag, type, values], index) => {
+        const entryOffset = 2 + index * 12;
+        const tagValues = tag === 273 ? [stripOffset] : values;
+        const valueSize = getTagValueBytes(type, tagValues);
+        const count = type === TIFF_TYPE.ASCII ? valueSize : type === TIFF_TYPE.RATIONAL ? tagValues.length / 2 : tagValues.length;
+
+        view.setUint16(entryOffset, tag, true);
+        view.setUint16(entryOffset + 2, type, true);
+        view.setUint32(entryOffset + 4, count, true);
+
+        if (valueSize <= 4) {
+            writeTagValues(view, entryOffset + 8, type, tagValues);
+        } else {
+            view.setUint32(entryOffset + 8, offset + overflowOffset, true);
+            writeTagValues(view, overflowOffset, type, tagValues);
+            overflowOffset += getWordAlignedSize(valueSize);
+        }
+    });
+    view.setUint32(2 + tags.length * 12, nextDirectoryOffset, true);
+
+    return bytes;
+}
+
+/**
+ * Compresses one rendered sheet for assembleTIFF, so its RGBA pixels can be
+ * released before the next sheet is rendered.
+ * @param {{width: number, height: number, dpi: number, rgba: Uint8ClampedArray, bitonal?: boolean}} page
+ * @param {{group4?: boolean}} options - group4 compresses 1-bit pages with CCITT G4
+ */
+export async function encodeTIFFPage(page, options = {}) {
+    const { width, height, dpi } = page;
+    const bitonal = !!page.bitonal;
+
+    if (bitonal) {
+        const bitonalPixels = toBitonalPixels(page.rgba);
+        return options.group4
+            ? { width, height, dpi, bitonal, data: encodeGroup4(bitonalPixels, width, height), compression: TIFF_COMPRESSION.group4 }
+            : { width, height, dpi, bitonal, data: packBitonalRows(bitonalPixels, width, height), compression: TIFF_COMPRESSION.none };
+    }
+
+    const rgbPixels = toRGBPixels(page.rgba);
+    const deflated = await deflateBytes(rgbPixels);
+    return deflated
+        ? { width, height, dpi, bitonal, data: deflated, compression: TIFF_COMPRESSION.deflate }
+        : { width, height, dpi, bitonal, data: rgbPixels, compression: TIFF_COMPRESSION.none };
+}
+
+/**
+ * Joins pages from encodeTIFFPage into one little-endian multi-page TIFF.
+ * Each page's strip is followed by its directory.
+ * @returns {Blob}
+ */
+export function assembleTIFF(encodedPages) {
+    const layouts = [];
+    let offset = 8;
+
+    encodedPages.forEach((page, pageIndex) => {
+        const tags = getPageTags(page, pageIndex, encodedPages.length);
+        const stripOffset = offset;
+        offset += getWordAlignedSize(page.data.length);
+        layouts.push({ tags, stripOffset, directoryOffset: offset });
+        offset += getDirectorySize(tags);
+    });
+
+    const header = new Uint8Array(8);
+    header.set([0x49, 0x49, 42, 0]); // "II", little-endian
+    new DataView(header.buffer).setUint32(4, layouts[0]?.directoryOffset || 0, true);
+
+    const chunks = [header];
+    layouts.forEach((layout, pageIndex) => {
+        const { data } = encodedPages[pageIndex];
+        chunks.push(data);
+        if (data.length % 2) chunks.push(new Uint8Array(1));
+        chunks.push(createPageDirectory(layout.tags, layout.stripOffset, layouts[pageIndex + 1]?.directoryOffset || 0, layout.directoryOffset));
+    });
+
+    return new Blob(chunks, { type: 'image/tiff' });
+}